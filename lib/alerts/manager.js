@@ -0,0 +1,108 @@
+const MINUTE = 60 * 1000;
+
+// Turns repeated rule firings into one alert per condition: the first
+// occurrence notifies, repeats inside the cooldown are only counted, and an
+// acknowledged alert stays quiet until it resolves. Critical alerts nobody
+// acknowledges escalate to the `alert_escalated` route.
+export const createAlertManager = ({
+  store,
+  notificationQueue,
+  sendTaskNotification,
+  cooldownMinutes = 60,
+  escalationMinutes = 15,
+}) => {
+  const raise = async ({
+    dedupKey,
+    farmId,
+    zone,
+    ruleId,
+    taskType,
+    severity,
+    details,
+    cooldownMinutes: cooldown = cooldownMinutes,
+  }) => {
+    const existing = await store.findOpen(dedupKey);
+
+    if (!existing) {
+      const alertId = await store.create({
+        dedupKey,
+        farmId,
+        zone,
+        ruleId,
+        taskType,
+        severity,
+        details,
+      });
+      await sendTaskNotification(taskType, { ...details, alertId });
+
+      if (severity === "critical") {
+        await notificationQueue.add(
+          "escalate-alert",
+          { alertId },
+          {
+            delay: escalationMinutes * MINUTE,
+            jobId: `escalate-alert-${alertId}`,
+          }
+        );
+      }
+      return { status: "opened", alertId };
+    }
+
+    // Remind about an unacknowledged alert once its cooldown has passed
+    const remind =
+      existing.status === "open" &&
+      Date.now() - new Date(existing.lastNotifiedAt).getTime() >=
+        cooldown * MINUTE;
+
+    await store.touch(existing.id, { details, notified: remind });
+    if (remind) {
+      await sendTaskNotification(taskType, {
+        ...details,
+        alertId: existing.id,
+      });
+    }
+    return { status: remind ? "reminded" : "suppressed", alertId: existing.id };
+  };
+
+  // The condition cleared: close the alert and say so
+  const clear = async (dedupKey) => {
+    const alert = await store.findOpen(dedupKey);
+    if (!alert || !(await store.resolve(alert.id))) return null;
+
+    await sendTaskNotification(
+      "alert_resolved",
+      { ...alert.details, alertId: alert.id, openedAt: alert.openedAt },
+      { routeAs: alert.taskType }
+    );
+    return alert;
+  };
+
+  const acknowledge = async (alertId, by) => {
+    if (!(await store.acknowledge(alertId, by))) return null;
+    return store.get(alertId);
+  };
+
+  // Manual close from the API, without a resolved notice
+  const resolve = async (alertId) => {
+    if (!(await store.resolve(alertId))) return null;
+    return store.get(alertId);
+  };
+
+  const escalate = async (alertId) => {
+    const alert = await store.get(alertId);
+    if (!alert || alert.status !== "open") {
+      return { status: "skipped", alertStatus: alert?.status ?? "missing" };
+    }
+
+    await store.markEscalated(alertId);
+    await sendTaskNotification("alert_escalated", {
+      ...alert.details,
+      alertId,
+      taskType: alert.taskType,
+      minutes: escalationMinutes,
+    });
+    return { status: "escalated" };
+  };
+
+  return { raise, clear, acknowledge, resolve, escalate };
+};
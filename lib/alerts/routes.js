@@ -0,0 +1,81 @@
+import { Router } from "express";
+import { ALERT_STATUSES } from "./store.js";
+
+// canAccess(req, farmId) says whether the caller may see a farm; alerts on
+// other farms are answered with a 404
+export const createAlertsRouter = ({
+  store,
+  alerts,
+  canAccess = () => true,
+}) => {
+  const router = Router();
+
+  const loadAlert = async (req, res, next) => {
+    try {
+      const alert = await store.get(req.params.id);
+      if (!alert || !canAccess(req, alert.farmId)) {
+        return res
+          .status(404)
+          .json({ error: `Alert ${req.params.id} not found` });
+      }
+      req.alert = alert;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  router.get("/", async (req, res) => {
+    try {
+      const { farmId, status } = req.query;
+      if (status && !ALERT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${ALERT_STATUSES.join(", ")}`,
+        });
+      }
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+      res.json({ alerts: await store.list({ farmId, status, limit }) });
+    } catch (error) {
+      console.error("List alerts error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/:id", loadAlert, (req, res) => {
+    res.json(req.alert);
+  });
+
+  // Acknowledge and resolve only apply to alerts in the right state
+  const transition = (label, apply) => async (req, res) => {
+    try {
+      const existing = req.alert;
+      const alert = await apply(existing.id, req);
+      if (!alert) {
+        return res
+          .status(409)
+          .json({ error: `Alert ${existing.id} is ${existing.status}` });
+      }
+      res.json(alert);
+    } catch (error) {
+      console.error(`${label} alert error:`, error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  // Acknowledged by whoever is signed in, not a name from the request
+  router.post(
+    "/:id/acknowledge",
+    loadAlert,
+    transition("Acknowledge", (id, req) =>
+      alerts.acknowledge(id, req.actor?.name)
+    )
+  );
+  router.post(
+    "/:id/resolve",
+    loadAlert,
+    transition("Resolve", (id) => alerts.resolve(id))
+  );
+
+  return router;
+};
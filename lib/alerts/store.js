@@ -0,0 +1,150 @@
+// Alert lifecycle:
+//   open -> acknowledged -> resolved
+//   open -> resolved
+// An alert is identified by its dedup key (rule + farm + zone + ...) while it
+// is unresolved; the next occurrence after resolution opens a new alert.
+export const ALERT_STATUSES = ["open", "acknowledged", "resolved"];
+
+const toIso = (value) =>
+  value != null ? new Date(Number(value)).toISOString() : null;
+
+const fromRow = (row) => ({
+  id: Number(row.id),
+  dedupKey: row.dedup_key,
+  farmId: row.farm_id,
+  zone: row.zone,
+  ruleId: row.rule_id,
+  taskType: row.task_type,
+  severity: row.severity,
+  status: row.status,
+  details: JSON.parse(row.details),
+  occurrences: Number(row.occurrences),
+  openedAt: toIso(row.opened_at),
+  lastSeenAt: toIso(row.last_seen_at),
+  lastNotifiedAt: toIso(row.last_notified_at),
+  acknowledgedAt: toIso(row.acknowledged_at),
+  acknowledgedBy: row.acknowledged_by,
+  escalatedAt: toIso(row.escalated_at),
+  resolvedAt: toIso(row.resolved_at),
+});
+
+export const createAlertStore = (db) => {
+  const get = async (id) => {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM alerts WHERE id = ?",
+      args: [id],
+    });
+    return rows[0] ? fromRow(rows[0]) : null;
+  };
+
+  // The unresolved alert for a dedup key, if any
+  const findOpen = async (dedupKey) => {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM alerts WHERE dedup_key = ? AND status != 'resolved'",
+      args: [dedupKey],
+    });
+    return rows[0] ? fromRow(rows[0]) : null;
+  };
+
+  const list = async ({ farmId, status, limit = 100 } = {}) => {
+    const conditions = [];
+    const args = [];
+    if (farmId) {
+      conditions.push("farm_id = ?");
+      args.push(farmId);
+    }
+    if (status) {
+      conditions.push("status = ?");
+      args.push(status);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM alerts ${where} ORDER BY opened_at DESC LIMIT ?`,
+      args: [...args, limit],
+    });
+    return rows.map(fromRow);
+  };
+
+  const create = async ({
+    dedupKey,
+    farmId,
+    zone,
+    ruleId,
+    taskType,
+    severity,
+    details,
+  }) => {
+    const now = Date.now();
+    const { lastInsertRowid } = await db.execute({
+      sql: `INSERT INTO alerts
+        (dedup_key, farm_id, zone, rule_id, task_type, severity, status,
+         details, opened_at, last_seen_at, last_notified_at)
+        VALUES (?, ?, ?, ?, ?, ?, 'open', ?, ?, ?, ?)`,
+      args: [
+        dedupKey,
+        farmId ?? null,
+        zone ?? null,
+        ruleId ?? null,
+        taskType,
+        severity,
+        JSON.stringify(details),
+        now,
+        now,
+        now,
+      ],
+    });
+    return Number(lastInsertRowid);
+  };
+
+  // Record another occurrence, optionally as one we notified about
+  const touch = async (id, { details, notified = false }) => {
+    const now = Date.now();
+    await db.execute({
+      sql: `UPDATE alerts SET
+          occurrences = occurrences + 1,
+          details = ?,
+          last_seen_at = ?,
+          last_notified_at = CASE WHEN ? THEN ? ELSE last_notified_at END
+        WHERE id = ?`,
+      args: [JSON.stringify(details), now, notified ? 1 : 0, now, id],
+    });
+  };
+
+  const acknowledge = async (id, by) => {
+    const { rowsAffected } = await db.execute({
+      sql: `UPDATE alerts SET status = 'acknowledged', acknowledged_at = ?,
+          acknowledged_by = ?
+        WHERE id = ? AND status = 'open'`,
+      args: [Date.now(), by ?? null, id],
+    });
+    return rowsAffected > 0;
+  };
+
+  const markEscalated = async (id) => {
+    await db.execute({
+      sql: "UPDATE alerts SET escalated_at = ? WHERE id = ?",
+      args: [Date.now(), id],
+    });
+  };
+
+  const resolve = async (id) => {
+    const { rowsAffected } = await db.execute({
+      sql: `UPDATE alerts SET status = 'resolved', resolved_at = ?
+        WHERE id = ? AND status != 'resolved'`,
+      args: [Date.now(), id],
+    });
+    return rowsAffected > 0;
+  };
+
+  return {
+    get,
+    findOpen,
+    list,
+    create,
+    touch,
+    acknowledge,
+    markEscalated,
+    resolve,
+  };
+};
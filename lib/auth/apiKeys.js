@@ -0,0 +1,84 @@
+import { createHash, randomBytes } from "node:crypto";
+
+// Device API keys look like "lf_<prefix>_<secret>". Only a SHA-256 of the key
+// is stored; the prefix identifies it in listings and logs.
+const hashKey = (key) => createHash("sha256").update(key).digest("hex");
+
+const toApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  farmId: row.farm_id,
+  prefix: row.prefix,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  lastUsedAt: row.last_used_at,
+  revokedAt: row.revoked_at,
+});
+
+export const createApiKeyStore = (db) => {
+  const get = async (id) => {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM api_keys WHERE id = ?",
+      args: [id],
+    });
+    return rows[0] ? toApiKey(rows[0]) : null;
+  };
+
+  const list = async ({ farmIds } = {}) => {
+    const { rows } = farmIds
+      ? await db.execute({
+          sql: `SELECT * FROM api_keys WHERE farm_id IN (${farmIds
+            .map(() => "?")
+            .join(", ")}) ORDER BY created_at DESC`,
+          args: farmIds,
+        })
+      : await db.execute("SELECT * FROM api_keys ORDER BY created_at DESC");
+    return rows.map(toApiKey);
+  };
+
+  // The key itself is only returned here, once
+  const create = async ({ name, farmId, createdBy }) => {
+    const prefix = randomBytes(4).toString("hex");
+    const key = `lf_${prefix}_${randomBytes(24).toString("base64url")}`;
+    const { lastInsertRowid } = await db.execute({
+      sql: `INSERT INTO api_keys
+        (name, farm_id, key_hash, prefix, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)`,
+      args: [
+        name,
+        farmId,
+        hashKey(key),
+        prefix,
+        createdBy,
+        new Date().toISOString(),
+      ],
+    });
+    return { key, apiKey: await get(Number(lastInsertRowid)) };
+  };
+
+  const revoke = async (id) => {
+    await db.execute({
+      sql: `UPDATE api_keys SET revoked_at = ?
+        WHERE id = ? AND revoked_at IS NULL`,
+      args: [new Date().toISOString(), id],
+    });
+    return get(id);
+  };
+
+  // The unrevoked key matching a presented one, or null
+  const authenticate = async (key) => {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL",
+      args: [hashKey(String(key))],
+    });
+    if (!rows[0]) return null;
+
+    await db.execute({
+      sql: "UPDATE api_keys SET last_used_at = ? WHERE id = ?",
+      args: [new Date().toISOString(), rows[0].id],
+    });
+    return toApiKey(rows[0]);
+  };
+
+  return { get, list, create, revoke, authenticate };
+};
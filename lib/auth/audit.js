@@ -0,0 +1,120 @@
+import { DEVICE_ROLE } from "./roles.js";
+
+// Who changed or triggered what: every request that isn't a read is logged
+// with its actor once the response is sent. Readings posted by field devices
+// are telemetry, not changes, so only their rejected requests are logged.
+const DAY = 24 * 60 * 60 * 1000;
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+const SECRET_FIELD = /password|secret|token|key|subscription/i;
+const MAX_DETAILS_LENGTH = 2000;
+
+// Request body with credentials blanked, trimmed to fit a log row
+const redact = (body) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return body;
+  return Object.fromEntries(
+    Object.entries(body).map(([key, value]) => [
+      key,
+      SECRET_FIELD.test(key) ? "[redacted]" : value,
+    ])
+  );
+};
+
+const toEntry = (row) => ({
+  id: row.id,
+  at: row.at,
+  actor: {
+    type: row.actor_type,
+    id: row.actor_id,
+    name: row.actor_name,
+  },
+  action: row.action,
+  status: row.status,
+  ip: row.ip,
+  details: row.details && JSON.parse(row.details),
+});
+
+export const createAuditLog = (db, { retentionDays = 365 } = {}) => {
+  const record = async ({ actor, action, status, ip, details }) => {
+    let serialized = details === undefined ? null : JSON.stringify(details);
+    if (serialized?.length > MAX_DETAILS_LENGTH) {
+      serialized = JSON.stringify({ truncated: true });
+    }
+
+    await db.execute({
+      sql: `INSERT INTO audit_log
+        (at, actor_type, actor_id, actor_name, action, status, ip, details)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        new Date().toISOString(),
+        actor?.type || "anonymous",
+        actor?.id == null ? null : String(actor.id),
+        actor?.name ?? null,
+        action,
+        status ?? null,
+        ip ?? null,
+        serialized,
+      ],
+    });
+  };
+
+  // Newest first, optionally narrowed to one actor or a time range
+  const list = async ({ actorType, actorId, from, to, limit = 100 } = {}) => {
+    const conditions = [];
+    const args = [];
+    if (actorType) {
+      conditions.push("actor_type = ?");
+      args.push(actorType);
+    }
+    if (actorId) {
+      conditions.push("actor_id = ?");
+      args.push(String(actorId));
+    }
+    if (from) {
+      conditions.push("at >= ?");
+      args.push(from);
+    }
+    if (to) {
+      conditions.push("at < ?");
+      args.push(to);
+    }
+
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM audit_log
+        ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+        ORDER BY at DESC, id DESC LIMIT ?`,
+      args: [...args, limit],
+    });
+    return rows.map(toEntry);
+  };
+
+  // Drop entries older than the retention period
+  const applyRetention = async (now = Date.now()) => {
+    const { rowsAffected } = await db.execute({
+      sql: "DELETE FROM audit_log WHERE at < ?",
+      args: [new Date(now - retentionDays * DAY).toISOString()],
+    });
+    return rowsAffected;
+  };
+
+  return { record, list, applyRetention };
+};
+
+// Middleware logging changes made through the API. Runs after authentication
+// so req.actor is known.
+export const auditRequests = (auditLog) => (req, res, next) => {
+  if (READ_METHODS.includes(req.method)) return next();
+
+  res.on("finish", () => {
+    if (req.actor?.role === DEVICE_ROLE && res.statusCode < 400) return;
+    auditLog
+      .record({
+        actor: req.actor,
+        action: `${req.method} ${req.originalUrl.split("?")[0]}`,
+        status: res.statusCode,
+        ip: req.ip,
+        details: redact(req.body),
+      })
+      .catch((error) => console.error("Audit log error:", error));
+  });
+  next();
+};
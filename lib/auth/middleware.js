@@ -0,0 +1,194 @@
+import { DEVICE_ROLE, canAccessFarm, hasRole } from "./roles.js";
+import { signToken, verifyToken } from "./tokens.js";
+
+export const SESSION_COOKIE = "locci_session";
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const readCookie = (req, name) => {
+  for (const pair of (req.get("cookie") || "").split(";")) {
+    const [key, ...value] = pair.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+};
+
+// Request authentication and role checks. Every request gets req.actor when
+// it carries valid credentials:
+//   - users: a session token, as "Authorization: Bearer <token>" (API
+//     clients) or the locci_session cookie (dashboard)
+//   - devices: an API key in X-API-Key, limited to its farm
+//   - services calling back (Locci, Africa's Talking): tagged by asService
+// Routes then pick who may call them with requireRole, allow and farmAccess.
+export const createAuth = ({
+  users,
+  apiKeys,
+  secret,
+  sessionHours = 12,
+  production,
+}) => {
+  const sessionSeconds = sessionHours * 60 * 60;
+
+  const authenticate = async (req, res, next) => {
+    try {
+      const key = req.get("x-api-key");
+      if (key) {
+        const apiKey = await apiKeys.authenticate(key);
+        if (apiKey) {
+          req.actor = {
+            type: "device",
+            id: apiKey.id,
+            name: apiKey.name,
+            role: DEVICE_ROLE,
+            farmIds: [apiKey.farmId],
+          };
+        }
+        return next();
+      }
+
+      const [scheme, bearer] = (req.get("authorization") || "").split(" ");
+      const token =
+        scheme === "Bearer" && bearer
+          ? bearer
+          : readCookie(req, SESSION_COOKIE);
+      const claims = token && verifyToken(token, secret);
+      // Reloaded every time so role changes and disabling apply at once
+      const user = claims && (await users.get(claims.sub));
+      if (user && !user.disabled) {
+        req.actor = {
+          type: "user",
+          id: user.id,
+          name: user.username,
+          role: user.role,
+          farmIds: user.farmIds,
+          phone: user.phone,
+        };
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Dashboard pages send signed-out browsers to the login page instead of a
+  // JSON error
+  const unauthenticated = (req, res) => {
+    if (req.method === "GET" && req.accepts(["json", "html"]) === "html") {
+      return res.redirect(
+        `/login.html?next=${encodeURIComponent(req.originalUrl)}`
+      );
+    }
+    res.status(401).json({ error: "Authentication required" });
+  };
+
+  // At least the given role; devices only where allowed
+  const requireRole =
+    (role, { devices = false } = {}) =>
+    (req, res, next) => {
+      if (!req.actor) return unauthenticated(req, res);
+      if (req.actor.role === DEVICE_ROLE ? devices : hasRole(req.actor, role)) {
+        return next();
+      }
+      res.status(403).json({ error: `Requires the ${role} role` });
+    };
+
+  // Reads and changes on the same routes usually need different roles
+  const allow = ({ read, write, devices }) => {
+    const readers = requireRole(read, { devices });
+    const writers = requireRole(write, { devices });
+    return (req, res, next) =>
+      READ_METHODS.includes(req.method)
+        ? readers(req, res, next)
+        : writers(req, res, next);
+  };
+
+  // Farms named in the path, query or body, and by each reading in a sensor
+  // batch, must be ones the actor may see. Devices posting without a farm
+  // get theirs, and their readings are always recorded for it.
+  const farmAccess = (req, res, next) => {
+    if (!req.actor) return unauthenticated(req, res);
+
+    const body = req.body && typeof req.body === "object" ? req.body : null;
+    const readings = Array.isArray(body?.readings) ? body.readings : [];
+    if (req.actor.role === DEVICE_ROLE && body) {
+      const [deviceFarmId] = req.actor.farmIds;
+      if (!body.farmId) body.farmId = deviceFarmId;
+      for (const reading of readings) {
+        if (reading && typeof reading === "object") {
+          reading.farmId = deviceFarmId;
+        }
+      }
+    }
+    const farmIds = [
+      req.params.farmId,
+      req.query.farmId,
+      body?.farmId,
+      ...readings.map((reading) => reading?.farmId),
+    ];
+    const denied = farmIds.find(
+      (farmId) => farmId && !canAccessFarm(req.actor, String(farmId))
+    );
+    if (denied) {
+      return res.status(403).json({ error: `No access to farm ${denied}` });
+    }
+    next();
+  };
+
+  // For listings spanning farms: users limited to farms must pick one, and
+  // get theirs by default when they only have one
+  const requireFarmFilter = (req, res, next) => {
+    if (!req.actor) return unauthenticated(req, res);
+    if (req.actor.role === "admin" || req.query.farmId) return next();
+
+    if (req.actor.farmIds.length === 1) {
+      req.query.farmId = req.actor.farmIds[0];
+      return next();
+    }
+    res.status(400).json({
+      error: "farmId is required",
+      details: [`one of: ${req.actor.farmIds.join(", ")}`],
+    });
+  };
+
+  // Callbacks from other services are authenticated by their own means
+  // (signatures, source addresses) and logged under the service's name
+  const asService = (id, name) => (req, res, next) => {
+    req.actor = req.actor || { type: "service", id, name, farmIds: [] };
+    next();
+  };
+
+  // Sets the dashboard's cookie and returns the token for API clients
+  const startSession = (res, user) => {
+    const token = signToken(
+      { sub: user.id, role: user.role },
+      secret,
+      sessionSeconds
+    );
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: "strict",
+      secure: production,
+      maxAge: sessionSeconds * 1000,
+      path: "/",
+    });
+    return {
+      token,
+      expiresAt: new Date(Date.now() + sessionSeconds * 1000).toISOString(),
+    };
+  };
+
+  const endSession = (res) => {
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+  };
+
+  return {
+    authenticate,
+    requireRole,
+    allow,
+    farmAccess,
+    requireFarmFilter,
+    asService,
+    startSession,
+    endSession,
+  };
+};
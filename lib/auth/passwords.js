@@ -0,0 +1,23 @@
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+export const MIN_PASSWORD_LENGTH = 10;
+
+// Stored as "scrypt$<salt>$<hash>", both hex
+export const hashPassword = async (password) => {
+  const salt = randomBytes(16).toString("hex");
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scryptAsync(password, salt, expected.length);
+  return timingSafeEqual(actual, expected);
+};
@@ -0,0 +1,15 @@
+// User roles, each allowed everything the ones before it are. Admins run the
+// service (users, API keys, Bull Board) and see every farm; everyone else
+// only sees the farms they are assigned to.
+export const USER_ROLES = ["viewer", "technician", "manager", "owner", "admin"];
+
+// Devices authenticate with API keys and may only post readings for their
+// farm
+export const DEVICE_ROLE = "device";
+
+export const hasRole = (actor, role) =>
+  USER_ROLES.includes(actor.role) &&
+  USER_ROLES.indexOf(actor.role) >= USER_ROLES.indexOf(role);
+
+export const canAccessFarm = (actor, farmId) =>
+  actor.role === "admin" || actor.farmIds.includes(farmId);
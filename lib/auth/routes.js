@@ -0,0 +1,234 @@
+import { Router } from "express";
+import { canAccessFarm } from "./roles.js";
+import { validateUser } from "./users.js";
+
+// Mounted at /api/auth
+export const createAuthRouter = ({ users, auth }) => {
+  const router = Router();
+
+  router.post("/login", async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      if (!username || !password) {
+        return res
+          .status(400)
+          .json({ error: "username and password are required" });
+      }
+
+      const user = await users.authenticate(username, password);
+      if (!user) {
+        return res.status(401).json({ error: "Invalid username or password" });
+      }
+      // So the audit log shows who signed in
+      req.actor = { type: "user", id: user.id, name: user.username };
+      res.json({ ...auth.startSession(res, user), user });
+    } catch (error) {
+      console.error("Login error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post("/logout", (req, res) => {
+    auth.endSession(res);
+    res.status(204).end();
+  });
+
+  router.get("/me", async (req, res) => {
+    try {
+      if (req.actor?.type !== "user") {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+      res.json(await users.get(req.actor.id));
+    } catch (error) {
+      console.error("Current user error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+// Mounted at /api/users, admins only
+export const createUsersRouter = ({ users, registry }) => {
+  const router = Router();
+
+  // Returns the problems with a user's farm list
+  const checkFarms = async (farmIds = []) => {
+    const errors = [];
+    for (const farmId of farmIds) {
+      if (!(await registry.getFarm(farmId))) {
+        errors.push(`Farm ${farmId} not found`);
+      }
+    }
+    return errors;
+  };
+
+  router.get("/", async (req, res) => {
+    try {
+      res.json({ users: await users.list() });
+    } catch (error) {
+      console.error("List users error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const { values, errors } = validateUser(req.body);
+      errors.push(...(await checkFarms(values.farmIds)));
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid user", details: errors });
+      }
+      if (await users.findByUsername(values.username)) {
+        return res
+          .status(409)
+          .json({ error: `User ${values.username} already exists` });
+      }
+
+      res.status(201).json(await users.create(values));
+    } catch (error) {
+      console.error("Create user error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const user = await users.get(req.params.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      res.json(user);
+    } catch (error) {
+      console.error("Get user error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.patch("/:id", async (req, res) => {
+    try {
+      const user = await users.get(req.params.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const { values, errors } = validateUser(req.body, { partial: true });
+      errors.push(...(await checkFarms(values.farmIds)));
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid user", details: errors });
+      }
+      // Admins can't lock themselves out
+      if (
+        user.id === req.actor.id &&
+        (values.disabled || (values.role && values.role !== user.role))
+      ) {
+        return res
+          .status(409)
+          .json({ error: "You can't disable yourself or change your role" });
+      }
+
+      res.json(await users.update(user.id, values));
+    } catch (error) {
+      console.error("Update user error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      if (String(req.params.id) === String(req.actor.id)) {
+        return res.status(409).json({ error: "You can't delete yourself" });
+      }
+      if (!(await users.remove(req.params.id))) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      res.status(204).end();
+    } catch (error) {
+      console.error("Delete user error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+// Mounted at /api/api-keys, for owners of the keys' farms
+export const createApiKeysRouter = ({ apiKeys, registry }) => {
+  const router = Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      res.json({
+        apiKeys: await apiKeys.list(
+          req.actor.role === "admin" ? {} : { farmIds: req.actor.farmIds }
+        ),
+      });
+    } catch (error) {
+      console.error("List API keys error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // The key is only shown in this response
+  router.post("/", async (req, res) => {
+    try {
+      const { name, farmId } = req.body || {};
+      const errors = [];
+      if (typeof name !== "string" || !name.trim()) {
+        errors.push("name is required");
+      }
+      if (typeof farmId !== "string" || !(await registry.getFarm(farmId))) {
+        errors.push("farmId must be a registered farm");
+      }
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Invalid API key", details: errors });
+      }
+      if (!canAccessFarm(req.actor, farmId)) {
+        return res.status(403).json({ error: `No access to farm ${farmId}` });
+      }
+
+      const { key, apiKey } = await apiKeys.create({
+        name: name.trim(),
+        farmId,
+        createdBy: req.actor.name,
+      });
+      res.status(201).json({ ...apiKey, key });
+    } catch (error) {
+      console.error("Create API key error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      const apiKey = await apiKeys.get(req.params.id);
+      if (!apiKey || !canAccessFarm(req.actor, apiKey.farmId)) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+      res.json(await apiKeys.revoke(apiKey.id));
+    } catch (error) {
+      console.error("Revoke API key error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+// Mounted at /api/audit, admins only
+export const createAuditRouter = ({ auditLog }) => {
+  const router = Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      const { actorType, actorId, from, to } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+      res.json({
+        entries: await auditLog.list({ actorType, actorId, from, to, limit }),
+      });
+    } catch (error) {
+      console.error("Audit log error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
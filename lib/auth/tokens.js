@@ -0,0 +1,35 @@
+import { createHmac } from "node:crypto";
+import { safeEqual } from "../security/signature.js";
+
+// Session tokens are HS256 JWTs, sent as a Bearer token by API clients and
+// kept in an HttpOnly cookie by the dashboard
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+const sign = (data, secret) =>
+  createHmac("sha256", secret).update(data).digest("base64url");
+
+export const signToken = (claims, secret, ttlSeconds) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(
+    JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds })
+  );
+  return `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`;
+};
+
+// The token's claims, or null when it is malformed, forged or expired
+export const verifyToken = (token, secret) => {
+  const [header, payload, signature] = String(token).split(".");
+  if (!header || !payload || !signature) return null;
+  if (!safeEqual(signature, sign(`${header}.${payload}`, secret))) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url")).alg !== "HS256") {
+      return null;
+    }
+    const claims = JSON.parse(Buffer.from(payload, "base64url"));
+    return claims.exp > Date.now() / 1000 ? claims : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,242 @@
+import { USER_ROLES } from "./roles.js";
+import {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+} from "./passwords.js";
+
+const USERNAME = /^[a-z0-9][a-z0-9._-]{2,31}$/;
+const PHONE = /^\+\d{7,15}$/;
+
+const toUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  name: row.name,
+  role: row.role,
+  farmIds: JSON.parse(row.farm_ids),
+  phone: row.phone ?? null,
+  disabled: Boolean(row.disabled),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  lastLoginAt: row.last_login_at,
+});
+
+// Returns { values, errors } for a new user (partial: a PATCH). Password
+// hashing is left to the store.
+export const validateUser = (body, { partial = false } = {}) => {
+  const errors = [];
+  const values = {};
+  const given = (field) => body?.[field] !== undefined;
+
+  if (!partial) {
+    if (typeof body?.username !== "string" || !USERNAME.test(body.username)) {
+      errors.push(
+        "username must be 3-32 lowercase letters, digits, dots, dashes or underscores"
+      );
+    } else {
+      values.username = body.username;
+    }
+  }
+  if (!partial || given("name")) {
+    if (typeof body?.name !== "string" || !body.name.trim()) {
+      errors.push("name is required");
+    } else {
+      values.name = body.name.trim();
+    }
+  }
+  if (!partial || given("role")) {
+    if (!USER_ROLES.includes(body?.role)) {
+      errors.push(`role must be one of: ${USER_ROLES.join(", ")}`);
+    } else {
+      values.role = body.role;
+    }
+  }
+  if (given("farmIds") || !partial) {
+    const farmIds = body?.farmIds ?? [];
+    if (
+      !Array.isArray(farmIds) ||
+      !farmIds.every((id) => typeof id === "string" && id)
+    ) {
+      errors.push("farmIds must be a list of farm ids");
+    } else {
+      values.farmIds = [...new Set(farmIds)];
+    }
+  }
+  // Optional; null clears it
+  if (given("phone")) {
+    if (body.phone !== null && !PHONE.test(body.phone)) {
+      errors.push(
+        "phone must be an international number such as +254712345678, or null"
+      );
+    } else {
+      values.phone = body.phone;
+    }
+  }
+  if (!partial || given("password")) {
+    if (
+      typeof body?.password !== "string" ||
+      body.password.length < MIN_PASSWORD_LENGTH
+    ) {
+      errors.push(
+        `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      );
+    } else {
+      values.password = body.password;
+    }
+  }
+  if (given("disabled")) {
+    if (typeof body.disabled !== "boolean") {
+      errors.push("disabled must be true or false");
+    } else {
+      values.disabled = body.disabled;
+    }
+  }
+
+  return { values, errors };
+};
+
+// Dashboard and API users. Password hashes never leave the store.
+export const createUserStore = (db) => {
+  const get = async (id) => {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM users WHERE id = ?",
+      args: [id],
+    });
+    return rows[0] ? toUser(rows[0]) : null;
+  };
+
+  const findByUsername = async (username) => {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM users WHERE username = ?",
+      args: [username],
+    });
+    return rows[0] ? toUser(rows[0]) : null;
+  };
+
+  const list = async () => {
+    const { rows } = await db.execute("SELECT * FROM users ORDER BY username");
+    return rows.map(toUser);
+  };
+
+  const create = async ({
+    username,
+    name,
+    role,
+    farmIds,
+    phone = null,
+    password,
+  }) => {
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = await db.execute({
+      sql: `INSERT INTO users
+        (username, name, role, farm_ids, phone, password_hash, disabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?)`,
+      args: [
+        username,
+        name,
+        role,
+        JSON.stringify(farmIds),
+        phone,
+        await hashPassword(password),
+        now,
+        now,
+      ],
+    });
+    return get(Number(lastInsertRowid));
+  };
+
+  const update = async (
+    id,
+    { name, role, farmIds, phone, password, disabled }
+  ) => {
+    const changes = {
+      name,
+      role,
+      farm_ids: farmIds && JSON.stringify(farmIds),
+      phone,
+      password_hash: password && (await hashPassword(password)),
+      disabled: disabled === undefined ? undefined : disabled ? 1 : 0,
+    };
+    const columns = Object.keys(changes).filter(
+      (column) => changes[column] !== undefined
+    );
+
+    await db.execute({
+      sql: `UPDATE users SET ${columns
+        .map((column) => `${column} = ?, `)
+        .join("")}updated_at = ? WHERE id = ?`,
+      args: [
+        ...columns.map((column) => changes[column]),
+        new Date().toISOString(),
+        id,
+      ],
+    });
+    return get(id);
+  };
+
+  const remove = async (id) => {
+    const { rowsAffected } = await db.execute({
+      sql: "DELETE FROM users WHERE id = ?",
+      args: [id],
+    });
+    return rowsAffected > 0;
+  };
+
+  // The user for a username and password, or null. Disabled users can't sign
+  // in.
+  const authenticate = async (username, password) => {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM users WHERE username = ? AND disabled = 0",
+      args: [String(username)],
+    });
+    if (
+      !rows[0] ||
+      !(await verifyPassword(String(password), rows[0].password_hash))
+    ) {
+      return null;
+    }
+
+    await db.execute({
+      sql: "UPDATE users SET last_login_at = ? WHERE id = ?",
+      args: [new Date().toISOString(), rows[0].id],
+    });
+    return toUser(rows[0]);
+  };
+
+  // First admin, from ADMIN_USERNAME and ADMIN_PASSWORD, while there are no
+  // users yet
+  const seedAdmin = async ({ username, password }) => {
+    const { rows } = await db.execute("SELECT COUNT(*) AS count FROM users");
+    if (rows[0].count > 0) return null;
+
+    if (!username || !password) {
+      console.warn(
+        "⚠️ No users yet; set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin"
+      );
+      return null;
+    }
+    const { values, errors } = validateUser({
+      username,
+      password,
+      name: "Administrator",
+      role: "admin",
+    });
+    if (errors.length > 0) {
+      throw new Error(`Invalid initial admin: ${errors.join("; ")}`);
+    }
+
+    console.log(`👤 Created admin user ${username}`);
+    return create(values);
+  };
+
+  return {
+    get,
+    findByUsername,
+    list,
+    create,
+    update,
+    remove,
+    authenticate,
+    seedAdmin,
+  };
+};
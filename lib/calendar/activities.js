@@ -0,0 +1,149 @@
+// Activity lifecycle:
+//   planned -> done
+//   planned -> skipped
+// Planned ones come from a planting's stage templates or are added by hand;
+// work done without being planned is logged straight as done.
+export const ACTIVITY_STATUSES = ["planned", "done", "skipped"];
+
+const toIso = (value) =>
+  value != null ? new Date(Number(value)).toISOString() : null;
+
+const fromRow = (row) => ({
+  id: Number(row.id),
+  farmId: row.farm_id,
+  zone: row.zone,
+  cropId: row.crop_id,
+  crop: row.crop,
+  templateId: row.template_id,
+  type: row.type,
+  title: row.title,
+  dueOn: row.due_on,
+  status: row.status,
+  overdue:
+    row.status === "planned" &&
+    row.due_on < new Date().toISOString().slice(0, 10),
+  notes: row.notes,
+  reminderTaskId: row.reminder_task_id,
+  createdBy: row.created_by,
+  createdAt: toIso(row.created_at),
+  completedOn: row.completed_on,
+  completedBy: row.completed_by,
+});
+
+export const createActivityStore = (db) => {
+  const get = async (id) => {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM field_activities WHERE id = ?",
+      args: [id],
+    });
+    return rows[0] ? fromRow(rows[0]) : null;
+  };
+
+  // Due dates between `from` and `to` (YYYY-MM-DD, inclusive)
+  const list = async ({
+    farmId,
+    zone,
+    cropId,
+    status,
+    from,
+    to,
+    limit = 100,
+  }) => {
+    const conditions = ["farm_id = ?"];
+    const args = [farmId];
+    for (const [column, value] of [
+      ["zone", zone],
+      ["crop_id", cropId],
+      ["status", status],
+    ]) {
+      if (value) {
+        conditions.push(`${column} = ?`);
+        args.push(value);
+      }
+    }
+    if (from) {
+      conditions.push("due_on >= ?");
+      args.push(from);
+    }
+    if (to) {
+      conditions.push("due_on <= ?");
+      args.push(to);
+    }
+
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM field_activities
+        WHERE ${conditions.join(" AND ")}
+        ORDER BY due_on, id LIMIT ?`,
+      args: [...args, limit],
+    });
+    return rows.map(fromRow);
+  };
+
+  const create = async ({
+    farmId,
+    zone,
+    cropId,
+    crop,
+    templateId,
+    type,
+    title,
+    dueOn,
+    status = "planned",
+    notes,
+    createdBy,
+    completedOn,
+  }) => {
+    const { lastInsertRowid } = await db.execute({
+      sql: `INSERT INTO field_activities
+        (farm_id, zone, crop_id, crop, template_id, type, title, due_on,
+         status, notes, created_by, created_at, completed_on, completed_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        farmId,
+        zone,
+        cropId ?? null,
+        crop ?? null,
+        templateId ?? null,
+        type,
+        title,
+        dueOn,
+        status,
+        notes ?? null,
+        createdBy ?? null,
+        Date.now(),
+        completedOn ?? null,
+        status === "done" ? createdBy ?? null : null,
+      ],
+    });
+    return Number(lastInsertRowid);
+  };
+
+  // Move a planned activity, e.g. when the planting date changes
+  const reschedule = async (id, dueOn) => {
+    await db.execute({
+      sql: `UPDATE field_activities SET due_on = ?
+        WHERE id = ? AND status = 'planned'`,
+      args: [dueOn, id],
+    });
+  };
+
+  const setReminder = async (id, taskId) => {
+    await db.execute({
+      sql: "UPDATE field_activities SET reminder_task_id = ? WHERE id = ?",
+      args: [taskId, id],
+    });
+  };
+
+  // Close a planned activity as done or skipped. False if it wasn't planned.
+  const finish = async (id, status, { on, by, notes }) => {
+    const { rowsAffected } = await db.execute({
+      sql: `UPDATE field_activities SET status = ?, completed_on = ?,
+          completed_by = ?, notes = COALESCE(?, notes)
+        WHERE id = ? AND status = 'planned'`,
+      args: [status, on, by ?? null, notes ?? null, id],
+    });
+    return rowsAffected > 0;
+  };
+
+  return { get, list, create, reschedule, setReminder, finish };
+};
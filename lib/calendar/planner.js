@@ -0,0 +1,137 @@
+import { describePlanting, stageDates } from "./plantings.js";
+import { templatesFor } from "./templates.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) =>
+  new Date(new Date(date).getTime() + days * DAY).toISOString().slice(0, 10);
+
+// Plantings with their growth stage, the field activities planned from
+// their stage templates, and the reminders scheduled for them
+export const createFieldCalendar = ({
+  registry,
+  activities,
+  reminders,
+  sendTaskNotification,
+}) => {
+  const plantings = async (farmId, { zone } = {}) =>
+    (await registry.listItems("crops", farmId))
+      .filter((crop) => !zone || crop.zoneId === zone)
+      .map((crop) => describePlanting(crop));
+
+  const remind = async (activity) => {
+    const taskId = await reminders.schedule(activity);
+    if (taskId) await activities.setReminder(activity.id, taskId);
+  };
+
+  // Create the planting's template activities it doesn't have yet, and move
+  // planned ones whose date changed with the planting or harvest date.
+  // Returns the created and rescheduled activities.
+  const plan = async (farmId, crop) => {
+    const dates = stageDates(crop);
+    const existing = await activities.list({
+      farmId,
+      cropId: crop.id,
+      limit: 500,
+    });
+    const created = [];
+    const rescheduled = [];
+
+    for (const template of templatesFor(crop.name)) {
+      const dueOn = addDays(dates[template.stage], template.offsetDays);
+      const current = existing.find((a) => a.templateId === template.id);
+
+      if (!current) {
+        const id = await activities.create({
+          farmId,
+          zone: crop.zoneId,
+          cropId: crop.id,
+          crop: crop.name,
+          templateId: template.id,
+          type: template.type,
+          title: template.title,
+          dueOn,
+          createdBy: "crop-calendar",
+        });
+        await remind(await activities.get(id));
+        created.push(id);
+      } else if (current.status === "planned" && current.dueOn !== dueOn) {
+        await activities.reschedule(current.id, dueOn);
+        await reminders.cancel(current.reminderTaskId);
+        await activities.setReminder(current.id, null);
+        await remind(await activities.get(current.id));
+        rescheduled.push(current.id);
+      }
+    }
+
+    const load = async (ids) => {
+      const loaded = [];
+      for (const id of ids) loaded.push(await activities.get(id));
+      return loaded;
+    };
+    return {
+      created: await load(created),
+      rescheduled: await load(rescheduled),
+    };
+  };
+
+  // A one-off activity, or work already done when `completedOn` is given
+  const add = async (farmId, activity) => {
+    const id = await activities.create({
+      farmId,
+      ...activity,
+      status: activity.completedOn ? "done" : "planned",
+    });
+    if (!activity.completedOn) await remind(await activities.get(id));
+    return activities.get(id);
+  };
+
+  // Mark a planned activity done or skipped. Harvesting ends the planting,
+  // so irrigation and the risk models stop treating the zone as planted.
+  const finish = async (activity, status, { on, by, notes }) => {
+    if (!(await activities.finish(activity.id, status, { on, by, notes }))) {
+      return false;
+    }
+    await reminders.cancel(activity.reminderTaskId);
+    await activities.setReminder(activity.id, null);
+
+    if (status === "done" && activity.type === "harvest" && activity.cropId) {
+      const crop = await registry.getItem(
+        "crops",
+        activity.farmId,
+        activity.cropId
+      );
+      if (crop && !crop.harvestedOn) {
+        await registry.updateItem("crops", activity.farmId, crop.id, {
+          harvested_on: on,
+        });
+      }
+    }
+    return true;
+  };
+
+  // Called by the reminder's Locci task. Reminds once, then removes the
+  // task so it doesn't fire again next year. Null if the activity is gone.
+  const sendReminder = async (activityId) => {
+    const activity = await activities.get(activityId);
+    if (!activity) return null;
+
+    const notify = activity.status === "planned";
+    if (notify) {
+      await sendTaskNotification("field_activity_due", {
+        farmId: activity.farmId,
+        zone: activity.zone,
+        crop: activity.crop,
+        activity: activity.type,
+        title: activity.title,
+        dueOn: activity.dueOn,
+        activityId: activity.id,
+      });
+    }
+    await reminders.cancel(activity.reminderTaskId);
+    await activities.setReminder(activity.id, null);
+    return { activityId: activity.id, notified: notify };
+  };
+
+  return { plantings, plan, add, finish, sendReminder };
+};
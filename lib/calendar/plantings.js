@@ -0,0 +1,76 @@
+import {
+  GROWTH_STAGES,
+  cropCoefficient,
+  stageDaysFor,
+} from "../irrigation/crops.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) =>
+  new Date(new Date(date).getTime() + Math.round(days) * DAY)
+    .toISOString()
+    .slice(0, 10);
+
+// The day each growth stage starts, and the expected harvest, as YYYY-MM-DD
+export const stageDates = (crop) => {
+  if (!crop.plantedOn) return null;
+  const stageDays = stageDaysFor(
+    crop.name,
+    crop.plantedOn,
+    crop.expectedHarvestOn
+  );
+
+  const dates = {};
+  let day = 0;
+  GROWTH_STAGES.forEach((stage, i) => {
+    dates[stage] = addDays(crop.plantedOn, day);
+    day += stageDays[i];
+  });
+  dates.harvest = crop.expectedHarvestOn || addDays(crop.plantedOn, day);
+  return dates;
+};
+
+// A planting's place in its season on `date`:
+//   planned    planted in the future
+//   growing    in the ground; stage and Kc as used for irrigation
+//   harvested  harvestedOn is set
+// Crops registered without a planting date count as growing, mid-season.
+export const describePlanting = (crop, date = new Date()) => {
+  const today = date.toISOString().slice(0, 10);
+  const dates = stageDates(crop);
+  const status = crop.harvestedOn
+    ? "harvested"
+    : crop.plantedOn > today
+    ? "planned"
+    : "growing";
+
+  const growing = status === "growing";
+  const { stage, kc, daysAfterPlanting } = cropCoefficient(
+    crop.name,
+    crop.plantedOn,
+    date,
+    dates?.harvest
+  );
+  return {
+    ...crop,
+    expectedHarvestOn: dates?.harvest ?? null,
+    status,
+    stage: growing ? stage : null,
+    kc: growing ? Math.round(kc * 100) / 100 : null,
+    daysAfterPlanting: growing ? daysAfterPlanting : null,
+    daysToHarvest: dates
+      ? Math.round((new Date(dates.harvest) - new Date(today)) / DAY)
+      : null,
+    stageDates: dates,
+  };
+};
+
+// The zone's growing planting, the most recently planted if there are
+// several (e.g. intercropping)
+export const currentPlanting = (crops, zone, date = new Date()) =>
+  crops
+    .filter((crop) => crop.zoneId === zone)
+    .map((crop) => describePlanting(crop, date))
+    .filter((planting) => planting.status === "growing")
+    .sort((a, b) => (b.plantedOn || "").localeCompare(a.plantedOn || ""))[0] ||
+  null;
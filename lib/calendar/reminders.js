@@ -0,0 +1,71 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+export const REMINDER_PATH = "/webhooks/field-activity-reminder";
+
+const addDays = (date, days) =>
+  new Date(new Date(date).getTime() + days * DAY).toISOString().slice(0, 10);
+
+// One Locci task per planned activity, firing at `hour` farm time
+// `leadDays` before it is due. Cron has no year, so the reminder webhook
+// deletes the task once it has fired. Activities due too soon for a reminder
+// get none; scheduler failures are logged and leave the activity without one.
+export const createActivityReminders = ({
+  tasks,
+  baseUrl,
+  timezone,
+  secret,
+  leadDays = 2,
+  hour = 7,
+}) => {
+  const url = `${baseUrl}${REMINDER_PATH}`;
+
+  const today = () =>
+    new Intl.DateTimeFormat("en-CA", { timeZone: timezone }).format(new Date());
+
+  // Reminder tasks are created at runtime, so schedule reconciliation must
+  // leave them alone
+  const isReminder = (task) => task.webhook?.url === url;
+
+  // Resolves the Locci task id, or null when no reminder was scheduled
+  const schedule = async (activity) => {
+    const tomorrow = addDays(today(), 1);
+    const leadDate = addDays(activity.dueOn, -leadDays);
+    const remindOn = leadDate > tomorrow ? leadDate : tomorrow;
+    if (remindOn > activity.dueOn) return null;
+
+    const [, month, day] = remindOn.split("-").map(Number);
+    try {
+      const task = await tasks.create({
+        name: `field-activity-${activity.id}`,
+        description: `${activity.title} (${activity.farmId} ${activity.zone}, due ${activity.dueOn})`,
+        timezone,
+        cronExpression: `0 ${hour} ${day} ${month} *`,
+        webhook: {
+          url,
+          method: "POST",
+          payload: {
+            source: "locci_scheduler",
+            farmId: activity.farmId,
+            activityId: activity.id,
+          },
+          ...(secret ? { secret } : {}),
+        },
+      });
+      return task?.id != null ? String(task.id) : null;
+    } catch (error) {
+      console.error(`Reminder for activity ${activity.id} failed:`, error);
+      return null;
+    }
+  };
+
+  const cancel = async (taskId) => {
+    if (!taskId) return;
+    try {
+      await tasks.remove(taskId);
+    } catch (error) {
+      console.error(`Removing reminder task ${taskId} failed:`, error);
+    }
+  };
+
+  return { schedule, cancel, isReminder };
+};
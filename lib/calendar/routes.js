@@ -0,0 +1,229 @@
+import { Router } from "express";
+import { ACTIVITY_STATUSES } from "./activities.js";
+import { ACTIVITY_TYPES } from "./templates.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Mounted at /api/farms/:farmId/calendar. Plantings are the farm's crops
+// (/api/farms/:farmId/crops) with their growth stage.
+export const createCalendarRouter = ({ registry, calendar, activities }) => {
+  const router = Router({ mergeParams: true });
+
+  router.use(async (req, res, next) => {
+    try {
+      if (!(await registry.getFarm(req.params.farmId))) {
+        return res
+          .status(404)
+          .json({ error: `Farm ${req.params.farmId} not found` });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get("/plantings", async (req, res) => {
+    try {
+      res.json({
+        plantings: await calendar.plantings(req.params.farmId, {
+          zone: req.query.zone,
+        }),
+      });
+    } catch (error) {
+      console.error("List plantings error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Plan (or re-plan after the dates changed) a planting's activities from
+  // its crop's stage templates, with a reminder for each
+  router.post("/plantings/:cropId/plan", async (req, res) => {
+    try {
+      const { farmId, cropId } = req.params;
+      const crop = await registry.getItem("crops", farmId, cropId);
+      if (!crop) {
+        return res
+          .status(404)
+          .json({ error: `Planting ${cropId} not found on ${farmId}` });
+      }
+      const errors = [];
+      if (!crop.zoneId) errors.push("the planting has no zoneId");
+      if (!crop.plantedOn) errors.push("the planting has no plantedOn date");
+      if (crop.harvestedOn) errors.push("the planting has been harvested");
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Planting can't be planned", details: errors });
+      }
+
+      const result = await calendar.plan(farmId, crop);
+      res.status(result.created.length > 0 ? 201 : 200).json(result);
+    } catch (error) {
+      console.error("Plan planting error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // The calendar and the log of completed work, by due date
+  router.get("/activities", async (req, res) => {
+    try {
+      const { zone, cropId, status, from, to } = req.query;
+      const errors = [];
+      if (status && !ACTIVITY_STATUSES.includes(status)) {
+        errors.push(`status must be one of: ${ACTIVITY_STATUSES.join(", ")}`);
+      }
+      for (const [name, value] of Object.entries({ from, to })) {
+        if (value && !DATE_PATTERN.test(value)) {
+          errors.push(`${name} must be a YYYY-MM-DD date`);
+        }
+      }
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Invalid query", details: errors });
+      }
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+      res.json({
+        activities: await activities.list({
+          farmId: req.params.farmId,
+          zone,
+          cropId,
+          status,
+          from,
+          to,
+          limit,
+        }),
+      });
+    } catch (error) {
+      console.error("List activities error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Plan a one-off activity, or log work done with completedOn
+  router.post("/activities", async (req, res) => {
+    try {
+      const { farmId } = req.params;
+      const { zone, cropId, type, title, dueOn, notes, completedOn } =
+        req.body || {};
+      const errors = [];
+      if (typeof zone !== "string" || !zone) errors.push("zone is required");
+      if (!ACTIVITY_TYPES.includes(type)) {
+        errors.push(`type must be one of: ${ACTIVITY_TYPES.join(", ")}`);
+      }
+      if (typeof title !== "string" || !title.trim()) {
+        errors.push("title is required");
+      }
+      if (dueOn !== undefined && !DATE_PATTERN.test(dueOn)) {
+        errors.push("dueOn must be a YYYY-MM-DD date");
+      }
+      if (completedOn !== undefined && !DATE_PATTERN.test(completedOn)) {
+        errors.push("completedOn must be a YYYY-MM-DD date");
+      }
+      if (dueOn === undefined && completedOn === undefined) {
+        errors.push("dueOn or completedOn is required");
+      }
+      if (notes !== undefined && typeof notes !== "string") {
+        errors.push("notes must be a string");
+      }
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Invalid activity", details: errors });
+      }
+
+      if (!(await registry.getItem("zones", farmId, zone))) {
+        return res
+          .status(404)
+          .json({ error: `Zone ${zone} not found on ${farmId}` });
+      }
+      let crop = null;
+      if (cropId !== undefined) {
+        crop = await registry.getItem("crops", farmId, cropId);
+        if (!crop || crop.zoneId !== zone) {
+          return res
+            .status(404)
+            .json({ error: `Planting ${cropId} not found in ${zone}` });
+        }
+      }
+
+      const activity = await calendar.add(farmId, {
+        zone,
+        cropId: crop?.id,
+        crop: crop?.name,
+        type,
+        title: title.trim(),
+        dueOn: dueOn ?? completedOn,
+        notes,
+        completedOn,
+        createdBy: req.actor?.name,
+      });
+      res.status(201).json(activity);
+    } catch (error) {
+      console.error("Create activity error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  const loadActivity = async (req, res, next) => {
+    try {
+      const activity = await activities.get(req.params.id);
+      if (!activity || activity.farmId !== req.params.farmId) {
+        return res
+          .status(404)
+          .json({ error: `Activity ${req.params.id} not found` });
+      }
+      req.activity = activity;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Done and skipped only apply to planned activities
+  const finish = (status, label) => async (req, res) => {
+    try {
+      const { activity } = req;
+      const { completedOn, notes } = req.body || {};
+      const errors = [];
+      if (completedOn !== undefined && !DATE_PATTERN.test(completedOn)) {
+        errors.push("completedOn must be a YYYY-MM-DD date");
+      }
+      if (notes !== undefined && typeof notes !== "string") {
+        errors.push("notes must be a string");
+      }
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Invalid activity", details: errors });
+      }
+
+      const finished = await calendar.finish(activity, status, {
+        on: completedOn ?? today(),
+        by: req.actor?.name,
+        notes,
+      });
+      if (!finished) {
+        return res
+          .status(409)
+          .json({ error: `Activity ${activity.id} is ${activity.status}` });
+      }
+      res.json(await activities.get(activity.id));
+    } catch (error) {
+      console.error(`${label} activity error:`, error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  router.post(
+    "/activities/:id/complete",
+    loadActivity,
+    finish("done", "Complete")
+  );
+  router.post("/activities/:id/skip", loadActivity, finish("skipped", "Skip"));
+
+  return router;
+};
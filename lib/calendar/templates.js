@@ -0,0 +1,145 @@
+export const ACTIVITY_TYPES = [
+  "fertilizer",
+  "weeding",
+  "spraying",
+  "harvest",
+  "other",
+];
+
+// Field work generated for a planting, timed `offsetDays` from the start of
+// a growth stage, or from the expected harvest for stage "harvest". Stage
+// starts follow the crop's (season-scaled) FAO-56 stage lengths. `id` keeps
+// a planting from getting the same activity twice.
+export const STAGE_TEMPLATES = {
+  maize: [
+    {
+      id: "first-weeding",
+      type: "weeding",
+      title: "First weeding",
+      stage: "initial",
+      offsetDays: 14,
+    },
+    {
+      id: "pest-spray",
+      type: "spraying",
+      title: "Scout whorls and spray for fall armyworm and stalk borer",
+      stage: "development",
+      offsetDays: 0,
+    },
+    {
+      id: "top-dress",
+      type: "fertilizer",
+      title: "Top-dress with CAN at knee height",
+      stage: "development",
+      offsetDays: 7,
+    },
+    {
+      id: "second-weeding",
+      type: "weeding",
+      title: "Second weeding",
+      stage: "development",
+      offsetDays: 20,
+    },
+    {
+      id: "harvest",
+      type: "harvest",
+      title: "Harvest once husks are dry and grain is hard",
+      stage: "harvest",
+      offsetDays: 0,
+    },
+  ],
+  beans: [
+    {
+      id: "first-weeding",
+      type: "weeding",
+      title: "First weeding",
+      stage: "initial",
+      offsetDays: 14,
+    },
+    {
+      id: "pest-spray",
+      type: "spraying",
+      title: "Check for aphids and bean fly and spray if found",
+      stage: "development",
+      offsetDays: 0,
+    },
+    {
+      id: "second-weeding",
+      type: "weeding",
+      title: "Second weeding, before flowering",
+      stage: "development",
+      offsetDays: 14,
+    },
+    {
+      id: "harvest",
+      type: "harvest",
+      title: "Harvest once pods are dry",
+      stage: "harvest",
+      offsetDays: 0,
+    },
+  ],
+  tomatoes: [
+    {
+      id: "first-weeding",
+      type: "weeding",
+      title: "First weeding",
+      stage: "initial",
+      offsetDays: 14,
+    },
+    {
+      id: "top-dress",
+      type: "fertilizer",
+      title: "Top-dress with CAN and stake the plants",
+      stage: "development",
+      offsetDays: 0,
+    },
+    {
+      id: "blight-spray",
+      type: "spraying",
+      title: "Protectant spray against early and late blight",
+      stage: "development",
+      offsetDays: 14,
+    },
+    {
+      id: "flowering-feed",
+      type: "fertilizer",
+      title: "Potassium-rich feed at flowering",
+      stage: "mid",
+      offsetDays: 0,
+    },
+    {
+      id: "harvest",
+      type: "harvest",
+      title: "Start picking as fruit turns colour",
+      stage: "late",
+      offsetDays: 0,
+    },
+  ],
+  // Crops without their own templates
+  default: [
+    {
+      id: "first-weeding",
+      type: "weeding",
+      title: "First weeding",
+      stage: "initial",
+      offsetDays: 14,
+    },
+    {
+      id: "top-dress",
+      type: "fertilizer",
+      title: "Top-dress fertilizer",
+      stage: "development",
+      offsetDays: 0,
+    },
+    {
+      id: "harvest",
+      type: "harvest",
+      title: "Harvest",
+      stage: "harvest",
+      offsetDays: 0,
+    },
+  ],
+};
+
+export const templatesFor = (crop) =>
+  STAGE_TEMPLATES[crop?.toLowerCase()] || STAGE_TEMPLATES.default;
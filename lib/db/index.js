@@ -0,0 +1,38 @@
+import { createClient } from "@libsql/client";
+import { migrations } from "./migrations.js";
+
+// Connect to libSQL: a local file in development, Turso in production
+export const connectDb = ({ url, authToken } = {}) =>
+  createClient({
+    url: url || "file:locci-farm.db",
+    authToken: authToken || undefined,
+  });
+
+// Apply any migrations that haven't run yet, in order
+export const migrate = async (db) => {
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TEXT NOT NULL
+    )`
+  );
+
+  const { rows } = await db.execute("SELECT name FROM schema_migrations");
+  const applied = new Set(rows.map((row) => row.name));
+
+  for (const { name, statements } of migrations) {
+    if (applied.has(name)) continue;
+
+    console.log(`🗄️ Applying migration ${name}`);
+    await db.batch(
+      [
+        ...statements,
+        {
+          sql: "INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)",
+          args: [name, new Date().toISOString()],
+        },
+      ],
+      "write"
+    );
+  }
+};
@@ -0,0 +1,525 @@
+// Ordered schema migrations. Never edit a migration once it has shipped;
+// append a new one instead.
+export const migrations = [
+  {
+    name: "001_sensor_readings",
+    statements: [
+      // Raw readings, kept for SENSOR_RAW_RETENTION_DAYS
+      `CREATE TABLE sensor_readings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        farm_id TEXT NOT NULL,
+        zone TEXT NOT NULL,
+        device_id TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        value REAL NOT NULL,
+        unit TEXT NOT NULL,
+        recorded_at INTEGER NOT NULL
+      )`,
+      `CREATE INDEX idx_sensor_readings_lookup
+        ON sensor_readings (farm_id, metric, recorded_at)`,
+      // Hourly rollups, kept for SENSOR_ROLLUP_RETENTION_DAYS
+      `CREATE TABLE sensor_readings_hourly (
+        farm_id TEXT NOT NULL,
+        zone TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        bucket_start INTEGER NOT NULL,
+        min REAL NOT NULL,
+        max REAL NOT NULL,
+        sum REAL NOT NULL,
+        count INTEGER NOT NULL,
+        PRIMARY KEY (farm_id, zone, metric, bucket_start)
+      )`,
+    ],
+  },
+  {
+    name: "002_farm_registry",
+    statements: [
+      `CREATE TABLE farms (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        location TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+      `CREATE TABLE zones (
+        farm_id TEXT NOT NULL REFERENCES farms (id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        area_ha REAL,
+        soil_type TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (farm_id, id)
+      )`,
+      `CREATE TABLE crops (
+        farm_id TEXT NOT NULL REFERENCES farms (id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        zone_id TEXT,
+        name TEXT NOT NULL,
+        variety TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (farm_id, id)
+      )`,
+      `CREATE TABLE devices (
+        farm_id TEXT NOT NULL REFERENCES farms (id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        zone_id TEXT,
+        type TEXT NOT NULL,
+        metrics TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (farm_id, id)
+      )`,
+      `CREATE TABLE equipment (
+        farm_id TEXT NOT NULL REFERENCES farms (id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        zone_id TEXT,
+        name TEXT NOT NULL,
+        type TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (farm_id, id)
+      )`,
+    ],
+  },
+  {
+    name: "003_contacts",
+    statements: [
+      `CREATE TABLE contacts (
+        farm_id TEXT NOT NULL REFERENCES farms (id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        phone TEXT NOT NULL,
+        role TEXT NOT NULL,
+        language TEXT,
+        quiet_hours_start TEXT,
+        quiet_hours_end TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (farm_id, id)
+      )`,
+      // Farm-specific overrides of the default taskType -> roles routing
+      `CREATE TABLE notification_routes (
+        farm_id TEXT NOT NULL REFERENCES farms (id) ON DELETE CASCADE,
+        task_type TEXT NOT NULL,
+        roles TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (farm_id, task_type)
+      )`,
+    ],
+  },
+  {
+    name: "004_irrigation_runs",
+    statements: [
+      `CREATE TABLE irrigation_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        farm_id TEXT NOT NULL,
+        zone TEXT NOT NULL,
+        reason TEXT,
+        status TEXT NOT NULL,
+        planned_minutes REAL NOT NULL,
+        started_at INTEGER NOT NULL,
+        ended_at INTEGER,
+        before_level REAL,
+        after_level REAL,
+        error TEXT
+      )`,
+      `CREATE INDEX idx_irrigation_runs_zone
+        ON irrigation_runs (farm_id, zone, started_at)`,
+    ],
+  },
+  {
+    name: "005_water_balance",
+    statements: [
+      "ALTER TABLE farms ADD COLUMN latitude REAL",
+      "ALTER TABLE farms ADD COLUMN elevation_m REAL",
+      "ALTER TABLE zones ADD COLUMN flow_rate_lpm REAL",
+      "ALTER TABLE crops ADD COLUMN planted_on TEXT",
+      `CREATE TABLE zone_water_balance (
+        farm_id TEXT NOT NULL,
+        zone TEXT NOT NULL,
+        depletion_mm REAL NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (farm_id, zone)
+      )`,
+    ],
+  },
+  {
+    name: "006_rules",
+    statements: [
+      `CREATE TABLE rules (
+        id TEXT PRIMARY KEY,
+        definition TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+      // Activation state per rule and subject (farm:zone:crop:market:equipment)
+      `CREATE TABLE rule_state (
+        rule_id TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 0,
+        pending_since INTEGER,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (rule_id, subject)
+      )`,
+    ],
+  },
+  {
+    name: "007_alerts",
+    statements: [
+      `CREATE TABLE alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        dedup_key TEXT NOT NULL,
+        farm_id TEXT,
+        zone TEXT,
+        rule_id TEXT,
+        task_type TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        status TEXT NOT NULL,
+        details TEXT NOT NULL,
+        occurrences INTEGER NOT NULL DEFAULT 1,
+        opened_at INTEGER NOT NULL,
+        last_seen_at INTEGER NOT NULL,
+        last_notified_at INTEGER NOT NULL,
+        acknowledged_at INTEGER,
+        acknowledged_by TEXT,
+        escalated_at INTEGER,
+        resolved_at INTEGER
+      )`,
+      // At most one unresolved alert per condition
+      `CREATE UNIQUE INDEX idx_alerts_open_key
+        ON alerts (dedup_key) WHERE status != 'resolved'`,
+      "CREATE INDEX idx_alerts_farm ON alerts (farm_id, status, opened_at)",
+    ],
+  },
+  {
+    name: "008_market_prices",
+    statements: [
+      `CREATE TABLE market_prices (
+        crop TEXT NOT NULL,
+        market TEXT NOT NULL,
+        date TEXT NOT NULL,
+        price REAL NOT NULL,
+        currency TEXT NOT NULL,
+        unit TEXT NOT NULL,
+        source TEXT NOT NULL,
+        recorded_at TEXT NOT NULL,
+        PRIMARY KEY (crop, market, date)
+      )`,
+    ],
+  },
+  {
+    name: "009_sms_messages",
+    statements: [
+      `CREATE TABLE sms_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        direction TEXT NOT NULL,
+        message_id TEXT,
+        job_id TEXT,
+        phone TEXT NOT NULL,
+        contact_id TEXT,
+        farm_id TEXT,
+        type TEXT,
+        message TEXT NOT NULL,
+        status TEXT NOT NULL,
+        provider_status TEXT,
+        failure_reason TEXT,
+        network_code TEXT,
+        cost TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      )`,
+      `CREATE UNIQUE INDEX idx_sms_messages_message_id
+        ON sms_messages (message_id) WHERE message_id IS NOT NULL`,
+      // One row per send-sms job, however many attempts it takes
+      `CREATE UNIQUE INDEX idx_sms_messages_job_id
+        ON sms_messages (job_id) WHERE job_id IS NOT NULL`,
+      "CREATE INDEX idx_sms_messages_phone ON sms_messages (phone, created_at)",
+    ],
+  },
+  {
+    name: "010_notification_channels",
+    statements: [
+      "ALTER TABLE farms ADD COLUMN channels TEXT",
+      "ALTER TABLE contacts ADD COLUMN email TEXT",
+      "ALTER TABLE contacts ADD COLUMN webhook_url TEXT",
+      "ALTER TABLE contacts ADD COLUMN channels TEXT",
+      // Browsers that accepted Web Push for a contact
+      `CREATE TABLE push_subscriptions (
+        endpoint TEXT NOT NULL,
+        farm_id TEXT NOT NULL,
+        contact_id TEXT NOT NULL,
+        keys TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (endpoint, farm_id)
+      )`,
+      `CREATE INDEX idx_push_subscriptions_contact
+        ON push_subscriptions (farm_id, contact_id)`,
+    ],
+  },
+  {
+    name: "011_schedule_overrides",
+    statements: [
+      // Timing changed through PATCH /api/schedules/:id, applied over the
+      // declared schedule of the same name
+      `CREATE TABLE schedule_overrides (
+        name TEXT PRIMARY KEY,
+        settings TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+    ],
+  },
+  {
+    name: "012_webhook_nonces",
+    statements: [
+      `CREATE TABLE webhook_nonces (
+        nonce TEXT PRIMARY KEY,
+        expires_at INTEGER NOT NULL
+      )`,
+      "CREATE INDEX idx_webhook_nonces_expires ON webhook_nonces (expires_at)",
+    ],
+  },
+  {
+    name: "013_users_and_audit",
+    statements: [
+      `CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL,
+        farm_ids TEXT NOT NULL DEFAULT '[]',
+        password_hash TEXT NOT NULL,
+        disabled INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        last_login_at TEXT
+      )`,
+      // Device keys, stored as a SHA-256 of the key
+      `CREATE TABLE api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        farm_id TEXT NOT NULL REFERENCES farms (id) ON DELETE CASCADE,
+        key_hash TEXT NOT NULL UNIQUE,
+        prefix TEXT NOT NULL,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT
+      )`,
+      `CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        at TEXT NOT NULL,
+        actor_type TEXT NOT NULL,
+        actor_id TEXT,
+        actor_name TEXT,
+        action TEXT NOT NULL,
+        status INTEGER,
+        ip TEXT,
+        details TEXT
+      )`,
+      "CREATE INDEX idx_audit_log_at ON audit_log (at)",
+      "CREATE INDEX idx_audit_log_actor ON audit_log (actor_type, actor_id, at)",
+    ],
+  },
+  {
+    name: "014_maintenance",
+    statements: [
+      "ALTER TABLE equipment ADD COLUMN serial TEXT",
+      "ALTER TABLE equipment ADD COLUMN model TEXT",
+      "ALTER TABLE equipment ADD COLUMN installed_on TEXT",
+      "ALTER TABLE equipment ADD COLUMN device_id TEXT",
+      "ALTER TABLE equipment ADD COLUMN service_intervals TEXT NOT NULL DEFAULT '[]'",
+      // The pump seeded with the default farm
+      `UPDATE equipment SET type = 'pump'
+        WHERE id = 'irrigation-pumps' AND type IS NULL`,
+      // Hour meter: one row per time an asset ran; ended_at is null while
+      // it is running
+      `CREATE TABLE equipment_runtime (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        farm_id TEXT NOT NULL,
+        equipment_id TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        ended_at INTEGER
+      )`,
+      "CREATE INDEX idx_equipment_runtime ON equipment_runtime (farm_id, equipment_id, started_at)",
+      `CREATE TABLE device_heartbeats (
+        farm_id TEXT NOT NULL,
+        device_id TEXT NOT NULL,
+        last_seen_at INTEGER NOT NULL,
+        battery_level REAL,
+        battery_at INTEGER,
+        PRIMARY KEY (farm_id, device_id)
+      )`,
+      `CREATE TABLE work_orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        farm_id TEXT NOT NULL,
+        equipment_id TEXT NOT NULL,
+        task TEXT NOT NULL,
+        source TEXT NOT NULL,
+        status TEXT NOT NULL,
+        notes TEXT,
+        due_at INTEGER,
+        overdue_at INTEGER,
+        opened_by TEXT,
+        opened_at INTEGER NOT NULL,
+        assigned_to TEXT,
+        assigned_at INTEGER,
+        closed_by TEXT,
+        closed_at INTEGER,
+        resolution TEXT,
+        runtime_hours REAL
+      )`,
+      "CREATE INDEX idx_work_orders_farm ON work_orders (farm_id, status)",
+      "CREATE INDEX idx_work_orders_equipment ON work_orders (farm_id, equipment_id, task)",
+    ],
+  },
+  {
+    name: "015_device_health",
+    statements: [
+      "ALTER TABLE devices ADD COLUMN report_every_minutes REAL",
+      // Per device and metric: how long the value has been unchanged, and
+      // the last physically impossible value it sent
+      `CREATE TABLE device_metrics (
+        farm_id TEXT NOT NULL,
+        device_id TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        last_value REAL,
+        last_at INTEGER,
+        same_since INTEGER,
+        rejected_value REAL,
+        rejected_at INTEGER,
+        PRIMARY KEY (farm_id, device_id, metric)
+      )`,
+    ],
+  },
+  {
+    name: "016_pest_scouting",
+    statements: [
+      `CREATE TABLE scouting_observations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        farm_id TEXT NOT NULL,
+        zone TEXT NOT NULL,
+        crop TEXT,
+        model_id TEXT NOT NULL,
+        observed_at INTEGER NOT NULL,
+        incidence REAL NOT NULL,
+        control_applied INTEGER NOT NULL DEFAULT 0,
+        notes TEXT,
+        observed_by TEXT,
+        predicted_score REAL,
+        created_at INTEGER NOT NULL
+      )`,
+      "CREATE INDEX idx_scouting_farm ON scouting_observations (farm_id, model_id, observed_at)",
+      // Pest and disease alerts have their own task types. Seeded rules
+      // still on weather_warning move over; an empty table is seeded later.
+      `UPDATE rules SET
+        definition = json_set(definition,
+          '$.action.taskType', 'pest_risk',
+          '$.action.details', json_object(
+            'risk', 'High pest activity',
+            'action', 'Apply pest control measures immediately')),
+        updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        WHERE id = 'high-pest-activity'
+          AND json_extract(definition, '$.action.taskType') = 'weather_warning'`,
+      `INSERT INTO rules (id, definition, updated_at)
+        SELECT 'high-disease-risk', json_object(
+            'scope', json_object(),
+            'durationSeconds', 0,
+            'hysteresis', 0,
+            'enabled', json('true'),
+            'id', 'high-disease-risk',
+            'name', 'High disease risk',
+            'metric', 'disease_risk',
+            'comparison', json_object('operator', '>', 'value', 70),
+            'severity', 'warning',
+            'action', json_object(
+              'type', 'notify',
+              'taskType', 'disease_risk',
+              'details', json_object(
+                'risk', 'High disease risk',
+                'action', 'Inspect leaves for lesions and apply a protectant fungicide'))),
+          strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        WHERE EXISTS (SELECT 1 FROM rules)
+          AND NOT EXISTS (SELECT 1 FROM rules WHERE id = 'high-disease-risk')`,
+    ],
+  },
+  {
+    name: "017_crop_calendar",
+    statements: [
+      "ALTER TABLE crops ADD COLUMN expected_harvest_on TEXT",
+      "ALTER TABLE crops ADD COLUMN harvested_on TEXT",
+      // Dates are the farm's local YYYY-MM-DD; template_id is set on
+      // activities planned from a crop's stage templates
+      `CREATE TABLE field_activities (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        farm_id TEXT NOT NULL,
+        zone TEXT NOT NULL,
+        crop_id TEXT,
+        crop TEXT,
+        template_id TEXT,
+        type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        due_on TEXT NOT NULL,
+        status TEXT NOT NULL,
+        notes TEXT,
+        reminder_task_id TEXT,
+        created_by TEXT,
+        created_at INTEGER NOT NULL,
+        completed_on TEXT,
+        completed_by TEXT
+      )`,
+      "CREATE INDEX idx_field_activities_farm ON field_activities (farm_id, due_on)",
+      "CREATE UNIQUE INDEX idx_field_activities_template ON field_activities (farm_id, crop_id, template_id)",
+    ],
+  },
+  {
+    name: "018_weather_forecasts",
+    statements: [
+      "ALTER TABLE farms ADD COLUMN longitude REAL",
+      // One row per farm and forecast hour (ms since epoch) as last fetched
+      `CREATE TABLE weather_forecasts (
+        farm_id TEXT NOT NULL,
+        forecast_at INTEGER NOT NULL,
+        temperature REAL,
+        humidity REAL,
+        precipitation REAL,
+        precipitation_probability REAL,
+        wind_speed REAL,
+        fetched_at INTEGER NOT NULL,
+        PRIMARY KEY (farm_id, forecast_at)
+      )`,
+      // Weather warnings now carry the real forecast; the canned sentence
+      // rules had in its place becomes their advice
+      `UPDATE rules SET
+        definition = json_remove(
+          json_set(definition, '$.action.details.advice',
+            json_extract(definition, '$.action.details.forecast')),
+          '$.action.details.forecast'),
+        updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        WHERE json_extract(definition, '$.action.taskType') = 'weather_warning'
+          AND json_extract(definition, '$.action.details.forecast') IS NOT NULL
+          AND json_extract(definition, '$.action.details.advice') IS NULL`,
+    ],
+  },
+  {
+    name: "019_sensor_reading_dedup",
+    statements: [
+      // A resent batch must not store its readings twice
+      `DELETE FROM sensor_readings WHERE id NOT IN (
+        SELECT MIN(id) FROM sensor_readings
+        GROUP BY farm_id, device_id, metric, recorded_at
+      )`,
+      `CREATE UNIQUE INDEX idx_sensor_readings_device
+        ON sensor_readings (farm_id, device_id, metric, recorded_at)`,
+    ],
+  },
+  {
+    name: "020_user_phone",
+    statements: [
+      // Links a user to the farm contacts with this number, e.g. for the
+      // dashboard's push alerts
+      "ALTER TABLE users ADD COLUMN phone TEXT",
+    ],
+  },
+];
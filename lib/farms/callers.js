@@ -0,0 +1,23 @@
+// Contact roles allowed to start and stop irrigation from a phone
+export const IRRIGATION_ROLES = ["owner", "manager"];
+
+// Look up the contact entries for a phone number calling in over USSD or
+// SMS. Without a contact book the FARMER_PHONE number is the default farm's
+// owner, as it is for outgoing SMS.
+export const createCallerLookup =
+  ({ registry, defaultFarmId, fallbackPhone }) =>
+  async (phoneNumber) => {
+    const contacts = await registry.findContactsByPhone(phoneNumber);
+    if (contacts.length > 0 || phoneNumber !== fallbackPhone) return contacts;
+    if ((await registry.listItems("contacts", defaultFarmId)).length > 0) {
+      return [];
+    }
+    return [
+      {
+        id: "farmer",
+        farmId: defaultFarmId,
+        phone: fallbackPhone,
+        role: "owner",
+      },
+    ];
+  };
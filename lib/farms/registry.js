@@ -0,0 +1,427 @@
+import { SOIL_TYPES } from "../irrigation/crops.js";
+import { validateServiceIntervals } from "../maintenance/intervals.js";
+import { SUPPORTED_LANGUAGES } from "../notifications/messages.js";
+import {
+  CONTACT_ROLES,
+  validateChannelPreferences,
+} from "../notifications/routing.js";
+
+// Farms and the things that live on them. Zone, device and equipment ids are
+// the same strings devices publish in readings, so keep them URL/topic safe.
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+// Notification channels per alert severity, e.g. { "critical": ["sms"] }
+const channelsField = {
+  column: "channels",
+  type: "object",
+  validate: validateChannelPreferences,
+};
+
+export const FARM_FIELDS = {
+  name: { column: "name", type: "string", required: true },
+  location: { column: "location", type: "string" },
+  latitude: { column: "latitude", type: "number" },
+  longitude: { column: "longitude", type: "number" },
+  elevationM: { column: "elevation_m", type: "number" },
+  channels: channelsField,
+};
+
+// Collections owned by a farm, keyed by their route segment
+export const FARM_COLLECTIONS = {
+  zones: {
+    table: "zones",
+    fields: {
+      name: { column: "name", type: "string", required: true },
+      areaHa: { column: "area_ha", type: "number" },
+      soilType: { column: "soil_type", type: "string", enum: SOIL_TYPES },
+      flowRateLpm: { column: "flow_rate_lpm", type: "number" },
+    },
+  },
+  // A planting in a zone. Without expectedHarvestOn the season is the
+  // crop's usual length; harvestedOn ends it (see lib/calendar).
+  crops: {
+    table: "crops",
+    fields: {
+      zoneId: { column: "zone_id", type: "string" },
+      name: { column: "name", type: "string", required: true },
+      variety: { column: "variety", type: "string" },
+      plantedOn: {
+        column: "planted_on",
+        type: "string",
+        pattern: DATE_PATTERN,
+        hint: "a YYYY-MM-DD date",
+      },
+      expectedHarvestOn: {
+        column: "expected_harvest_on",
+        type: "string",
+        pattern: DATE_PATTERN,
+        hint: "a YYYY-MM-DD date",
+      },
+      harvestedOn: {
+        column: "harvested_on",
+        type: "string",
+        pattern: DATE_PATTERN,
+        hint: "a YYYY-MM-DD date",
+      },
+    },
+  },
+  // A device is reported offline after missing a few of its expected
+  // reports (every reportEveryMinutes, or DEVICE_REPORT_MINUTES)
+  devices: {
+    table: "devices",
+    fields: {
+      zoneId: { column: "zone_id", type: "string" },
+      type: { column: "type", type: "string", required: true },
+      metrics: { column: "metrics", type: "array" },
+      reportEveryMinutes: {
+        column: "report_every_minutes",
+        type: "number",
+        validate: (value) =>
+          value > 0 ? null : "reportEveryMinutes must be a positive number",
+      },
+    },
+  },
+  // Pumps and valves run up hours while irrigating; deviceId links a sensor
+  // whose heartbeats and battery level show on the asset
+  equipment: {
+    table: "equipment",
+    fields: {
+      zoneId: { column: "zone_id", type: "string" },
+      name: { column: "name", type: "string", required: true },
+      type: { column: "type", type: "string" },
+      serial: { column: "serial", type: "string" },
+      model: { column: "model", type: "string" },
+      installedOn: {
+        column: "installed_on",
+        type: "string",
+        pattern: DATE_PATTERN,
+        hint: "a YYYY-MM-DD date",
+      },
+      deviceId: { column: "device_id", type: "string" },
+      serviceIntervals: {
+        column: "service_intervals",
+        type: "array",
+        validate: validateServiceIntervals,
+      },
+    },
+  },
+  contacts: {
+    table: "contacts",
+    fields: {
+      name: { column: "name", type: "string", required: true },
+      phone: {
+        column: "phone",
+        type: "string",
+        required: true,
+        pattern: /^\+\d{7,15}$/,
+        hint: "an international number such as +254712345678",
+      },
+      role: {
+        column: "role",
+        type: "string",
+        required: true,
+        enum: CONTACT_ROLES,
+      },
+      language: {
+        column: "language",
+        type: "string",
+        enum: SUPPORTED_LANGUAGES,
+      },
+      quietHoursStart: {
+        column: "quiet_hours_start",
+        type: "string",
+        pattern: TIME_PATTERN,
+        hint: "a HH:MM time",
+      },
+      quietHoursEnd: {
+        column: "quiet_hours_end",
+        type: "string",
+        pattern: TIME_PATTERN,
+        hint: "a HH:MM time",
+      },
+      email: {
+        column: "email",
+        type: "string",
+        pattern: EMAIL_PATTERN,
+        hint: "an email address",
+      },
+      webhookUrl: {
+        column: "webhook_url",
+        type: "string",
+        pattern: URL_PATTERN,
+        hint: "an http(s) URL",
+      },
+      channels: channelsField,
+    },
+  },
+};
+
+// Other farm-scoped tables that go when the farm is deleted
+const FARM_OWNED_TABLES = [
+  "notification_routes",
+  "irrigation_runs",
+  "zone_water_balance",
+  "alerts",
+  "push_subscriptions",
+  "device_heartbeats",
+  "device_metrics",
+  "equipment_runtime",
+  "work_orders",
+  "scouting_observations",
+  "field_activities",
+  "weather_forecasts",
+];
+
+const checkType = (value, type) => {
+  if (value === null) return true;
+  if (type === "array") return Array.isArray(value);
+  if (type === "object") {
+    return typeof value === "object" && !Array.isArray(value);
+  }
+  if (type === "number") return typeof value === "number" && isFinite(value);
+  return typeof value === type;
+};
+
+// Validate a request body against field definitions. With `partial` only the
+// fields present are checked, for PATCH requests.
+export const validateFields = (fields, body = {}, { partial = false } = {}) => {
+  const values = {};
+  const errors = [];
+
+  for (const [field, definition] of Object.entries(fields)) {
+    const { column, type, required } = definition;
+    const value = body[field];
+    if (value === undefined) {
+      if (required && !partial) errors.push(`${field} is required`);
+      continue;
+    }
+    if (!checkType(value, type) || (required && value === null)) {
+      errors.push(`${field} must be a ${type}`);
+      continue;
+    }
+    if (value !== null && definition.enum && !definition.enum.includes(value)) {
+      errors.push(`${field} must be one of: ${definition.enum.join(", ")}`);
+      continue;
+    }
+    if (
+      value !== null &&
+      definition.pattern &&
+      !definition.pattern.test(value)
+    ) {
+      errors.push(`${field} must be ${definition.hint}`);
+      continue;
+    }
+    const invalid = value !== null && definition.validate?.(value);
+    if (invalid) {
+      errors.push(invalid);
+      continue;
+    }
+    values[column] =
+      (type === "array" || type === "object") && value !== null
+        ? JSON.stringify(value)
+        : value;
+  }
+
+  return { values, errors };
+};
+
+export const validateId = (id) =>
+  typeof id === "string" && ID_PATTERN.test(id)
+    ? null
+    : "id must contain only letters, numbers, '-' and '_'";
+
+const fromRow = (fields, row) => {
+  const entity = { id: row.id };
+  if (row.farm_id !== undefined) entity.farmId = row.farm_id;
+
+  for (const [field, { column, type }] of Object.entries(fields)) {
+    const value = row[column];
+    entity[field] =
+      (type === "array" || type === "object") && value != null
+        ? JSON.parse(value)
+        : value ?? null;
+  }
+
+  entity.createdAt = row.created_at;
+  entity.updatedAt = row.updated_at;
+  return entity;
+};
+
+const insertRow = (db, table, row) => {
+  const now = new Date().toISOString();
+  const values = { ...row, created_at: now, updated_at: now };
+  const columns = Object.keys(values);
+
+  return db.execute({
+    sql: `INSERT INTO ${table} (${columns.join(", ")})
+      VALUES (${columns.map(() => "?").join(", ")})`,
+    args: Object.values(values),
+  });
+};
+
+const updateRow = (db, table, values, where) => {
+  const changes = { ...values, updated_at: new Date().toISOString() };
+
+  return db.execute({
+    sql: `UPDATE ${table}
+      SET ${Object.keys(changes)
+        .map((column) => `${column} = ?`)
+        .join(", ")}
+      WHERE ${Object.keys(where)
+        .map((column) => `${column} = ?`)
+        .join(" AND ")}`,
+    args: [...Object.values(changes), ...Object.values(where)],
+  });
+};
+
+export const createFarmRegistry = (db) => {
+  const listFarms = async () => {
+    const { rows } = await db.execute("SELECT * FROM farms ORDER BY id");
+    return rows.map((row) => fromRow(FARM_FIELDS, row));
+  };
+
+  const getFarm = async (farmId) => {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM farms WHERE id = ?",
+      args: [farmId],
+    });
+    return rows[0] ? fromRow(FARM_FIELDS, rows[0]) : null;
+  };
+
+  // A farm with all of its collections, for the farm detail route
+  const getFarmDetails = async (farmId) => {
+    const farm = await getFarm(farmId);
+    if (!farm) return null;
+
+    for (const collection of Object.keys(FARM_COLLECTIONS)) {
+      farm[collection] = await listItems(collection, farmId);
+    }
+    return farm;
+  };
+
+  const createFarm = async (id, values) => {
+    await insertRow(db, "farms", { id, ...values });
+    return getFarm(id);
+  };
+
+  const updateFarm = async (farmId, values) => {
+    await updateRow(db, "farms", values, { id: farmId });
+    return getFarm(farmId);
+  };
+
+  // Children are removed explicitly; remote libSQL doesn't guarantee
+  // foreign key enforcement
+  const deleteFarm = async (farmId) => {
+    const [farm] = await db.batch(
+      [
+        { sql: "DELETE FROM farms WHERE id = ?", args: [farmId] },
+        ...[
+          ...Object.values(FARM_COLLECTIONS).map(({ table }) => table),
+          ...FARM_OWNED_TABLES,
+        ].map((table) => ({
+          sql: `DELETE FROM ${table} WHERE farm_id = ?`,
+          args: [farmId],
+        })),
+      ],
+      "write"
+    );
+    return farm.rowsAffected > 0;
+  };
+
+  const listItems = async (collection, farmId) => {
+    const { table, fields } = FARM_COLLECTIONS[collection];
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM ${table} WHERE farm_id = ? ORDER BY id`,
+      args: [farmId],
+    });
+    return rows.map((row) => fromRow(fields, row));
+  };
+
+  const getItem = async (collection, farmId, id) => {
+    const { table, fields } = FARM_COLLECTIONS[collection];
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM ${table} WHERE farm_id = ? AND id = ?`,
+      args: [farmId, id],
+    });
+    return rows[0] ? fromRow(fields, rows[0]) : null;
+  };
+
+  const createItem = async (collection, farmId, id, values) => {
+    const { table } = FARM_COLLECTIONS[collection];
+    await insertRow(db, table, { farm_id: farmId, id, ...values });
+    return getItem(collection, farmId, id);
+  };
+
+  const updateItem = async (collection, farmId, id, values) => {
+    const { table } = FARM_COLLECTIONS[collection];
+    await updateRow(db, table, values, { farm_id: farmId, id });
+    return getItem(collection, farmId, id);
+  };
+
+  const deleteItem = async (collection, farmId, id) => {
+    const { table } = FARM_COLLECTIONS[collection];
+    const { rowsAffected } = await db.execute({
+      sql: `DELETE FROM ${table} WHERE farm_id = ? AND id = ?`,
+      args: [farmId, id],
+    });
+    return rowsAffected > 0;
+  };
+
+  // Contacts on any farm with this phone number, e.g. a USSD caller
+  const findContactsByPhone = async (phone) => {
+    const { table, fields } = FARM_COLLECTIONS.contacts;
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM ${table} WHERE phone = ? ORDER BY farm_id`,
+      args: [phone],
+    });
+    return rows.map((row) => fromRow(fields, row));
+  };
+
+  // Farms a webhook should fan out to: the one named in the payload, or all
+  const resolveFarms = async (farmId) => {
+    if (!farmId) return listFarms();
+    const farm = await getFarm(farmId);
+    return farm ? [farm] : [];
+  };
+
+  // Register the farm the service used to hardcode, so an empty registry
+  // keeps behaving like the single-farm setup
+  const seedDefaultFarm = async (farmId) => {
+    const farms = await listFarms();
+    if (farms.length > 0) return;
+
+    console.log(`🌾 Registering default farm ${farmId}`);
+    await createFarm(farmId, { name: farmId });
+    for (const zone of ["zone-a", "zone-b", "zone-c"]) {
+      await createItem("zones", farmId, zone, { name: zone });
+    }
+    for (const [item, type] of [
+      ["irrigation-pumps", "pump"],
+      ["sensors", "sensor"],
+      ["drones", "drone"],
+    ]) {
+      await createItem("equipment", farmId, item, { name: item, type });
+    }
+  };
+
+  return {
+    listFarms,
+    getFarm,
+    getFarmDetails,
+    createFarm,
+    updateFarm,
+    deleteFarm,
+    listItems,
+    getItem,
+    createItem,
+    updateItem,
+    deleteItem,
+    findContactsByPhone,
+    resolveFarms,
+    seedDefaultFarm,
+  };
+};
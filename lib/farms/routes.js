@@ -0,0 +1,213 @@
+import { Router } from "express";
+import {
+  FARM_COLLECTIONS,
+  FARM_FIELDS,
+  validateFields,
+  validateId,
+} from "./registry.js";
+
+// canAccess(req, farmId) limits the farm list to the caller's farms
+export const createFarmRouter = ({ registry, canAccess = () => true }) => {
+  const router = Router();
+
+  // Wrap a handler with the usual error response
+  const handle = (label, handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`${label} error:`, error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  // Resolve :farmId for nested routes, 404ing unknown farms
+  const loadFarm = async (req, res, next) => {
+    try {
+      req.farm = await registry.getFarm(req.params.farmId);
+      if (!req.farm) {
+        return res
+          .status(404)
+          .json({ error: `Farm ${req.params.farmId} not found` });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // ===========================================
+  // FARMS
+  // ===========================================
+
+  router.get(
+    "/",
+    handle("List farms", async (req, res) => {
+      const farms = await registry.listFarms();
+      res.json({ farms: farms.filter((farm) => canAccess(req, farm.id)) });
+    })
+  );
+
+  router.post(
+    "/",
+    handle("Create farm", async (req, res) => {
+      const { id } = req.body;
+      const { values, errors } = validateFields(FARM_FIELDS, req.body);
+      const idError = validateId(id);
+      if (idError) errors.unshift(idError);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid farm", details: errors });
+      }
+
+      if (await registry.getFarm(id)) {
+        return res.status(409).json({ error: `Farm ${id} already exists` });
+      }
+
+      res.status(201).json(await registry.createFarm(id, values));
+    })
+  );
+
+  router.get(
+    "/:farmId",
+    handle("Get farm", async (req, res) => {
+      const farm = await registry.getFarmDetails(req.params.farmId);
+      if (!farm) {
+        return res
+          .status(404)
+          .json({ error: `Farm ${req.params.farmId} not found` });
+      }
+      res.json(farm);
+    })
+  );
+
+  router.patch(
+    "/:farmId",
+    loadFarm,
+    handle("Update farm", async (req, res) => {
+      const { values, errors } = validateFields(FARM_FIELDS, req.body, {
+        partial: true,
+      });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid farm", details: errors });
+      }
+
+      res.json(await registry.updateFarm(req.farm.id, values));
+    })
+  );
+
+  router.delete(
+    "/:farmId",
+    loadFarm,
+    handle("Delete farm", async (req, res) => {
+      await registry.deleteFarm(req.farm.id);
+      res.status(204).end();
+    })
+  );
+
+  // ===========================================
+  // ZONES, CROPS, DEVICES AND EQUIPMENT
+  // ===========================================
+
+  for (const [collection, { fields }] of Object.entries(FARM_COLLECTIONS)) {
+    router.get(
+      `/:farmId/${collection}`,
+      loadFarm,
+      handle(`List ${collection}`, async (req, res) => {
+        res.json({
+          [collection]: await registry.listItems(collection, req.farm.id),
+        });
+      })
+    );
+
+    router.post(
+      `/:farmId/${collection}`,
+      loadFarm,
+      handle(`Create ${collection}`, async (req, res) => {
+        const { id } = req.body;
+        const { values, errors } = validateFields(fields, req.body);
+        const idError = validateId(id);
+        if (idError) errors.unshift(idError);
+        if (errors.length > 0) {
+          return res
+            .status(400)
+            .json({ error: `Invalid ${collection} entry`, details: errors });
+        }
+
+        if (await registry.getItem(collection, req.farm.id, id)) {
+          return res
+            .status(409)
+            .json({ error: `${id} already exists in ${collection}` });
+        }
+
+        res
+          .status(201)
+          .json(await registry.createItem(collection, req.farm.id, id, values));
+      })
+    );
+
+    router.get(
+      `/:farmId/${collection}/:id`,
+      loadFarm,
+      handle(`Get ${collection}`, async (req, res) => {
+        const item = await registry.getItem(
+          collection,
+          req.farm.id,
+          req.params.id
+        );
+        if (!item) {
+          return res
+            .status(404)
+            .json({ error: `${req.params.id} not found in ${collection}` });
+        }
+        res.json(item);
+      })
+    );
+
+    router.patch(
+      `/:farmId/${collection}/:id`,
+      loadFarm,
+      handle(`Update ${collection}`, async (req, res) => {
+        const { values, errors } = validateFields(fields, req.body, {
+          partial: true,
+        });
+        if (errors.length > 0) {
+          return res
+            .status(400)
+            .json({ error: `Invalid ${collection} entry`, details: errors });
+        }
+
+        const item = await registry.updateItem(
+          collection,
+          req.farm.id,
+          req.params.id,
+          values
+        );
+        if (!item) {
+          return res
+            .status(404)
+            .json({ error: `${req.params.id} not found in ${collection}` });
+        }
+        res.json(item);
+      })
+    );
+
+    router.delete(
+      `/:farmId/${collection}/:id`,
+      loadFarm,
+      handle(`Delete ${collection}`, async (req, res) => {
+        const deleted = await registry.deleteItem(
+          collection,
+          req.farm.id,
+          req.params.id
+        );
+        if (!deleted) {
+          return res
+            .status(404)
+            .json({ error: `${req.params.id} not found in ${collection}` });
+        }
+        res.status(204).end();
+      })
+    );
+  }
+
+  return router;
+};
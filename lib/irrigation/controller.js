@@ -0,0 +1,290 @@
+import { getLatestReadings } from "../sensors/readings.js";
+
+const MINUTE = 60 * 1000;
+
+// How long a deferred start waits before checking pump capacity again, and
+// how many checks it gets before giving up (an hour)
+const DEFER_DELAY_MS = 5 * MINUTE;
+const DEFER_ATTEMPTS = 12;
+
+// One pending deferred start per zone, so repeated requests don't pile up
+// and a stop can cancel it
+const deferredStartId = (farmId, zone) => `deferred-start-${farmId}-${zone}`;
+
+// The zone's start still waiting for pump capacity, if any
+export const pendingStart = async (irrigationQueue, farmId, zone) => {
+  const job = await irrigationQueue.getJob(deferredStartId(farmId, zone));
+  return job && (await job.isDelayed()) ? job : null;
+};
+
+// Close attempts before the pump is shut off as a safety measure
+const CLOSE_ATTEMPTS = 3;
+
+export const createIrrigationController = ({
+  driver,
+  runs,
+  irrigationQueue,
+  sendTaskNotification,
+  meters = null,
+  maxConcurrentZones = 1,
+  maxDailyMinutes = 120,
+  targetMoisture = 60,
+  minutesPerPercent = 1,
+}) => {
+  // Run time needed to bring a zone from its current moisture to target
+  const computeDuration = (moistureLevel) => {
+    if (moistureLevel == null) return 30;
+    const deficit = Math.max(targetMoisture - moistureLevel, 0);
+    return Math.min(Math.max(Math.round(deficit * minutesPerPercent), 5), 60);
+  };
+
+  // Equipment hour meters; a failure to record doesn't stop irrigation
+  const meter = async (action, farmId, type, zone) => {
+    try {
+      await meters?.[action](farmId, type, zone);
+    } catch (error) {
+      console.error(`Hour meter ${action} error on ${farmId}:`, error);
+    }
+  };
+
+  // Starts and stops on a farm run one at a time, so two start jobs can't
+  // both pass the pump capacity check. This holds within one process, which
+  // is where the irrigation queue is worked.
+  const farmLocks = new Map();
+  const serialized = (farmId, task) => {
+    const current = (farmLocks.get(farmId) ?? Promise.resolve()).then(task);
+    const settled = current.catch(() => {});
+    farmLocks.set(farmId, settled);
+    settled.then(() => {
+      if (farmLocks.get(farmId) === settled) farmLocks.delete(farmId);
+    });
+    return current;
+  };
+
+  const latestMoisture = (farmId, zone) =>
+    getLatestReadings(farmId, ["soil_moisture"]).find((r) => r.zone === zone)
+      ?.value;
+
+  // Stop the pump and abandon every run on the farm. Used when a valve
+  // can't be confirmed closed, so water doesn't flow unattended.
+  const emergencyShutoff = async (farmId, zone, cause) => {
+    console.error(`🚨 Emergency shut-off for ${farmId}: ${cause}`);
+
+    let pumpStopped = true;
+    try {
+      await driver.stopPump({ farmId });
+      await meter("stop", farmId, "pump");
+    } catch (error) {
+      pumpStopped = false;
+      console.error(`❌ Pump stop not acknowledged on ${farmId}:`, error);
+    }
+
+    // Close the other zones' valves before abandoning their runs, since
+    // their stop jobs will find them no longer running
+    const unclosed = [];
+    for (const run of await runs.running(farmId)) {
+      if (run.zone === zone) {
+        await runs.finish(run.id, { status: "shutoff", error: cause });
+        // No water flows through the stuck valve once the pump is off
+        if (pumpStopped) await meter("stop", farmId, "valve", zone);
+        continue;
+      }
+
+      let error = cause;
+      try {
+        await driver.closeValve({ farmId, zone: run.zone });
+        await meter("stop", farmId, "valve", run.zone);
+      } catch (closeError) {
+        unclosed.push(run.zone);
+        error = `${cause}; valve close not acknowledged: ${closeError.message}`;
+        console.error(`❌ Close ${farmId} ${run.zone} failed:`, closeError);
+        if (pumpStopped) await meter("stop", farmId, "valve", run.zone);
+      }
+      await runs.finish(run.id, { status: "interrupted", error });
+    }
+
+    await sendTaskNotification("equipment_failure", {
+      farmId,
+      zone,
+      equipment: `${zone} valve`,
+      cause,
+      pumpStopped,
+      ...(unclosed.length > 0 ? { unclosedZones: unclosed } : {}),
+    });
+  };
+
+  const startNow = async (data) => {
+    const { farmId, zone, reason } = data;
+    const running = await runs.running(farmId);
+
+    if (running.some((run) => run.zone === zone)) {
+      return { status: "already_running" };
+    }
+
+    // Interlock: the pump can only feed so many zones at once. The deferred
+    // start is retried by Bull (failing it keeps its job id) until there is
+    // capacity, a stop for the zone cancels it or it runs out of attempts.
+    if (running.length >= maxConcurrentZones) {
+      if (data.deferred) {
+        throw new Error(`No pump capacity on ${farmId} for ${zone} yet`);
+      }
+      await irrigationQueue.add(
+        "start-irrigation",
+        { ...data, deferred: true },
+        {
+          jobId: deferredStartId(farmId, zone),
+          delay: DEFER_DELAY_MS,
+          attempts: DEFER_ATTEMPTS,
+          backoff: { type: "fixed", delay: DEFER_DELAY_MS },
+          removeOnComplete: true,
+          removeOnFail: true,
+        }
+      );
+      return { status: "deferred", reason: "pump_capacity" };
+    }
+
+    // Interlock: cap each zone's total run time per rolling day
+    const usedMinutes = await runs.minutesInLastDay(farmId, zone);
+    const beforeLevel = data.moistureLevel ?? latestMoisture(farmId, zone);
+    const minutes = Math.min(
+      data.durationMinutes ?? computeDuration(beforeLevel),
+      Math.floor(maxDailyMinutes - usedMinutes)
+    );
+    if (minutes <= 0) {
+      console.warn(`⚠️ ${farmId} ${zone} reached its daily irrigation limit`);
+      return { status: "skipped", reason: "daily_runtime_limit" };
+    }
+
+    const runId = await runs.create({
+      farmId,
+      zone,
+      reason,
+      status: "running",
+      plannedMinutes: minutes,
+      beforeLevel,
+    });
+
+    try {
+      await driver.openValve({ farmId, zone });
+      await meter("start", farmId, "valve", zone);
+      if (running.length === 0) {
+        await driver.startPump({ farmId });
+        await meter("start", farmId, "pump");
+      }
+    } catch (error) {
+      console.error(
+        `❌ Failed to start irrigation on ${farmId} ${zone}:`,
+        error
+      );
+      await runs.finish(runId, { status: "failed", error: error.message });
+      await driver.closeValve({ farmId, zone }).catch(() => {});
+      await meter("stop", farmId, "valve", zone);
+      throw error;
+    }
+
+    // The stop is a delayed job so it survives a restart of this service
+    await irrigationQueue.add(
+      "stop-irrigation",
+      { runId, farmId, zone },
+      { delay: minutes * MINUTE, jobId: `stop-irrigation-${runId}` }
+    );
+
+    await sendTaskNotification("irrigation_started", {
+      farmId,
+      zone,
+      reason: reason || "manual",
+      moistureLevel: beforeLevel,
+      durationMinutes: minutes,
+      litres: data.litres,
+    });
+
+    return { status: "irrigating", runId, durationMinutes: minutes };
+  };
+
+  const start = (data) => serialized(data.farmId, () => startNow(data));
+
+  const stopNow = async (runId) => {
+    const run = await runs.get(runId);
+    if (!run || run.status !== "running") return { status: "not_running" };
+
+    const { farmId, zone } = run;
+    const others = (await runs.running(farmId)).filter((r) => r.id !== runId);
+
+    // Last zone open: stop the pump before closing the valve
+    if (others.length === 0) {
+      await driver
+        .stopPump({ farmId })
+        .then(() => meter("stop", farmId, "pump"))
+        .catch((error) => {
+          console.error(`❌ Pump stop not acknowledged on ${farmId}:`, error);
+        });
+    }
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= CLOSE_ATTEMPTS; attempt++) {
+      try {
+        await driver.closeValve({ farmId, zone });
+        await meter("stop", farmId, "valve", zone);
+        lastError = null;
+        break;
+      } catch (error) {
+        lastError = error;
+        console.warn(
+          `⚠️ Close ${farmId} ${zone} attempt ${attempt} failed: ${error.message}`
+        );
+      }
+    }
+
+    if (lastError) {
+      await emergencyShutoff(
+        farmId,
+        zone,
+        `valve close not acknowledged: ${lastError.message}`
+      );
+      return { status: "shutoff", runId };
+    }
+
+    await runs.finish(runId, { status: "awaiting_reading" });
+    return { status: "stopped", runId };
+  };
+
+  const stop = async (runId) => {
+    const run = await runs.get(runId);
+    if (!run) return { status: "not_running" };
+    return serialized(run.farmId, () => stopNow(runId));
+  };
+
+  // Stop whatever is running on a zone, e.g. on a farmer's request, and drop
+  // a start still waiting for pump capacity
+  const stopZone = (farmId, zone) =>
+    serialized(farmId, async () => {
+      const deferred = await pendingStart(irrigationQueue, farmId, zone);
+      if (deferred) await deferred.remove();
+
+      const run = (await runs.running(farmId)).find((r) => r.zone === zone);
+      if (!run) return { status: deferred ? "cancelled" : "not_running" };
+      return stopNow(run.id);
+    });
+
+  // Close out finished runs with the first soil moisture reading after them
+  const recordMoisture = async ({ farmId, zone, value, timestamp }) => {
+    const pending = await runs.awaitingReading(
+      farmId,
+      zone,
+      new Date(timestamp).getTime()
+    );
+
+    for (const run of pending) {
+      await runs.complete(run.id, value);
+      await sendTaskNotification("irrigation_completed", {
+        farmId,
+        zone,
+        beforeLevel: run.beforeLevel,
+        afterLevel: value,
+        durationMinutes: run.plannedMinutes,
+      });
+    }
+  };
+
+  return { start, stop, stopZone, recordMoisture };
+};
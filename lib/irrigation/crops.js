@@ -0,0 +1,106 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Crop parameters from FAO-56 Tables 11, 12 and 22.
+//   kc         crop coefficient at the initial, mid-season and end stages
+//   stageDays  length of the initial, development, mid-season and late stages
+//   rootDepth  maximum effective rooting depth, m
+//   depletion  fraction of available water that can be used before stress (p)
+export const CROP_PARAMETERS = {
+  maize: {
+    kc: { initial: 0.3, mid: 1.2, end: 0.6 },
+    stageDays: [25, 40, 45, 30],
+    rootDepth: 1.0,
+    depletion: 0.55,
+  },
+  beans: {
+    kc: { initial: 0.4, mid: 1.15, end: 0.35 },
+    stageDays: [20, 30, 40, 20],
+    rootDepth: 0.6,
+    depletion: 0.45,
+  },
+  tomatoes: {
+    kc: { initial: 0.6, mid: 1.15, end: 0.8 },
+    stageDays: [30, 40, 45, 30],
+    rootDepth: 0.7,
+    depletion: 0.4,
+  },
+  // Used for zones without a registered planting
+  default: {
+    kc: { initial: 0.5, mid: 1.0, end: 0.8 },
+    stageDays: [25, 35, 40, 25],
+    rootDepth: 0.6,
+    depletion: 0.5,
+  },
+};
+
+// Volumetric water content (%) at field capacity and wilting point
+export const SOIL_PROPERTIES = {
+  sand: { fieldCapacity: 12, wiltingPoint: 4 },
+  loamy_sand: { fieldCapacity: 15, wiltingPoint: 6 },
+  sandy_loam: { fieldCapacity: 22, wiltingPoint: 10 },
+  loam: { fieldCapacity: 27, wiltingPoint: 12 },
+  silt_loam: { fieldCapacity: 30, wiltingPoint: 13 },
+  clay_loam: { fieldCapacity: 34, wiltingPoint: 20 },
+  clay: { fieldCapacity: 40, wiltingPoint: 25 },
+};
+
+export const SOIL_TYPES = Object.keys(SOIL_PROPERTIES);
+
+export const GROWTH_STAGES = ["initial", "development", "mid", "late"];
+
+export const cropParameters = (crop) =>
+  CROP_PARAMETERS[crop?.toLowerCase()] || CROP_PARAMETERS.default;
+
+// Stage lengths in days. With an expected harvest date they are scaled to
+// that season, since early and late varieties differ mostly in length.
+export const stageDaysFor = (crop, plantedOn, harvestOn) => {
+  const { stageDays } = cropParameters(crop);
+  if (!plantedOn || !harvestOn) return stageDays;
+
+  const season = (new Date(harvestOn) - new Date(plantedOn)) / DAY;
+  const total = stageDays.reduce((sum, days) => sum + days, 0);
+  return season > 0
+    ? stageDays.map((days) => (days * season) / total)
+    : stageDays;
+};
+
+// Growth stage and Kc for a crop planted on `plantedOn` (FAO-56 Fig. 25):
+// flat through the initial stage, linear to mid-season, flat, then linear
+// down to the end value.
+export const cropCoefficient = (
+  crop,
+  plantedOn,
+  date = new Date(),
+  harvestOn = null
+) => {
+  const { kc } = cropParameters(crop);
+  const stageDays = stageDaysFor(crop, plantedOn, harvestOn);
+  if (!plantedOn) return { stage: "mid", kc: kc.mid, daysAfterPlanting: null };
+
+  const day = Math.floor(
+    (date.getTime() - new Date(plantedOn).getTime()) / DAY
+  );
+  const [initial, development, mid, late] = stageDays;
+
+  if (day < initial) {
+    return { stage: "initial", kc: kc.initial, daysAfterPlanting: day };
+  }
+  if (day < initial + development) {
+    const progress = (day - initial) / development;
+    return {
+      stage: "development",
+      kc: kc.initial + progress * (kc.mid - kc.initial),
+      daysAfterPlanting: day,
+    };
+  }
+  if (day < initial + development + mid) {
+    return { stage: "mid", kc: kc.mid, daysAfterPlanting: day };
+  }
+
+  const progress = Math.min((day - initial - development - mid) / late, 1);
+  return {
+    stage: "late",
+    kc: kc.mid + progress * (kc.end - kc.mid),
+    daysAfterPlanting: day,
+  };
+};
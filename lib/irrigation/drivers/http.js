@@ -0,0 +1,41 @@
+// Relay boards exposing a small HTTP API:
+//   PUT {baseUrl}/farms/:farmId/zones/:zone/valve  { "state": "open" }
+//   PUT {baseUrl}/farms/:farmId/pump               { "state": "running" }
+// A command counts as acknowledged when the relay answers 2xx with the
+// requested state in its JSON body.
+export const createHttpDriver = ({ baseUrl, token, ackTimeoutMs = 10000 }) => {
+  const command = async (path, state) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify({ state }),
+      signal: AbortSignal.timeout(ackTimeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Relay ${path} responded ${response.status}`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (body.state !== state) {
+      throw new Error(`Relay ${path} did not confirm state "${state}"`);
+    }
+  };
+
+  const valvePath = ({ farmId, zone }) =>
+    `/farms/${encodeURIComponent(farmId)}/zones/${encodeURIComponent(
+      zone
+    )}/valve`;
+  const pumpPath = ({ farmId }) => `/farms/${encodeURIComponent(farmId)}/pump`;
+
+  return {
+    name: "http",
+    openValve: (target) => command(valvePath(target), "open"),
+    closeValve: (target) => command(valvePath(target), "closed"),
+    startPump: (target) => command(pumpPath(target), "running"),
+    stopPump: (target) => command(pumpPath(target), "stopped"),
+  };
+};
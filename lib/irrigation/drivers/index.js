@@ -0,0 +1,33 @@
+import { createHttpDriver } from "./http.js";
+import { createMqttDriver } from "./mqtt.js";
+import { createSimulatorDriver } from "./simulator.js";
+
+// Every driver implements openValve, closeValve, startPump and stopPump.
+// Each resolves once the hardware acknowledges and rejects otherwise.
+export const createActuatorDriver = (env = process.env) => {
+  const ackTimeoutMs = parseInt(env.IRRIGATION_ACK_TIMEOUT_MS) || 10000;
+
+  switch (env.IRRIGATION_DRIVER || "simulator") {
+    case "http":
+      return createHttpDriver({
+        baseUrl: env.IRRIGATION_HTTP_URL,
+        token: env.IRRIGATION_HTTP_TOKEN,
+        ackTimeoutMs,
+      });
+
+    case "mqtt":
+      return createMqttDriver({
+        url: env.MQTT_URL,
+        username: env.MQTT_USERNAME,
+        password: env.MQTT_PASSWORD,
+        prefix: env.IRRIGATION_MQTT_PREFIX,
+        ackTimeoutMs,
+      });
+
+    case "simulator":
+      return createSimulatorDriver();
+
+    default:
+      throw new Error(`Unknown IRRIGATION_DRIVER "${env.IRRIGATION_DRIVER}"`);
+  }
+};
@@ -0,0 +1,80 @@
+import mqtt from "mqtt";
+
+// Actuators listening on MQTT command topics:
+//   {prefix}/{farmId}/zone/{zone}/valve/set  -> "open" | "closed"
+//   {prefix}/{farmId}/pump/set               -> "running" | "stopped"
+// and reporting back on the matching ".../state" topic. A command counts as
+// acknowledged once the state topic reports the requested state; retained
+// state messages, replayed by the broker on subscribe, are stale and don't
+// count.
+export const createMqttDriver = ({
+  url,
+  username,
+  password,
+  prefix = "farm",
+  ackTimeoutMs = 10000,
+  connect = mqtt.connect,
+}) => {
+  const client = connect(url, {
+    clientId: `locci-farm-actuators-${process.pid}`,
+    username,
+    password,
+    reconnectPeriod: 5000,
+  });
+  client.on("error", (error) => console.error("MQTT actuator error:", error));
+
+  // Commands waiting on each state topic, so one finishing doesn't
+  // unsubscribe another still waiting on the same topic
+  const waiting = new Map();
+
+  const command = (topic, state) =>
+    new Promise((resolve, reject) => {
+      const stateTopic = `${topic}/state`;
+      waiting.set(stateTopic, (waiting.get(stateTopic) || 0) + 1);
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        client.removeListener("message", onMessage);
+        const count = waiting.get(stateTopic) - 1;
+        if (count > 0) {
+          waiting.set(stateTopic, count);
+        } else {
+          waiting.delete(stateTopic);
+          client.unsubscribe(stateTopic);
+        }
+      };
+
+      const onMessage = (receivedTopic, payload, packet) => {
+        if (receivedTopic !== stateTopic || packet?.retain) return;
+        if (payload.toString().trim() !== state) return;
+        cleanup();
+        resolve();
+      };
+
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`${topic} did not acknowledge "${state}"`));
+      }, ackTimeoutMs);
+
+      client.on("message", onMessage);
+      client.subscribe(stateTopic, { qos: 1 }, (error) => {
+        if (error) {
+          cleanup();
+          return reject(error);
+        }
+        client.publish(`${topic}/set`, state, { qos: 1 });
+      });
+    });
+
+  const valveTopic = ({ farmId, zone }) =>
+    `${prefix}/${farmId}/zone/${zone}/valve`;
+  const pumpTopic = ({ farmId }) => `${prefix}/${farmId}/pump`;
+
+  return {
+    name: "mqtt",
+    openValve: (target) => command(valveTopic(target), "open"),
+    closeValve: (target) => command(valveTopic(target), "closed"),
+    startPump: (target) => command(pumpTopic(target), "running"),
+    stopPump: (target) => command(pumpTopic(target), "stopped"),
+  };
+};
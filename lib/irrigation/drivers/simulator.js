@@ -0,0 +1,49 @@
+// In-memory actuator for development and tests. Commands listed in
+// `failCommands` (e.g. ["closeValve"]) reject as if never acknowledged.
+export const createSimulatorDriver = ({
+  latencyMs = 50,
+  failCommands = [],
+} = {}) => {
+  const valves = new Map();
+  const pumps = new Map();
+
+  const acknowledge = (command) =>
+    new Promise((resolve, reject) =>
+      setTimeout(() => {
+        if (failCommands.includes(command)) {
+          reject(new Error(`${command} was not acknowledged`));
+        } else {
+          resolve();
+        }
+      }, latencyMs)
+    );
+
+  return {
+    name: "simulator",
+
+    openValve: async ({ farmId, zone }) => {
+      await acknowledge("openValve");
+      valves.set(`${farmId}:${zone}`, "open");
+    },
+
+    closeValve: async ({ farmId, zone }) => {
+      await acknowledge("closeValve");
+      valves.set(`${farmId}:${zone}`, "closed");
+    },
+
+    startPump: async ({ farmId }) => {
+      await acknowledge("startPump");
+      pumps.set(farmId, "running");
+    },
+
+    stopPump: async ({ farmId }) => {
+      await acknowledge("stopPump");
+      pumps.set(farmId, "stopped");
+    },
+
+    state: () => ({
+      valves: Object.fromEntries(valves),
+      pumps: Object.fromEntries(pumps),
+    }),
+  };
+};
@@ -0,0 +1,85 @@
+// FAO-56 Penman-Monteith reference evapotranspiration (Allen et al., 1998).
+// Equation numbers refer to FAO Irrigation and Drainage Paper No. 56.
+
+const SOLAR_CONSTANT = 0.082; // MJ m-2 min-1
+const STEFAN_BOLTZMANN = 4.903e-9; // MJ K-4 m-2 day-1
+
+// Saturation vapour pressure at temperature t (°C), kPa (eq. 11)
+const saturationVapourPressure = (t) =>
+  0.6108 * Math.exp((17.27 * t) / (t + 237.3));
+
+const dayOfYear = (date) => {
+  const start = Date.UTC(date.getUTCFullYear(), 0, 0);
+  return Math.floor((date.getTime() - start) / (24 * 60 * 60 * 1000));
+};
+
+// Extraterrestrial radiation for a latitude and date, MJ m-2 day-1 (eq. 21)
+export const extraterrestrialRadiation = (latitude, date) => {
+  const phi = (latitude * Math.PI) / 180;
+  const j = dayOfYear(date);
+  const dr = 1 + 0.033 * Math.cos(((2 * Math.PI) / 365) * j); // eq. 23
+  const delta = 0.409 * Math.sin(((2 * Math.PI) / 365) * j - 1.39); // eq. 24
+  const ws = Math.acos(-Math.tan(phi) * Math.tan(delta)); // eq. 25
+
+  return (
+    ((24 * 60) / Math.PI) *
+    SOLAR_CONSTANT *
+    dr *
+    (ws * Math.sin(phi) * Math.sin(delta) +
+      Math.cos(phi) * Math.cos(delta) * Math.sin(ws))
+  );
+};
+
+// Daily ET0 in mm/day.
+//   tMin, tMax     daily air temperature extremes, °C
+//   rhMean         mean relative humidity, %
+//   windSpeed      mean wind speed at 2 m, m/s
+//   solarRadiation daily shortwave radiation, MJ m-2 day-1; estimated from
+//                  the temperature range (Hargreaves, eq. 50) when missing
+//   latitude       decimal degrees, negative south of the equator
+//   elevation      metres above sea level
+export const referenceEt0 = ({
+  tMin,
+  tMax,
+  rhMean,
+  windSpeed = 2, // FAO-56 default when wind isn't measured
+  solarRadiation,
+  latitude,
+  elevation = 0,
+  date = new Date(),
+}) => {
+  const tMean = (tMax + tMin) / 2;
+
+  // Psychrometric constant from atmospheric pressure (eqs. 7, 8)
+  const pressure = 101.3 * Math.pow((293 - 0.0065 * elevation) / 293, 5.26);
+  const gamma = 0.000665 * pressure;
+
+  // Slope of the saturation vapour pressure curve (eq. 13)
+  const slope =
+    (4098 * saturationVapourPressure(tMean)) / Math.pow(tMean + 237.3, 2);
+
+  // Vapour pressure deficit (eqs. 12, 19)
+  const es =
+    (saturationVapourPressure(tMax) + saturationVapourPressure(tMin)) / 2;
+  const ea = (rhMean / 100) * es;
+
+  // Net radiation (eqs. 37, 38, 39, 40)
+  const ra = extraterrestrialRadiation(latitude, date);
+  const rs = solarRadiation ?? 0.16 * Math.sqrt(Math.max(tMax - tMin, 0)) * ra;
+  const rso = (0.75 + 2e-5 * elevation) * ra;
+  const rns = 0.77 * rs;
+  const rnl =
+    STEFAN_BOLTZMANN *
+    ((Math.pow(tMax + 273.16, 4) + Math.pow(tMin + 273.16, 4)) / 2) *
+    (0.34 - 0.14 * Math.sqrt(ea)) *
+    (1.35 * Math.min(rs / rso, 1) - 0.35);
+  const rn = rns - rnl;
+
+  // Soil heat flux is negligible on a daily step (G = 0)
+  const et0 =
+    (0.408 * slope * rn +
+      gamma * (900 / (tMean + 273)) * windSpeed * (es - ea)) /
+    (slope + gamma * (1 + 0.34 * windSpeed));
+
+  return Math.max(et0, 0);
+};
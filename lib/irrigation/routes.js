@@ -0,0 +1,141 @@
+import { Router } from "express";
+import { refuseStaleQueued } from "../security/queued.js";
+import { pendingStart } from "./controller.js";
+
+// Longest manual run, matching the SMS WATER command
+const MAX_MANUAL_MINUTES = 240;
+
+// Mounted at /api/farms/:farmId/irrigation: manual watering from the
+// dashboard. Starts and stops go through the irrigation queue like SMS and
+// USSD requests, so the controller's interlocks still apply.
+//
+// Actions a phone queued while offline are replayed with X-Queued-At. A
+// queued start older than maxQueuedMinutes is refused with a 409: watering
+// on a stale request could flood a zone someone has since seen to. Stops
+// are always safe to apply late.
+export const createIrrigationRouter = ({
+  registry,
+  runs,
+  irrigationQueue,
+  maxQueuedMinutes = 15,
+}) => {
+  const router = Router({ mergeParams: true });
+
+  const loadFarm = async (req, res, next) => {
+    try {
+      if (!(await registry.getFarm(req.params.farmId))) {
+        return res
+          .status(404)
+          .json({ error: `Farm ${req.params.farmId} not found` });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  const loadZone = async (req, res, next) => {
+    try {
+      const { farmId, zone } = req.params;
+      req.zone = await registry.getItem("zones", farmId, zone);
+      if (!req.zone) {
+        return res.status(404).json({ error: `Zone ${zone} not found` });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  router.use(loadFarm);
+
+  router.get("/", async (req, res) => {
+    try {
+      const { farmId } = req.params;
+      res.json({
+        running: await runs.running(farmId),
+        recent: await runs.list(farmId, { limit: 20 }),
+      });
+    } catch (error) {
+      console.error("Irrigation runs error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  const refuseStale = refuseStaleQueued({
+    maxQueuedMinutes,
+    hint: "start watering again if it's still needed",
+  });
+
+  router.post("/zones/:zone/start", loadZone, refuseStale, async (req, res) => {
+    try {
+      const { farmId, zone } = req.params;
+      const { durationMinutes } = req.body || {};
+      if (
+        durationMinutes !== undefined &&
+        !(
+          Number.isInteger(durationMinutes) &&
+          durationMinutes >= 1 &&
+          durationMinutes <= MAX_MANUAL_MINUTES
+        )
+      ) {
+        return res.status(400).json({
+          error: "Invalid irrigation request",
+          details: [
+            `durationMinutes must be between 1 and ${MAX_MANUAL_MINUTES}`,
+          ],
+        });
+      }
+
+      const run = (await runs.running(farmId)).find((r) => r.zone === zone);
+      if (run) {
+        return res.status(409).json({
+          error: `Zone ${zone} is already irrigating`,
+          conflict: "already_running",
+          run,
+        });
+      }
+
+      const job = await irrigationQueue.add("start-irrigation", {
+        farmId,
+        zone,
+        reason: "dashboard_request",
+        durationMinutes,
+        requestedBy: req.actor?.name,
+        timestamp: new Date().toISOString(),
+      });
+      res.status(202).json({ status: "queued", jobId: job.id });
+    } catch (error) {
+      console.error("Start irrigation error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post("/zones/:zone/stop", loadZone, async (req, res) => {
+    try {
+      const { farmId, zone } = req.params;
+      const run = (await runs.running(farmId)).find((r) => r.zone === zone);
+      if (!run && !(await pendingStart(irrigationQueue, farmId, zone))) {
+        return res.status(409).json({
+          error: `Zone ${zone} is not irrigating`,
+          conflict: "not_running",
+        });
+      }
+
+      // A zone stop also cancels a start waiting for pump capacity
+      const job = await irrigationQueue.add("stop-irrigation", {
+        farmId,
+        zone,
+        requestedBy: req.actor?.name,
+      });
+      res
+        .status(202)
+        .json({ status: "queued", jobId: job.id, runId: run?.id ?? null });
+    } catch (error) {
+      console.error("Stop irrigation error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
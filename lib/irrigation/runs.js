@@ -0,0 +1,141 @@
+// Irrigation run lifecycle:
+//   running -> awaiting_reading -> completed   (normal run)
+//   running -> shutoff                         (close not acknowledged)
+//   running -> interrupted                     (pump stopped by a shut-off)
+//   failed                                     (valve or pump never started)
+const fromRow = (row) => ({
+  id: Number(row.id),
+  farmId: row.farm_id,
+  zone: row.zone,
+  reason: row.reason,
+  status: row.status,
+  plannedMinutes: row.planned_minutes,
+  startedAt: new Date(Number(row.started_at)).toISOString(),
+  endedAt: row.ended_at ? new Date(Number(row.ended_at)).toISOString() : null,
+  beforeLevel: row.before_level,
+  afterLevel: row.after_level,
+  error: row.error,
+});
+
+export const createRunStore = (db) => {
+  const get = async (id) => {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM irrigation_runs WHERE id = ?",
+      args: [id],
+    });
+    return rows[0] ? fromRow(rows[0]) : null;
+  };
+
+  const running = async (farmId) => {
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM irrigation_runs
+        WHERE farm_id = ? AND status = 'running' ORDER BY started_at`,
+      args: [farmId],
+    });
+    return rows.map(fromRow);
+  };
+
+  const list = async (farmId, { limit = 50 } = {}) => {
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM irrigation_runs
+        WHERE farm_id = ? ORDER BY started_at DESC LIMIT ?`,
+      args: [farmId, limit],
+    });
+    return rows.map(fromRow);
+  };
+
+  const create = async ({
+    farmId,
+    zone,
+    reason,
+    status,
+    plannedMinutes,
+    beforeLevel,
+  }) => {
+    const { lastInsertRowid } = await db.execute({
+      sql: `INSERT INTO irrigation_runs
+        (farm_id, zone, reason, status, planned_minutes, started_at, before_level)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        farmId,
+        zone,
+        reason ?? null,
+        status,
+        plannedMinutes,
+        Date.now(),
+        beforeLevel ?? null,
+      ],
+    });
+    return Number(lastInsertRowid);
+  };
+
+  const finish = async (id, { status, error = null }) => {
+    await db.execute({
+      sql: `UPDATE irrigation_runs SET status = ?, ended_at = ?, error = ?
+        WHERE id = ?`,
+      args: [status, Date.now(), error, id],
+    });
+  };
+
+  // Minutes a zone has run (or is planned to run) in the last 24 hours
+  const minutesInLastDay = async (farmId, zone) => {
+    const now = Date.now();
+    const { rows } = await db.execute({
+      sql: `SELECT COALESCE(SUM(
+          CASE WHEN ended_at IS NULL THEN planned_minutes
+            ELSE (ended_at - started_at) / 60000.0 END
+        ), 0) AS minutes
+        FROM irrigation_runs
+        WHERE farm_id = ? AND zone = ? AND started_at >= ?
+          AND status != 'failed'`,
+      args: [farmId, zone, now - 24 * 60 * 60 * 1000],
+    });
+    return rows[0].minutes;
+  };
+
+  // Minutes of water delivered to a zone since a point in time, counting
+  // only finished runs
+  const minutesSince = async (farmId, zone, since) => {
+    const { rows } = await db.execute({
+      sql: `SELECT COALESCE(SUM(
+          (ended_at - MAX(started_at, ?)) / 60000.0
+        ), 0) AS minutes
+        FROM irrigation_runs
+        WHERE farm_id = ? AND zone = ? AND ended_at >= ?
+          AND status != 'failed'`,
+      args: [since, farmId, zone, since],
+    });
+    return rows[0].minutes;
+  };
+
+  // Runs that finished before this reading and still need their after level
+  const awaitingReading = async (farmId, zone, recordedAt) => {
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM irrigation_runs
+        WHERE farm_id = ? AND zone = ? AND status = 'awaiting_reading'
+          AND ended_at <= ?`,
+      args: [farmId, zone, recordedAt],
+    });
+    return rows.map(fromRow);
+  };
+
+  const complete = async (id, afterLevel) => {
+    await db.execute({
+      sql: `UPDATE irrigation_runs SET status = 'completed', after_level = ?
+        WHERE id = ?`,
+      args: [afterLevel, id],
+    });
+  };
+
+  return {
+    get,
+    running,
+    list,
+    create,
+    finish,
+    minutesInLastDay,
+    minutesSince,
+    awaitingReading,
+    complete,
+  };
+};
@@ -0,0 +1,219 @@
+import { currentPlanting } from "../calendar/plantings.js";
+import { getLatestReadings } from "../sensors/readings.js";
+import { SOIL_PROPERTIES, cropCoefficient, cropParameters } from "./crops.js";
+import { referenceEt0 } from "./et0.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Share of measured rainfall that reaches the root zone
+const EFFECTIVE_RAINFALL = 0.8;
+
+// Soil moisture readings younger than this override the modelled depletion
+const FRESH_READING_MS = HOUR;
+
+// After a longer gap between assessments only this much is caught up on
+const MAX_CATCH_UP_DAYS = 10;
+
+// Root-zone water balance per zone (FAO-56 chapter 8):
+//   Dr = Dr(prev) + ETc - effective rain - net irrigation
+// Irrigation is due once depletion Dr reaches the readily available water.
+// With a weather forecast, rain expected over the next rainHours is counted
+// before watering: enough of it skips the run, some of it shortens it.
+export const createWaterBalance = ({
+  db,
+  readingStore,
+  runs,
+  forecast,
+  rainHours = 24,
+  latitude = -1.29,
+  elevation = 0,
+  efficiency = 0.8,
+}) => {
+  const getState = async (farmId, zone) => {
+    const { rows } = await db.execute({
+      sql: `SELECT depletion_mm, updated_at FROM zone_water_balance
+        WHERE farm_id = ? AND zone = ?`,
+      args: [farmId, zone],
+    });
+    return rows[0]
+      ? {
+          depletion: rows[0].depletion_mm,
+          updatedAt: Number(rows[0].updated_at),
+        }
+      : null;
+  };
+
+  const saveState = async (farmId, zone, depletion, updatedAt) => {
+    await db.execute({
+      sql: `INSERT INTO zone_water_balance (farm_id, zone, depletion_mm, updated_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (farm_id, zone) DO UPDATE SET
+          depletion_mm = excluded.depletion_mm,
+          updated_at = excluded.updated_at`,
+      args: [farmId, zone, depletion, updatedAt],
+    });
+  };
+
+  // Daily ET0 from the last 24 hours of weather readings
+  const dailyEt0 = async (farm, now) => {
+    const window = { farmId: farm.id, from: now - DAY, to: now };
+    const [temperature, humidity, wind, radiation] = await Promise.all(
+      ["temperature", "humidity", "wind_speed", "solar_radiation"].map(
+        (metric) => readingStore.summarize({ ...window, metric })
+      )
+    );
+    if (!temperature || !humidity) return null;
+
+    return referenceEt0({
+      tMin: temperature.min,
+      tMax: temperature.max,
+      rhMean: humidity.avg,
+      windSpeed: wind ? wind.avg / 3.6 : undefined,
+      // Mean W/m² over a day to MJ m-2 day-1
+      solarRadiation: radiation ? radiation.avg * 0.0864 : undefined,
+      latitude: farm.latitude ?? latitude,
+      elevation: farm.elevationM ?? elevation,
+      date: new Date(now),
+    });
+  };
+
+  // Rain that fell on the zone: the mean of its own gauges, or of the farm's
+  // when it has none, so several gauges aren't added up
+  const gaugeRainMm = async (farmId, zone, from, to) => {
+    const window = { farmId, metric: "rainfall", from, to };
+    let gauges = await readingStore.deviceTotals({ ...window, zone });
+    if (gauges.length === 0) gauges = await readingStore.deviceTotals(window);
+    return gauges.length > 0
+      ? gauges.reduce((sum, gauge) => sum + gauge.sum, 0) / gauges.length
+      : 0;
+  };
+
+  // Assess one zone, update its stored depletion and work out how much
+  // water it needs. `crops` are the farm's registered crops; the zone's
+  // growing planting sets Kc by growth stage, over its own season length.
+  const assessZone = async (farm, zone, crops, now = Date.now()) => {
+    const planting = currentPlanting(crops, zone.id, new Date(now));
+    const cropName = planting?.name;
+    const { rootDepth, depletion: p } = cropParameters(cropName);
+    const { stage, kc } = cropCoefficient(
+      cropName,
+      planting?.plantedOn,
+      new Date(now),
+      planting?.expectedHarvestOn
+    );
+    const soil = SOIL_PROPERTIES[zone.soilType] || SOIL_PROPERTIES.loam;
+
+    // Total and readily available water in the root zone, mm
+    const taw =
+      ((soil.fieldCapacity - soil.wiltingPoint) / 100) * 1000 * rootDepth;
+    const raw = p * taw;
+    const areaM2 = zone.areaHa ? zone.areaHa * 10000 : null;
+
+    const state = await getState(farm.id, zone.id);
+    const since = Math.max(
+      state?.updatedAt ?? now,
+      now - MAX_CATCH_UP_DAYS * DAY
+    );
+
+    // Crop ET over the same window as the rain, a day of weather at a time.
+    // Days without weather readings take today's ET0.
+    const et0 = await dailyEt0(farm, now);
+    let etc = 0;
+    for (let end = now; end > since; end -= DAY) {
+      const days = (end - Math.max(end - DAY, since)) / DAY;
+      const dayEt0 = end === now ? et0 : (await dailyEt0(farm, end)) ?? et0;
+      if (dayEt0 == null) continue;
+      const { kc: dayKc } = cropCoefficient(
+        cropName,
+        planting?.plantedOn,
+        new Date(end),
+        planting?.expectedHarvestOn
+      );
+      etc += dayEt0 * dayKc * days;
+    }
+
+    const effectiveRain =
+      (await gaugeRainMm(farm.id, zone.id, since, now)) * EFFECTIVE_RAINFALL;
+
+    // Net depth applied by runs since the last assessment
+    const appliedMinutes = await runs.minutesSince(farm.id, zone.id, since);
+    const appliedMm =
+      areaM2 && zone.flowRateLpm
+        ? (appliedMinutes * zone.flowRateLpm * efficiency) / areaM2
+        : 0;
+
+    let depletion = Math.min(
+      Math.max((state?.depletion ?? 0) + etc - effectiveRain - appliedMm, 0),
+      taw
+    );
+    let source = et0 != null ? "water_balance" : "no_weather";
+
+    // A fresh volumetric soil moisture reading beats the model
+    const moisture = getLatestReadings(farm.id, ["soil_moisture"]).find(
+      (reading) => reading.zone === zone.id
+    );
+    if (
+      moisture &&
+      now - new Date(moisture.timestamp).getTime() < FRESH_READING_MS
+    ) {
+      depletion = Math.min(
+        Math.max(
+          ((soil.fieldCapacity - moisture.value) / 100) * 1000 * rootDepth,
+          0
+        ),
+        taw
+      );
+      source = "soil_moisture";
+    }
+
+    if (et0 == null && source !== "soil_moisture") {
+      return { zone: zone.id, status: "no_data" };
+    }
+
+    await saveState(farm.id, zone.id, depletion, now);
+
+    // Skip watering when forecast rain brings the zone back under the
+    // readily available water, otherwise apply only what it won't cover
+    const forecastRain = forecast
+      ? (await forecast.rainMm(farm.id, rainHours, now)) * EFFECTIVE_RAINFALL
+      : 0;
+    const deficit = depletion >= raw;
+    const netMm = Math.max(depletion - forecastRain, 0);
+    const needsIrrigation = deficit && netMm >= raw;
+    const rainAdjustment =
+      !deficit || forecastRain === 0
+        ? null
+        : needsIrrigation
+        ? "reduced"
+        : "skipped";
+    const grossMm = netMm / efficiency;
+    const litres = needsIrrigation && areaM2 ? grossMm * areaM2 : null;
+    const durationMinutes =
+      litres && zone.flowRateLpm ? Math.ceil(litres / zone.flowRateLpm) : null;
+
+    return {
+      zone: zone.id,
+      status: "assessed",
+      source,
+      crop: cropName || null,
+      stage,
+      kc: Number(kc.toFixed(2)),
+      et0Mm: et0 != null ? Number(et0.toFixed(2)) : null,
+      etcMm: Number(etc.toFixed(2)),
+      effectiveRainMm: Number(effectiveRain.toFixed(2)),
+      forecastRainMm: Number(forecastRain.toFixed(2)),
+      appliedMm: Number(appliedMm.toFixed(2)),
+      depletionMm: Number(depletion.toFixed(1)),
+      readilyAvailableMm: Number(raw.toFixed(1)),
+      totalAvailableMm: Number(taw.toFixed(1)),
+      needsIrrigation,
+      rainAdjustment,
+      grossMm: needsIrrigation ? Number(grossMm.toFixed(1)) : 0,
+      litres: litres != null ? Math.round(litres) : null,
+      durationMinutes,
+    };
+  };
+
+  return { assessZone };
+};
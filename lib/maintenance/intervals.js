@@ -0,0 +1,76 @@
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// An asset's service intervals, by runtime hours, calendar days or both
+// (whichever comes first), e.g.
+//   [{ task: "Replace pump seals", everyHours: 500 },
+//    { task: "Annual service", everyDays: 365 }]
+export const validateServiceIntervals = (intervals) => {
+  const tasks = new Set();
+  for (const interval of intervals) {
+    if (!interval || typeof interval !== "object" || Array.isArray(interval)) {
+      return "serviceIntervals must be a list of { task, everyHours, everyDays }";
+    }
+    const { task, everyHours, everyDays } = interval;
+    if (typeof task !== "string" || !task.trim()) {
+      return "each service interval needs a task";
+    }
+    if (tasks.has(task)) return `service interval "${task}" is listed twice`;
+    tasks.add(task);
+
+    if (everyHours === undefined && everyDays === undefined) {
+      return `service interval "${task}" needs everyHours or everyDays`;
+    }
+    if (
+      everyHours !== undefined &&
+      !(typeof everyHours === "number" && everyHours > 0)
+    ) {
+      return `everyHours for "${task}" must be a positive number`;
+    }
+    if (
+      everyDays !== undefined &&
+      !(Number.isInteger(everyDays) && everyDays > 0)
+    ) {
+      return `everyDays for "${task}" must be a positive whole number`;
+    }
+  }
+  return null;
+};
+
+// Where an interval stands since its last service (or installation):
+//   ok       nothing due within leadDays
+//   due      due within leadDays, on the calendar or at the current rate of use
+//   overdue  past its hours or its date
+// Runtime-based due dates are predicted from the asset's average daily hours.
+export const serviceStatus = (
+  { everyHours, everyDays },
+  { runtimeHours, dailyHours, baselineHours, baselineAt },
+  { now = Date.now(), leadDays = 7 } = {}
+) => {
+  const hoursSinceService = runtimeHours - baselineHours;
+  const remainingHours =
+    everyHours !== undefined ? everyHours - hoursSinceService : null;
+
+  const dueDates = [];
+  if (everyDays !== undefined) dueDates.push(baselineAt + everyDays * DAY);
+  if (remainingHours !== null && dailyHours > 0) {
+    dueDates.push(now + Math.max(remainingHours, 0) * (DAY / dailyHours));
+  }
+  const nextDueAt = dueDates.length > 0 ? Math.min(...dueDates) : null;
+
+  const state =
+    (remainingHours !== null && remainingHours <= 0) ||
+    (nextDueAt !== null && nextDueAt <= now)
+      ? "overdue"
+      : nextDueAt !== null && nextDueAt - now <= leadDays * DAY
+      ? "due"
+      : "ok";
+
+  return {
+    state,
+    hoursSinceService: Math.round(hoursSinceService * 10) / 10,
+    remainingHours:
+      remainingHours !== null ? Math.round(remainingHours * 10) / 10 : null,
+    nextDueAt: nextDueAt !== null ? new Date(nextDueAt).toISOString() : null,
+  };
+};
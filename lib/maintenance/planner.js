@@ -0,0 +1,133 @@
+import { serviceStatus } from "./intervals.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value, places = 1) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+// Equipment with its hour meter, device heartbeat and service status, and
+// the weekly check that turns due services into work orders
+export const createMaintenancePlanner = ({
+  registry,
+  meters,
+  workOrders,
+  deviceStatus,
+  sendTaskNotification,
+  leadDays = 7,
+  lowBattery = 20,
+  usageDays = 30,
+}) => {
+  const describe = async (farmId) => {
+    const equipment = await registry.listItems("equipment", farmId);
+    const hours = await meters.totals(farmId, Date.now() - usageDays * DAY);
+    const services = await workOrders.lastServices(farmId);
+    const devices = new Map(
+      (await deviceStatus.list(farmId)).map((device) => [
+        device.deviceId,
+        device,
+      ])
+    );
+
+    return equipment.map((asset) => {
+      const { runtimeHours = 0, recentHours = 0 } = hours.get(asset.id) || {};
+      // Average use over the last usageDays predicts runtime-based due dates
+      const dailyHours = recentHours / usageDays;
+      const device = asset.deviceId ? devices.get(asset.deviceId) : null;
+      const installedAt = new Date(
+        asset.installedOn || asset.createdAt
+      ).getTime();
+
+      return {
+        ...asset,
+        runtimeHours: round(runtimeHours),
+        dailyHours: round(dailyHours, 2),
+        lastSeenAt: device?.lastSeenAt ?? null,
+        batteryLevel: device?.batteryLevel ?? null,
+        services: (asset.serviceIntervals || []).map((interval) => {
+          const last = services.get(`${asset.id}:${interval.task}`);
+          return {
+            ...interval,
+            lastServiceAt: last ? new Date(last.closedAt).toISOString() : null,
+            ...serviceStatus(
+              interval,
+              {
+                runtimeHours,
+                dailyHours,
+                baselineHours: last?.runtimeHours ?? 0,
+                baselineAt: last?.closedAt ?? installedAt,
+              },
+              { leadDays }
+            ),
+          };
+        }),
+      };
+    });
+  };
+
+  // Open a work order for each service that is due and for low batteries,
+  // unless one is already open, and notify technicians. Open work orders
+  // that have become overdue are flagged, and notified, once.
+  const check = async (farmId) => {
+    const assets = await describe(farmId);
+    const opened = [];
+    const overdue = [];
+
+    const raise = async (asset, { task, source, state, dueAt }) => {
+      const existing = await workOrders.findUnclosed(farmId, asset.id, task);
+      let workOrderId;
+      if (!existing) {
+        workOrderId = await workOrders.create({
+          farmId,
+          equipmentId: asset.id,
+          task,
+          source,
+          dueAt,
+          overdue: state === "overdue",
+          openedBy: "maintenance-check",
+        });
+        opened.push(workOrderId);
+      } else if (
+        state === "overdue" &&
+        (await workOrders.markOverdue(existing.id))
+      ) {
+        workOrderId = existing.id;
+        overdue.push(workOrderId);
+      } else {
+        return;
+      }
+
+      await sendTaskNotification("maintenance_due", {
+        farmId,
+        zone: asset.zoneId,
+        equipment: asset.name || asset.id,
+        equipmentId: asset.id,
+        task,
+        dueState: state,
+        workOrderId,
+      });
+    };
+
+    for (const asset of assets) {
+      for (const service of asset.services) {
+        if (service.state === "ok") continue;
+        await raise(asset, {
+          task: service.task,
+          source: "schedule",
+          state: service.state,
+          dueAt: service.nextDueAt,
+        });
+      }
+      if (asset.batteryLevel !== null && asset.batteryLevel < lowBattery) {
+        await raise(asset, {
+          task: "Replace battery",
+          source: "battery",
+          state: "due",
+        });
+      }
+    }
+
+    return { checked: assets.length, opened, overdue };
+  };
+
+  return { describe, check };
+};
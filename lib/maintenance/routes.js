@@ -0,0 +1,182 @@
+import { Router } from "express";
+import { WORK_ORDER_STATUSES } from "./workOrders.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Mounted at /api/maintenance. Listings take a farmId; work orders on farms
+// the caller can't see are reported as not found.
+export const createMaintenanceRouter = ({
+  registry,
+  planner,
+  meters,
+  workOrders,
+  canAccess = () => true,
+}) => {
+  const router = Router();
+
+  // Equipment with runtime hours, heartbeat and when each service is due
+  router.get("/equipment", async (req, res) => {
+    try {
+      const { farmId } = req.query;
+      if (!farmId) return res.status(400).json({ error: "farmId is required" });
+      if (!(await registry.getFarm(farmId))) {
+        return res.status(404).json({ error: `Farm ${farmId} not found` });
+      }
+      res.json({ equipment: await planner.describe(farmId) });
+    } catch (error) {
+      console.error("Maintenance equipment error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/work-orders", async (req, res) => {
+    try {
+      const { farmId, status, equipmentId } = req.query;
+      if (status && !WORK_ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${WORK_ORDER_STATUSES.join(", ")}`,
+        });
+      }
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+      res.json({
+        workOrders: await workOrders.list({
+          farmId,
+          status,
+          equipmentId,
+          limit,
+        }),
+      });
+    } catch (error) {
+      console.error("List work orders error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Technicians open work orders for faults and one-off jobs too
+  router.post("/work-orders", async (req, res) => {
+    try {
+      const { farmId, equipmentId, task, notes, dueOn } = req.body || {};
+      const errors = [];
+      if (typeof farmId !== "string" || !farmId) {
+        errors.push("farmId is required");
+      }
+      if (typeof equipmentId !== "string" || !equipmentId) {
+        errors.push("equipmentId is required");
+      }
+      if (typeof task !== "string" || !task.trim()) {
+        errors.push("task is required");
+      }
+      if (notes !== undefined && typeof notes !== "string") {
+        errors.push("notes must be a string");
+      }
+      if (dueOn !== undefined && !DATE_PATTERN.test(dueOn)) {
+        errors.push("dueOn must be a YYYY-MM-DD date");
+      }
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Invalid work order", details: errors });
+      }
+
+      if (!(await registry.getItem("equipment", farmId, equipmentId))) {
+        return res
+          .status(404)
+          .json({ error: `Equipment ${equipmentId} not found on ${farmId}` });
+      }
+
+      const id = await workOrders.create({
+        farmId,
+        equipmentId,
+        task: task.trim(),
+        source: "manual",
+        notes,
+        dueAt: dueOn,
+        openedBy: req.actor?.name,
+      });
+      res.status(201).json(await workOrders.get(id));
+    } catch (error) {
+      console.error("Create work order error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  const loadWorkOrder = async (req, res, next) => {
+    try {
+      const workOrder = await workOrders.get(req.params.id);
+      if (!workOrder || !canAccess(req, workOrder.farmId)) {
+        return res
+          .status(404)
+          .json({ error: `Work order ${req.params.id} not found` });
+      }
+      req.workOrder = workOrder;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  router.get("/work-orders/:id", loadWorkOrder, (req, res) => {
+    res.json(req.workOrder);
+  });
+
+  // Assign and close don't apply to closed work orders
+  const transition = (label, apply) => async (req, res) => {
+    try {
+      const { workOrder } = req;
+      const errors = [];
+      const changed = await apply(workOrder, req.body || {}, errors, req);
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Invalid work order", details: errors });
+      }
+      if (!changed) {
+        return res
+          .status(409)
+          .json({ error: `Work order ${workOrder.id} is ${workOrder.status}` });
+      }
+      res.json(await workOrders.get(workOrder.id));
+    } catch (error) {
+      console.error(`${label} work order error:`, error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  router.post(
+    "/work-orders/:id/assign",
+    loadWorkOrder,
+    transition("Assign", ({ id }, { assignee }, errors) => {
+      if (typeof assignee !== "string" || !assignee.trim()) {
+        errors.push("assignee is required");
+        return false;
+      }
+      return workOrders.assign(id, assignee.trim());
+    })
+  );
+
+  // The hour meter at closing is the baseline for the next service
+  router.post(
+    "/work-orders/:id/close",
+    loadWorkOrder,
+    transition(
+      "Close",
+      async ({ id, farmId, equipmentId }, { resolution }, errors, req) => {
+        if (resolution !== undefined && typeof resolution !== "string") {
+          errors.push("resolution must be a string");
+          return false;
+        }
+        const hours = (await meters.totals(farmId, Date.now())).get(
+          equipmentId
+        );
+        return workOrders.close(id, {
+          by: req.actor?.name,
+          resolution,
+          runtimeHours: Math.round((hours?.runtimeHours ?? 0) * 100) / 100,
+        });
+      }
+    )
+  );
+
+  return router;
+};
@@ -0,0 +1,65 @@
+const HOUR = 60 * 60 * 1000;
+
+// Hour meters for equipment the irrigation controller switches: a farm's
+// pumps run while the pump is on and a zone's valves while they are open.
+// A meter left running by a crash keeps counting until the next stop.
+export const createHourMeters = (db) => {
+  const metered = `SELECT id FROM equipment
+    WHERE farm_id = ? AND type = ? AND (? IS NULL OR zone_id = ?)`;
+
+  const start = async (farmId, type, zone = null) => {
+    const { rows } = await db.execute({
+      sql: metered,
+      args: [farmId, type, zone, zone],
+    });
+    if (rows.length === 0) return;
+
+    const now = Date.now();
+    await db.batch(
+      rows.map(({ id }) => ({
+        sql: `INSERT INTO equipment_runtime (farm_id, equipment_id, started_at)
+          SELECT ?, ?, ? WHERE NOT EXISTS (
+            SELECT 1 FROM equipment_runtime
+            WHERE farm_id = ? AND equipment_id = ? AND ended_at IS NULL
+          )`,
+        args: [farmId, id, now, farmId, id],
+      })),
+      "write"
+    );
+  };
+
+  const stop = async (farmId, type, zone = null) => {
+    await db.execute({
+      sql: `UPDATE equipment_runtime
+        SET ended_at = ?
+        WHERE farm_id = ? AND ended_at IS NULL
+          AND equipment_id IN (${metered})`,
+      args: [Date.now(), farmId, farmId, type, zone, zone],
+    });
+  };
+
+  // Runtime hours per asset on a farm, in total and since a given time.
+  // Running meters count up to now.
+  const totals = async (farmId, since) => {
+    const now = Date.now();
+    const { rows } = await db.execute({
+      sql: `SELECT equipment_id,
+          SUM(COALESCE(ended_at, ?) - started_at) AS total_ms,
+          SUM(MAX(COALESCE(ended_at, ?) - MAX(started_at, ?), 0)) AS recent_ms
+        FROM equipment_runtime WHERE farm_id = ?
+        GROUP BY equipment_id`,
+      args: [now, now, since, farmId],
+    });
+    return new Map(
+      rows.map((row) => [
+        row.equipment_id,
+        {
+          runtimeHours: Number(row.total_ms) / HOUR,
+          recentHours: Number(row.recent_ms) / HOUR,
+        },
+      ])
+    );
+  };
+
+  return { start, stop, totals };
+};
@@ -0,0 +1,177 @@
+// Work order lifecycle:
+//   open -> assigned -> closed
+//   open -> closed
+// Scheduled ones are opened by the maintenance check when a service comes
+// due; closing one records the hour meter as the baseline for the next.
+export const WORK_ORDER_STATUSES = ["open", "assigned", "closed"];
+
+const toIso = (value) =>
+  value != null ? new Date(Number(value)).toISOString() : null;
+
+const fromRow = (row) => ({
+  id: Number(row.id),
+  farmId: row.farm_id,
+  equipmentId: row.equipment_id,
+  task: row.task,
+  source: row.source,
+  status: row.status,
+  notes: row.notes,
+  dueAt: toIso(row.due_at),
+  overdue:
+    row.status !== "closed" &&
+    (row.overdue_at != null ||
+      (row.due_at != null && Number(row.due_at) <= Date.now())),
+  overdueAt: toIso(row.overdue_at),
+  openedBy: row.opened_by,
+  openedAt: toIso(row.opened_at),
+  assignedTo: row.assigned_to,
+  assignedAt: toIso(row.assigned_at),
+  closedBy: row.closed_by,
+  closedAt: toIso(row.closed_at),
+  resolution: row.resolution,
+  runtimeHours: row.runtime_hours,
+});
+
+export const createWorkOrderStore = (db) => {
+  const get = async (id) => {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM work_orders WHERE id = ?",
+      args: [id],
+    });
+    return rows[0] ? fromRow(rows[0]) : null;
+  };
+
+  const list = async ({ farmId, status, equipmentId, limit = 100 } = {}) => {
+    const conditions = [];
+    const args = [];
+    if (farmId) {
+      conditions.push("farm_id = ?");
+      args.push(farmId);
+    }
+    if (status) {
+      conditions.push("status = ?");
+      args.push(status);
+    }
+    if (equipmentId) {
+      conditions.push("equipment_id = ?");
+      args.push(equipmentId);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM work_orders ${where} ORDER BY opened_at DESC LIMIT ?`,
+      args: [...args, limit],
+    });
+    return rows.map(fromRow);
+  };
+
+  // The work order still to be done for a task on an asset, if any
+  const findUnclosed = async (farmId, equipmentId, task) => {
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM work_orders
+        WHERE farm_id = ? AND equipment_id = ? AND task = ?
+          AND status != 'closed'`,
+      args: [farmId, equipmentId, task],
+    });
+    return rows[0] ? fromRow(rows[0]) : null;
+  };
+
+  // When each task was last done on each of the farm's assets, and the hour
+  // meter at the time, keyed by "equipmentId:task"
+  const lastServices = async (farmId) => {
+    const { rows } = await db.execute({
+      sql: `SELECT equipment_id, task, MAX(closed_at) AS closed_at,
+          runtime_hours
+        FROM work_orders WHERE farm_id = ? AND status = 'closed'
+        GROUP BY equipment_id, task`,
+      args: [farmId],
+    });
+    return new Map(
+      rows.map((row) => [
+        `${row.equipment_id}:${row.task}`,
+        {
+          closedAt: Number(row.closed_at),
+          runtimeHours: row.runtime_hours ?? 0,
+        },
+      ])
+    );
+  };
+
+  const create = async ({
+    farmId,
+    equipmentId,
+    task,
+    source,
+    notes,
+    dueAt,
+    overdue = false,
+    openedBy,
+  }) => {
+    const now = Date.now();
+    const { lastInsertRowid } = await db.execute({
+      sql: `INSERT INTO work_orders
+        (farm_id, equipment_id, task, source, status, notes, due_at,
+         overdue_at, opened_by, opened_at)
+        VALUES (?, ?, ?, ?, 'open', ?, ?, ?, ?, ?)`,
+      args: [
+        farmId,
+        equipmentId,
+        task,
+        source,
+        notes ?? null,
+        dueAt ? new Date(dueAt).getTime() : null,
+        overdue ? now : null,
+        openedBy ?? null,
+        now,
+      ],
+    });
+    return Number(lastInsertRowid);
+  };
+
+  const assign = async (id, assignee) => {
+    const { rowsAffected } = await db.execute({
+      sql: `UPDATE work_orders SET status = 'assigned', assigned_to = ?,
+          assigned_at = ?
+        WHERE id = ? AND status != 'closed'`,
+      args: [assignee, Date.now(), id],
+    });
+    return rowsAffected > 0;
+  };
+
+  const close = async (id, { by, resolution, runtimeHours }) => {
+    const { rowsAffected } = await db.execute({
+      sql: `UPDATE work_orders SET status = 'closed', closed_at = ?,
+          closed_by = ?, resolution = ?, runtime_hours = ?
+        WHERE id = ? AND status != 'closed'`,
+      args: [
+        Date.now(),
+        by ?? null,
+        resolution ?? null,
+        runtimeHours ?? null,
+        id,
+      ],
+    });
+    return rowsAffected > 0;
+  };
+
+  // True the first time a work order is found overdue
+  const markOverdue = async (id) => {
+    const { rowsAffected } = await db.execute({
+      sql: `UPDATE work_orders SET overdue_at = ?
+        WHERE id = ? AND overdue_at IS NULL AND status != 'closed'`,
+      args: [Date.now(), id],
+    });
+    return rowsAffected > 0;
+  };
+
+  return {
+    get,
+    list,
+    findUnclosed,
+    lastServices,
+    create,
+    assign,
+    close,
+    markOverdue,
+  };
+};
@@ -0,0 +1,131 @@
+// Market prices are recorded per crop, per market and per day, in
+// DEFAULT_CURRENCY per DEFAULT_UNIT unless the source says otherwise.
+export const DEFAULT_CURRENCY = "KES";
+export const DEFAULT_UNIT = "kg";
+export const MAX_PRICE_BATCH = 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+export const today = () => new Date().toISOString().slice(0, 10);
+
+// Validate one price entry, returning a normalized copy and any errors.
+// Crop and market names are compared case-insensitively.
+export const validatePrice = (entry) => {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return { price: null, errors: ["price entry must be an object"] };
+  }
+
+  const errors = [];
+  const { crop, market, date = today(), currency, unit } = entry;
+  const price =
+    typeof entry.price === "string" ? Number(entry.price) : entry.price;
+
+  if (!isNonEmptyString(crop)) errors.push("crop is required");
+  if (!isNonEmptyString(market)) errors.push("market is required");
+  if (typeof price !== "number" || !Number.isFinite(price) || price <= 0) {
+    errors.push("price must be a positive number");
+  }
+  if (
+    typeof date !== "string" ||
+    !DATE_PATTERN.test(date) ||
+    Number.isNaN(new Date(date).getTime())
+  ) {
+    errors.push("date must be YYYY-MM-DD");
+  }
+
+  if (errors.length > 0) return { price: null, errors };
+
+  return {
+    price: {
+      crop: crop.trim().toLowerCase(),
+      market: market.trim().toLowerCase(),
+      date,
+      price,
+      currency: isNonEmptyString(currency) ? currency.trim() : DEFAULT_CURRENCY,
+      unit: isNonEmptyString(unit) ? unit.trim() : DEFAULT_UNIT,
+    },
+    errors,
+  };
+};
+
+// Validate a batch of prices, rejected as a whole if any entry is invalid
+export const validatePrices = (entries) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return {
+      prices: [],
+      errors: [{ message: "prices must be a non-empty array" }],
+    };
+  }
+  if (entries.length > MAX_PRICE_BATCH) {
+    return {
+      prices: [],
+      errors: [
+        { message: `a batch may contain at most ${MAX_PRICE_BATCH} prices` },
+      ],
+    };
+  }
+
+  const prices = [];
+  const errors = [];
+  entries.forEach((entry, index) => {
+    const result = validatePrice(entry);
+    if (result.price) {
+      prices.push(result.price);
+    } else {
+      result.errors.forEach((message) => errors.push({ index, message }));
+    }
+  });
+
+  return { prices: errors.length > 0 ? [] : prices, errors };
+};
+
+// Parse CSV with a header row (crop,market,date,price[,currency,unit]) into
+// entries for validatePrices. Fields may be double-quoted.
+export const parsePriceCsv = (text) => {
+  const parseLine = (line) => {
+    const fields = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        fields.push(field.trim());
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    fields.push(field.trim());
+    return fields;
+  };
+
+  const [header, ...lines] = text
+    .split(/\r?\n/)
+    .filter((line) => line.trim().length > 0)
+    .map(parseLine);
+  if (!header) return [];
+
+  const columns = header.map((name) => name.toLowerCase());
+  return lines.map((fields) =>
+    Object.fromEntries(
+      columns
+        .map((column, i) => [column, fields[i]])
+        .filter(([, value]) => value !== undefined && value !== "")
+    )
+  );
+};
@@ -0,0 +1,55 @@
+import { Router, text } from "express";
+import { parsePriceCsv, validatePrices } from "./prices.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const createMarketRouter = ({ store }) => {
+  const router = Router();
+
+  router.get("/prices", async (req, res) => {
+    try {
+      const { crop, market, from, to } = req.query;
+      if ([from, to].some((date) => date && !DATE_PATTERN.test(date))) {
+        return res
+          .status(400)
+          .json({ error: "from and to must be YYYY-MM-DD" });
+      }
+
+      const prices = await store.list({
+        crop: crop?.toLowerCase(),
+        market: market?.toLowerCase(),
+        from,
+        to,
+      });
+      res.json({ prices });
+    } catch (error) {
+      console.error("Market prices error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Manual entry: one price, { "prices": [...] }, or a text/csv body
+  router.post("/prices", text({ type: "text/csv" }), async (req, res) => {
+    try {
+      const entries =
+        typeof req.body === "string"
+          ? parsePriceCsv(req.body)
+          : req.body?.prices ?? [req.body];
+
+      const { prices, errors } = validatePrices(entries);
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Invalid market prices", details: errors });
+      }
+
+      const recorded = await store.record(prices, "manual");
+      res.status(201).json({ status: "success", recorded, prices });
+    } catch (error) {
+      console.error("Market price entry error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,17 @@
+import { readFile } from "node:fs/promises";
+import { extname } from "node:path";
+import { parsePriceCsv } from "../prices.js";
+
+// A CSV or JSON price list on disk, e.g. a daily export dropped by a
+// market information service. JSON may be an array or { "prices": [...] }.
+export const createFileSource = ({ path }) => {
+  const fetchPrices = async () => {
+    const text = await readFile(path, "utf8");
+    if (extname(path).toLowerCase() === ".csv") return parsePriceCsv(text);
+
+    const body = JSON.parse(text);
+    return Array.isArray(body) ? body : body.prices || [];
+  };
+
+  return { name: "file", fetchPrices };
+};
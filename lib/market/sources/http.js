@@ -0,0 +1,21 @@
+// Any HTTP endpoint answering GET with a JSON array of
+// { crop, market, date, price } entries, or { "prices": [...] }
+export const createHttpSource = ({ url, token, timeoutMs = 15000 }) => {
+  const fetchPrices = async () => {
+    const response = await fetch(url, {
+      headers: {
+        Accept: "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Price source ${url} responded ${response.status}`);
+    }
+
+    const body = await response.json();
+    return Array.isArray(body) ? body : body.prices || [];
+  };
+
+  return { name: "http", fetchPrices };
+};
@@ -0,0 +1,26 @@
+import { createFileSource } from "./file.js";
+import { createHttpSource } from "./http.js";
+
+// Price sources named in MARKET_PRICE_SOURCES (comma separated). Every source
+// implements fetchPrices(), resolving to raw entries for validatePrices.
+// Manual entry goes through POST /api/market/prices instead.
+export const createPriceSources = (env = process.env) =>
+  (env.MARKET_PRICE_SOURCES || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) => {
+      switch (name) {
+        case "file":
+          return createFileSource({ path: env.MARKET_PRICE_FILE });
+
+        case "http":
+          return createHttpSource({
+            url: env.MARKET_PRICE_HTTP_URL,
+            token: env.MARKET_PRICE_HTTP_TOKEN,
+          });
+
+        default:
+          throw new Error(`Unknown market price source "${name}"`);
+      }
+    });
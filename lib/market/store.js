@@ -0,0 +1,114 @@
+// Days in the moving average that price alerts compare against
+export const MOVING_AVERAGE_DAYS = 28;
+
+const fromRow = (row) => ({
+  crop: row.crop,
+  market: row.market,
+  date: row.date,
+  price: row.price,
+  currency: row.currency,
+  unit: row.unit,
+  source: row.source,
+  recordedAt: row.recorded_at,
+});
+
+const percentChange = (from, to) =>
+  from ? Number((((to - from) / from) * 100).toFixed(1)) : null;
+
+export const createPriceStore = (db) => {
+  // Upsert validated prices; a later price for the same day replaces it
+  const record = async (prices, source) => {
+    if (prices.length === 0) return 0;
+
+    const recordedAt = new Date().toISOString();
+    await db.batch(
+      prices.map(({ crop, market, date, price, currency, unit }) => ({
+        sql: `INSERT INTO market_prices
+          (crop, market, date, price, currency, unit, source, recorded_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT (crop, market, date) DO UPDATE SET
+            price = excluded.price,
+            currency = excluded.currency,
+            unit = excluded.unit,
+            source = excluded.source,
+            recorded_at = excluded.recorded_at`,
+        args: [crop, market, date, price, currency, unit, source, recordedAt],
+      })),
+      "write"
+    );
+    return prices.length;
+  };
+
+  const list = async ({ crop, market, from, to, limit = 1000 } = {}) => {
+    const conditions = [];
+    const args = [];
+    for (const [column, operator, value] of [
+      ["crop", "=", crop],
+      ["market", "=", market],
+      ["date", ">=", from],
+      ["date", "<=", to],
+    ]) {
+      if (value) {
+        conditions.push(`${column} ${operator} ?`);
+        args.push(value);
+      }
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM market_prices ${where}
+        ORDER BY crop, market, date LIMIT ?`,
+      args: [...args, limit],
+    });
+    return rows.map(fromRow);
+  };
+
+  // Latest price for a crop in a market with its week-on-week change and
+  // its deviation from the moving average, both in percent
+  const trend = async (crop, market) => {
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM market_prices WHERE crop = ? AND market = ?
+        ORDER BY date DESC LIMIT 1`,
+      args: [crop, market],
+    });
+    if (!rows[0]) return null;
+    const latest = fromRow(rows[0]);
+
+    // Closest price from a week earlier, allowing for markets that skip days
+    const weekAgo = await db.execute({
+      sql: `SELECT price FROM market_prices
+        WHERE crop = ? AND market = ?
+          AND date <= date(?, '-7 days') AND date > date(?, '-14 days')
+        ORDER BY date DESC LIMIT 1`,
+      args: [crop, market, latest.date, latest.date],
+    });
+    const average = await db.execute({
+      sql: `SELECT AVG(price) AS average, COUNT(*) AS days FROM market_prices
+        WHERE crop = ? AND market = ?
+          AND date <= ? AND date > date(?, ?)`,
+      args: [
+        crop,
+        market,
+        latest.date,
+        latest.date,
+        `-${MOVING_AVERAGE_DAYS} days`,
+      ],
+    });
+
+    const weekAgoPrice = weekAgo.rows[0]?.price ?? null;
+    const { average: movingAverage, days } = average.rows[0];
+
+    return {
+      ...latest,
+      weekAgoPrice,
+      weekOnWeekChange: percentChange(weekAgoPrice, latest.price),
+      movingAverage: Number(movingAverage.toFixed(2)),
+      movingAverageDays: Number(days),
+      // A single day is its own average, which says nothing
+      averageDeviation:
+        days > 1 ? percentChange(movingAverage, latest.price) : null,
+    };
+  };
+
+  return { record, list, trend };
+};
@@ -0,0 +1,155 @@
+import mqtt from "mqtt";
+import { SENSOR_METRICS, validateReading } from "../sensors/schema.js";
+import { parseTopicPatterns } from "./topics.js";
+
+// QoS 1 redeliveries carry the same device/metric/timestamp, so remember
+// the most recent ones and drop repeats
+const RECENT_MESSAGE_LIMIT = 1000;
+
+// Payloads are either a bare number ("23.5") or JSON such as
+// { "value": 23.5, "unit": "%", "deviceId": "probe-7", "timestamp": "..." }
+const parsePayload = (payload) => {
+  const text = payload.toString().trim();
+  const numeric = Number(text);
+  if (text !== "" && Number.isFinite(numeric)) return { value: numeric };
+
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch {
+    return null;
+  }
+};
+
+// Topics name any farm and device, so readings are only taken from devices
+// registered on that farm. A bare value without a {deviceId} in its topic
+// is identified by the topic itself.
+export const createMqttBridge = ({
+  url,
+  username,
+  password,
+  clientId = `locci-farm-${process.pid}`,
+  topics,
+  qos = 1,
+  registry,
+  ingestReadings,
+  flagImpossible = async () => {},
+  connect = mqtt.connect,
+}) => {
+  const patterns = parseTopicPatterns(topics);
+  const recentMessages = new Set();
+  let client = null;
+
+  const isDuplicate = (key) => {
+    if (recentMessages.has(key)) return true;
+
+    recentMessages.add(key);
+    if (recentMessages.size > RECENT_MESSAGE_LIMIT) {
+      recentMessages.delete(recentMessages.values().next().value);
+    }
+    return false;
+  };
+
+  // Map an MQTT message onto a validated sensor reading
+  const toReading = (topic, payload, packet) => {
+    const params = patterns.map((p) => p.match(topic)).find(Boolean);
+    if (!params) return { reading: null, errors: ["unmatched topic"] };
+
+    const body = parsePayload(payload);
+    if (!body) return { reading: null, errors: ["unreadable payload"] };
+
+    // A retained message is the broker's last-known value, replayed on
+    // subscribe. Without its own timestamp we can't tell how old it is.
+    if (packet.retain && !body.timestamp) {
+      return { reading: null, errors: ["retained message without timestamp"] };
+    }
+
+    return validateReading(
+      {
+        ...body,
+        farmId: params.farmId ?? body.farmId,
+        zone: params.zone ?? body.zone,
+        metric: params.metric,
+        deviceId: body.deviceId ?? params.deviceId ?? topic,
+        // Gateways usually publish bare values in the declared unit
+        unit: body.unit ?? SENSOR_METRICS[params.metric]?.unit,
+        timestamp: body.timestamp ?? new Date().toISOString(),
+      },
+      { farmId: process.env.FARM_ID || "farm-001" }
+    );
+  };
+
+  const handleMessage = async (topic, payload, packet) => {
+    try {
+      const { reading, errors, impossible } = toReading(topic, payload, packet);
+      const source = reading || impossible;
+      if (
+        source &&
+        !(await registry.getItem("devices", source.farmId, source.deviceId))
+      ) {
+        console.warn(
+          `⚠️ Ignoring MQTT message on ${topic}: device ${source.deviceId} is not registered on ${source.farmId}`
+        );
+        return;
+      }
+      if (impossible) await flagImpossible([impossible]);
+      if (!reading) {
+        console.warn(`⚠️ Ignoring MQTT message on ${topic}: ${errors[0]}`);
+        return;
+      }
+      const key = `${reading.deviceId}:${reading.metric}:${reading.timestamp}`;
+      if (isDuplicate(key)) return;
+
+      // A reading that fails to enqueue is forgotten again, so a repeat of
+      // it gets another chance
+      try {
+        await ingestReadings([reading], "mqtt");
+      } catch (error) {
+        recentMessages.delete(key);
+        throw error;
+      }
+    } catch (error) {
+      console.error(`MQTT message error on ${topic}:`, error);
+    }
+  };
+
+  const start = () =>
+    new Promise((resolve, reject) => {
+      // A persistent session (clean: false) lets the broker hold QoS 1
+      // telemetry for us while we are disconnected
+      client = connect(url, {
+        clientId,
+        username,
+        password,
+        clean: false,
+        reconnectPeriod: 5000,
+      });
+
+      client.on("connect", () => {
+        console.log(`📡 MQTT bridge connected to ${url}`);
+        const filters = Object.fromEntries(
+          patterns.map((p) => [p.filter, { qos }])
+        );
+        client.subscribe(filters, (error) => {
+          if (error) return reject(error);
+          console.log(
+            `📡 Subscribed to ${Object.keys(filters).join(", ")} (QoS ${qos})`
+          );
+          resolve(client);
+        });
+      });
+
+      client.on("message", handleMessage);
+      client.on("reconnect", () => console.log("📡 MQTT bridge reconnecting"));
+      client.on("offline", () => console.warn("⚠️ MQTT bridge offline"));
+      client.on("error", (error) => console.error("MQTT bridge error:", error));
+    });
+
+  const stop = () =>
+    new Promise((resolve) => {
+      if (!client) return resolve();
+      client.end(false, {}, () => resolve());
+    });
+
+  return { start, stop, toReading };
+};
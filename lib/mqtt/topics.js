@@ -0,0 +1,41 @@
+// Topic patterns use {name} placeholders for whole topic levels, e.g.
+// "farm/{farmId}/zone/{zone}/{metric}". Each placeholder becomes a "+"
+// wildcard in the subscription and a named value when a message arrives.
+const PLACEHOLDER = /^\{(\w+)\}$/;
+
+export const compileTopicPattern = (pattern) => {
+  const levels = pattern.split("/");
+  const params = levels.map((level) => level.match(PLACEHOLDER)?.[1] ?? null);
+
+  if (!params.includes("metric")) {
+    throw new Error(`MQTT topic pattern "${pattern}" must include {metric}`);
+  }
+
+  const filter = levels
+    .map((level, index) => (params[index] ? "+" : level))
+    .join("/");
+
+  const match = (topic) => {
+    const parts = topic.split("/");
+    if (parts.length !== levels.length) return null;
+
+    const values = {};
+    for (let i = 0; i < levels.length; i++) {
+      if (params[i]) {
+        values[params[i]] = parts[i];
+      } else if (parts[i] !== levels[i]) {
+        return null;
+      }
+    }
+    return values;
+  };
+
+  return { pattern, filter, match };
+};
+
+export const parseTopicPatterns = (value) =>
+  (value || "farm/{farmId}/zone/{zone}/{metric}")
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter(Boolean)
+    .map(compileTopicPattern);
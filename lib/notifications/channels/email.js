@@ -0,0 +1,19 @@
+// Email over SMTP, through a nodemailer transport
+export const createEmailChannel = ({ transport, from }) => ({
+  name: "email",
+  send: async ({ recipient, subject, message }) => {
+    if (!recipient.email) {
+      throw Object.assign(new Error(`Contact ${recipient.id} has no email`), {
+        permanent: true,
+      });
+    }
+
+    const info = await transport.sendMail({
+      from,
+      to: recipient.email,
+      subject,
+      text: message,
+    });
+    return { status: "sent", messageId: info.messageId };
+  },
+});
@@ -0,0 +1,54 @@
+import nodemailer from "nodemailer";
+import webpush from "web-push";
+import { createEmailChannel } from "./email.js";
+import { createPushChannel } from "./push.js";
+import { createSmsChannel } from "./sms.js";
+import { createWebhookChannel } from "./webhook.js";
+
+// Every channel implements send(job.data) for a send-notification job and
+// rejects on failure; `error.permanent` marks failures not worth retrying.
+// Web Push and email are only available once VAPID keys or an SMTP host are
+// configured.
+export const createNotificationChannels = (
+  { sendSms, subscriptions },
+  env = process.env
+) => {
+  const channels = {
+    sms: createSmsChannel({ sendSms }),
+    webhook: createWebhookChannel({
+      timeoutMs: parseInt(env.NOTIFICATION_WEBHOOK_TIMEOUT_MS) || 10000,
+      allowedHosts: (env.NOTIFICATION_WEBHOOK_ALLOWED_HOSTS || "")
+        .split(",")
+        .map((host) => host.trim().toLowerCase())
+        .filter(Boolean),
+    }),
+  };
+
+  if (env.VAPID_PUBLIC_KEY && env.VAPID_PRIVATE_KEY) {
+    channels.push = createPushChannel({
+      webpush,
+      subscriptions,
+      vapid: {
+        subject: env.VAPID_SUBJECT || "mailto:admin@locci.farm",
+        publicKey: env.VAPID_PUBLIC_KEY,
+        privateKey: env.VAPID_PRIVATE_KEY,
+      },
+    });
+  }
+
+  if (env.SMTP_HOST) {
+    channels.email = createEmailChannel({
+      transport: nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === "true",
+        auth: env.SMTP_USER
+          ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD }
+          : undefined,
+      }),
+      from: env.SMTP_FROM || "Locci Farm <alerts@locci.farm>",
+    });
+  }
+
+  return channels;
+};
@@ -0,0 +1,37 @@
+// Web Push to the PWA with VAPID. A contact may have several browsers;
+// subscriptions the push service reports as gone are removed.
+export const createPushChannel = ({ webpush, subscriptions, vapid }) => ({
+  name: "push",
+  send: async ({ recipient, farmId, taskType, subject, message, data }) => {
+    const targets = await subscriptions.forContact(farmId, recipient.id);
+    if (targets.length === 0) return { status: "no_subscriptions" };
+
+    const payload = JSON.stringify({
+      title: subject,
+      body: message,
+      data: { taskType, farmId, alertId: data?.alertId, url: "/" },
+    });
+
+    let delivered = 0;
+    let lastError = null;
+    for (const target of targets) {
+      try {
+        await webpush.sendNotification(target, payload, {
+          vapidDetails: vapid,
+          TTL: 24 * 60 * 60,
+        });
+        delivered++;
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          await subscriptions.remove(target.endpoint);
+        } else {
+          lastError = error;
+        }
+      }
+    }
+
+    // Only fail (and retry) when no browser got it
+    if (delivered === 0 && lastError) throw lastError;
+    return { status: "sent", delivered };
+  },
+});
@@ -0,0 +1,13 @@
+// Africa's Talking SMS, through the sender that records delivery state
+export const createSmsChannel = ({ sendSms }) => ({
+  name: "sms",
+  send: ({ jobId, recipient, message, taskType, data }) =>
+    sendSms({
+      jobId,
+      phoneNumber: recipient.phone,
+      contactId: recipient.id,
+      message,
+      type: taskType,
+      data,
+    }),
+});
@@ -0,0 +1,125 @@
+import { lookup as dnsLookup } from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+
+// Loopback, private, link-local, shared, multicast and reserved ranges a
+// contact's webhook must not reach
+const internal = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  internal.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  internal.addSubnet(network, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const isInternal = (address) =>
+  internal.check(address, isIP(address) === 6 ? "ipv6" : "ipv4");
+
+const refuse = (message) =>
+  Object.assign(new Error(message), { permanent: true });
+
+// POST the notification as JSON to the contact's webhook URL, e.g. a Slack
+// incoming webhook or a WhatsApp gateway. 4xx answers other than 408 and
+// 429 won't improve on a retry.
+//
+// Contacts are edited through the API, so their URLs must be https and
+// resolve to public addresses only. Hosts in `allowedHosts` are trusted as
+// configured, plain http and local networks included. Redirects aren't
+// followed.
+export const createWebhookChannel = ({
+  timeoutMs = 10000,
+  allowedHosts = [],
+  lookup = dnsLookup,
+} = {}) => {
+  const checkUrl = async (webhookUrl) => {
+    let url;
+    try {
+      url = new URL(webhookUrl);
+    } catch {
+      throw refuse(`Webhook URL ${webhookUrl} is not a valid URL`);
+    }
+    const host = url.hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+    if (allowedHosts.includes(host)) return;
+
+    if (url.protocol !== "https:") {
+      throw refuse(`Webhook URL ${webhookUrl} must use https`);
+    }
+    const addresses = isIP(host)
+      ? [{ address: host }]
+      : await lookup(host, { all: true });
+    if (
+      addresses.length === 0 ||
+      addresses.some((a) => isInternal(a.address))
+    ) {
+      throw refuse(`Webhook host ${host} is not a public address`);
+    }
+  };
+
+  return {
+    name: "webhook",
+    send: async ({
+      recipient,
+      farmId,
+      taskType,
+      severity,
+      subject,
+      message,
+      data,
+      timestamp,
+    }) => {
+      if (!recipient.webhookUrl) {
+        throw refuse(`Contact ${recipient.id} has no webhook URL`);
+      }
+      await checkUrl(recipient.webhookUrl);
+
+      const response = await fetch(recipient.webhookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          text: message,
+          subject,
+          taskType,
+          severity,
+          farmId,
+          contact: { id: recipient.id, name: recipient.name },
+          details: data,
+          timestamp,
+        }),
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!response.ok) {
+        throw Object.assign(
+          new Error(
+            `Webhook ${recipient.webhookUrl} responded ${response.status}`
+          ),
+          {
+            permanent:
+              response.status >= 300 &&
+              response.status < 500 &&
+              ![408, 429].includes(response.status),
+          }
+        );
+      }
+      return { status: "sent", httpStatus: response.status };
+    },
+  };
+};
@@ -0,0 +1,91 @@
+// SMS encoding. Text made only of GSM-7 characters packs 160 characters in
+// a single SMS (153 per part when split); one character outside it switches
+// the whole message to UCS-2 at 70 (67 per part). Emoji are the usual cause.
+const GSM_BASIC =
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+  "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+// Sent as an escape plus the character, so they count twice
+const GSM_EXTENDED = "^{}\\[~]|€\f";
+
+const SEGMENT_LIMITS = {
+  "GSM-7": { single: 160, multipart: 153 },
+  "UCS-2": { single: 70, multipart: 67 },
+};
+
+// Lookalikes for common characters GSM-7 lacks
+const FALLBACKS = {
+  "‘": "'",
+  "’": "'",
+  "‚": "'",
+  "′": "'",
+  "“": '"',
+  "”": '"',
+  "„": '"',
+  "″": '"',
+  "–": "-",
+  "—": "-",
+  "−": "-",
+  "•": "-",
+  "…": "...",
+  "°": "",
+  "\u00A0": " ",
+  "\t": " ",
+};
+
+const EMOJI_PATTERN =
+  /[\p{Extended_Pictographic}\p{Regional_Indicator}\u200D\uFE0F\u20E3]/gu;
+
+const isGsmChar = (char) =>
+  GSM_BASIC.includes(char) || GSM_EXTENDED.includes(char);
+
+export const isGsm7 = (text) => [...text].every(isGsmChar);
+
+// Drop emoji and swap characters GSM-7 lacks for lookalikes, e.g. curly
+// quotes and accented letters. Anything left outside GSM-7 (other scripts)
+// is kept, and the message goes out as UCS-2.
+export const toGsm7 = (text) =>
+  [...text.replace(EMOJI_PATTERN, "")]
+    .map((char) => {
+      if (isGsmChar(char)) return char;
+      if (char in FALLBACKS) return FALLBACKS[char];
+      const plain = char.normalize("NFD").replace(/\p{Mark}/gu, "");
+      return isGsm7(plain) ? plain : char;
+    })
+    .join("")
+    .replace(/ {2,}/g, " ")
+    .trim();
+
+// Encoding, length in the encoding's units and the number of SMS parts
+export const countSegments = (text) => {
+  const encoding = isGsm7(text) ? "GSM-7" : "UCS-2";
+  const characters =
+    encoding === "GSM-7"
+      ? [...text].reduce(
+          (count, char) => count + (GSM_EXTENDED.includes(char) ? 2 : 1),
+          0
+        )
+      : text.length;
+  const { single, multipart } = SEGMENT_LIMITS[encoding];
+  const segments = characters <= single ? 1 : Math.ceil(characters / multipart);
+
+  return { encoding, characters, segments };
+};
+
+// Shorten `body` so that `body suffix` fits in maxSegments SMS parts. The
+// suffix (alert number, farm) is always kept whole.
+export const fitSegments = (body, suffix, maxSegments) => {
+  const join = (text) => (suffix ? `${text} ${suffix}` : text);
+
+  let text = join(body);
+  if (!maxSegments || countSegments(text).segments <= maxSegments) {
+    return { text, ...countSegments(text), truncated: false };
+  }
+
+  let chars = [...body];
+  do {
+    chars = chars.slice(0, -1);
+    text = join(`${chars.join("").trimEnd()}...`);
+  } while (chars.length > 0 && countSegments(text).segments > maxSegments);
+
+  return { text, ...countSegments(text), truncated: true };
+};
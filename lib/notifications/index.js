@@ -0,0 +1,101 @@
+import { buildMessage, buildSms } from "./messages.js";
+import {
+  SEVERITIES,
+  TASK_SEVERITIES,
+  URGENT_TASK_TYPES,
+  channelsFor,
+  quietHoursDelay,
+} from "./routing.js";
+
+export const createNotifier = ({
+  notificationQueue,
+  jobOptions = {},
+  registry,
+  routing,
+  defaultFarmId,
+  fallbackPhone,
+  timeZone,
+  availableChannels = ["sms"],
+  maxSmsSegments,
+}) => {
+  const formatTime = (date) =>
+    date.toLocaleTimeString("en-GB", { timeZone, hour12: false });
+
+  // Contacts on the farm whose role is routed this taskType. Farms without a
+  // contact book fall back to the single FARMER_PHONE number.
+  const recipientsFor = async (farmId, taskType) => {
+    const roles = await routing.rolesFor(farmId, taskType);
+    const contacts = await registry.listItems("contacts", farmId);
+    if (contacts.length > 0) {
+      return contacts.filter((contact) => roles.includes(contact.role));
+    }
+    return fallbackPhone ? [{ id: "farmer", phone: fallbackPhone }] : [];
+  };
+
+  // `routeAs` sends to another taskType's recipients, e.g. an alert's
+  // resolved notice to whoever got the alert. Each recipient gets one
+  // send-notification job per channel they chose for the severity.
+  return async (taskType, details, { routeAs = taskType } = {}) => {
+    const farmId = details.farmId || defaultFarmId;
+    const recipients = await recipientsFor(farmId, routeAs);
+
+    if (recipients.length === 0) {
+      console.warn(`⚠️ No recipients for ${taskType} on ${farmId}`);
+      return;
+    }
+
+    const farm = await registry.getFarm(farmId);
+    const severity =
+      details.severity || TASK_SEVERITIES[taskType] || SEVERITIES[0];
+    const subject = `Locci Farm - ${farm?.name || farmId}: ${taskType.replace(
+      /_/g,
+      " "
+    )}`;
+
+    const now = new Date();
+    for (const contact of recipients) {
+      const options = { language: contact.language, time: formatTime(now) };
+
+      // Hold non-urgent messages until the recipient's quiet hours end
+      const delay = URGENT_TASK_TYPES.includes(taskType)
+        ? 0
+        : quietHoursDelay(contact, timeZone, now);
+
+      const channels = channelsFor(contact, farm, severity).filter((channel) =>
+        availableChannels.includes(channel)
+      );
+      for (const channel of channels) {
+        const message =
+          channel === "sms"
+            ? buildSms(taskType, details, {
+                ...options,
+                farmId,
+                maxSegments: maxSmsSegments,
+              }).text
+            : buildMessage(taskType, details, { ...options, channel });
+
+        await notificationQueue.add(
+          "send-notification",
+          {
+            channel,
+            recipient: {
+              id: contact.id,
+              name: contact.name,
+              phone: contact.phone,
+              email: contact.email,
+              webhookUrl: contact.webhookUrl,
+            },
+            farmId,
+            taskType,
+            severity,
+            subject,
+            message,
+            data: details,
+            timestamp: now.toISOString(),
+          },
+          { ...jobOptions, delay }
+        );
+      }
+    }
+  };
+};
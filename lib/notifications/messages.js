@@ -0,0 +1,89 @@
+import { fitSegments, toGsm7 } from "./gsm.js";
+import { TEMPLATES } from "./templates.js";
+
+const PLACEHOLDER = /\{(\w+)(?::(\d+))?(?:\|((?:[^{}]|\{\w+\})*))?\}/g;
+
+export const SUPPORTED_LANGUAGES = Object.keys(TEMPLATES);
+
+// Locale entries that aren't message templates
+const LOCALE_EXTRAS = ["values", "ackHint", "farmTag"];
+
+// What an alert is about, e.g. " (irrigation pumps)" or " (maize, zone-a)"
+const alertSubject = (details) => {
+  const subject = [details.equipment, details.crop, details.zone]
+    .filter(Boolean)
+    .join(", ");
+  return subject ? ` (${subject})` : "";
+};
+
+const fill = (template, values, locale) =>
+  template.replace(PLACEHOLDER, (match, name, decimals, fallback) => {
+    const value = values[name];
+    if (value == null || value === "") {
+      return fallback !== undefined ? fill(fallback, values, locale) : "-";
+    }
+    if (locale.values?.[name]) {
+      return Object.hasOwn(locale.values[name], value)
+        ? locale.values[name][value]
+        : String(value);
+    }
+    if (decimals !== undefined && typeof value === "number") {
+      return value.toFixed(Number(decimals));
+    }
+    return String(value);
+  });
+
+const localeFor = (language) =>
+  Object.hasOwn(TEMPLATES, language) ? TEMPLATES[language] : TEMPLATES.en;
+
+const templateFor = (locale, taskType) =>
+  Object.hasOwn(locale, taskType) && !LOCALE_EXTRAS.includes(taskType)
+    ? locale[taskType]
+    : locale.default;
+
+// Message text for a notification. SMS text leaves out the icon and any
+// emoji so it stays in GSM-7; other channels get it as written.
+export const buildMessage = (
+  taskType,
+  details,
+  { language, time, channel = "sms" }
+) => {
+  const locale = localeFor(language);
+  const { icon, text } = templateFor(locale, taskType);
+  const values = {
+    ...details,
+    // Reason codes without a translation read as words
+    reason: Object.hasOwn(locale.values?.reason ?? {}, details.reason ?? "")
+      ? details.reason
+      : details.reason?.replace(/_/g, " "),
+    subject: alertSubject(details),
+    taskType,
+    time,
+  };
+
+  const message = fill(text, values, locale);
+  return channel === "sms" ? toGsm7(message) : `${icon} ${message}`;
+};
+
+// SMS body with the ACK hint for open alerts and the farm tag, shortened to
+// fit maxSegments. Returns the text with its encoding and segment count.
+export const buildSms = (
+  taskType,
+  details,
+  { language, time, farmId, maxSegments }
+) => {
+  const locale = localeFor(language);
+  const suffix = [
+    details.alertId && taskType !== "alert_resolved" ? locale.ackHint : null,
+    locale.farmTag,
+  ]
+    .filter(Boolean)
+    .map((template) => fill(template, { ...details, farmId }, locale))
+    .join(" ");
+
+  return fitSegments(
+    buildMessage(taskType, details, { language, time, channel: "sms" }),
+    toGsm7(suffix),
+    maxSegments
+  );
+};
@@ -0,0 +1,93 @@
+import { Router } from "express";
+import { buildMessage, buildSms, SUPPORTED_LANGUAGES } from "./messages.js";
+import { NOTIFICATION_CHANNELS } from "./routing.js";
+
+// Mounted at /api/notifications. Renders a notification the way contacts
+// would receive it, with the SMS segment count and cost, without sending.
+export const createNotificationPreviewRouter = ({
+  defaultFarmId,
+  timeZone,
+  maxSmsSegments,
+  costPerSegment,
+  currency,
+}) => {
+  const router = Router();
+
+  router.post("/preview", (req, res) => {
+    try {
+      const {
+        taskType,
+        details = {},
+        language,
+        channel = "sms",
+        farmId = details?.farmId || defaultFarmId,
+      } = req.body;
+
+      const errors = [];
+      if (typeof taskType !== "string" || !taskType) {
+        errors.push("taskType is required");
+      }
+      if (!details || typeof details !== "object" || Array.isArray(details)) {
+        errors.push("details must be an object");
+      }
+      if (language !== undefined && !SUPPORTED_LANGUAGES.includes(language)) {
+        errors.push(
+          `language must be one of: ${SUPPORTED_LANGUAGES.join(", ")}`
+        );
+      }
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        errors.push(
+          `channel must be one of: ${NOTIFICATION_CHANNELS.join(", ")}`
+        );
+      }
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Invalid preview request", details: errors });
+      }
+
+      const time = new Date().toLocaleTimeString("en-GB", {
+        timeZone,
+        hour12: false,
+      });
+      const previews = (language ? [language] : SUPPORTED_LANGUAGES).map(
+        (lang) => {
+          if (channel !== "sms") {
+            return {
+              language: lang,
+              channel,
+              text: buildMessage(taskType, details, {
+                language: lang,
+                time,
+                channel,
+              }),
+            };
+          }
+
+          const sms = buildSms(taskType, details, {
+            language: lang,
+            time,
+            farmId,
+            maxSegments: maxSmsSegments,
+          });
+          return {
+            language: lang,
+            channel,
+            ...sms,
+            estimatedCost: {
+              amount: Math.round(sms.segments * costPerSegment * 100) / 100,
+              currency,
+            },
+          };
+        }
+      );
+
+      res.json({ taskType, maxSmsSegments, previews });
+    } catch (error) {
+      console.error("Notification preview error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,76 @@
+import { Router } from "express";
+
+const isValidSubscription = (subscription) =>
+  typeof subscription?.endpoint === "string" &&
+  /^https:\/\//.test(subscription.endpoint) &&
+  typeof subscription.keys?.p256dh === "string" &&
+  typeof subscription.keys?.auth === "string";
+
+// Mounted at /api/push. The PWA subscribes a browser for the signed-in
+// user: for the contacts with the user's phone number, on every farm the
+// user may see (canAccess(req, farmId)).
+export const createPushRouter = ({
+  subscriptions,
+  callerContacts,
+  publicKey,
+  canAccess = () => true,
+}) => {
+  const router = Router();
+
+  router.get("/vapid-public-key", (req, res) => {
+    if (!publicKey) {
+      return res.status(404).json({ error: "Web Push is not configured" });
+    }
+    res.json({ publicKey });
+  });
+
+  router.post("/subscriptions", async (req, res) => {
+    try {
+      const { subscription } = req.body;
+      if (!isValidSubscription(subscription)) {
+        return res.status(400).json({
+          error:
+            "subscription must be a PushSubscription with endpoint and keys",
+        });
+      }
+
+      const { phone } = req.actor;
+      const contacts = (phone ? await callerContacts(phone) : []).filter(
+        (contact) => canAccess(req, contact.farmId)
+      );
+      if (contacts.length === 0) {
+        return res.status(404).json({
+          error: phone
+            ? `No contact on your farms has the number ${phone}`
+            : "Your account has no phone number; ask an admin to add one",
+        });
+      }
+
+      for (const contact of contacts) {
+        await subscriptions.save(contact.farmId, contact.id, subscription);
+      }
+      res.status(201).json({
+        status: "success",
+        farms: contacts.map((contact) => contact.farmId),
+      });
+    } catch (error) {
+      console.error("Push subscription error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete("/subscriptions", async (req, res) => {
+    try {
+      const { endpoint } = req.body;
+      if (!endpoint || !(await subscriptions.remove(endpoint))) {
+        return res.status(404).json({ error: "Subscription not found" });
+      }
+      res.status(204).end();
+    } catch (error) {
+      console.error("Push unsubscribe error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
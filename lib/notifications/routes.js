@@ -0,0 +1,63 @@
+import { Router } from "express";
+import { CONTACT_ROLES } from "./routing.js";
+
+// Mounted at /api/farms/:farmId/notification-routes
+export const createNotificationRoutesRouter = ({ registry, routing }) => {
+  const router = Router({ mergeParams: true });
+
+  router.use(async (req, res, next) => {
+    try {
+      if (!(await registry.getFarm(req.params.farmId))) {
+        return res
+          .status(404)
+          .json({ error: `Farm ${req.params.farmId} not found` });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Effective routing: defaults with this farm's overrides applied
+  router.get("/", async (req, res) => {
+    try {
+      res.json({ routes: await routing.getRoutes(req.params.farmId) });
+    } catch (error) {
+      console.error("Notification routes error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put("/:taskType", async (req, res) => {
+    try {
+      const { roles } = req.body;
+      if (
+        !Array.isArray(roles) ||
+        roles.some((role) => !CONTACT_ROLES.includes(role))
+      ) {
+        return res.status(400).json({
+          error: `roles must be an array of: ${CONTACT_ROLES.join(", ")}`,
+        });
+      }
+
+      await routing.setRoute(req.params.farmId, req.params.taskType, roles);
+      res.json({ taskType: req.params.taskType, roles });
+    } catch (error) {
+      console.error("Notification route update error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Revert a taskType to the default routing
+  router.delete("/:taskType", async (req, res) => {
+    try {
+      await routing.resetRoute(req.params.farmId, req.params.taskType);
+      res.status(204).end();
+    } catch (error) {
+      console.error("Notification route reset error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,156 @@
+export const CONTACT_ROLES = ["owner", "manager", "technician"];
+
+// Who hears about what when a farm hasn't overridden the routing
+export const DEFAULT_ROUTES = {
+  sensor_data_collected: ["manager"],
+  irrigation_started: ["manager"],
+  irrigation_completed: ["manager"],
+  market_price_alert: ["owner"],
+  maintenance_required: ["technician"],
+  maintenance_due: ["technician"],
+  device_offline: ["technician"],
+  device_low_battery: ["technician"],
+  sensor_flatline: ["technician"],
+  sensor_out_of_range: ["technician"],
+  equipment_failure: ["technician", "manager"],
+  equipment_fault_reported: ["technician", "manager"],
+  weather_warning: ["owner", "manager"],
+  pest_risk: ["owner", "manager"],
+  disease_risk: ["owner", "manager"],
+  field_activity_due: ["manager"],
+  task_completed: ["manager"],
+  system_status: ["owner"],
+  // Unacknowledged critical alerts go up to the owner
+  alert_escalated: ["owner"],
+  default: ["owner"],
+};
+
+export const NOTIFICATION_CHANNELS = ["sms", "push", "email", "webhook"];
+export const SEVERITIES = ["info", "warning", "critical"];
+
+// Severity of taskTypes sent without one (rule alerts carry their own)
+export const TASK_SEVERITIES = {
+  equipment_failure: "critical",
+  alert_escalated: "critical",
+  maintenance_required: "warning",
+  maintenance_due: "warning",
+  device_offline: "warning",
+  device_low_battery: "warning",
+  sensor_flatline: "warning",
+  sensor_out_of_range: "warning",
+  weather_warning: "warning",
+  pest_risk: "warning",
+  disease_risk: "warning",
+  equipment_fault_reported: "warning",
+};
+
+// Channels per severity when neither the contact nor the farm chose any
+export const DEFAULT_CHANNELS = {
+  info: ["sms"],
+  warning: ["sms"],
+  critical: ["sms"],
+};
+
+// Validate a { severity: [channel, ...] } preference map
+export const validateChannelPreferences = (preferences) => {
+  for (const [severity, channels] of Object.entries(preferences)) {
+    if (!SEVERITIES.includes(severity)) {
+      return `channels keys must be: ${SEVERITIES.join(", ")}`;
+    }
+    if (
+      !Array.isArray(channels) ||
+      channels.some((channel) => !NOTIFICATION_CHANNELS.includes(channel))
+    ) {
+      return `channels.${severity} must be an array of: ${NOTIFICATION_CHANNELS.join(
+        ", "
+      )}`;
+    }
+  }
+  return null;
+};
+
+// The contact's choice for this severity, else the farm's, else the default
+export const channelsFor = (contact, farm, severity) =>
+  contact.channels?.[severity] ||
+  farm?.channels?.[severity] ||
+  DEFAULT_CHANNELS[severity] ||
+  DEFAULT_CHANNELS.info;
+
+// Alerts that are delivered even during a recipient's quiet hours
+export const URGENT_TASK_TYPES = ["equipment_failure", "alert_escalated"];
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since local midnight in the farm's timezone
+const localMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return get("hour") * 60 + get("minute");
+};
+
+// How long to hold a message for a contact in quiet hours (0 = send now).
+// Quiet hours may wrap midnight, e.g. 21:00-06:00.
+export const quietHoursDelay = (contact, timeZone, now = new Date()) => {
+  const { quietHoursStart, quietHoursEnd } = contact;
+  if (!quietHoursStart || !quietHoursEnd) return 0;
+
+  const start = toMinutes(quietHoursStart);
+  const end = toMinutes(quietHoursEnd);
+  const current = localMinutes(now, timeZone);
+
+  const inQuietHours =
+    start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  if (!inQuietHours) return 0;
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  return minutesLeft * 60 * 1000 - now.getSeconds() * 1000;
+};
+
+export const createNotificationRouting = (db) => {
+  // Effective taskType -> roles map for a farm, overrides applied
+  const getRoutes = async (farmId) => {
+    const { rows } = await db.execute({
+      sql: "SELECT task_type, roles FROM notification_routes WHERE farm_id = ?",
+      args: [farmId],
+    });
+
+    const routes = { ...DEFAULT_ROUTES };
+    for (const row of rows) routes[row.task_type] = JSON.parse(row.roles);
+    return routes;
+  };
+
+  const rolesFor = async (farmId, taskType) => {
+    const routes = await getRoutes(farmId);
+    return routes[taskType] || routes.default;
+  };
+
+  const setRoute = async (farmId, taskType, roles) => {
+    await db.execute({
+      sql: `INSERT INTO notification_routes (farm_id, task_type, roles, updated_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (farm_id, task_type) DO UPDATE SET
+          roles = excluded.roles,
+          updated_at = excluded.updated_at`,
+      args: [farmId, taskType, JSON.stringify(roles), new Date().toISOString()],
+    });
+  };
+
+  const resetRoute = async (farmId, taskType) => {
+    await db.execute({
+      sql: "DELETE FROM notification_routes WHERE farm_id = ? AND task_type = ?",
+      args: [farmId, taskType],
+    });
+  };
+
+  return { getRoutes, rolesFor, setRoute, resetRoute };
+};
@@ -0,0 +1,43 @@
+// Web Push subscriptions registered by the PWA, one per browser endpoint
+// and farm
+export const createPushSubscriptionStore = (db) => {
+  const save = async (farmId, contactId, { endpoint, keys }) => {
+    await db.execute({
+      sql: `INSERT INTO push_subscriptions
+        (endpoint, farm_id, contact_id, keys, created_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (endpoint, farm_id) DO UPDATE SET
+          contact_id = excluded.contact_id,
+          keys = excluded.keys`,
+      args: [
+        endpoint,
+        farmId,
+        contactId,
+        JSON.stringify(keys),
+        new Date().toISOString(),
+      ],
+    });
+  };
+
+  const forContact = async (farmId, contactId) => {
+    const { rows } = await db.execute({
+      sql: `SELECT endpoint, keys FROM push_subscriptions
+        WHERE farm_id = ? AND contact_id = ?`,
+      args: [farmId, contactId],
+    });
+    return rows.map((row) => ({
+      endpoint: row.endpoint,
+      keys: JSON.parse(row.keys),
+    }));
+  };
+
+  const remove = async (endpoint) => {
+    const { rowsAffected } = await db.execute({
+      sql: "DELETE FROM push_subscriptions WHERE endpoint = ?",
+      args: [endpoint],
+    });
+    return rowsAffected > 0;
+  };
+
+  return { save, forContact, remove };
+};
@@ -0,0 +1,297 @@
+// Notification templates per locale and taskType. `icon` leads the message
+// on push, email and webhooks and is left out of SMS, where one emoji
+// halves the characters per SMS (see gsm.js).
+//
+// Placeholders take their value from the notification details:
+//   {zone}            the value as is
+//   {moistureLevel:1} a number rounded to 1 decimal
+//   {durationMinutes|30} with a fallback when the detail is missing
+// A locale's `values` translate enumerated details, e.g. {trend} → "imepanda"
+// and {reason} codes such as water_deficit; other codes show as words.
+// `time` is the farm's local time and `subject` what an alert is about.
+export const TEMPLATES = {
+  sw: {
+    values: {
+      trend: { up: "imepanda", down: "imeshuka" },
+      reason: {
+        low_soil_moisture: "unyevu mdogo wa udongo",
+        water_deficit: "upungufu wa maji udongoni",
+        dashboard_request: "ombi kutoka dashibodi",
+        sms_request: "ombi kwa SMS",
+        ussd_request: "ombi kwa USSD",
+        manual: "kuanzishwa kwa mkono",
+      },
+      systemsHealthy: {
+        true: "inafanya kazi vizuri",
+        false: "inahitaji uangalizi",
+      },
+      dueState: { due: "inakaribia", overdue: "imechelewa" },
+      activity: {
+        fertilizer: "mbolea",
+        weeding: "palizi",
+        spraying: "kunyunyizia dawa",
+        harvest: "mavuno",
+        other: "kazi",
+      },
+    },
+    ackHint: "Jibu ACK {alertId}",
+    farmTag: "[Shamba: {farmId}]",
+
+    sensor_data_collected: {
+      icon: "🌱",
+      text:
+        "HABARI ZA SHAMBA: Data ya vihisi imekusanywa saa {time}. " +
+        "Udongo: {moistureLevel:1}%, Hali ya hewa: {temperature}°C",
+    },
+    irrigation_started: {
+      icon: "💧",
+      text:
+        "TAHADHARI YA UMWAGILIAJI: Umwagiliaji umeanza katika {zone}. " +
+        "Sababu: {reason}. Muda: dakika {durationMinutes|30}",
+    },
+    irrigation_completed: {
+      icon: "✅",
+      text:
+        "UMWAGILIAJI UMEKAMILIKA: {zone} imemwagiliwa. Unyevu wa udongo " +
+        "umepanda kutoka {beforeLevel:1}% hadi {afterLevel:1}%",
+    },
+    market_price_alert: {
+      icon: "📈",
+      text:
+        "TAHADHARI YA SOKO: Bei ya {crop} {trend} hadi KES {price}/kg " +
+        "{market}. {recommendation}",
+    },
+    maintenance_required: {
+      icon: "🔧",
+      text:
+        "TAHADHARI YA MATENGENEZO: {equipment} inahitaji huduma. " +
+        "Hali: {health}%. Panga matengenezo mapema kuepuka kuharibika.",
+    },
+    maintenance_due: {
+      icon: "🔧",
+      text:
+        "MATENGENEZO: {task} kwa {equipment} ({dueState}). " +
+        "Kazi #{workOrderId}",
+    },
+    device_offline: {
+      icon: "📵",
+      text:
+        "KIFAA HAKIPATIKANI: {equipment} haijatuma data kwa saa " +
+        "{hours:1}. Kagua nguvu na mtandao wake.",
+    },
+    device_low_battery: {
+      icon: "🔋",
+      text: "BETRI IMEPUNGUA: {equipment} imebaki na {battery}%. Badilisha betri.",
+    },
+    sensor_flatline: {
+      icon: "📉",
+      text:
+        "KIHISI KIMEKWAMA: {equipment} inaonyesha {metric} {value} bila " +
+        "kubadilika kwa saa {hours:0}. Kagua kihisi.",
+    },
+    sensor_out_of_range: {
+      icon: "⚠️",
+      text:
+        "KIHISI KINA HITILAFU: {equipment} imetuma {metric} {value}, " +
+        "nje ya kiwango cha {range}. Data imekataliwa.",
+    },
+    equipment_failure: {
+      icon: "🚨",
+      text:
+        "DHARURA: {equipment} imeharibika! Inahitaji kushughulikiwa sasa. " +
+        "Piga fundi: +254700123456",
+    },
+    equipment_fault_reported: {
+      icon: "🛠️",
+      text:
+        'HITILAFU IMERIPOTIWA: {equipment} - "{description}". ' +
+        "Imeripotiwa na {reportedBy}. Tahadhari #{alertId}",
+    },
+    weather_warning: {
+      icon: "🌦️",
+      text:
+        "ONYO LA HALI YA HEWA: {warning}. {advice|Linda mazao yako}. " +
+        "Utabiri: {forecast|haupatikani}",
+    },
+    pest_risk: {
+      icon: "🐛",
+      text:
+        "HATARI YA WADUDU: {risk} katika {zone} ({crop|shamba}), " +
+        "hatari {value:0}%. {action}",
+    },
+    disease_risk: {
+      icon: "🍂",
+      text:
+        "HATARI YA UGONJWA: {risk} katika {zone} ({crop|shamba}), " +
+        "hatari {value:0}%. {action}",
+    },
+    field_activity_due: {
+      icon: "🗓️",
+      text:
+        "KAZI YA SHAMBA ({activity}): {title} katika {zone} " +
+        "({crop|shamba}) ifikapo {dueOn}.",
+    },
+    task_completed: {
+      icon: "✅",
+      text:
+        "KAZI IMEKAMILIKA: {taskName} imekamilika saa {time}. " +
+        "Hali: {status}",
+    },
+    alert_resolved: {
+      icon: "✅",
+      text: "IMETATULIWA: {condition}{subject} imeisha. Tahadhari #{alertId}",
+    },
+    alert_escalated: {
+      icon: "🚨",
+      text:
+        "UPANDISHAJI: {condition}{subject} haijathibitishwa baada ya " +
+        "dakika {minutes}. Tahadhari #{alertId} inahitaji ufuatiliaji.",
+    },
+    system_status: {
+      icon: "📊",
+      text: "HALI YA MFUMO: {message}. Mifumo yote {systemsHealthy}.",
+    },
+    default: {
+      icon: "📱",
+      text: "{customMessage|Taarifa ya shamba: {taskType}}",
+    },
+  },
+
+  en: {
+    values: {
+      trend: { up: "increased", down: "decreased" },
+      reason: {
+        low_soil_moisture: "low soil moisture",
+        water_deficit: "water deficit",
+        dashboard_request: "dashboard request",
+        sms_request: "SMS request",
+        ussd_request: "USSD request",
+        manual: "manual start",
+      },
+      systemsHealthy: {
+        true: "operating normally",
+        false: "require attention",
+      },
+      dueState: { due: "due soon", overdue: "overdue" },
+    },
+    ackHint: "Reply ACK {alertId}",
+    farmTag: "[Farm: {farmId}]",
+
+    sensor_data_collected: {
+      icon: "🌱",
+      text:
+        "FARM UPDATE: Sensor data collected at {time}. " +
+        "Soil: {moistureLevel:1}%, Weather: {temperature}°C",
+    },
+    irrigation_started: {
+      icon: "💧",
+      text:
+        "IRRIGATION ALERT: Auto-irrigation started in {zone}. " +
+        "Reason: {reason}. Duration: {durationMinutes|30} min",
+    },
+    irrigation_completed: {
+      icon: "✅",
+      text:
+        "IRRIGATION COMPLETE: {zone} watering finished. Soil moisture " +
+        "improved from {beforeLevel:1}% to {afterLevel:1}%",
+    },
+    market_price_alert: {
+      icon: "📈",
+      text:
+        "MARKET ALERT: {crop} price {trend} to {price} KES/kg in " +
+        "{market}. {recommendation}",
+    },
+    maintenance_required: {
+      icon: "🔧",
+      text:
+        "MAINTENANCE ALERT: {equipment} requires attention. " +
+        "Health: {health}%. Schedule maintenance soon to avoid breakdown.",
+    },
+    maintenance_due: {
+      icon: "🔧",
+      text:
+        "MAINTENANCE DUE: {task} on {equipment} ({dueState}). " +
+        "Work order #{workOrderId}",
+    },
+    device_offline: {
+      icon: "📵",
+      text:
+        "DEVICE OFFLINE: {equipment} has sent nothing for {hours:1} " +
+        "hours. Check its power and connection.",
+    },
+    device_low_battery: {
+      icon: "🔋",
+      text: "LOW BATTERY: {equipment} is at {battery}%. Replace the battery.",
+    },
+    sensor_flatline: {
+      icon: "📉",
+      text:
+        "SENSOR STUCK: {equipment} has read {metric} {value} without " +
+        "change for {hours:0} hours. Check the sensor.",
+    },
+    sensor_out_of_range: {
+      icon: "⚠️",
+      text:
+        "SENSOR FAULT: {equipment} sent {metric} {value}, outside " +
+        "the possible {range}. Reading rejected.",
+    },
+    equipment_failure: {
+      icon: "🚨",
+      text:
+        "URGENT: {equipment} has failed! Immediate attention required. " +
+        "Contact technician: +254700123456",
+    },
+    equipment_fault_reported: {
+      icon: "🛠️",
+      text:
+        'FAULT REPORTED: {equipment} - "{description}". ' +
+        "Reported by {reportedBy}. Alert #{alertId}",
+    },
+    weather_warning: {
+      icon: "🌦️",
+      text:
+        "WEATHER WARNING: {warning}. {advice|Take protective measures " +
+        "for crops}. Forecast: {forecast|not available}",
+    },
+    pest_risk: {
+      icon: "🐛",
+      text:
+        "PEST RISK: {risk} in {zone} ({crop|all crops}) at " +
+        "{value:0}%. {action}",
+    },
+    disease_risk: {
+      icon: "🍂",
+      text:
+        "DISEASE RISK: {risk} in {zone} ({crop|all crops}) at " +
+        "{value:0}%. {action}",
+    },
+    field_activity_due: {
+      icon: "🗓️",
+      text: "FIELD TASK: {title} in {zone} ({crop|no crop}) by {dueOn}.",
+    },
+    task_completed: {
+      icon: "✅",
+      text:
+        "TASK COMPLETE: {taskName} finished successfully at {time}. " +
+        "Status: {status}",
+    },
+    alert_resolved: {
+      icon: "✅",
+      text: "RESOLVED: {condition}{subject} has cleared. Alert #{alertId}",
+    },
+    alert_escalated: {
+      icon: "🚨",
+      text:
+        "ESCALATION: {condition}{subject} not acknowledged after " +
+        "{minutes} min. Alert #{alertId} needs follow-up.",
+    },
+    system_status: {
+      icon: "📊",
+      text: "SYSTEM UPDATE: {message}. All systems {systemsHealthy}.",
+    },
+    default: {
+      icon: "📱",
+      text: "{customMessage|Farm notification: {taskType}}",
+    },
+  },
+};
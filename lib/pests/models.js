@@ -0,0 +1,147 @@
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const round = (value, places = 1) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+// Scores at or above `min` get the action; the last band catches the rest
+const bandFor = (bands, score) => bands.find(({ min }) => score >= min);
+
+export const riskLevel = (score) =>
+  score >= 70 ? "high" : score >= 40 ? "moderate" : "low";
+
+// Fall armyworm (Spodoptera frugiperda): development above 10.9°C, about
+// 559 degree-days from egg to adult. Accumulation starts at planting or the
+// last control applied in the zone, within the last 30 days, so the score
+// rises as a generation completes and a new wave of larvae hatches.
+const FAW_BASE_TEMPERATURE = 10.9;
+const FAW_GENERATION_DD = 559;
+const FAW_MAX_DAYS = 30;
+
+// Late blight (Phytophthora infestans): a Smith period is two days in a row
+// with at least 11 hours at 90% relative humidity or more, at 10°C or
+// warmer. Leaf wetness counts as humid where a sensor reports it.
+const BLIGHT_HUMIDITY = 90;
+const BLIGHT_LEAF_WETNESS = 50;
+const BLIGHT_MIN_TEMPERATURE = 10;
+const BLIGHT_HOURS = 11;
+
+// Crop-specific pest and disease risk models. Each turns the zone's weather
+// history into a 0-100 score with a recommended action.
+//   crops            crop names the model applies to (lowercase)
+//   actionIncidence  % of plants affected in scouting at which control is
+//                    warranted; scouting at that level counts as a score
+//                    of 70 when calibrating
+//   assess           resolves { score, drivers }, or null without data
+export const RISK_MODELS = {
+  "fall-armyworm": {
+    kind: "pest",
+    name: "Fall armyworm",
+    crops: ["maize", "corn"],
+    actionIncidence: 20,
+    actions: [
+      {
+        min: 70,
+        action:
+          "New larvae expected: scout whorls for fresh feeding and frass, treat if over 20% of plants are infested",
+      },
+      {
+        min: 40,
+        action:
+          "Scout 20 plants in 5 spots this week for egg masses and larvae",
+      },
+      { min: 0, action: "Keep up weekly scouting" },
+    ],
+    assess: async ({ series, now, plantedAt, lastControlAt }) => {
+      const since = Math.max(
+        now - FAW_MAX_DAYS * DAY,
+        plantedAt ?? 0,
+        lastControlAt ?? 0
+      );
+      const days = await series("temperature", DAY, since, now);
+      if (days.length === 0) return null;
+
+      const degreeDays = days.reduce(
+        (sum, { min, max }) =>
+          sum + Math.max(0, (min + max) / 2 - FAW_BASE_TEMPERATURE),
+        0
+      );
+      return {
+        score: Math.min(degreeDays / FAW_GENERATION_DD, 1) * 100,
+        drivers: {
+          degreeDays: round(degreeDays),
+          generationDegreeDays: FAW_GENERATION_DD,
+          since: new Date(since).toISOString(),
+          daysWithData: days.length,
+        },
+      };
+    },
+  },
+  "late-blight": {
+    kind: "disease",
+    name: "Late blight",
+    crops: ["tomato", "tomatoes", "potato", "potatoes"],
+    actionIncidence: 5,
+    actions: [
+      {
+        min: 70,
+        action:
+          "Blight weather: apply a protectant fungicide now and remove infected leaves",
+      },
+      {
+        min: 40,
+        action:
+          "Check lower leaves for dark lesions and avoid wetting the foliage",
+      },
+      { min: 0, action: "Keep up weekly scouting" },
+    ],
+    assess: async ({ series, now }) => {
+      const from = now - 2 * DAY;
+      const byTime = async (metric) =>
+        new Map(
+          (await series(metric, HOUR, from, now)).map((point) => [
+            new Date(point.time).getTime(),
+            point.avg,
+          ])
+        );
+      const humidity = await byTime("humidity");
+      const wetness = await byTime("leaf_wetness");
+      const temperature = await byTime("temperature");
+      if (humidity.size + wetness.size === 0 || temperature.size === 0) {
+        return null;
+      }
+
+      // Humid hours in each of the last two days, oldest first
+      const humidHours = [0, 0];
+      for (const [time, celsius] of temperature) {
+        const humid =
+          humidity.get(time) >= BLIGHT_HUMIDITY ||
+          wetness.get(time) >= BLIGHT_LEAF_WETNESS;
+        if (humid && celsius >= BLIGHT_MIN_TEMPERATURE) {
+          humidHours[time < now - DAY ? 0 : 1] += 1;
+        }
+      }
+
+      const score =
+        (humidHours.reduce(
+          (sum, hours) => sum + Math.min(hours / BLIGHT_HOURS, 1),
+          0
+        ) /
+          humidHours.length) *
+        100;
+      return { score, drivers: { humidHours, smithHours: BLIGHT_HOURS } };
+    },
+  },
+};
+
+export const modelsForCrop = (crop) =>
+  Object.entries(RISK_MODELS)
+    .filter(([, model]) => model.crops.includes(crop?.toLowerCase()))
+    .map(([id, model]) => ({ id, ...model }));
+
+export const recommendedAction = (model, score) =>
+  bandFor(model.actions, score).action;
+
+// Scouting incidence on the score scale: the action threshold maps to 70
+export const observedScore = (model, incidence) =>
+  Math.min((incidence / model.actionIncidence) * 70, 100);
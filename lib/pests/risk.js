@@ -0,0 +1,189 @@
+import { describePlanting } from "../calendar/plantings.js";
+import {
+  RISK_MODELS,
+  modelsForCrop,
+  observedScore,
+  recommendedAction,
+  riskLevel,
+} from "./models.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Scouting from the last CALIBRATION_DAYS, newest first, calibrates a model
+// for a farm. The smoothing keeps one or two observations from swinging it.
+const CALIBRATION_DAYS = 90;
+const CALIBRATION_OBSERVATIONS = 10;
+const CALIBRATION_SMOOTHING = 50;
+const CALIBRATION_MIN = 0.5;
+const CALIBRATION_MAX = 2;
+
+export const RISK_TASK_TYPES = { pest: "pest_risk", disease: "disease_risk" };
+
+// Pest and disease risk per planted zone from the risk models, calibrated by
+// the farm's scouting. Scores of warnAt or more raise pest_risk or
+// disease_risk; the alert clears once the score drops below clearBelow.
+export const createPestRisk = ({
+  registry,
+  readingStore,
+  scouting,
+  alerts,
+  warnAt = 70,
+  clearBelow = 50,
+}) => {
+  // A metric's series for the zone, or merged across the farm when the zone
+  // has no sensor of its own (one weather station for the whole farm)
+  const seriesFor = (farmId, zone) => async (metric, bucketMs, from, to) => {
+    const query = { farmId, metric, from, to, bucketMs };
+    const [own] = await readingStore.history({ ...query, zone });
+    if (own) return own.points;
+
+    const merged = new Map();
+    for (const { points } of await readingStore.history(query)) {
+      for (const point of points) {
+        const current = merged.get(point.time);
+        merged.set(
+          point.time,
+          current
+            ? {
+                time: point.time,
+                min: Math.min(current.min, point.min),
+                avg:
+                  (current.avg * current.count + point.avg * point.count) /
+                  (current.count + point.count),
+                max: Math.max(current.max, point.max),
+                count: current.count + point.count,
+              }
+            : point
+        );
+      }
+    }
+    return [...merged.values()].sort((a, b) => (a.time < b.time ? -1 : 1));
+  };
+
+  // The model's own score for a zone at a point in time, before calibration
+  const score = async (
+    modelId,
+    { farmId, zone, plantedOn },
+    now = Date.now()
+  ) =>
+    RISK_MODELS[modelId].assess({
+      series: seriesFor(farmId, zone),
+      now,
+      plantedAt: plantedOn ? new Date(plantedOn).getTime() : null,
+      lastControlAt: await scouting.lastControl(farmId, zone, modelId, now),
+    });
+
+  // What scouting found relative to what the model predicted
+  const calibrationFor = async (farmId, model, now) => {
+    const observations = (
+      await scouting.list({
+        farmId,
+        modelId: model.id,
+        since: now - CALIBRATION_DAYS * DAY,
+        limit: CALIBRATION_OBSERVATIONS,
+      })
+    ).filter((observation) => observation.predictedScore !== null);
+    if (observations.length === 0) return 1;
+
+    const observed = observations.reduce(
+      (sum, { incidence }) => sum + observedScore(model, incidence),
+      0
+    );
+    const predicted = observations.reduce(
+      (sum, { predictedScore }) => sum + predictedScore,
+      0
+    );
+    const ratio =
+      (observed + CALIBRATION_SMOOTHING) / (predicted + CALIBRATION_SMOOTHING);
+    return Math.min(Math.max(ratio, CALIBRATION_MIN), CALIBRATION_MAX);
+  };
+
+  const assessCrop = async (farmId, crop, now) => {
+    const risks = [];
+    for (const model of modelsForCrop(crop.name)) {
+      const { id: modelId, kind, name } = model;
+      const result = await score(
+        modelId,
+        { farmId, zone: crop.zoneId, plantedOn: crop.plantedOn },
+        now
+      );
+      if (!result) {
+        risks.push({ modelId, kind, name, score: null, level: "no_data" });
+        continue;
+      }
+
+      const calibration = await calibrationFor(farmId, model, now);
+      const calibrated = Math.min(result.score * calibration, 100);
+      risks.push({
+        modelId,
+        kind,
+        name,
+        score: Math.round(calibrated),
+        modelScore: Math.round(result.score),
+        calibration: Math.round(calibration * 100) / 100,
+        level: riskLevel(calibrated),
+        action: recommendedAction(model, calibrated),
+        drivers: result.drivers,
+      });
+    }
+    return risks;
+  };
+
+  // Risks for each growing planting, or those in the given zones
+  const assess = async (farmId, zones = null, now = Date.now()) => {
+    const crops = (await registry.listItems("crops", farmId))
+      .map((crop) => describePlanting(crop, new Date(now)))
+      .filter(
+        (crop) =>
+          crop.status === "growing" &&
+          crop.zoneId &&
+          (!zones || zones.includes(crop.zoneId))
+      );
+    const assessed = [];
+    for (const crop of crops) {
+      assessed.push({
+        zone: crop.zoneId,
+        crop: crop.name,
+        stage: crop.stage,
+        risks: await assessCrop(farmId, crop, now),
+      });
+    }
+    return assessed;
+  };
+
+  const check = async (farmId, zones = null) => {
+    const assessed = await assess(farmId, zones);
+    for (const { zone, crop, risks } of assessed) {
+      for (const risk of risks) {
+        if (risk.score === null) continue;
+        const taskType = RISK_TASK_TYPES[risk.kind];
+        const dedupKey = [taskType, farmId, zone, risk.modelId].join(":");
+
+        if (risk.score >= warnAt) {
+          await alerts.raise({
+            dedupKey,
+            farmId,
+            zone,
+            taskType,
+            severity: "warning",
+            details: {
+              farmId,
+              zone,
+              crop,
+              risk: risk.name,
+              modelId: risk.modelId,
+              value: risk.score,
+              action: risk.action,
+              condition: `${risk.name} risk ${risk.score}%`,
+            },
+          });
+        } else if (risk.score < clearBelow) {
+          await alerts.clear(dedupKey);
+        }
+      }
+    }
+    return assessed;
+  };
+
+  return { score, assess, check };
+};
@@ -0,0 +1,151 @@
+import { Router } from "express";
+import { RISK_MODELS } from "./models.js";
+
+// Observations may be back-dated, not stamped in the future
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Mounted at /api/farms/:farmId/pests
+export const createPestRouter = ({ registry, risk, scouting }) => {
+  const router = Router({ mergeParams: true });
+
+  router.use(async (req, res, next) => {
+    try {
+      if (!(await registry.getFarm(req.params.farmId))) {
+        return res
+          .status(404)
+          .json({ error: `Farm ${req.params.farmId} not found` });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get("/models", (req, res) => {
+    res.json({
+      models: Object.entries(RISK_MODELS).map(
+        ([id, { kind, name, crops, actionIncidence }]) => ({
+          id,
+          kind,
+          name,
+          crops,
+          actionIncidence,
+        })
+      ),
+    });
+  });
+
+  // Current risk scores and recommended actions per planted zone
+  router.get("/risk", async (req, res) => {
+    try {
+      const { farmId } = req.params;
+      const zones = req.query.zone ? [req.query.zone] : null;
+      res.json({
+        farmId,
+        assessedAt: new Date().toISOString(),
+        zones: await risk.assess(farmId, zones),
+      });
+    } catch (error) {
+      console.error("Pest risk error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/scouting", async (req, res) => {
+    try {
+      const { zone, modelId } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+      res.json({
+        observations: await scouting.list({
+          farmId: req.params.farmId,
+          zone,
+          modelId,
+          limit,
+        }),
+      });
+    } catch (error) {
+      console.error("List scouting error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // A grower's field count. The model's score for the zone at that time is
+  // stored with it to calibrate the model; control applied restarts the
+  // degree-day count for the pest.
+  router.post("/scouting", async (req, res) => {
+    try {
+      const { farmId } = req.params;
+      const { zone, modelId, incidence, controlApplied, notes, observedAt } =
+        req.body || {};
+      const errors = [];
+      if (typeof zone !== "string" || !zone) errors.push("zone is required");
+      if (!RISK_MODELS[modelId]) {
+        errors.push(
+          `modelId must be one of: ${Object.keys(RISK_MODELS).join(", ")}`
+        );
+      }
+      if (
+        !(typeof incidence === "number" && incidence >= 0 && incidence <= 100)
+      ) {
+        errors.push("incidence must be a percentage between 0 and 100");
+      }
+      if (controlApplied !== undefined && typeof controlApplied !== "boolean") {
+        errors.push("controlApplied must be true or false");
+      }
+      if (notes !== undefined && typeof notes !== "string") {
+        errors.push("notes must be a string");
+      }
+      const at = observedAt === undefined ? Date.now() : Date.parse(observedAt);
+      if (Number.isNaN(at)) {
+        errors.push("observedAt must be an ISO 8601 date string");
+      } else if (at - Date.now() > MAX_CLOCK_SKEW_MS) {
+        errors.push("observedAt is in the future");
+      }
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Invalid scouting observation", details: errors });
+      }
+
+      if (!(await registry.getItem("zones", farmId, zone))) {
+        return res
+          .status(404)
+          .json({ error: `Zone ${zone} not found on ${farmId}` });
+      }
+      const crop = (await registry.listItems("crops", farmId)).find(
+        (c) =>
+          c.zoneId === zone &&
+          RISK_MODELS[modelId].crops.includes(c.name.toLowerCase())
+      );
+      if (!crop) {
+        return res.status(400).json({
+          error: `No crop in ${zone} is covered by the ${modelId} model`,
+        });
+      }
+
+      const predicted = await risk.score(
+        modelId,
+        { farmId, zone, plantedOn: crop.plantedOn },
+        at
+      );
+      const id = await scouting.create({
+        farmId,
+        zone,
+        crop: crop.name,
+        modelId,
+        observedAt: at,
+        incidence,
+        controlApplied,
+        notes,
+        observedBy: req.actor?.name,
+        predictedScore: predicted && Math.round(predicted.score),
+      });
+      res.status(201).json(await scouting.get(id));
+    } catch (error) {
+      console.error("Create scouting error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
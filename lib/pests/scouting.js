@@ -0,0 +1,102 @@
+const toIso = (value) =>
+  value != null ? new Date(Number(value)).toISOString() : null;
+
+const fromRow = (row) => ({
+  id: Number(row.id),
+  farmId: row.farm_id,
+  zone: row.zone,
+  crop: row.crop,
+  modelId: row.model_id,
+  observedAt: toIso(row.observed_at),
+  incidence: row.incidence,
+  controlApplied: Boolean(row.control_applied),
+  notes: row.notes,
+  observedBy: row.observed_by,
+  predictedScore: row.predicted_score,
+  createdAt: toIso(row.created_at),
+});
+
+// Field scouting: the % of plants a grower found affected by a model's pest
+// or disease, and whether they applied control. The model's score at the
+// time is kept alongside, to calibrate the model for the farm.
+export const createScoutingStore = (db) => {
+  const get = async (id) => {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM scouting_observations WHERE id = ?",
+      args: [id],
+    });
+    return rows[0] ? fromRow(rows[0]) : null;
+  };
+
+  const list = async ({ farmId, zone, modelId, since, limit = 100 }) => {
+    const conditions = ["farm_id = ?"];
+    const args = [farmId];
+    if (zone) {
+      conditions.push("zone = ?");
+      args.push(zone);
+    }
+    if (modelId) {
+      conditions.push("model_id = ?");
+      args.push(modelId);
+    }
+    if (since) {
+      conditions.push("observed_at >= ?");
+      args.push(since);
+    }
+
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM scouting_observations
+        WHERE ${conditions.join(" AND ")}
+        ORDER BY observed_at DESC LIMIT ?`,
+      args: [...args, limit],
+    });
+    return rows.map(fromRow);
+  };
+
+  // When control was last applied against a model's pest in a zone (ms)
+  const lastControl = async (farmId, zone, modelId, before = Date.now()) => {
+    const { rows } = await db.execute({
+      sql: `SELECT MAX(observed_at) AS at FROM scouting_observations
+        WHERE farm_id = ? AND zone = ? AND model_id = ?
+          AND control_applied = 1 AND observed_at <= ?`,
+      args: [farmId, zone, modelId, before],
+    });
+    return rows[0]?.at != null ? Number(rows[0].at) : null;
+  };
+
+  const create = async ({
+    farmId,
+    zone,
+    crop,
+    modelId,
+    observedAt,
+    incidence,
+    controlApplied = false,
+    notes,
+    observedBy,
+    predictedScore,
+  }) => {
+    const { lastInsertRowid } = await db.execute({
+      sql: `INSERT INTO scouting_observations
+        (farm_id, zone, crop, model_id, observed_at, incidence,
+         control_applied, notes, observed_by, predicted_score, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        farmId,
+        zone,
+        crop ?? null,
+        modelId,
+        observedAt,
+        incidence,
+        controlApplied ? 1 : 0,
+        notes ?? null,
+        observedBy ?? null,
+        predictedScore ?? null,
+        Date.now(),
+      ],
+    });
+    return Number(lastInsertRowid);
+  };
+
+  return { get, list, lastControl, create };
+};
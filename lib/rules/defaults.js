@@ -0,0 +1,175 @@
+// Rules matching the thresholds the processors used to hardcode or read from
+// the environment. Only used to seed an empty rules table.
+export const defaultRules = (env = process.env) => {
+  const number = (value, fallback) => parseFloat(value) || fallback;
+
+  // Price alerts look at movement rather than a fixed price per crop. They
+  // are evaluated once per farm growing the crop, so each farm gets its own.
+  const priceRule = (id, name, metric, operator, value, trend, advice) => ({
+    id,
+    name,
+    metric,
+    comparison: { operator, value },
+    severity: "info",
+    action: {
+      type: "notify",
+      taskType: "market_price_alert",
+      details: { trend, recommendation: advice },
+    },
+  });
+  const priceRules = [
+    priceRule(
+      "price-rising-week",
+      "Price up over 10% week on week",
+      "market_price_change",
+      ">",
+      10,
+      "up",
+      "Consider selling - good market price!"
+    ),
+    priceRule(
+      "price-falling-week",
+      "Price down over 10% week on week",
+      "market_price_change",
+      "<",
+      -10,
+      "down",
+      "Hold stock - wait for better prices"
+    ),
+    priceRule(
+      "price-above-average",
+      "Price over 15% above its 4-week average",
+      "market_price_deviation",
+      ">",
+      15,
+      "up",
+      "Consider selling - well above the recent average"
+    ),
+    priceRule(
+      "price-below-average",
+      "Price over 15% below its 4-week average",
+      "market_price_deviation",
+      "<",
+      -15,
+      "down",
+      "Hold stock - well below the recent average"
+    ),
+  ];
+
+  return [
+    {
+      id: "low-soil-moisture",
+      name: "Irrigate on low soil moisture",
+      metric: "soil_moisture",
+      comparison: {
+        operator: "<",
+        value: number(env.SOIL_MOISTURE_LOW_THRESHOLD, 30),
+      },
+      severity: "warning",
+      action: {
+        type: "enqueue",
+        queue: "irrigation",
+        job: "start-irrigation",
+        data: { reason: "low_soil_moisture" },
+      },
+    },
+    {
+      id: "high-temperature",
+      name: "High temperature",
+      metric: "temperature",
+      comparison: {
+        operator: ">",
+        value: number(env.TEMPERATURE_HIGH_THRESHOLD, 35),
+      },
+      severity: "warning",
+      action: {
+        type: "notify",
+        taskType: "weather_warning",
+        details: {
+          warning: "High temperature alert",
+          advice: "Consider shade protection for sensitive crops",
+        },
+      },
+    },
+    {
+      id: "low-humidity",
+      name: "Low humidity",
+      metric: "humidity",
+      comparison: {
+        operator: "<",
+        value: number(env.HUMIDITY_LOW_THRESHOLD, 40),
+      },
+      severity: "warning",
+      action: {
+        type: "notify",
+        taskType: "weather_warning",
+        details: {
+          warning: "Low humidity alert",
+          advice: "Increase irrigation frequency",
+        },
+      },
+    },
+    {
+      id: "poor-leaf-health",
+      name: "Poor crop health",
+      metric: "leaf_health",
+      comparison: { operator: "<", value: 60 },
+      severity: "warning",
+      action: {
+        type: "notify",
+        taskType: "weather_warning",
+        details: {
+          warning: "Poor crop health detected",
+          advice: "Consider nutrient supplementation or pest control",
+        },
+      },
+    },
+    {
+      id: "high-pest-activity",
+      name: "High pest activity",
+      metric: "pest_activity",
+      comparison: { operator: ">", value: 70 },
+      severity: "warning",
+      action: {
+        type: "notify",
+        taskType: "pest_risk",
+        details: {
+          risk: "High pest activity",
+          action: "Apply pest control measures immediately",
+        },
+      },
+    },
+    {
+      id: "high-disease-risk",
+      name: "High disease risk",
+      metric: "disease_risk",
+      comparison: { operator: ">", value: 70 },
+      severity: "warning",
+      action: {
+        type: "notify",
+        taskType: "disease_risk",
+        details: {
+          risk: "High disease risk",
+          action: "Inspect leaves for lesions and apply a protectant fungicide",
+        },
+      },
+    },
+    {
+      id: "equipment-failure",
+      name: "Equipment failure",
+      metric: "equipment_health",
+      comparison: { operator: "<", value: 20 },
+      severity: "critical",
+      action: { type: "notify", taskType: "equipment_failure" },
+    },
+    {
+      id: "equipment-maintenance",
+      name: "Equipment maintenance due",
+      metric: "equipment_health",
+      comparison: { operator: "between", value: [20, 40] },
+      severity: "warning",
+      action: { type: "notify", taskType: "maintenance_required" },
+    },
+    ...priceRules,
+  ];
+};
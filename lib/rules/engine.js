@@ -0,0 +1,198 @@
+// Threshold rules, stored as JSON:
+//
+// {
+//   "id": "low-humidity",
+//   "name": "Low humidity",
+//   "metric": "humidity",
+//   "scope": { "farmId": "farm-001", "zone": "zone-a", "crop": "maize" },
+//   "comparison": { "operator": "<", "value": 40 },
+//   "durationSeconds": 600,   // condition must hold this long before firing
+//   "hysteresis": 5,          // and clears once 5 units past the threshold
+//   "severity": "warning",    // "critical" alerts escalate if not acknowledged
+//   "cooldownMinutes": 60,    // optional, between repeat notifications
+//   "action": { "type": "notify", "taskType": "weather_warning",
+//               "details": { "warning": "Low humidity alert" } },
+//   "enabled": true
+// }
+//
+// `action` may also be { "type": "enqueue", "queue": "irrigation",
+// "job": "start-irrigation", "data": { ... } }. Every scope key (farmId, zone,
+// crop, stage, market, equipment) is optional. `stage` is the growth stage
+// of the zone's planting, e.g. a higher soil moisture threshold during "mid".
+
+export const OPERATORS = ["<", "<=", ">", ">=", "==", "!=", "between"];
+export const SEVERITIES = ["info", "warning", "critical"];
+export const ACTION_TYPES = ["notify", "enqueue"];
+export const SCOPE_KEYS = [
+  "farmId",
+  "zone",
+  "crop",
+  "stage",
+  "market",
+  "equipment",
+];
+
+// What a rule's state and alert are tracked per. Not the stage, so a
+// condition that holds as the crop moves on to its next stage stays one alert.
+const SUBJECT_KEYS = SCOPE_KEYS.filter((key) => key !== "stage");
+
+// Metrics the processors evaluate, beyond the sensor metrics.
+// market_price_change is week-on-week and market_price_deviation is from the
+// moving average, both in percent.
+export const DERIVED_METRICS = [
+  "market_price",
+  "market_price_change",
+  "market_price_deviation",
+  "equipment_health",
+];
+
+// Jobs an enqueue action may add, per queue. Anything else could send SMS
+// or run arbitrary work on behalf of whoever can edit rules.
+export const ENQUEUE_JOBS = {
+  irrigation: [
+    "start-irrigation",
+    "stop-irrigation",
+    "assess-irrigation-needs",
+  ],
+};
+
+export const canEnqueue = ({ queue, job }) =>
+  Object.hasOwn(ENQUEUE_JOBS, queue) && ENQUEUE_JOBS[queue].includes(job);
+
+export const compare = ({ operator, value: threshold }, value) => {
+  switch (operator) {
+    case "<":
+      return value < threshold;
+    case "<=":
+      return value <= threshold;
+    case ">":
+      return value > threshold;
+    case ">=":
+      return value >= threshold;
+    case "==":
+      return value === threshold;
+    case "!=":
+      return value !== threshold;
+    case "between":
+      return value >= threshold[0] && value < threshold[1];
+    default:
+      return false;
+  }
+};
+
+// An active rule stays active until the value is `hysteresis` past the
+// threshold, so readings hovering on the line don't flap
+export const stillActive = ({ comparison, hysteresis = 0 }, value) => {
+  const { operator, value: threshold } = comparison;
+  switch (operator) {
+    case "<":
+    case "<=":
+      return value < threshold + hysteresis;
+    case ">":
+    case ">=":
+      return value > threshold - hysteresis;
+    case "between":
+      return (
+        value >= threshold[0] - hysteresis && value < threshold[1] + hysteresis
+      );
+    default:
+      return compare(comparison, value);
+  }
+};
+
+export const inScope = (rule, subject) =>
+  SCOPE_KEYS.every(
+    (key) => rule.scope?.[key] == null || rule.scope[key] === subject[key]
+  );
+
+export const createRuleEngine = ({ store, queues, alerts }) => {
+  const runAction = async (rule, subject, key, value, context) => {
+    const { action } = rule;
+    const base = {
+      ...subject,
+      metric: rule.metric,
+      value,
+      severity: rule.severity,
+      ruleId: rule.id,
+      ...context,
+    };
+
+    // Notifications go through the alert lifecycle so a condition that
+    // holds across many evaluations doesn't notify on every one
+    if (action.type === "notify") {
+      await alerts.raise({
+        dedupKey: `${rule.id}:${key}`,
+        farmId: subject.farmId,
+        zone: subject.zone,
+        ruleId: rule.id,
+        taskType: action.taskType,
+        severity: rule.severity,
+        cooldownMinutes: rule.cooldownMinutes,
+        details: { ...base, condition: rule.name, ...action.details },
+      });
+    } else if (action.type === "enqueue") {
+      // Rules stored before the allowlist may still name other jobs
+      if (!canEnqueue(action) || !queues[action.queue]) {
+        console.warn(
+          `⚠️ Rule ${rule.id} may not enqueue ${action.queue}/${action.job}`
+        );
+        return;
+      }
+      // The subject comes last so action data can't redirect the job to
+      // another farm or zone
+      await queues[action.queue].add(action.job, {
+        ...action.data,
+        ...base,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  };
+
+  // Evaluate every enabled rule for a metric against one value. Notify
+  // actions run on each evaluation while a rule is active (the alert
+  // lifecycle dedups them); enqueue actions only when it turns active, so
+  // every batch of low readings doesn't queue another job. Returns the
+  // active rules.
+  const evaluate = async ({ metric, value, context = {}, ...subject }) => {
+    if (value == null) return [];
+
+    const rules = (await store.list()).filter(
+      (rule) => rule.enabled && rule.metric === metric && inScope(rule, subject)
+    );
+    const now = Date.now();
+    const fired = [];
+
+    for (const rule of rules) {
+      const key = SUBJECT_KEYS.map((k) => subject[k] ?? "").join(":");
+      const state = await store.getState(rule.id, key);
+
+      let active = false;
+      let pendingSince = null;
+
+      if (state?.active) {
+        active = stillActive(rule, value);
+      } else if (compare(rule.comparison, value)) {
+        pendingSince = state?.pendingSince ?? now;
+        active = now - pendingSince >= (rule.durationSeconds || 0) * 1000;
+      }
+
+      await store.setState(rule.id, key, {
+        active,
+        pendingSince: active ? null : pendingSince,
+      });
+
+      if (active) {
+        if (rule.action.type !== "enqueue" || !state?.active) {
+          await runAction(rule, subject, key, value, context);
+        }
+        fired.push(rule);
+      } else if (state?.active && rule.action.type === "notify") {
+        await alerts.clear(`${rule.id}:${key}`);
+      }
+    }
+
+    return fired;
+  };
+
+  return { evaluate };
+};
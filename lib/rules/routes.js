@@ -0,0 +1,119 @@
+import { Router } from "express";
+import { validateRule } from "./store.js";
+
+// canAccess(req, farmId) says whether the caller may see a farm. Everyone
+// sees the rules for their farms and the unscoped ones, which apply to every
+// farm; only admins may create or change unscoped rules.
+export const createRulesRouter = ({ store, canAccess = () => true }) => {
+  const router = Router();
+
+  const readable = (req, rule) =>
+    !rule.scope?.farmId || canAccess(req, rule.scope.farmId);
+  const writable = (req, rule) =>
+    req.actor?.role === "admin" ||
+    Boolean(rule.scope?.farmId && canAccess(req, rule.scope.farmId));
+
+  const forbidden = (res, rule) =>
+    res.status(403).json({
+      error: rule.scope?.farmId
+        ? `No access to farm ${rule.scope.farmId}`
+        : "Only admins may manage rules without scope.farmId",
+    });
+
+  router.get("/", async (req, res) => {
+    try {
+      res.json({
+        rules: (await store.list()).filter((rule) => readable(req, rule)),
+      });
+    } catch (error) {
+      console.error("List rules error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const errors = validateRule(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid rule", details: errors });
+      }
+      if (!writable(req, req.body)) return forbidden(res, req.body);
+      if (await store.get(req.body.id)) {
+        return res
+          .status(409)
+          .json({ error: `Rule ${req.body.id} already exists` });
+      }
+
+      res.status(201).json(await store.save(req.body));
+    } catch (error) {
+      console.error("Create rule error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const rule = await store.get(req.params.id);
+      if (!rule || !readable(req, rule)) {
+        return res
+          .status(404)
+          .json({ error: `Rule ${req.params.id} not found` });
+      }
+      res.json(rule);
+    } catch (error) {
+      console.error("Get rule error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // PUT replaces the rule, PATCH merges top-level fields into it
+  const update = (merge) => async (req, res) => {
+    try {
+      const existing = await store.get(req.params.id);
+      if (!existing || !readable(req, existing)) {
+        return res
+          .status(404)
+          .json({ error: `Rule ${req.params.id} not found` });
+      }
+      if (!writable(req, existing)) return forbidden(res, existing);
+
+      const rule = {
+        ...(merge ? existing : {}),
+        ...req.body,
+        id: req.params.id,
+      };
+      const errors = validateRule(rule);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid rule", details: errors });
+      }
+      if (!writable(req, rule)) return forbidden(res, rule);
+
+      res.json(await store.save(rule));
+    } catch (error) {
+      console.error("Update rule error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  router.put("/:id", update(false));
+  router.patch("/:id", update(true));
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      const existing = await store.get(req.params.id);
+      if (!existing || !readable(req, existing)) {
+        return res
+          .status(404)
+          .json({ error: `Rule ${req.params.id} not found` });
+      }
+      if (!writable(req, existing)) return forbidden(res, existing);
+      await store.remove(req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      console.error("Delete rule error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
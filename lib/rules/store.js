@@ -0,0 +1,191 @@
+import { GROWTH_STAGES } from "../irrigation/crops.js";
+import { SENSOR_METRICS } from "../sensors/schema.js";
+import { validateId } from "../farms/registry.js";
+import {
+  ACTION_TYPES,
+  DERIVED_METRICS,
+  ENQUEUE_JOBS,
+  OPERATORS,
+  SCOPE_KEYS,
+  SEVERITIES,
+  canEnqueue,
+} from "./engine.js";
+
+const isNumber = (value) => typeof value === "number" && isFinite(value);
+
+// Validate a complete rule definition, returning a list of problems
+export const validateRule = (rule) => {
+  const errors = [];
+  const metrics = [...Object.keys(SENSOR_METRICS), ...DERIVED_METRICS];
+
+  const idError = validateId(rule.id);
+  if (idError) errors.push(idError);
+  if (typeof rule.name !== "string" || !rule.name.trim()) {
+    errors.push("name is required");
+  }
+  if (!metrics.includes(rule.metric)) {
+    errors.push(`metric must be one of: ${metrics.join(", ")}`);
+  }
+
+  if (rule.scope != null) {
+    if (typeof rule.scope !== "object" || Array.isArray(rule.scope)) {
+      errors.push("scope must be an object");
+    } else {
+      for (const key of Object.keys(rule.scope)) {
+        if (!SCOPE_KEYS.includes(key)) {
+          errors.push(`scope may only contain: ${SCOPE_KEYS.join(", ")}`);
+        }
+      }
+      const { stage } = rule.scope;
+      if (stage != null && !GROWTH_STAGES.includes(stage)) {
+        errors.push(`scope.stage must be one of: ${GROWTH_STAGES.join(", ")}`);
+      }
+    }
+  }
+
+  const { operator, value } = rule.comparison || {};
+  if (!OPERATORS.includes(operator)) {
+    errors.push(`comparison.operator must be one of: ${OPERATORS.join(", ")}`);
+  } else if (operator === "between") {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(isNumber)) {
+      errors.push("comparison.value must be [low, high] for between");
+    }
+  } else if (!isNumber(value)) {
+    errors.push("comparison.value must be a number");
+  }
+
+  if (
+    rule.durationSeconds != null &&
+    !(isNumber(rule.durationSeconds) && rule.durationSeconds >= 0)
+  ) {
+    errors.push("durationSeconds must be zero or more");
+  }
+  if (
+    rule.hysteresis != null &&
+    !(isNumber(rule.hysteresis) && rule.hysteresis >= 0)
+  ) {
+    errors.push("hysteresis must be zero or more");
+  }
+  if (
+    rule.cooldownMinutes != null &&
+    !(isNumber(rule.cooldownMinutes) && rule.cooldownMinutes >= 0)
+  ) {
+    errors.push("cooldownMinutes must be zero or more");
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    errors.push(`severity must be one of: ${SEVERITIES.join(", ")}`);
+  }
+
+  const { action } = rule;
+  if (!action || !ACTION_TYPES.includes(action.type)) {
+    errors.push(`action.type must be one of: ${ACTION_TYPES.join(", ")}`);
+  } else if (action.type === "notify" && typeof action.taskType !== "string") {
+    errors.push("action.taskType is required for notify actions");
+  } else if (action.type === "enqueue") {
+    if (!canEnqueue(action)) {
+      const allowed = Object.entries(ENQUEUE_JOBS).flatMap(([queue, jobs]) =>
+        jobs.map((job) => `${queue}/${job}`)
+      );
+      errors.push(
+        `action.queue/action.job must be one of: ${allowed.join(", ")}`
+      );
+    }
+    if (
+      action.data != null &&
+      (typeof action.data !== "object" || Array.isArray(action.data))
+    ) {
+      errors.push("action.data must be an object");
+    }
+  }
+
+  if (rule.enabled != null && typeof rule.enabled !== "boolean") {
+    errors.push("enabled must be a boolean");
+  }
+
+  return errors;
+};
+
+export const createRuleStore = (db) => {
+  // Rules are read on every evaluation, so keep them in memory and reload
+  // only after a change made through this store
+  let cache = null;
+
+  const list = async () => {
+    if (!cache) {
+      const { rows } = await db.execute(
+        "SELECT definition FROM rules ORDER BY id"
+      );
+      cache = rows.map((row) => JSON.parse(row.definition));
+    }
+    return cache;
+  };
+
+  const get = async (id) => (await list()).find((rule) => rule.id === id);
+
+  const save = async (rule) => {
+    const definition = {
+      scope: {},
+      durationSeconds: 0,
+      hysteresis: 0,
+      enabled: true,
+      ...rule,
+    };
+    await db.execute({
+      sql: `INSERT INTO rules (id, definition, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET
+          definition = excluded.definition,
+          updated_at = excluded.updated_at`,
+      args: [rule.id, JSON.stringify(definition), new Date().toISOString()],
+    });
+    cache = null;
+    return definition;
+  };
+
+  const remove = async (id) => {
+    const [deleted] = await db.batch(
+      [
+        { sql: "DELETE FROM rules WHERE id = ?", args: [id] },
+        { sql: "DELETE FROM rule_state WHERE rule_id = ?", args: [id] },
+      ],
+      "write"
+    );
+    cache = null;
+    return deleted.rowsAffected > 0;
+  };
+
+  const getState = async (ruleId, subject) => {
+    const { rows } = await db.execute({
+      sql: `SELECT active, pending_since FROM rule_state
+        WHERE rule_id = ? AND subject = ?`,
+      args: [ruleId, subject],
+    });
+    if (!rows[0]) return null;
+    return {
+      active: Boolean(rows[0].active),
+      pendingSince:
+        rows[0].pending_since != null ? Number(rows[0].pending_since) : null,
+    };
+  };
+
+  const setState = async (ruleId, subject, { active, pendingSince }) => {
+    await db.execute({
+      sql: `INSERT INTO rule_state (rule_id, subject, active, pending_since, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (rule_id, subject) DO UPDATE SET
+          active = excluded.active,
+          pending_since = excluded.pending_since,
+          updated_at = excluded.updated_at`,
+      args: [ruleId, subject, active ? 1 : 0, pendingSince, Date.now()],
+    });
+  };
+
+  // Seed the thresholds that used to live in environment variables
+  const seed = async (rules) => {
+    if ((await list()).length > 0) return;
+
+    console.log(`📏 Seeding ${rules.length} default alert rules`);
+    for (const rule of rules) await save(rule);
+  };
+
+  return { list, get, save, remove, getState, setState, seed };
+};
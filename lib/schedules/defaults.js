@@ -0,0 +1,52 @@
+// The service's recurring tasks in the Locci Scheduler, reconciled by name
+// on every start. Timing can be tuned from the environment:
+//   SENSOR_INTERVAL_MINUTES, SENSOR_ACTIVE_HOURS ("6-19" for daylight only),
+//   IRRIGATION_CHECK_CRON, WEATHER_FORECAST_CRON, MARKET_PRICES_CRON,
+//   MAINTENANCE_CRON
+export const defaultSchedules = (env = process.env) => {
+  const activeHours = (value) => {
+    const match = /^(\d{1,2})-(\d{1,2})$/.exec(value || "");
+    return match
+      ? { start: Number(match[1]), end: Number(match[2]) }
+      : undefined;
+  };
+
+  return [
+    {
+      name: "IoT Sensor Data Collection",
+      description: "Collect soil moisture, weather, and crop health data",
+      path: "/webhooks/collect-sensor-data",
+      intervalMinutes: parseInt(env.SENSOR_INTERVAL_MINUTES) || 15,
+      activeHours: activeHours(env.SENSOR_ACTIVE_HOURS),
+    },
+    {
+      // Every 2 hours during daylight
+      name: "Irrigation Assessment",
+      description: "Check irrigation needs across all farm zones",
+      path: "/webhooks/irrigation-check",
+      cron: env.IRRIGATION_CHECK_CRON || "0 6-18/2 * * *",
+    },
+    {
+      // Every 3 hours
+      name: "Weather Forecast Update",
+      description:
+        "Fetch hourly forecasts and check for frost, heat and heavy rain",
+      path: "/webhooks/weather-forecast",
+      cron: env.WEATHER_FORECAST_CRON || "30 */3 * * *",
+    },
+    {
+      // Twice daily, before the morning and evening markets
+      name: "Market Price Updates",
+      description: "Fetch latest crop prices from major markets",
+      path: "/webhooks/market-prices",
+      cron: env.MARKET_PRICES_CRON || "0 6,18 * * *",
+    },
+    {
+      // Weekly, Monday morning
+      name: "Equipment Maintenance Check",
+      description: "Weekly health check of all farm equipment",
+      path: "/webhooks/maintenance-check",
+      cron: env.MAINTENANCE_CRON || "0 7 * * 1",
+    },
+  ];
+};
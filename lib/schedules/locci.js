@@ -0,0 +1,46 @@
+// The Locci Scheduler client calls the service relies on, in one place.
+// Tasks come back as { id, name, description, cronExpression |
+// intervalSeconds, timezone, webhook, status, lastRunAt, nextRunAt } and
+// executions as { status, startedAt, completedAt, error }, newest first.
+export const createLocciTasks = (scheduler) => {
+  const list = async () => {
+    const result = await scheduler.listTasks();
+    return Array.isArray(result) ? result : result.tasks;
+  };
+
+  // Resolves the created task
+  const create = async (task) => {
+    const result = task.cronExpression
+      ? await scheduler.scheduleCron(task)
+      : await scheduler.scheduleInterval(task);
+    return result?.task ?? result;
+  };
+
+  const update = (id, task) => scheduler.updateTask(id, task);
+
+  const remove = (id) => scheduler.deleteTask(id);
+
+  const pause = (id) => scheduler.pauseTask(id);
+
+  const resume = (id) => scheduler.resumeTask(id);
+
+  // Run the task's webhook now, outside its schedule
+  const trigger = (id) => scheduler.triggerTask(id);
+
+  const lastExecution = async (id) => {
+    const result = await scheduler.getTaskExecutions(id, { limit: 1 });
+    const executions = Array.isArray(result) ? result : result.executions;
+    return executions[0] || null;
+  };
+
+  return {
+    list,
+    create,
+    update,
+    remove,
+    pause,
+    resume,
+    trigger,
+    lastExecution,
+  };
+};
@@ -0,0 +1,76 @@
+import { toTask, validateSchedule } from "./spec.js";
+
+// Fields that decide whether an existing task needs updating. Locci doesn't
+// return the webhook secret, so a new or rotated one shows up as a changed
+// secretId in the payload.
+const sameTask = (existing, desired) =>
+  existing.description === desired.description &&
+  (existing.cronExpression || null) === (desired.cronExpression || null) &&
+  (existing.intervalSeconds || null) === (desired.intervalSeconds || null) &&
+  existing.timezone === desired.timezone &&
+  existing.webhook?.url === desired.webhook.url &&
+  existing.webhook?.method === desired.webhook.method &&
+  JSON.stringify(existing.webhook?.payload ?? {}) ===
+    JSON.stringify(desired.webhook.payload);
+
+// Bring the Locci tasks calling this service (webhook under baseUrl) in line
+// with the declared schedules: create missing ones, update changed ones, and
+// delete duplicates and tasks no longer declared. Tasks belonging to other
+// services on the same scheduler, and our own tasks `unmanaged` picks out
+// (e.g. one-off reminders), are left alone.
+export const reconcileSchedules = async ({
+  tasks,
+  schedules,
+  baseUrl,
+  timezone,
+  secret,
+  unmanaged = () => false,
+}) => {
+  const invalid = schedules
+    .map((schedule) => ({
+      name: schedule.name,
+      errors: validateSchedule(schedule),
+    }))
+    .filter(({ errors }) => errors.length > 0);
+  if (invalid.length > 0) {
+    throw Object.assign(new Error("Invalid schedule configuration"), {
+      details: invalid,
+    });
+  }
+
+  const ours = (await tasks.list()).filter(
+    (task) => task.webhook?.url?.startsWith(`${baseUrl}/`) && !unmanaged(task)
+  );
+  const summary = { created: [], updated: [], deleted: [], unchanged: [] };
+
+  for (const schedule of schedules) {
+    const desired = toTask(schedule, { baseUrl, timezone, secret });
+    const [existing, ...duplicates] = ours.filter(
+      (task) => task.name === desired.name
+    );
+
+    if (!existing) {
+      await tasks.create(desired);
+      summary.created.push(desired.name);
+    } else if (!sameTask(existing, desired)) {
+      await tasks.update(existing.id, desired);
+      summary.updated.push(desired.name);
+    } else {
+      summary.unchanged.push(desired.name);
+    }
+
+    // Left over from boots that created the tasks again
+    for (const duplicate of duplicates) {
+      await tasks.remove(duplicate.id);
+      summary.deleted.push(duplicate.name);
+    }
+  }
+
+  const declared = new Set(schedules.map((schedule) => schedule.name));
+  for (const task of ours.filter((task) => !declared.has(task.name))) {
+    await tasks.remove(task.id);
+    summary.deleted.push(task.name);
+  }
+
+  return summary;
+};
@@ -0,0 +1,189 @@
+import { Router } from "express";
+import { refuseStaleQueued } from "../security/queued.js";
+import { toTask, validateSchedule } from "./spec.js";
+
+// Settings PATCH /api/schedules/:id may change. Setting cron clears the
+// interval and its active hours, and the other way round.
+const EDITABLE_FIELDS = [
+  "cron",
+  "intervalMinutes",
+  "activeHours",
+  "timezone",
+  "description",
+];
+
+// Mounted at /api/schedules. Ids are Locci task ids; only the tasks calling
+// this service are listed. A trigger queued offline (X-Queued-At) more than
+// maxQueuedMinutes ago is refused, like a queued irrigation start.
+export const createSchedulesRouter = ({
+  tasks,
+  store,
+  declared,
+  baseUrl,
+  timezone,
+  secret,
+  maxQueuedMinutes = 15,
+}) => {
+  const router = Router();
+
+  // Our tasks paired with their (override-resolved) declaration
+  const managed = async () => {
+    const schedules = await store.resolve(declared());
+    return (await tasks.list())
+      .filter((task) => task.webhook?.url?.startsWith(`${baseUrl}/`))
+      .map((task) => ({
+        task,
+        schedule: schedules.find((schedule) => schedule.name === task.name),
+      }))
+      .filter(({ schedule }) => schedule);
+  };
+
+  const find = async (id) =>
+    (await managed()).find(({ task }) => String(task.id) === id);
+
+  const describe = async ({ task, schedule }) => {
+    const execution = await tasks.lastExecution(task.id);
+    return {
+      id: task.id,
+      name: task.name,
+      description: task.description,
+      path: schedule.path,
+      status: task.status,
+      schedule: {
+        cron: schedule.cron ?? null,
+        intervalMinutes: schedule.intervalMinutes ?? null,
+        activeHours: schedule.activeHours ?? null,
+        timezone: schedule.timezone || timezone,
+      },
+      lastRunAt: task.lastRunAt ?? null,
+      nextRunAt: task.nextRunAt ?? null,
+      lastOutcome: execution && {
+        status: execution.status,
+        startedAt: execution.startedAt,
+        completedAt: execution.completedAt ?? null,
+        error: execution.error ?? null,
+      },
+    };
+  };
+
+  router.get("/", async (req, res) => {
+    try {
+      const schedules = [];
+      for (const entry of await managed()) {
+        schedules.push(await describe(entry));
+      }
+      res.json({ schedules });
+    } catch (error) {
+      console.error("Schedules error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const entry = await find(req.params.id);
+      if (!entry) return res.status(404).json({ error: "Schedule not found" });
+      res.json(await describe(entry));
+    } catch (error) {
+      console.error("Schedule error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Pause and resume answer 409 when the task is already in that state
+  const setStatus = (action, from, to) => async (req, res) => {
+    try {
+      const entry = await find(req.params.id);
+      if (!entry) return res.status(404).json({ error: "Schedule not found" });
+      if (entry.task.status !== from) {
+        return res
+          .status(409)
+          .json({ error: `Schedule is ${entry.task.status}, not ${from}` });
+      }
+
+      await tasks[action](entry.task.id);
+      res.json(
+        await describe({ ...entry, task: { ...entry.task, status: to } })
+      );
+    } catch (error) {
+      console.error(`Schedule ${action} error:`, error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+  router.post("/:id/pause", setStatus("pause", "active", "paused"));
+  router.post("/:id/resume", setStatus("resume", "paused", "active"));
+
+  const refuseStale = refuseStaleQueued({
+    maxQueuedMinutes,
+    hint: "trigger it again if it's still needed",
+  });
+
+  router.post("/:id/trigger", refuseStale, async (req, res) => {
+    try {
+      const entry = await find(req.params.id);
+      if (!entry) return res.status(404).json({ error: "Schedule not found" });
+
+      await tasks.trigger(entry.task.id);
+      res.status(202).json({ status: "triggered", name: entry.task.name });
+    } catch (error) {
+      console.error("Schedule trigger error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.patch("/:id", async (req, res) => {
+    try {
+      const entry = await find(req.params.id);
+      if (!entry) return res.status(404).json({ error: "Schedule not found" });
+
+      const body = req.body || {};
+      const unknown = Object.keys(body).filter(
+        (field) => !EDITABLE_FIELDS.includes(field)
+      );
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: "Invalid schedule",
+          details: unknown.map(
+            (field) =>
+              `${field} can't be changed; use ${EDITABLE_FIELDS.join(", ")}`
+          ),
+        });
+      }
+
+      const changes = { ...body };
+      const cleared =
+        body.cron !== undefined
+          ? ["intervalMinutes", "activeHours"]
+          : body.intervalMinutes !== undefined
+          ? ["cron"]
+          : [];
+      for (const field of cleared.filter((field) => !(field in body))) {
+        changes[field] = null;
+      }
+
+      const overrides = await store.overrides();
+      const settings = { ...overrides.get(entry.task.name), ...changes };
+      const schedule = { ...entry.schedule, ...changes };
+      for (const [key, value] of Object.entries(schedule)) {
+        if (value === null) delete schedule[key];
+      }
+
+      const errors = validateSchedule(schedule);
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Invalid schedule", details: errors });
+      }
+
+      const task = toTask(schedule, { baseUrl, timezone, secret });
+      await tasks.update(entry.task.id, task);
+      await store.setOverride(entry.task.name, settings);
+      res.json(await describe({ task: { ...entry.task, ...task }, schedule }));
+    } catch (error) {
+      console.error("Schedule update error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,127 @@
+import { createHmac } from "node:crypto";
+
+// A schedule is declared as either a cron expression or an interval, with
+// an optional window of active hours in its timezone, e.g.
+//   { name, path: "/webhooks/collect-sensor-data", intervalMinutes: 15,
+//     activeHours: { start: 6, end: 19 }, timezone: "Africa/Nairobi" }
+// and becomes one Locci task calling back into this service.
+const CRON_FIELD = /^(\*|\d+(-\d+)?)(\/\d+)?(,(\*|\d+(-\d+)?)(\/\d+)?)*$/;
+const CRON_NAMED_FIELD =
+  /^[A-Za-z]{3}(-[A-Za-z]{3})?(,[A-Za-z]{3}(-[A-Za-z]{3})?)*$/;
+
+const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 24;
+
+// Standard 5-field cron: minute hour day-of-month month day-of-week
+export const isValidCron = (expression) => {
+  if (typeof expression !== "string") return false;
+  const fields = expression.trim().split(/\s+/);
+  return (
+    fields.length === 5 &&
+    fields.every(
+      (field, i) =>
+        CRON_FIELD.test(field) || (i >= 3 && CRON_NAMED_FIELD.test(field))
+    )
+  );
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Returns a list of problems with a schedule declaration
+export const validateSchedule = (schedule) => {
+  const errors = [];
+  const { name, path, cron, intervalMinutes, activeHours, timezone } = schedule;
+
+  if (typeof name !== "string" || !name.trim()) errors.push("name is required");
+  if (typeof path !== "string" || !path.startsWith("/")) {
+    errors.push("path must start with /");
+  }
+  if ((cron === undefined) === (intervalMinutes === undefined)) {
+    errors.push("exactly one of cron and intervalMinutes is required");
+  }
+  if (cron !== undefined && !isValidCron(cron)) {
+    errors.push("cron must be a 5-field cron expression");
+  }
+  if (
+    intervalMinutes !== undefined &&
+    !(Number.isInteger(intervalMinutes) && intervalMinutes > 0)
+  ) {
+    errors.push("intervalMinutes must be a positive integer");
+  }
+  if (activeHours !== undefined) {
+    if (
+      !isHour(activeHours?.start) ||
+      !isHour(activeHours?.end) ||
+      activeHours.start >= activeHours.end
+    ) {
+      errors.push("activeHours must be { start, end } hours with start < end");
+    } else if (cron !== undefined) {
+      errors.push("activeHours only applies to intervals; use the cron hours");
+    } else if (
+      intervalMinutes !== undefined &&
+      !(60 % intervalMinutes === 0 || intervalMinutes % 60 === 0)
+    ) {
+      errors.push(
+        "with activeHours, intervalMinutes must divide an hour or be whole hours"
+      );
+    }
+  }
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    errors.push("timezone must be an IANA timezone, e.g. Africa/Nairobi");
+  }
+
+  return errors;
+};
+
+// An interval limited to active hours runs as cron, e.g. every 15 minutes
+// from 06:00 to 19:00 is "*/15 6-18 * * *"
+const windowCron = ({ intervalMinutes, activeHours: { start, end } }) => {
+  const hours = `${start}-${end - 1}`;
+  if (intervalMinutes < 60) {
+    return `${
+      intervalMinutes === 1 ? "*" : `*/${intervalMinutes}`
+    } ${hours} * * *`;
+  }
+  const everyHours = intervalMinutes / 60;
+  return `0 ${everyHours === 1 ? hours : `${hours}/${everyHours}`} * * *`;
+};
+
+// Identifies the webhook secret a task was given without revealing it.
+// Locci doesn't return secrets, so reconciliation compares this instead.
+export const secretFingerprint = (secret) =>
+  createHmac("sha256", secret)
+    .update("locci-webhook-secret")
+    .digest("hex")
+    .slice(0, 16);
+
+// The Locci task a schedule declaration reconciles to. With a secret, Locci
+// signs each webhook (see lib/security/signature.js).
+export const toTask = (schedule, { baseUrl, timezone, secret }) => {
+  const task = {
+    name: schedule.name,
+    description: schedule.description || "",
+    timezone: schedule.timezone || timezone,
+    webhook: {
+      url: `${baseUrl}${schedule.path}`,
+      method: "POST",
+      payload: {
+        source: "locci_scheduler",
+        ...schedule.payload,
+        ...(secret ? { secretId: secretFingerprint(secret) } : {}),
+      },
+      ...(secret ? { secret } : {}),
+    },
+  };
+
+  if (schedule.cron) return { ...task, cronExpression: schedule.cron };
+  if (schedule.activeHours) {
+    return { ...task, cronExpression: windowCron(schedule) };
+  }
+  return { ...task, intervalSeconds: schedule.intervalMinutes * 60 };
+};
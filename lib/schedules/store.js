@@ -0,0 +1,36 @@
+// Schedule settings changed at runtime. They outlive restarts by being
+// applied over the declared schedules before every reconcile; a null
+// setting removes the declared one (e.g. cron when switching to an interval).
+export const createScheduleStore = (db) => {
+  const overrides = async () => {
+    const { rows } = await db.execute(
+      "SELECT name, settings FROM schedule_overrides"
+    );
+    return new Map(rows.map((row) => [row.name, JSON.parse(row.settings)]));
+  };
+
+  // Declared schedules with their overrides applied
+  const resolve = async (schedules) => {
+    const changes = await overrides();
+    return schedules.map((schedule) => {
+      const resolved = { ...schedule, ...changes.get(schedule.name) };
+      for (const [key, value] of Object.entries(resolved)) {
+        if (value === null) delete resolved[key];
+      }
+      return resolved;
+    });
+  };
+
+  const setOverride = async (name, settings) => {
+    await db.execute({
+      sql: `INSERT INTO schedule_overrides (name, settings, updated_at)
+        VALUES (?, ?, ?)
+        ON CONFLICT (name) DO UPDATE SET
+          settings = excluded.settings,
+          updated_at = excluded.updated_at`,
+      args: [name, JSON.stringify(settings), new Date().toISOString()],
+    });
+  };
+
+  return { overrides, resolve, setOverride };
+};
@@ -0,0 +1,43 @@
+import { safeEqual } from "./signature.js";
+import { unconfigured } from "./unconfigured.js";
+
+const toIPv4Number = (ip) =>
+  ip.split(".").reduce((value, octet) => value * 256 + Number(octet), 0);
+
+// Exact addresses, or IPv4 ranges in CIDR notation
+const matchesAddress = (ip, entry) => {
+  const [range, bits] = entry.split("/");
+  if (bits === undefined || !ip.includes(".")) return ip === range;
+  const size = 2 ** (32 - Number(bits));
+  return (
+    Math.floor(toIPv4Number(ip) / size) ===
+    Math.floor(toIPv4Number(range) / size)
+  );
+};
+
+// Africa's Talking doesn't sign its callbacks. They are accepted from AT's
+// addresses (allowedIps) or when they carry the token configured in the
+// callback URL (?token=...). Set Express "trust proxy" when behind one so
+// req.ip is the caller's address.
+export const verifyCallbackSource = ({
+  allowedIps = [],
+  token,
+  production,
+}) => {
+  if (allowedIps.length === 0 && !token) {
+    return unconfigured("AT_CALLBACK_ALLOWED_IPS or AT_CALLBACK_TOKEN", {
+      production,
+    });
+  }
+
+  return (req, res, next) => {
+    const ip = (req.ip || "").replace(/^::ffff:/, "");
+    const tokenMatches = token && safeEqual(req.query.token ?? "", token);
+    if (tokenMatches || allowedIps.some((entry) => matchesAddress(ip, entry))) {
+      return next();
+    }
+
+    console.warn(`⚠️ Rejected Africa's Talking callback from ${ip}`);
+    res.status(403).json({ error: "Callback source not allowed" });
+  };
+};
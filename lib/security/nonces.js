@@ -0,0 +1,25 @@
+// Webhook nonces seen recently, kept for twice the signature tolerance so
+// a replay inside the timestamp window is always caught
+export const createNonceStore = (db) => {
+  // False when the nonce was already used
+  const claim = async (nonce, ttlSeconds) => {
+    const now = Date.now();
+    const [, inserted] = await db.batch(
+      [
+        {
+          sql: "DELETE FROM webhook_nonces WHERE expires_at < ?",
+          args: [now],
+        },
+        {
+          sql: `INSERT INTO webhook_nonces (nonce, expires_at) VALUES (?, ?)
+            ON CONFLICT (nonce) DO NOTHING`,
+          args: [nonce, now + ttlSeconds * 1000],
+        },
+      ],
+      "write"
+    );
+    return inserted.rowsAffected > 0;
+  };
+
+  return { claim };
+};
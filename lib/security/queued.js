@@ -0,0 +1,28 @@
+// Actions a phone queued while offline are replayed with X-Queued-At (see
+// public/service-worker.js). For actions that could do harm when applied
+// late, a replay older than maxQueuedMinutes is refused with a 409 and one
+// with an unreadable X-Queued-At with a 400; the service worker drops both
+// and tells the user. `hint` says what to do instead.
+export const refuseStaleQueued =
+  ({ maxQueuedMinutes, hint }) =>
+  (req, res, next) => {
+    const queuedAt = req.get("x-queued-at");
+    if (queuedAt === undefined) return next();
+
+    const queuedMs = Date.parse(queuedAt);
+    if (Number.isNaN(queuedMs)) {
+      return res.status(400).json({
+        error: "Invalid X-Queued-At header",
+        details: ["X-Queued-At must be an ISO 8601 time"],
+      });
+    }
+
+    const minutes = (Date.now() - queuedMs) / 60000;
+    if (minutes > maxQueuedMinutes) {
+      return res.status(409).json({
+        error: `Queued ${Math.round(minutes)} minutes ago; ${hint}`,
+        conflict: "expired",
+      });
+    }
+    next();
+  };
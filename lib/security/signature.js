@@ -0,0 +1,62 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { unconfigured } from "./unconfigured.js";
+
+// Locci Scheduler signs each webhook with the task's shared secret:
+//   X-Locci-Timestamp  unix seconds when it was sent
+//   X-Locci-Nonce      unique per delivery
+//   X-Locci-Signature  sha256=HMAC-SHA256(secret, "<timestamp>.<nonce>.<body>")
+export const SIGNATURE_HEADER = "x-locci-signature";
+export const TIMESTAMP_HEADER = "x-locci-timestamp";
+export const NONCE_HEADER = "x-locci-nonce";
+
+export const signPayload = (secret, timestamp, nonce, body) =>
+  createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.${body}`)
+    .digest("hex");
+
+export const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+};
+
+// Rejects unsigned or tampered webhooks (401), ones sent more than
+// toleranceSeconds ago (401) and replays of a nonce already seen (409).
+// Needs the raw request body as req.rawBody.
+export const verifyWebhookSignature = ({
+  secret,
+  nonces,
+  toleranceSeconds = 300,
+  production,
+}) => {
+  if (!secret) return unconfigured("LOCCI_WEBHOOK_SECRET", { production });
+
+  return async (req, res, next) => {
+    try {
+      const signature = req.get(SIGNATURE_HEADER)?.replace(/^sha256=/, "");
+      const timestamp = req.get(TIMESTAMP_HEADER);
+      const nonce = req.get(NONCE_HEADER);
+      if (!signature || !timestamp || !nonce) {
+        return res.status(401).json({ error: "Missing webhook signature" });
+      }
+
+      const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+      if (!Number.isFinite(age) || age > toleranceSeconds) {
+        return res.status(401).json({ error: "Webhook timestamp too old" });
+      }
+
+      const expected = signPayload(secret, timestamp, nonce, req.rawBody ?? "");
+      if (!safeEqual(signature, expected)) {
+        return res.status(401).json({ error: "Invalid webhook signature" });
+      }
+
+      // Checked last so forged requests can't use up nonces
+      if (!(await nonces.claim(nonce, toleranceSeconds * 2))) {
+        return res.status(409).json({ error: "Webhook already received" });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,148 @@
+const toIso = (value) =>
+  value != null ? new Date(Number(value)).toISOString() : null;
+
+const fromRow = (row) => ({
+  farmId: row.farm_id,
+  deviceId: row.device_id,
+  lastSeenAt: toIso(row.last_seen_at),
+  batteryLevel: row.battery_level,
+  batteryAt: toIso(row.battery_at),
+});
+
+const metricFromRow = (row) => ({
+  farmId: row.farm_id,
+  deviceId: row.device_id,
+  metric: row.metric,
+  lastValue: row.last_value,
+  lastAt: toIso(row.last_at),
+  sameSince: toIso(row.same_since),
+  rejectedValue: row.rejected_value,
+  rejectedAt: toIso(row.rejected_at),
+});
+
+// When each device last reported, and its last known battery level. Every
+// ingested reading counts as a heartbeat. Per metric it also keeps how long
+// the value has been unchanged and the last impossible value rejected.
+export const createDeviceStatusStore = (db) => {
+  const recordHeartbeats = async (readings) => {
+    const devices = new Map();
+    for (const { farmId, deviceId, timestamp, battery } of readings) {
+      const key = `${farmId}:${deviceId}`;
+      const at = new Date(timestamp).getTime();
+      const device = devices.get(key) || { farmId, deviceId, lastSeenAt: 0 };
+      device.lastSeenAt = Math.max(device.lastSeenAt, at);
+      if (battery !== undefined && !(device.batteryAt > at)) {
+        device.batteryLevel = battery;
+        device.batteryAt = at;
+      }
+      devices.set(key, device);
+    }
+    if (devices.size === 0) return;
+
+    // Late readings never move last-seen or the battery level backwards
+    await db.batch(
+      [...devices.values()].map((device) => ({
+        sql: `INSERT INTO device_heartbeats
+            (farm_id, device_id, last_seen_at, battery_level, battery_at)
+          VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT (farm_id, device_id) DO UPDATE SET
+            last_seen_at = MAX(last_seen_at, excluded.last_seen_at),
+            battery_level = CASE
+              WHEN excluded.battery_at >= COALESCE(battery_at, 0)
+              THEN excluded.battery_level ELSE battery_level END,
+            battery_at = CASE
+              WHEN excluded.battery_at >= COALESCE(battery_at, 0)
+              THEN excluded.battery_at ELSE battery_at END`,
+        args: [
+          device.farmId,
+          device.deviceId,
+          device.lastSeenAt,
+          device.batteryLevel ?? null,
+          device.batteryAt ?? null,
+        ],
+      })),
+      "write"
+    );
+  };
+
+  // Returns the updated state of each device/metric in the readings
+  const recordValues = async (readings) => {
+    if (readings.length === 0) return [];
+
+    const ordered = [...readings].sort((a, b) =>
+      a.timestamp < b.timestamp ? -1 : 1
+    );
+    await db.batch(
+      ordered.map(({ farmId, deviceId, metric, value, timestamp }) => {
+        const at = new Date(timestamp).getTime();
+        return {
+          sql: `INSERT INTO device_metrics
+              (farm_id, device_id, metric, last_value, last_at, same_since)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (farm_id, device_id, metric) DO UPDATE SET
+              same_since = CASE WHEN last_value = excluded.last_value
+                THEN COALESCE(same_since, excluded.same_since)
+                ELSE excluded.same_since END,
+              last_value = excluded.last_value,
+              last_at = excluded.last_at
+            WHERE last_at IS NULL OR excluded.last_at > last_at`,
+          args: [farmId, deviceId, metric, value, at, at],
+        };
+      }),
+      "write"
+    );
+
+    const devices = new Map(
+      readings.map(({ farmId, deviceId }) => [
+        `${farmId}:${deviceId}`,
+        { farmId, deviceId },
+      ])
+    );
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM device_metrics WHERE ${[...devices.values()]
+        .map(() => "(farm_id = ? AND device_id = ?)")
+        .join(" OR ")}`,
+      args: [...devices.values()].flatMap(({ farmId, deviceId }) => [
+        farmId,
+        deviceId,
+      ]),
+    });
+    const touched = new Set(
+      readings.map((r) => `${r.farmId}:${r.deviceId}:${r.metric}`)
+    );
+    return rows
+      .map(metricFromRow)
+      .filter((m) => touched.has(`${m.farmId}:${m.deviceId}:${m.metric}`));
+  };
+
+  const recordRejected = async ({ farmId, deviceId, metric, value }) => {
+    await db.execute({
+      sql: `INSERT INTO device_metrics
+          (farm_id, device_id, metric, rejected_value, rejected_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (farm_id, device_id, metric) DO UPDATE SET
+          rejected_value = excluded.rejected_value,
+          rejected_at = excluded.rejected_at`,
+      args: [farmId, deviceId, metric, value, Date.now()],
+    });
+  };
+
+  const metrics = async (farmId) => {
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM device_metrics WHERE farm_id = ?
+        ORDER BY device_id, metric`,
+      args: [farmId],
+    });
+    return rows.map(metricFromRow);
+  };
+
+  const list = async (farmId) => {
+    const { rows } = await db.execute({
+      sql: "SELECT * FROM device_heartbeats WHERE farm_id = ? ORDER BY device_id",
+      args: [farmId],
+    });
+    return rows.map(fromRow);
+  };
+
+  return { recordHeartbeats, recordValues, recordRejected, list, metrics };
+};
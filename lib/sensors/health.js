@@ -0,0 +1,225 @@
+import { SENSOR_METRICS } from "./schema.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Rejected values older than this no longer count against a device
+const REJECTED_FAULT_HOURS = 24;
+
+// A low battery alert clears once the battery is this much above the limit,
+// so a level hovering on it doesn't flap
+const BATTERY_HYSTERESIS = 10;
+
+// Device liveness and sensor faults, raised as alerts that clear on their
+// own once the device behaves:
+//   device_offline       missed `missedReports` of its expected reports
+//   sensor_flatline      a value unchanged for the metric's flatlineHours
+//   sensor_out_of_range  a physically impossible value (rejected at ingest)
+//   device_low_battery   battery below lowBattery (%)
+export const createDeviceHealth = ({
+  registry,
+  deviceStatus,
+  alerts,
+  reportEveryMinutes = 15,
+  missedReports = 3,
+  lowBattery = 20,
+}) => {
+  const raise = (taskType, { farmId, deviceId, zone, metric }, details) =>
+    alerts.raise({
+      dedupKey: [taskType, farmId, deviceId, metric].filter(Boolean).join(":"),
+      farmId,
+      zone,
+      taskType,
+      severity: "warning",
+      details: { farmId, zone, equipment: deviceId, metric, ...details },
+    });
+
+  const clear = (taskType, { farmId, deviceId, metric }) =>
+    alerts.clear(
+      [taskType, farmId, deviceId, metric].filter(Boolean).join(":")
+    );
+
+  const isStuck = ({ metric, lastAt, sameSince }) => {
+    const flatlineHours = SENSOR_METRICS[metric]?.flatlineHours;
+    return (
+      flatlineHours !== undefined &&
+      sameSince !== null &&
+      new Date(lastAt) - new Date(sameSince) >= flatlineHours * HOUR
+    );
+  };
+
+  // Accepted readings are heartbeats: the device is back if it was offline,
+  // and its values and battery either look healthy or raise a fault
+  const inspect = async (readings) => {
+    await deviceStatus.recordHeartbeats(readings);
+
+    const devices = new Map(
+      readings.map(({ farmId, deviceId }) => [
+        `${farmId}:${deviceId}`,
+        { farmId, deviceId },
+      ])
+    );
+    for (const device of devices.values()) {
+      await clear("device_offline", device);
+    }
+
+    const zones = new Map(
+      readings.map((r) => [`${r.farmId}:${r.deviceId}:${r.metric}`, r.zone])
+    );
+    for (const state of await deviceStatus.recordValues(readings)) {
+      const subject = {
+        ...state,
+        zone: zones.get(`${state.farmId}:${state.deviceId}:${state.metric}`),
+      };
+      if (isStuck(state)) {
+        await raise("sensor_flatline", subject, {
+          value: state.lastValue,
+          since: state.sameSince,
+          hours: (new Date(state.lastAt) - new Date(state.sameSince)) / HOUR,
+          condition: `${state.metric} stuck at ${state.lastValue}`,
+        });
+      } else {
+        await clear("sensor_flatline", subject);
+      }
+      await clear("sensor_out_of_range", subject);
+    }
+
+    for (const { farmId, deviceId, zone, battery } of readings) {
+      if (battery === undefined) continue;
+      const device = { farmId, deviceId, zone };
+      if (battery < lowBattery) {
+        await raise("device_low_battery", device, {
+          battery,
+          condition: "Low battery",
+        });
+      } else if (battery >= lowBattery + BATTERY_HYSTERESIS) {
+        await clear("device_low_battery", device);
+      }
+    }
+  };
+
+  // Readings rejected for a value the sensor can't physically measure. The
+  // device is faulty, but still alive.
+  const flagImpossible = async (readings) => {
+    await deviceStatus.recordHeartbeats(
+      readings.map((reading) => ({
+        ...reading,
+        timestamp: new Date().toISOString(),
+      }))
+    );
+    for (const reading of readings) {
+      const { min, max, unit } = SENSOR_METRICS[reading.metric];
+      await deviceStatus.recordRejected(reading);
+      await clear("device_offline", reading);
+      await raise("sensor_out_of_range", reading, {
+        value: reading.value,
+        range: `${min}..${max} ${unit}`,
+        condition: `Impossible ${reading.metric} reading`,
+      });
+    }
+  };
+
+  // Registered devices, and any that have reported without being registered
+  const devicesOf = async (farmId) => {
+    const heartbeats = await deviceStatus.list(farmId);
+    const registered = await registry.listItems("devices", farmId);
+    const devices = new Map(
+      registered.map((device) => [
+        device.id,
+        { deviceId: device.id, device, heartbeat: null },
+      ])
+    );
+    for (const heartbeat of heartbeats) {
+      const entry = devices.get(heartbeat.deviceId) || {
+        deviceId: heartbeat.deviceId,
+        device: null,
+      };
+      devices.set(heartbeat.deviceId, { ...entry, heartbeat });
+    }
+    return [...devices.values()];
+  };
+
+  // Devices are offline once they've missed a few expected reports. One
+  // registered but never heard from counts from its registration.
+  const status = async (farmId, now = Date.now()) => {
+    const metrics = await deviceStatus.metrics(farmId);
+
+    return (await devicesOf(farmId)).map(({ deviceId, device, heartbeat }) => {
+      const interval = device?.reportEveryMinutes ?? reportEveryMinutes;
+      const lastSeenAt = heartbeat?.lastSeenAt ?? null;
+      const since = new Date(lastSeenAt ?? device.createdAt).getTime();
+      const silentMinutes = (now - since) / MINUTE;
+      const offline = silentMinutes > interval * missedReports;
+
+      const faults = [];
+      for (const state of metrics.filter((m) => m.deviceId === deviceId)) {
+        if (isStuck(state)) {
+          faults.push({ type: "flatline", metric: state.metric });
+        }
+        if (
+          state.rejectedAt &&
+          now - new Date(state.rejectedAt) < REJECTED_FAULT_HOURS * HOUR
+        ) {
+          faults.push({
+            type: "out_of_range",
+            metric: state.metric,
+            value: state.rejectedValue,
+          });
+        }
+      }
+      const batteryLevel = heartbeat?.batteryLevel ?? null;
+      if (batteryLevel !== null && batteryLevel < lowBattery) {
+        faults.push({ type: "low_battery", value: batteryLevel });
+      }
+
+      return {
+        deviceId,
+        zone: device?.zoneId ?? null,
+        type: device?.type ?? null,
+        registered: Boolean(device),
+        status: offline
+          ? lastSeenAt
+            ? "offline"
+            : "never_seen"
+          : faults.length > 0
+          ? "faulty"
+          : "online",
+        lastSeenAt,
+        silentMinutes: Math.round(silentMinutes),
+        reportEveryMinutes: interval,
+        batteryLevel,
+        faults,
+      };
+    });
+  };
+
+  // Raise device_offline for every registered device that has gone quiet.
+  // Unregistered ids (a typo in a gateway's config, a probe since removed)
+  // are listed by status() but never alerted on; alerts raised for them
+  // before are closed.
+  const sweep = async (farmId, now = Date.now()) => {
+    const devices = await status(farmId, now);
+    const offline = devices.filter(
+      (device) =>
+        device.registered &&
+        (device.status === "offline" || device.status === "never_seen")
+    );
+    for (const device of devices.filter((d) => !d.registered)) {
+      await clear("device_offline", { farmId, deviceId: device.deviceId });
+    }
+    for (const device of offline) {
+      await raise(
+        "device_offline",
+        { farmId, deviceId: device.deviceId, zone: device.zone },
+        {
+          lastSeenAt: device.lastSeenAt,
+          hours: device.silentMinutes / 60,
+          condition: "Device offline",
+        }
+      );
+    }
+    return { checked: devices.length, offline: offline.map((d) => d.deviceId) };
+  };
+
+  return { inspect, flagImpossible, status, sweep };
+};
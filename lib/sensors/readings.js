@@ -0,0 +1,138 @@
+import { SENSOR_METRICS } from "./schema.js";
+
+const MINUTE = 60 * 1000;
+
+// Latest reading per farm/zone/metric, used when Locci triggers a
+// collection run without fresh readings attached to the job
+const latestReadings = new Map();
+
+// Readings older than this are left out, so a probe that stopped reporting
+// doesn't keep steering irrigation with its last value. server.js ties it
+// to the device report interval.
+let maxAgeMs = 45 * MINUTE;
+
+export const setReadingMaxAge = (minutes) => {
+  maxAgeMs = minutes * MINUTE;
+};
+
+const isFresh = (reading, now) =>
+  now - new Date(reading.timestamp).getTime() <= maxAgeMs;
+
+// Sensor type reported on jobs, matching the Locci-triggered webhook jobs
+const JOB_SENSOR_TYPES = {
+  "collect-soil-moisture": "soil_moisture",
+  "collect-weather-data": "weather",
+  "collect-crop-health": "crop_health",
+};
+
+const keyFor = ({ farmId, zone, metric }) => `${farmId}:${zone}:${metric}`;
+
+export const recordLatest = (readings) => {
+  for (const reading of readings) {
+    const key = keyFor(reading);
+    const current = latestReadings.get(key);
+    if (!current || current.timestamp <= reading.timestamp) {
+      latestReadings.set(key, reading);
+    }
+  }
+};
+
+// Latest fresh readings for a farm, optionally limited to a set of metrics.
+// Stale ones are dropped from the cache.
+export const getLatestReadings = (farmId, metrics = null, now = Date.now()) => {
+  const readings = [];
+  for (const [key, reading] of latestReadings) {
+    if (!isFresh(reading, now)) {
+      latestReadings.delete(key);
+    } else if (
+      reading.farmId === farmId &&
+      (!metrics || metrics.includes(reading.metric))
+    ) {
+      readings.push(reading);
+    }
+  }
+  return readings;
+};
+
+export const metricsForJob = (jobName) =>
+  Object.entries(SENSOR_METRICS)
+    .filter(([, definition]) => definition.job === jobName)
+    .map(([metric]) => metric);
+
+// Collapse readings into { zone: { metric: value } } keeping the newest value
+export const latestByZone = (readings) => {
+  const zones = {};
+  const stamps = {};
+
+  for (const { zone, metric, value, timestamp } of readings) {
+    zones[zone] ??= {};
+    stamps[zone] ??= {};
+    if (!stamps[zone][metric] || stamps[zone][metric] <= timestamp) {
+      zones[zone][metric] = value;
+      stamps[zone][metric] = timestamp;
+    }
+  }
+
+  return zones;
+};
+
+// Readings attached to the job, or the latest known ones for the farm; only
+// fresh ones either way (a gateway flushing its backlog sends old values)
+export const readingsForJob = (job, now = Date.now()) => {
+  if (Array.isArray(job.data.readings) && job.data.readings.length > 0) {
+    return job.data.readings.filter((reading) => isFresh(reading, now));
+  }
+  return getLatestReadings(job.data.farmId, metricsForJob(job.name), now);
+};
+
+// Enqueue validated readings as one iot-sensors job per processor/farm/zone
+const enqueueReadings = async (iotSensorQueue, readings, source = "ingest") => {
+  const groups = new Map();
+
+  for (const reading of readings) {
+    const jobName = SENSOR_METRICS[reading.metric].job;
+    const key = `${jobName}:${reading.farmId}:${reading.zone}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        jobName,
+        farmId: reading.farmId,
+        zone: reading.zone,
+        readings: [],
+      });
+    }
+    groups.get(key).readings.push(reading);
+  }
+
+  recordLatest(readings);
+
+  const jobs = [];
+  for (const { jobName, farmId, zone, readings: grouped } of groups.values()) {
+    const job = await iotSensorQueue.add(jobName, {
+      farmId,
+      zone,
+      sensorType: JOB_SENSOR_TYPES[jobName],
+      readings: grouped,
+      source,
+      timestamp: new Date().toISOString(),
+    });
+    jobs.push({
+      id: job.id,
+      name: jobName,
+      farmId,
+      zone,
+      readings: grouped.length,
+    });
+  }
+
+  return jobs;
+};
+
+// Persist validated readings and check the devices that sent them, then
+// hand them to the iot-sensors processors
+export const createSensorIngest =
+  ({ iotSensorQueue, readingStore, deviceHealth }) =>
+  async (readings, source = "ingest") => {
+    await readingStore.insert(readings);
+    await deviceHealth.inspect(readings);
+    return enqueueReadings(iotSensorQueue, readings, source);
+  };
@@ -0,0 +1,113 @@
+import { Router } from "express";
+import { SENSOR_METRICS, validateReadings } from "./schema.js";
+import { MAX_HISTORY_POINTS, defaultBucket, parseBucket } from "./store.js";
+
+export const createSensorRouter = ({
+  ingestReadings,
+  flagImpossible = async () => {},
+}) => {
+  const router = Router();
+
+  // Declared metric schema, so device firmware can check units and ranges
+  router.get("/metrics", (req, res) => {
+    res.json({ metrics: SENSOR_METRICS });
+  });
+
+  // Batch ingestion of readings from field devices
+  router.post("/readings", async (req, res) => {
+    try {
+      const {
+        readings,
+        errors,
+        impossible = [],
+      } = validateReadings(req.body?.readings, {
+        farmId: req.body?.farmId || process.env.FARM_ID || "farm-001",
+      });
+
+      // The batch is still rejected, but the devices are flagged as faulty
+      if (impossible.length > 0) await flagImpossible(impossible);
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Invalid sensor readings", details: errors });
+      }
+
+      console.log(`📡 Received ${readings.length} sensor readings`);
+      const jobs = await ingestReadings(readings);
+
+      res.status(202).json({
+        status: "success",
+        message: "Sensor readings queued",
+        accepted: readings.length,
+        jobs,
+      });
+    } catch (error) {
+      console.error("Sensor ingestion error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+// Mounted at /api/farms/:farmId/sensors
+export const createSensorHistoryRouter = ({ readingStore }) => {
+  const router = Router({ mergeParams: true });
+
+  // Aggregated min/avg/max series for charts and reports
+  router.get("/:metric/history", async (req, res) => {
+    try {
+      const { farmId, metric } = req.params;
+      if (!Object.hasOwn(SENSOR_METRICS, metric)) {
+        return res.status(404).json({ error: `Unknown metric ${metric}` });
+      }
+
+      const to = req.query.to ? new Date(req.query.to).getTime() : Date.now();
+      const from = req.query.from
+        ? new Date(req.query.from).getTime()
+        : to - 24 * 60 * 60 * 1000;
+      if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+        return res
+          .status(400)
+          .json({ error: "from and to must be ISO dates with from before to" });
+      }
+
+      const bucket = req.query.bucket || defaultBucket(from, to);
+      const bucketMs = parseBucket(bucket);
+      if (!bucketMs) {
+        return res
+          .status(400)
+          .json({ error: "bucket must look like 5m, 1h or 1d" });
+      }
+      if ((to - from) / bucketMs > MAX_HISTORY_POINTS) {
+        return res.status(400).json({
+          error: `Range too large for a ${bucket} bucket (max ${MAX_HISTORY_POINTS} points)`,
+        });
+      }
+
+      const series = await readingStore.history({
+        farmId,
+        metric,
+        zone: req.query.zone,
+        from,
+        to,
+        bucketMs,
+      });
+
+      res.json({
+        farmId,
+        metric,
+        unit: SENSOR_METRICS[metric].unit,
+        bucket,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        series,
+      });
+    } catch (error) {
+      console.error("Sensor history error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,172 @@
+// Declared sensor metrics accepted from field devices. min and max are the
+// physically possible range; a device reporting outside it is faulty.
+// `job` is the iot-sensors processor that evaluates readings of that metric.
+// `flatlineHours` is how long a value may stay exactly the same before the
+// sensor is considered stuck; metrics that are legitimately constant for
+// long stretches (rain, wind, night-time sun) don't set it.
+export const SENSOR_METRICS = {
+  soil_moisture: {
+    unit: "%",
+    min: 0,
+    max: 100,
+    job: "collect-soil-moisture",
+    flatlineHours: 24,
+  },
+  temperature: {
+    unit: "°C",
+    min: -20,
+    max: 60,
+    job: "collect-weather-data",
+    flatlineHours: 6,
+  },
+  humidity: {
+    unit: "%",
+    min: 0,
+    max: 100,
+    job: "collect-weather-data",
+    flatlineHours: 12,
+  },
+  rainfall: { unit: "mm", min: 0, max: 500, job: "collect-weather-data" },
+  wind_speed: { unit: "km/h", min: 0, max: 200, job: "collect-weather-data" },
+  solar_radiation: {
+    unit: "W/m²",
+    min: 0,
+    max: 1500,
+    job: "collect-weather-data",
+  },
+  leaf_health: { unit: "%", min: 0, max: 100, job: "collect-crop-health" },
+  growth_rate: {
+    unit: "cm/week",
+    min: 0,
+    max: 100,
+    job: "collect-crop-health",
+  },
+  // Share of the time the leaf surface was wet, for the disease models
+  leaf_wetness: { unit: "%", min: 0, max: 100, job: "collect-crop-health" },
+  pest_activity: { unit: "%", min: 0, max: 100, job: "collect-crop-health" },
+  disease_risk: { unit: "%", min: 0, max: 100, job: "collect-crop-health" },
+};
+
+export const MAX_BATCH_SIZE = 500;
+
+// Readings stamped further than this into the future are rejected
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+// Validate a single reading, returning a normalized copy and any errors.
+// Battery-powered devices may add their charge as `battery` (%). A value
+// outside the metric's possible range is also returned as `impossible`, so
+// the device can be flagged as faulty.
+export const validateReading = (reading, defaults = {}) => {
+  const errors = [];
+  let impossible = null;
+
+  if (!reading || typeof reading !== "object" || Array.isArray(reading)) {
+    return { reading: null, errors: ["reading must be an object"] };
+  }
+
+  const { deviceId, zone, metric, value, unit, timestamp, battery } = reading;
+  const farmId = reading.farmId ?? defaults.farmId;
+
+  if (!isNonEmptyString(deviceId)) errors.push("deviceId is required");
+  if (!isNonEmptyString(farmId)) errors.push("farmId is required");
+  if (!isNonEmptyString(zone)) errors.push("zone is required");
+
+  const definition = Object.hasOwn(SENSOR_METRICS, metric)
+    ? SENSOR_METRICS[metric]
+    : null;
+  if (!definition) {
+    errors.push(
+      `metric must be one of: ${Object.keys(SENSOR_METRICS).join(", ")}`
+    );
+  }
+
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    errors.push("value must be a finite number");
+  } else if (definition && (value < definition.min || value > definition.max)) {
+    errors.push(
+      `value for ${metric} must be between ${definition.min} and ${definition.max}`
+    );
+    if (isNonEmptyString(deviceId) && isNonEmptyString(farmId)) {
+      impossible = {
+        deviceId: deviceId.trim(),
+        farmId: farmId.trim(),
+        zone: isNonEmptyString(zone) ? zone.trim() : null,
+        metric,
+        value,
+      };
+    }
+  }
+
+  if (definition && unit !== definition.unit) {
+    errors.push(`unit for ${metric} must be "${definition.unit}"`);
+  }
+
+  if (
+    battery !== undefined &&
+    !(typeof battery === "number" && battery >= 0 && battery <= 100)
+  ) {
+    errors.push("battery must be a percentage between 0 and 100");
+  }
+
+  const recordedAt = new Date(timestamp);
+  if (!isNonEmptyString(timestamp) || Number.isNaN(recordedAt.getTime())) {
+    errors.push("timestamp must be an ISO 8601 date string");
+  } else if (recordedAt.getTime() - Date.now() > MAX_CLOCK_SKEW_MS) {
+    errors.push("timestamp is in the future");
+  }
+
+  if (errors.length > 0) return { reading: null, errors, impossible };
+
+  return {
+    reading: {
+      deviceId: deviceId.trim(),
+      farmId: farmId.trim(),
+      zone: zone.trim(),
+      metric,
+      value,
+      unit,
+      timestamp: recordedAt.toISOString(),
+      ...(battery !== undefined ? { battery } : {}),
+    },
+    errors,
+  };
+};
+
+// Validate a batch of readings. The batch is rejected as a whole if any
+// reading is invalid so devices can safely retry the same payload.
+export const validateReadings = (readings, defaults = {}) => {
+  if (!Array.isArray(readings) || readings.length === 0) {
+    return {
+      readings: [],
+      errors: [{ message: "readings must be a non-empty array" }],
+    };
+  }
+
+  if (readings.length > MAX_BATCH_SIZE) {
+    return {
+      readings: [],
+      errors: [
+        { message: `a batch may contain at most ${MAX_BATCH_SIZE} readings` },
+      ],
+    };
+  }
+
+  const valid = [];
+  const errors = [];
+  const impossible = [];
+
+  readings.forEach((raw, index) => {
+    const result = validateReading(raw, defaults);
+    if (result.reading) {
+      valid.push(result.reading);
+    } else {
+      result.errors.forEach((message) => errors.push({ index, message }));
+      if (result.impossible) impossible.push(result.impossible);
+    }
+  });
+
+  return { readings: errors.length > 0 ? [] : valid, errors, impossible };
+};
@@ -0,0 +1,232 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const BUCKET_UNITS = { m: MINUTE, h: HOUR, d: DAY };
+
+// History responses are capped so a wide range can't return millions of rows
+export const MAX_HISTORY_POINTS = 5000;
+
+// Parse a bucket size such as "15m", "1h" or "1d" into milliseconds
+export const parseBucket = (bucket) => {
+  const match = /^(\d+)([mhd])$/.exec(bucket || "");
+  if (!match || parseInt(match[1], 10) === 0) return null;
+  return parseInt(match[1], 10) * BUCKET_UNITS[match[2]];
+};
+
+// Pick a chart-friendly bucket size for a time range
+export const defaultBucket = (from, to) => {
+  const range = to - from;
+  if (range <= DAY) return "15m";
+  if (range <= 7 * DAY) return "1h";
+  return "1d";
+};
+
+export const createReadingStore = (
+  db,
+  { rawRetentionDays = 30, rollupRetentionDays = 730 } = {}
+) => {
+  // Store raw readings and fold them into the hourly rollups. A reading
+  // already stored (same device, metric and time) is skipped, rollup
+  // included, so devices can safely resend a batch.
+  const insert = async (readings) => {
+    if (readings.length === 0) return;
+
+    const statements = readings.flatMap((reading) => {
+      const recordedAt = new Date(reading.timestamp).getTime();
+      const bucketStart = Math.floor(recordedAt / HOUR) * HOUR;
+
+      return [
+        {
+          sql: `INSERT INTO sensor_readings
+            (farm_id, zone, device_id, metric, value, unit, recorded_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (farm_id, device_id, metric, recorded_at) DO NOTHING`,
+          args: [
+            reading.farmId,
+            reading.zone,
+            reading.deviceId,
+            reading.metric,
+            reading.value,
+            reading.unit,
+            recordedAt,
+          ],
+        },
+        // changes() is 0 when the raw insert above was a duplicate
+        {
+          sql: `INSERT INTO sensor_readings_hourly
+            (farm_id, zone, metric, bucket_start, min, max, sum, count)
+            SELECT ?, ?, ?, ?, ?, ?, ?, 1 WHERE changes() > 0
+            ON CONFLICT (farm_id, zone, metric, bucket_start) DO UPDATE SET
+              min = MIN(min, excluded.min),
+              max = MAX(max, excluded.max),
+              sum = sum + excluded.sum,
+              count = count + 1`,
+          args: [
+            reading.farmId,
+            reading.zone,
+            reading.metric,
+            bucketStart,
+            reading.value,
+            reading.value,
+            reading.value,
+          ],
+        },
+      ];
+    });
+
+    await db.batch(statements, "write");
+  };
+
+  // Latest raw reading per farm/zone/metric, used to warm the in-memory cache
+  const latest = async () => {
+    const { rows } = await db.execute(
+      `SELECT r.farm_id, r.zone, r.device_id, r.metric, r.value, r.unit,
+          r.recorded_at
+        FROM sensor_readings r
+        JOIN (
+          SELECT farm_id, zone, metric, MAX(recorded_at) AS recorded_at
+          FROM sensor_readings
+          GROUP BY farm_id, zone, metric
+        ) newest USING (farm_id, zone, metric, recorded_at)`
+    );
+
+    return rows.map((row) => ({
+      deviceId: row.device_id,
+      farmId: row.farm_id,
+      zone: row.zone,
+      metric: row.metric,
+      value: row.value,
+      unit: row.unit,
+      timestamp: new Date(Number(row.recorded_at)).toISOString(),
+    }));
+  };
+
+  // Aggregated min/avg/max series per zone. Whole-hour buckets are served
+  // from the rollups so they keep working after raw readings expire.
+  const history = async ({ farmId, metric, zone, from, to, bucketMs }) => {
+    const useRollups = bucketMs % HOUR === 0;
+    const args = [bucketMs, farmId, metric, from, to];
+    const zoneFilter = zone ? "AND zone = ?" : "";
+    if (zone) args.push(zone);
+
+    const sql = useRollups
+      ? `SELECT zone, bucket_start - bucket_start % ? AS bucket,
+            MIN(min) AS min, SUM(sum) / SUM(count) AS avg, MAX(max) AS max,
+            SUM(count) AS count
+          FROM sensor_readings_hourly
+          WHERE farm_id = ? AND metric = ?
+            AND bucket_start >= ? AND bucket_start < ? ${zoneFilter}
+          GROUP BY zone, bucket
+          ORDER BY zone, bucket`
+      : `SELECT zone, recorded_at - recorded_at % ? AS bucket,
+            MIN(value) AS min, AVG(value) AS avg, MAX(value) AS max,
+            COUNT(*) AS count
+          FROM sensor_readings
+          WHERE farm_id = ? AND metric = ?
+            AND recorded_at >= ? AND recorded_at < ? ${zoneFilter}
+          GROUP BY zone, bucket
+          ORDER BY zone, bucket`;
+
+    const { rows } = await db.execute({ sql, args });
+
+    const series = {};
+    for (const row of rows) {
+      series[row.zone] ??= [];
+      series[row.zone].push({
+        time: new Date(Number(row.bucket)).toISOString(),
+        min: row.min,
+        avg: row.avg,
+        max: row.max,
+        count: Number(row.count),
+      });
+    }
+
+    return Object.entries(series).map(([zoneName, points]) => ({
+      zone: zoneName,
+      points,
+    }));
+  };
+
+  // min/avg/max/sum over a window of raw readings, across zones unless one
+  // is given. Returns null when there are no readings in the window.
+  const summarize = async ({ farmId, metric, zone, from, to }) => {
+    const args = [farmId, metric, from, to];
+    if (zone) args.push(zone);
+
+    const { rows } = await db.execute({
+      sql: `SELECT MIN(value) AS min, AVG(value) AS avg, MAX(value) AS max,
+          SUM(value) AS sum, COUNT(*) AS count
+        FROM sensor_readings
+        WHERE farm_id = ? AND metric = ?
+          AND recorded_at >= ? AND recorded_at < ? ${
+            zone ? "AND zone = ?" : ""
+          }`,
+      args,
+    });
+
+    const [row] = rows;
+    if (!row || Number(row.count) === 0) return null;
+    return {
+      min: row.min,
+      avg: row.avg,
+      max: row.max,
+      sum: row.sum,
+      count: Number(row.count),
+    };
+  };
+
+  // Total per device over a window, e.g. what each rain gauge collected
+  const deviceTotals = async ({ farmId, metric, zone, from, to }) => {
+    const args = [farmId, metric, from, to];
+    if (zone) args.push(zone);
+
+    const { rows } = await db.execute({
+      sql: `SELECT device_id, SUM(value) AS sum, COUNT(*) AS count
+        FROM sensor_readings
+        WHERE farm_id = ? AND metric = ?
+          AND recorded_at >= ? AND recorded_at < ? ${zone ? "AND zone = ?" : ""}
+        GROUP BY device_id`,
+      args,
+    });
+    return rows.map((row) => ({
+      deviceId: row.device_id,
+      sum: row.sum,
+      count: Number(row.count),
+    }));
+  };
+
+  // Drop raw readings and rollups that have outlived their retention
+  const applyRetention = async (now = Date.now()) => {
+    const rawCutoff = now - rawRetentionDays * DAY;
+    const rollupCutoff = now - rollupRetentionDays * DAY;
+
+    const [raw, rollups] = await db.batch(
+      [
+        {
+          sql: "DELETE FROM sensor_readings WHERE recorded_at < ?",
+          args: [rawCutoff],
+        },
+        {
+          sql: "DELETE FROM sensor_readings_hourly WHERE bucket_start < ?",
+          args: [rollupCutoff],
+        },
+      ],
+      "write"
+    );
+
+    return {
+      rawDeleted: raw.rowsAffected,
+      rollupsDeleted: rollups.rowsAffected,
+    };
+  };
+
+  return {
+    insert,
+    latest,
+    history,
+    summarize,
+    deviceTotals,
+    applyRetention,
+  };
+};
@@ -0,0 +1,200 @@
+import { IRRIGATION_ROLES } from "../farms/callers.js";
+import { pendingStart } from "../irrigation/controller.js";
+
+// Longest run a farmer can ask for by SMS
+const MAX_WATER_MINUTES = 240;
+
+const TEXT = {
+  en: {
+    help:
+      "Commands: STATUS [zone], WATER zone [minutes], STOP [zone], " +
+      "PRICE crop, ACK alert-number",
+    unknownZone: (zone) => `Unknown zone ${zone}. Send STATUS for your zones.`,
+    noReadings: "No soil moisture readings yet.",
+    irrigating: "irrigating",
+    forbidden: "Only farm owners and managers can control irrigation.",
+    waterUsage: "Send WATER zone [minutes], e.g. WATER zone-a 20",
+    badMinutes: `Minutes must be between 1 and ${MAX_WATER_MINUTES}.`,
+    watering: (zone, minutes) =>
+      `Irrigation requested for ${zone}${minutes ? ` (${minutes} min)` : ""}.`,
+    stopping: (zones) => `Stopping irrigation on ${zones.join(", ")}.`,
+    nothingRunning: "No zone is irrigating.",
+    priceUsage: "Send PRICE crop, e.g. PRICE maize",
+    noPrices: (crop) => `No ${crop} prices this week.`,
+    ackUsage: "Send ACK with the alert number, e.g. ACK 12",
+    acknowledged: (id) => `Alert #${id} acknowledged.`,
+    notOpen: (id) => `Alert #${id} is not open.`,
+  },
+  sw: {
+    help:
+      "Amri: STATUS [eneo], WATER eneo [dakika], STOP [eneo], " +
+      "PRICE zao, ACK nambari-ya-tahadhari",
+    unknownZone: (zone) =>
+      `Eneo ${zone} halijulikani. Tuma STATUS kuona maeneo yako.`,
+    noReadings: "Bado hakuna vipimo vya unyevu wa udongo.",
+    irrigating: "inamwagiliwa",
+    forbidden: "Wamiliki na mameneja pekee wanaweza kudhibiti umwagiliaji.",
+    waterUsage: "Tuma WATER eneo [dakika], mfano WATER zone-a 20",
+    badMinutes: `Dakika ziwe kati ya 1 na ${MAX_WATER_MINUTES}.`,
+    watering: (zone, minutes) =>
+      `Umwagiliaji umeombwa kwa ${zone}${
+        minutes ? ` (dakika ${minutes})` : ""
+      }.`,
+    stopping: (zones) => `Umwagiliaji unasimamishwa ${zones.join(", ")}.`,
+    nothingRunning: "Hakuna eneo linalomwagiliwa.",
+    priceUsage: "Tuma PRICE zao, mfano PRICE maize",
+    noPrices: (crop) => `Hakuna bei za ${crop} wiki hii.`,
+    ackUsage: "Tuma ACK na nambari ya tahadhari, mfano ACK 12",
+    acknowledged: (id) => `Tahadhari #${id} imethibitishwa.`,
+    notOpen: (id) => `Tahadhari #${id} haiko wazi.`,
+  },
+};
+
+// Keyword commands in inbound SMS, e.g. "WATER zone-b 20", from a known
+// contact. Resolves to the reply text.
+export const createSmsCommands = ({
+  registry,
+  priceStore,
+  alertStore,
+  alerts,
+  irrigationQueue,
+  runs,
+  getLatestReadings,
+}) => {
+  const findZone = async (farmId, zone) =>
+    zone ? registry.getItem("zones", farmId, zone) : null;
+
+  const status = async ({ farmId, t }, [zone]) => {
+    if (zone && !(await findZone(farmId, zone))) return t.unknownZone(zone);
+
+    const running = new Set((await runs.running(farmId)).map((r) => r.zone));
+    const readings = getLatestReadings(farmId, ["soil_moisture"])
+      .filter((r) => !zone || r.zone === zone)
+      .sort((a, b) => a.zone.localeCompare(b.zone));
+    if (readings.length === 0) return t.noReadings;
+
+    return readings
+      .map(
+        (r) =>
+          `${r.zone}: ${r.value.toFixed(1)}%` +
+          (running.has(r.zone) ? ` (${t.irrigating})` : "")
+      )
+      .join(", ");
+  };
+
+  const water = async (
+    { farmId, contact, phoneNumber, t },
+    [zone, minutes]
+  ) => {
+    if (!IRRIGATION_ROLES.includes(contact.role)) return t.forbidden;
+    if (!zone) return t.waterUsage;
+    if (!(await findZone(farmId, zone))) return t.unknownZone(zone);
+
+    const durationMinutes = minutes != null ? Number(minutes) : undefined;
+    if (
+      durationMinutes !== undefined &&
+      !(
+        Number.isInteger(durationMinutes) &&
+        durationMinutes >= 1 &&
+        durationMinutes <= MAX_WATER_MINUTES
+      )
+    ) {
+      return t.badMinutes;
+    }
+
+    await irrigationQueue.add("start-irrigation", {
+      farmId,
+      zone,
+      reason: "sms_request",
+      durationMinutes,
+      requestedBy: phoneNumber,
+      timestamp: new Date().toISOString(),
+    });
+    return t.watering(zone, durationMinutes);
+  };
+
+  // STOP on its own stops every zone that is irrigating or waiting for the
+  // pump to start
+  const stop = async ({ farmId, contact, phoneNumber, t }, [zone]) => {
+    if (!IRRIGATION_ROLES.includes(contact.role)) return t.forbidden;
+    if (zone && !(await findZone(farmId, zone))) return t.unknownZone(zone);
+
+    const zones = new Set(
+      (await runs.running(farmId))
+        .map((run) => run.zone)
+        .filter((id) => !zone || id === zone)
+    );
+    const candidates = zone
+      ? [zone]
+      : (await registry.listItems("zones", farmId)).map((z) => z.id);
+    for (const id of candidates) {
+      if (await pendingStart(irrigationQueue, farmId, id)) zones.add(id);
+    }
+    if (zones.size === 0) return t.nothingRunning;
+
+    for (const id of zones) {
+      await irrigationQueue.add("stop-irrigation", {
+        farmId,
+        zone: id,
+        requestedBy: phoneNumber,
+      });
+    }
+    return t.stopping([...zones]);
+  };
+
+  const price = async ({ t }, [crop]) => {
+    if (!crop) return t.priceUsage;
+
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+    // Newest price per market; list() sorts by date
+    const latest = new Map();
+    for (const entry of await priceStore.list({
+      crop: crop.toLowerCase(),
+      from: weekAgo,
+    })) {
+      latest.set(entry.market, entry);
+    }
+    if (latest.size === 0) return t.noPrices(crop);
+
+    const prices = [...latest.values()];
+    return (
+      `${crop.toLowerCase()}: ` +
+      prices.map((p) => `${p.market} ${p.price}`).join(", ") +
+      ` ${prices[0].currency}/${prices[0].unit}`
+    );
+  };
+
+  // Alerts can be acknowledged by contacts of the farm they belong to;
+  // market alerts belong to no farm
+  const ack = async ({ farmId, phoneNumber, t }, [id]) => {
+    const alertId = parseInt(String(id).replace(/^#/, ""));
+    if (!alertId) return t.ackUsage;
+
+    const alert = await alertStore.get(alertId);
+    if (!alert || (alert.farmId && alert.farmId !== farmId)) {
+      return t.notOpen(alertId);
+    }
+    return (await alerts.acknowledge(alertId, phoneNumber))
+      ? t.acknowledged(alertId)
+      : t.notOpen(alertId);
+  };
+
+  const COMMANDS = {
+    STATUS: status,
+    WATER: water,
+    STOP: stop,
+    PRICE: price,
+    ACK: ack,
+  };
+
+  return async ({ contact, phoneNumber, text }) => {
+    const t = TEXT[contact.language] || TEXT.en;
+    const [keyword = "", ...args] = (text || "").trim().split(/\s+/);
+    const command = COMMANDS[keyword.toUpperCase()];
+    if (!command) return t.help;
+
+    return command({ farmId: contact.farmId, contact, phoneNumber, t }, args);
+  };
+};
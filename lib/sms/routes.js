@@ -0,0 +1,98 @@
+import { Router, urlencoded } from "express";
+import { DELIVERY_STATUSES } from "./sender.js";
+import { SMS_STATUSES } from "./store.js";
+
+// Africa's Talking SMS callbacks, posted as forms:
+//   /inbound           { from, to, text, date, id, linkId, networkCode }
+//   /delivery-reports  { id, status, phoneNumber, networkCode, failureReason }
+export const createSmsRouter = ({
+  store,
+  commands,
+  callerContacts,
+  notificationQueue,
+  jobOptions = {},
+}) => {
+  const router = Router();
+  const form = urlencoded({ extended: false });
+
+  router.post("/inbound", form, async (req, res) => {
+    try {
+      const { from, text = "", id, networkCode } = req.body;
+      const [contact] = await callerContacts(from);
+      const isNew = await store.recordInbound({
+        messageId: id,
+        phone: from,
+        contactId: contact?.id,
+        farmId: contact?.farmId,
+        message: text,
+        networkCode,
+      });
+
+      // AT retries callbacks it didn't see answered; run each command once.
+      // Unknown numbers get no reply, which would cost us an SMS.
+      if (isNew && contact) {
+        const reply = await commands({ contact, phoneNumber: from, text });
+        await notificationQueue.add(
+          "send-sms",
+          {
+            phoneNumber: from,
+            contactId: contact.id,
+            message: reply,
+            type: "sms_reply",
+            data: { farmId: contact.farmId },
+            timestamp: new Date().toISOString(),
+          },
+          jobOptions
+        );
+      }
+
+      res.status(200).end();
+    } catch (error) {
+      console.error("Inbound SMS error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post("/delivery-reports", form, async (req, res) => {
+    try {
+      const { id, status, networkCode, failureReason } = req.body;
+      const updated = await store.updateDelivery(id, {
+        status: DELIVERY_STATUSES[status] || "sent",
+        providerStatus: status,
+        failureReason,
+        networkCode,
+      });
+      if (!updated) {
+        console.warn(
+          `⚠️ Ignoring delivery report for SMS ${id}: unknown or final`
+        );
+      }
+
+      res.status(200).end();
+    } catch (error) {
+      console.error("Delivery report error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/messages", async (req, res) => {
+    try {
+      const { phone, status, direction } = req.query;
+      if (status && !SMS_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${SMS_STATUSES.join(", ")}`,
+        });
+      }
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+      res.json({
+        messages: await store.list({ phone, status, direction, limit }),
+      });
+    } catch (error) {
+      console.error("List SMS error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
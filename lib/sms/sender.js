@@ -0,0 +1,75 @@
+// Africa's Talking recipient status codes. 100-102 mean the message was
+// accepted; the rest are failures, and these ones won't succeed on a retry.
+const ACCEPTED_CODES = [100, 101, 102];
+const PERMANENT_FAILURE_CODES = [403, 404, 406];
+
+// Delivery report statuses mapped onto our message states
+export const DELIVERY_STATUSES = {
+  Sent: "sent",
+  Submitted: "sent",
+  Buffered: "buffered",
+  Success: "delivered",
+  Rejected: "failed",
+  Failed: "failed",
+  AbsentSubscriber: "failed",
+  Expired: "failed",
+};
+
+// Send one SMS through Africa's Talking and record the attempt. Rejects
+// when the message wasn't accepted so the send-sms job fails and Bull
+// retries it; `error.permanent` marks failures not worth retrying.
+export const createSmsSender = ({ sms, store, from }) => {
+  return async ({ jobId, phoneNumber, message, type, contactId, data }) => {
+    const attempt = {
+      jobId,
+      phone: phoneNumber,
+      contactId,
+      farmId: data?.farmId,
+      type,
+      message,
+    };
+
+    let response;
+    try {
+      response = await sms.send({
+        to: phoneNumber,
+        message,
+        ...(from ? { from } : {}),
+      });
+    } catch (error) {
+      // Network or API errors: nothing reached the recipient yet
+      await store.recordAttempt({
+        ...attempt,
+        status: "failed",
+        failureReason: error.message,
+      });
+      throw error;
+    }
+
+    const recipient = response.SMSMessageData?.Recipients?.[0];
+    if (recipient && ACCEPTED_CODES.includes(recipient.statusCode)) {
+      await store.recordAttempt({
+        ...attempt,
+        status: "sent",
+        messageId: recipient.messageId,
+        providerStatus: recipient.status,
+        cost: recipient.cost,
+      });
+      return recipient;
+    }
+
+    const reason = recipient?.status || response.SMSMessageData?.Message;
+    await store.recordAttempt({
+      ...attempt,
+      status: "failed",
+      providerStatus: recipient?.status,
+      failureReason: reason,
+    });
+    throw Object.assign(
+      new Error(`SMS to ${phoneNumber} rejected: ${reason}`),
+      {
+        permanent: PERMANENT_FAILURE_CODES.includes(recipient?.statusCode),
+      }
+    );
+  };
+};
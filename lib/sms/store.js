@@ -0,0 +1,159 @@
+// SMS message states:
+//   outbound: sent -> buffered -> delivered | failed   (from delivery reports)
+//             failed                                   (rejected when sending)
+//   inbound:  received
+export const SMS_STATUSES = [
+  "sent",
+  "buffered",
+  "delivered",
+  "failed",
+  "received",
+];
+
+const fromRow = (row) => ({
+  id: Number(row.id),
+  direction: row.direction,
+  messageId: row.message_id,
+  jobId: row.job_id,
+  phone: row.phone,
+  contactId: row.contact_id,
+  farmId: row.farm_id,
+  type: row.type,
+  message: row.message,
+  status: row.status,
+  providerStatus: row.provider_status,
+  failureReason: row.failure_reason,
+  networkCode: row.network_code,
+  cost: row.cost,
+  attempts: Number(row.attempts),
+  createdAt: new Date(Number(row.created_at)).toISOString(),
+  updatedAt: new Date(Number(row.updated_at)).toISOString(),
+});
+
+export const createSmsStore = (db) => {
+  // Record one attempt at sending a send-sms job
+  const recordAttempt = async ({
+    jobId,
+    phone,
+    contactId,
+    farmId,
+    type,
+    message,
+    status,
+    messageId,
+    providerStatus,
+    failureReason,
+    cost,
+  }) => {
+    const now = Date.now();
+    await db.execute({
+      sql: `INSERT INTO sms_messages
+        (direction, message_id, job_id, phone, contact_id, farm_id, type,
+         message, status, provider_status, failure_reason, cost, attempts,
+         created_at, updated_at)
+        VALUES ('outbound', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)
+        ON CONFLICT (job_id) WHERE job_id IS NOT NULL DO UPDATE SET
+          message_id = excluded.message_id,
+          status = excluded.status,
+          provider_status = excluded.provider_status,
+          failure_reason = excluded.failure_reason,
+          cost = excluded.cost,
+          attempts = attempts + 1,
+          updated_at = excluded.updated_at`,
+      args: [
+        messageId ?? null,
+        jobId != null ? String(jobId) : null,
+        phone,
+        contactId ?? null,
+        farmId ?? null,
+        type ?? null,
+        message,
+        status,
+        providerStatus ?? null,
+        failureReason ?? null,
+        cost ?? null,
+        now,
+        now,
+      ],
+    });
+  };
+
+  // Record a received message; false if it was already recorded
+  const recordInbound = async ({
+    messageId,
+    phone,
+    contactId,
+    farmId,
+    message,
+    networkCode,
+  }) => {
+    const now = Date.now();
+    const { rowsAffected } = await db.execute({
+      sql: `INSERT INTO sms_messages
+        (direction, message_id, phone, contact_id, farm_id, type, message,
+         status, network_code, created_at, updated_at)
+        VALUES ('inbound', ?, ?, ?, ?, 'inbound', ?, 'received', ?, ?, ?)
+        ON CONFLICT (message_id) WHERE message_id IS NOT NULL DO NOTHING`,
+      args: [
+        messageId ?? null,
+        phone,
+        contactId ?? null,
+        farmId ?? null,
+        message,
+        networkCode ?? null,
+        now,
+        now,
+      ],
+    });
+    return rowsAffected > 0;
+  };
+
+  // Apply a delivery report; false when the message isn't one of ours or
+  // already delivered or failed. Reports can arrive out of order, and a late
+  // "Sent" must not undo a "Success".
+  const updateDelivery = async (
+    messageId,
+    { status, providerStatus, failureReason, networkCode }
+  ) => {
+    const { rowsAffected } = await db.execute({
+      sql: `UPDATE sms_messages SET status = ?, provider_status = ?,
+          failure_reason = ?, network_code = ?, updated_at = ?
+        WHERE message_id = ? AND direction = 'outbound'
+          AND status NOT IN ('delivered', 'failed')`,
+      args: [
+        status,
+        providerStatus ?? null,
+        failureReason ?? null,
+        networkCode ?? null,
+        Date.now(),
+        messageId,
+      ],
+    });
+    return rowsAffected > 0;
+  };
+
+  const list = async ({ phone, status, direction, limit = 100 } = {}) => {
+    const conditions = [];
+    const args = [];
+    for (const [column, value] of [
+      ["phone", phone],
+      ["status", status],
+      ["direction", direction],
+    ]) {
+      if (value) {
+        conditions.push(`${column} = ?`);
+        args.push(value);
+      }
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM sms_messages ${where}
+        ORDER BY created_at DESC LIMIT ?`,
+      args: [...args, limit],
+    });
+    return rows.map(fromRow);
+  };
+
+  return { recordAttempt, recordInbound, updateDelivery, list };
+};
@@ -0,0 +1,57 @@
+// In-process event bus behind GET /api/stream. Recent events are kept so
+// reconnecting clients can catch up from their Last-Event-ID. Ids carry on
+// from the boot time, so they keep increasing across restarts and a client
+// can tell it missed events that were never buffered here.
+export const createEventStream = ({ history = 500 } = {}) => {
+  let lastId = Date.now();
+  const firstId = lastId + 1;
+  const buffer = [];
+  const listeners = new Set();
+
+  // farmId scopes the event to that farm's users; restricted events without
+  // a farm are for admins only
+  const publish = (type, data, { farmId = null, restricted = false } = {}) => {
+    const event = {
+      id: ++lastId,
+      type,
+      farmId,
+      restricted,
+      data: { ...data, farmId, at: new Date().toISOString() },
+    };
+    buffer.push(event);
+    if (buffer.length > history) buffer.shift();
+
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error("Stream listener error:", error);
+      }
+    }
+    return event;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Buffered events after lastEventId, and whether some in between are gone
+  // (dropped from the buffer, or sent before a restart)
+  const since = (lastEventId) => {
+    const id = Number(lastEventId);
+    if (!Number.isInteger(id)) return { events: [], missed: true };
+
+    const oldest = buffer[0]?.id ?? firstId;
+    return {
+      events: buffer.filter((event) => event.id > id),
+      missed: id < oldest - 1 || id > lastId,
+    };
+  };
+
+  // The newest buffered events of a type, oldest first
+  const recent = (type, limit) =>
+    buffer.filter((event) => event.type === type).slice(-limit);
+
+  return { publish, subscribe, since, recent, lastId: () => lastId };
+};
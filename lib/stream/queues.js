@@ -0,0 +1,98 @@
+// What the Bull queues report as jobs finish, published to the event stream:
+//   reading       fresh sensor readings processed by iot-sensors
+//   irrigation    a zone started or stopped watering
+//   prices        market prices after an update
+//   notification  an SMS or farm notification that went out
+//   job           every job that completed or failed
+const SENSOR_JOBS = [
+  "collect-soil-moisture",
+  "collect-weather-data",
+  "collect-crop-health",
+];
+const NOTIFICATION_JOBS = ["send-sms", "send-notification"];
+
+const toReading = ({ zone, metric, value, unit, deviceId, timestamp }) => ({
+  zone,
+  metric,
+  value,
+  unit,
+  deviceId,
+  timestamp,
+});
+
+const completed = (stream, queueName, job, result) => {
+  const { farmId = null } = job.data;
+
+  if (SENSOR_JOBS.includes(job.name) && job.data.readings?.length > 0) {
+    stream.publish(
+      "reading",
+      { zone: job.data.zone, readings: job.data.readings.map(toReading) },
+      { farmId }
+    );
+  }
+
+  if (job.name === "start-irrigation" || job.name === "stop-irrigation") {
+    stream.publish(
+      "irrigation",
+      {
+        zone: job.data.zone,
+        action: job.name === "start-irrigation" ? "start" : "stop",
+        reason: job.data.reason,
+        status: result?.status,
+        runId: result?.runId ?? job.data.runId ?? null,
+        durationMinutes: result?.durationMinutes ?? null,
+      },
+      { farmId }
+    );
+  }
+
+  if (job.name === "fetch-market-prices" && result?.prices) {
+    stream.publish("prices", { prices: result.prices });
+  }
+
+  // Sent only: skipped sends (quiet hours, no subscriptions) aren't news
+  if (NOTIFICATION_JOBS.includes(job.name) && result?.status === "sent") {
+    const { channel = "sms", recipient, phoneNumber, message } = job.data;
+    stream.publish(
+      "notification",
+      {
+        channel,
+        taskType: job.data.taskType || job.data.type || null,
+        severity: job.data.severity || null,
+        message,
+        to: recipient?.name || recipient?.phone || phoneNumber || null,
+      },
+      // Farm-less SMS (tests, command replies) go to admins only
+      { farmId, restricted: !farmId }
+    );
+  }
+
+  stream.publish(
+    "job",
+    { queue: queueName, name: job.name, jobId: job.id, status: "completed" },
+    { farmId }
+  );
+};
+
+// queues maps queue names to Bull queues processed in this process
+export const publishQueueEvents = ({ stream, queues }) => {
+  for (const [queueName, queue] of Object.entries(queues)) {
+    queue.on("completed", (job, result) =>
+      completed(stream, queueName, job, result)
+    );
+    queue.on("failed", (job, error) =>
+      stream.publish(
+        "job",
+        {
+          queue: queueName,
+          name: job.name,
+          jobId: job.id,
+          status: "failed",
+          error: error?.message,
+          attemptsMade: job.attemptsMade,
+        },
+        { farmId: job.data.farmId ?? null }
+      )
+    );
+  }
+};
@@ -0,0 +1,94 @@
+import { Router } from "express";
+
+// Mounted at /api/stream: Server-Sent Events for the dashboard. A client
+// reconnecting with Last-Event-ID (or ?lastEventId=, for a new EventSource)
+// gets the events it missed; when those are gone, or on first connect, it
+// gets a snapshot of the current state instead. canSee(req, event) limits
+// events to the caller's farms.
+export const createStreamRouter = ({
+  stream,
+  canSee,
+  snapshot,
+  heartbeatSeconds = 25,
+}) => {
+  const router = Router();
+
+  router.get("/", async (req, res) => {
+    let lastSent = 0;
+    let ready = false;
+    const pending = [];
+
+    // Each event at most once and in order, whether replayed or live
+    const send = (event) => {
+      if (event.id <= lastSent) return;
+      lastSent = event.id;
+      if (!canSee(req, event)) return;
+      res.write(
+        `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+          event.data
+        )}\n\n`
+      );
+    };
+
+    // Live events arriving while the snapshot loads wait behind it
+    const unsubscribe = stream.subscribe((event) =>
+      ready ? send(event) : pending.push(event)
+    );
+    const heartbeat = setInterval(
+      () => res.write(": ping\n\n"),
+      heartbeatSeconds * 1000
+    );
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Don't let nginx buffer the stream
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    try {
+      const lastEventId = req.get("last-event-id") || req.query.lastEventId;
+      const { events, missed } = lastEventId
+        ? stream.since(lastEventId)
+        : { events: [], missed: true };
+
+      // The snapshot reflects every event up to now, so reconnecting
+      // resumes after it
+      if (missed) {
+        const id = stream.lastId();
+        const data = await snapshot(req);
+        res.write(
+          `id: ${id}\nevent: snapshot\ndata: ${JSON.stringify(data)}\n\n`
+        );
+        lastSent = id;
+      } else {
+        events.forEach(send);
+      }
+    } catch (error) {
+      console.error("Stream snapshot error:", error);
+    }
+
+    ready = true;
+    pending.forEach(send);
+  });
+
+  // The same snapshot as JSON, for the service worker to cache. Its id lets
+  // the dashboard resume the stream right after it.
+  router.get("/snapshot", async (req, res) => {
+    try {
+      const id = stream.lastId();
+      res.json({ id, ...(await snapshot(req)) });
+    } catch (error) {
+      console.error("Stream snapshot error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,318 @@
+import { IRRIGATION_ROLES } from "../farms/callers.js";
+
+// Africa's Talking USSD menu. AT posts the whole session's input on every
+// request as `text` ("3*1*2"), so each request replays the inputs through
+// the state machine below from the start. "0" goes back a step and "00"
+// returns to the main menu.
+
+// Longest USSD page the networks display
+const MAX_LENGTH = 182;
+
+const TEXT = {
+  en: {
+    unregistered: "This number is not registered with a Locci farm.",
+    chooseFarm: "Choose a farm:",
+    menu: (farm) =>
+      `Locci Farm - ${farm}\n1. Soil moisture\n2. Crop prices\n` +
+      `3. Irrigation\n4. Alerts\n5. Report a fault`,
+    invalid: "Invalid choice.",
+    noReadings: "No soil moisture readings yet.",
+    noPrices: "No crop prices this week.",
+    forbidden: "Only farm owners and managers can control irrigation.",
+    chooseZone: "Choose a zone:",
+    noZones: "No zones registered.",
+    zoneAction: (zone) => `${zone}\n1. Start irrigation\n2. Stop irrigation`,
+    started: (zone) => `Irrigation requested for ${zone}.`,
+    stopped: (zone) => `Stop requested for ${zone}.`,
+    noAlerts: "No open alerts.",
+    chooseAlert: "Reply with an alert to acknowledge it:",
+    acknowledged: (id) => `Alert #${id} acknowledged.`,
+    notOpen: (id) => `Alert #${id} is no longer open.`,
+    chooseEquipment: "Which equipment has a fault?",
+    noEquipment: "No equipment registered.",
+    describe: "Describe the fault:",
+    reported: (name) =>
+      `Fault on ${name} reported. A technician has been notified.`,
+  },
+  sw: {
+    unregistered: "Nambari hii haijasajiliwa na shamba la Locci.",
+    chooseFarm: "Chagua shamba:",
+    menu: (farm) =>
+      `Shamba la Locci - ${farm}\n1. Unyevu wa udongo\n2. Bei za mazao\n` +
+      `3. Umwagiliaji\n4. Tahadhari\n5. Ripoti hitilafu`,
+    invalid: "Chaguo si sahihi.",
+    noReadings: "Bado hakuna vipimo vya unyevu wa udongo.",
+    noPrices: "Hakuna bei za mazao wiki hii.",
+    forbidden: "Wamiliki na mameneja pekee wanaweza kudhibiti umwagiliaji.",
+    chooseZone: "Chagua eneo:",
+    noZones: "Hakuna maeneo yaliyosajiliwa.",
+    zoneAction: (zone) =>
+      `${zone}\n1. Anza umwagiliaji\n2. Simamisha umwagiliaji`,
+    started: (zone) => `Umwagiliaji umeombwa kwa ${zone}.`,
+    stopped: (zone) => `Kusimamisha kumeombwa kwa ${zone}.`,
+    noAlerts: "Hakuna tahadhari zilizo wazi.",
+    chooseAlert: "Chagua tahadhari kuithibitisha:",
+    acknowledged: (id) => `Tahadhari #${id} imethibitishwa.`,
+    notOpen: (id) => `Tahadhari #${id} haiko wazi tena.`,
+    chooseEquipment: "Kifaa gani kina hitilafu?",
+    noEquipment: "Hakuna vifaa vilivyosajiliwa.",
+    describe: "Eleza hitilafu:",
+    reported: (name) => `Hitilafu ya ${name} imeripotiwa. Fundi amearifiwa.`,
+  },
+};
+
+// Join lines into one page, dropping whole lines that don't fit
+const page = (type, lines) => {
+  let body = "";
+  for (const line of lines.flatMap((l) => l.split("\n"))) {
+    const next = body ? `${body}\n${line}` : line;
+    if (type.length + 1 + next.length > MAX_LENGTH) break;
+    body = next;
+  }
+  return `${type} ${body}`;
+};
+const con = (...lines) => page("CON", lines);
+const end = (...lines) => page("END", lines);
+
+const numbered = (items, label) =>
+  items.map((item, i) => `${i + 1}. ${label(item)}`);
+const pick = (items, input) => items[parseInt(input) - 1];
+
+// Inputs after applying back ("0") and home ("00")
+const navigate = (text) => {
+  const inputs = [];
+  for (const input of text ? text.split("*") : []) {
+    if (input === "00") inputs.length = 0;
+    else if (input === "0") inputs.pop();
+    else inputs.push(input);
+  }
+  return inputs;
+};
+
+export const createUssdMenu = ({
+  registry,
+  priceStore,
+  alertStore,
+  alerts,
+  irrigationQueue,
+  getLatestReadings,
+  callerContacts,
+}) => {
+  const zones = (ctx) => registry.listItems("zones", ctx.farm.id);
+  const equipment = (ctx) => registry.listItems("equipment", ctx.farm.id);
+  const openAlerts = (ctx) =>
+    alertStore.list({ farmId: ctx.farm.id, status: "open", limit: 5 });
+
+  // Each state renders a page and maps one input to the next state, or
+  // returns nothing for an invalid choice
+  const STATES = {
+    farm: {
+      render: async (ctx) =>
+        con(ctx.t.chooseFarm, ...numbered(ctx.farms, (farm) => farm.name)),
+      next: async (ctx, input) => {
+        const farm = pick(ctx.farms, input);
+        if (!farm) return null;
+        ctx.farm = farm;
+        ctx.contact = ctx.contacts.find((c) => c.farmId === farm.id);
+        ctx.t = TEXT[ctx.contact.language] || TEXT.en;
+        return "main";
+      },
+    },
+
+    main: {
+      render: async (ctx) => con(ctx.t.menu(ctx.farm.name)),
+      next: async (ctx, input) =>
+        ({
+          1: "moisture",
+          2: "prices",
+          3: IRRIGATION_ROLES.includes(ctx.contact.role)
+            ? "irrigationZone"
+            : "forbidden",
+          4: "alerts",
+          5: "faultEquipment",
+        }[input]),
+    },
+
+    moisture: {
+      render: async (ctx) => {
+        const readings = getLatestReadings(ctx.farm.id, ["soil_moisture"]);
+        if (readings.length === 0) return end(ctx.t.noReadings);
+        return end(
+          ...readings
+            .sort((a, b) => a.zone.localeCompare(b.zone))
+            .map((r) => `${r.zone}: ${r.value.toFixed(1)}%`)
+        );
+      },
+    },
+
+    prices: {
+      render: async (ctx) => {
+        const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+          .toISOString()
+          .slice(0, 10);
+        // Newest price per crop and market; list() sorts by date
+        const latest = new Map();
+        for (const price of await priceStore.list({ from: weekAgo })) {
+          latest.set(`${price.crop}:${price.market}`, price);
+        }
+        if (latest.size === 0) return end(ctx.t.noPrices);
+        return end(
+          ...[...latest.values()].map(
+            (p) => `${p.crop} ${p.market}: ${p.price} ${p.currency}/${p.unit}`
+          )
+        );
+      },
+    },
+
+    forbidden: { render: async (ctx) => end(ctx.t.forbidden) },
+
+    irrigationZone: {
+      render: async (ctx) => {
+        const list = await zones(ctx);
+        if (list.length === 0) return end(ctx.t.noZones);
+        return con(ctx.t.chooseZone, ...numbered(list, (z) => z.name || z.id));
+      },
+      next: async (ctx, input) => {
+        ctx.zone = pick(await zones(ctx), input);
+        return ctx.zone && "irrigationAction";
+      },
+    },
+
+    irrigationAction: {
+      render: async (ctx) =>
+        con(ctx.t.zoneAction(ctx.zone.name || ctx.zone.id)),
+      next: async (ctx, input) =>
+        ({ 1: "irrigationStart", 2: "irrigationStop" }[input]),
+    },
+
+    irrigationStart: {
+      render: async (ctx) => {
+        await irrigationQueue.add("start-irrigation", {
+          farmId: ctx.farm.id,
+          zone: ctx.zone.id,
+          reason: "ussd_request",
+          requestedBy: ctx.phoneNumber,
+          timestamp: new Date().toISOString(),
+        });
+        return end(ctx.t.started(ctx.zone.name || ctx.zone.id));
+      },
+    },
+
+    irrigationStop: {
+      render: async (ctx) => {
+        await irrigationQueue.add("stop-irrigation", {
+          farmId: ctx.farm.id,
+          zone: ctx.zone.id,
+          requestedBy: ctx.phoneNumber,
+        });
+        return end(ctx.t.stopped(ctx.zone.name || ctx.zone.id));
+      },
+    },
+
+    alerts: {
+      render: async (ctx) => {
+        const list = await openAlerts(ctx);
+        if (list.length === 0) return end(ctx.t.noAlerts);
+        return con(
+          ctx.t.chooseAlert,
+          ...numbered(
+            list,
+            (a) => `#${a.id} ${a.details.condition || a.taskType}`
+          )
+        );
+      },
+      next: async (ctx, input) => {
+        ctx.alert = pick(await openAlerts(ctx), input);
+        return ctx.alert && "alertAcknowledged";
+      },
+    },
+
+    alertAcknowledged: {
+      render: async (ctx) => {
+        const alert = await alerts.acknowledge(ctx.alert.id, ctx.phoneNumber);
+        return end(
+          alert ? ctx.t.acknowledged(ctx.alert.id) : ctx.t.notOpen(ctx.alert.id)
+        );
+      },
+    },
+
+    faultEquipment: {
+      render: async (ctx) => {
+        const list = await equipment(ctx);
+        if (list.length === 0) return end(ctx.t.noEquipment);
+        return con(
+          ctx.t.chooseEquipment,
+          ...numbered(list, (item) => item.name || item.id)
+        );
+      },
+      next: async (ctx, input) => {
+        ctx.equipment = pick(await equipment(ctx), input);
+        return ctx.equipment && "faultDescription";
+      },
+    },
+
+    faultDescription: {
+      render: async (ctx) => con(ctx.t.describe),
+      next: async (ctx, input) => {
+        ctx.description = input.trim();
+        return ctx.description && "faultReported";
+      },
+    },
+
+    faultReported: {
+      render: async (ctx) => {
+        const { farm, equipment: item } = ctx;
+        await alerts.raise({
+          dedupKey: `fault:${farm.id}:${item.id}`,
+          farmId: farm.id,
+          zone: item.zoneId,
+          taskType: "equipment_fault_reported",
+          severity: "warning",
+          details: {
+            farmId: farm.id,
+            equipment: item.name || item.id,
+            equipmentId: item.id,
+            description: ctx.description,
+            reportedBy: ctx.contact.name || ctx.phoneNumber,
+            condition: "Equipment fault reported",
+          },
+        });
+        return end(ctx.t.reported(item.name || item.id));
+      },
+    },
+  };
+
+  // Handle one AT callback, returning the "CON ..." or "END ..." response
+  return async ({ phoneNumber, text }) => {
+    const contacts = await callerContacts(phoneNumber);
+    if (contacts.length === 0) return end(TEXT.en.unregistered);
+
+    const farms = [];
+    for (const contact of contacts) {
+      const farm = await registry.getFarm(contact.farmId);
+      if (farm) farms.push(farm);
+    }
+    const ctx = {
+      phoneNumber,
+      contacts,
+      farms,
+      contact: contacts[0],
+      farm: farms[0],
+      t: TEXT[contacts[0].language] || TEXT.en,
+    };
+    if (!ctx.farm) return end(ctx.t.unregistered);
+
+    let state = farms.length > 1 ? "farm" : "main";
+    let invalid = false;
+    for (const input of navigate(text)) {
+      const next = STATES[state].next && (await STATES[state].next(ctx, input));
+      invalid = !next;
+      if (next) state = next;
+    }
+
+    const response = await STATES[state].render(ctx);
+    return invalid && response.startsWith("CON")
+      ? con(ctx.t.invalid, response.slice("CON ".length))
+      : response;
+  };
+};
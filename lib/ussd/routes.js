@@ -0,0 +1,26 @@
+import { Router, urlencoded } from "express";
+
+// Africa's Talking USSD callback. AT posts a form with sessionId,
+// serviceCode, phoneNumber and text, and expects a plain text reply that
+// starts with "CON" (more input) or "END" (close the session).
+export const createUssdRouter = ({ menu }) => {
+  const router = Router();
+
+  router.post("/", urlencoded({ extended: false }), async (req, res) => {
+    const { sessionId, phoneNumber, text = "" } = req.body;
+    res.set("Content-Type", "text/plain");
+
+    try {
+      console.log(
+        `☎️ USSD session ${sessionId} from ${phoneNumber}: "${text}"`
+      );
+      res.send(await menu({ sessionId, phoneNumber, text }));
+    } catch (error) {
+      console.error("USSD error:", error);
+      // Always answer, or the caller's phone waits until the network times out
+      res.send("END Service unavailable, please try again later.");
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,164 @@
+const HOUR = 60 * 60 * 1000;
+
+// Warnings raised from the forecast, each as one weather_warning alert per
+// farm while it is in the forecast window
+export const FORECAST_EVENTS = {
+  frost: {
+    warning: "Frost expected",
+    advice: "Cover seedlings and water the soil before nightfall",
+  },
+  heat: {
+    warning: "Extreme heat expected",
+    advice: "Irrigate early in the morning and shade sensitive crops",
+  },
+  heavy_rain: {
+    warning: "Heavy rain expected",
+    advice: "Clear drainage channels and hold off spraying and fertilizer",
+  },
+};
+
+const number = (value) =>
+  typeof value === "number" && isFinite(value) ? value : null;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const ZONED = /(Z|[+-]\d{2}:?\d{2})$/;
+
+const toMs = (time, offset) => {
+  if (typeof time === "number") return time * 1000;
+  return ZONED.test(time) ? Date.parse(time) : Date.parse(`${time}Z`) - offset;
+};
+
+// Hourly rows from an Open-Meteo forecast response. Times come as unix
+// seconds (timeformat=unixtime) or local ISO times with utc_offset_seconds.
+export const parseForecast = (body) => {
+  const hourly = body?.hourly;
+  if (!Array.isArray(hourly?.time)) {
+    throw new Error("Forecast response has no hourly data");
+  }
+  const offset = (body.utc_offset_seconds || 0) * 1000;
+  const column = (name) => hourly[name] || [];
+
+  return hourly.time
+    .map((time, i) => ({
+      time: toMs(time, offset),
+      temperature: number(column("temperature_2m")[i]),
+      humidity: number(column("relative_humidity_2m")[i]),
+      precipitation: number(column("precipitation")[i]),
+      precipitationProbability: number(column("precipitation_probability")[i]),
+      windSpeed: number(column("wind_speed_10m")[i]),
+    }))
+    .filter((hour) => isFinite(hour.time));
+};
+
+// Rain to count on, mm: each hour's amount weighted by its probability
+export const expectedRainMm = (hours) =>
+  round1(
+    hours.reduce(
+      (sum, hour) =>
+        sum +
+        (hour.precipitation ?? 0) *
+          ((hour.precipitationProbability ?? 100) / 100),
+      0
+    )
+  );
+
+// Runs of hours passing `test`, allowing gaps of up to `gapHours`
+const spells = (hours, test, gapHours) => {
+  const found = [];
+  let current = null;
+  for (const hour of hours.filter(test)) {
+    if (current && hour.time - current.at(-1).time <= gapHours * HOUR) {
+      current.push(hour);
+    } else {
+      found.push((current = [hour]));
+    }
+  }
+  return found;
+};
+
+const event = (type, spell, value) => ({
+  type,
+  start: spell[0].time,
+  end: spell.at(-1).time + HOUR,
+  value: round1(value),
+});
+
+// Frost and heat spells by hourly temperature, and rain spells (dry gaps of
+// up to 3 hours) totalling at least heavyRainMm, in time order
+export const forecastEvents = (
+  hours,
+  { frostC = 2, heatC = 35, heavyRainMm = 20 } = {}
+) => {
+  const events = [];
+  for (const spell of spells(
+    hours,
+    (hour) => hour.temperature != null && hour.temperature <= frostC,
+    1
+  )) {
+    events.push(
+      event("frost", spell, Math.min(...spell.map((h) => h.temperature)))
+    );
+  }
+  for (const spell of spells(
+    hours,
+    (hour) => hour.temperature != null && hour.temperature >= heatC,
+    1
+  )) {
+    events.push(
+      event("heat", spell, Math.max(...spell.map((h) => h.temperature)))
+    );
+  }
+  for (const spell of spells(hours, (hour) => hour.precipitation > 0, 3)) {
+    const total = spell.reduce((sum, hour) => sum + hour.precipitation, 0);
+    if (total >= heavyRainMm) events.push(event("heavy_rain", spell, total));
+  }
+  return events.sort((a, b) => a.start - b.start);
+};
+
+const format = (time, timeZone, withDay) =>
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    ...(withDay ? { weekday: "short", day: "numeric", month: "short" } : {}),
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+    .format(time)
+    .replace(",", "");
+
+const localDate = (time, timeZone) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone }).format(time);
+
+// "Wed 21 Oct 03:00-07:00", naming the end day only when it differs
+const period = ({ start, end }, timeZone) => {
+  const sameDay = localDate(start, timeZone) === localDate(end, timeZone);
+  return `${format(start, timeZone, true)}-${format(end, timeZone, !sameDay)}`;
+};
+
+// What the alert says about an event, in the farm's time zone
+export const describeEvent = (event, timeZone) => {
+  const when = period(event, timeZone);
+  switch (event.type) {
+    case "frost":
+      return `${when}, down to ${event.value}°C`;
+    case "heat":
+      return `${when}, up to ${event.value}°C`;
+    default:
+      return `${event.value} mm of rain ${when}`;
+  }
+};
+
+// "14-29°C, 6 mm of rain in the next 24h", or null without forecast hours
+export const summarizeForecast = (hours, label = "in the next 24h") => {
+  const temperatures = hours
+    .map((hour) => hour.temperature)
+    .filter((value) => value != null);
+  if (temperatures.length === 0) return null;
+  const rain = hours.reduce((sum, hour) => sum + (hour.precipitation ?? 0), 0);
+  return (
+    `${Math.round(Math.min(...temperatures))}-` +
+    `${Math.round(Math.max(...temperatures))}°C, ` +
+    `${round1(rain)} mm of rain ${label}`
+  );
+};
@@ -0,0 +1,94 @@
+import {
+  FORECAST_EVENTS,
+  describeEvent,
+  expectedRainMm,
+  forecastEvents,
+  parseForecast,
+  summarizeForecast,
+} from "./events.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// Hourly forecasts fetched per farm from the configured source, and the
+// frost, heat and heavy rain warnings raised from them. Farms without
+// coordinates in the registry use the configured defaults.
+export const createWeatherForecast = ({
+  store,
+  source,
+  alerts,
+  timeZone,
+  latitude,
+  longitude,
+  elevation,
+  lookaheadHours = 48,
+  thresholds = {},
+}) => {
+  // Resolves the number of hours stored
+  const refresh = async (farm, now = Date.now()) => {
+    const body = await source.fetchForecast({
+      latitude: farm.latitude ?? latitude,
+      longitude: farm.longitude ?? longitude,
+      elevation: farm.elevationM ?? elevation,
+    });
+    return store.save(farm.id, parseForecast(body), now);
+  };
+
+  const upcoming = (farmId, hours = lookaheadHours, now = Date.now()) =>
+    store.range(farmId, now, now + hours * HOUR, now);
+
+  const events = async (farmId, hours = lookaheadHours, now = Date.now()) =>
+    forecastEvents(await upcoming(farmId, hours, now), thresholds);
+
+  // One weather_warning per event type, describing the earliest event of
+  // that type; cleared once the forecast no longer has one. Without a
+  // current forecast the open warnings are left as they are.
+  const check = async (farmId, now = Date.now()) => {
+    const hours = await upcoming(farmId, lookaheadHours, now);
+    if (hours.length === 0) return [];
+    const found = forecastEvents(hours, thresholds);
+
+    for (const [type, { warning, advice }] of Object.entries(FORECAST_EVENTS)) {
+      const dedupKey = `weather_forecast:${farmId}:${type}`;
+      const event = found.find((e) => e.type === type);
+      if (!event) {
+        await alerts.clear(dedupKey);
+        continue;
+      }
+      await alerts.raise({
+        dedupKey,
+        farmId,
+        taskType: "weather_warning",
+        severity: "warning",
+        details: {
+          farmId,
+          warning,
+          advice,
+          forecast: describeEvent(event, timeZone),
+          event: type,
+          value: event.value,
+          startsAt: new Date(event.start).toISOString(),
+          condition: warning,
+        },
+      });
+    }
+    return found;
+  };
+
+  // Forecast rain to count on over the next `hours`, mm
+  const rainMm = async (farmId, hours, now = Date.now()) =>
+    expectedRainMm(await upcoming(farmId, hours, now));
+
+  // The next 24 hours in a sentence, or null without a current forecast
+  const summary = async (farmId, now = Date.now()) =>
+    summarizeForecast(await upcoming(farmId, 24, now));
+
+  return {
+    refresh,
+    fetchedAt: store.fetchedAt,
+    upcoming,
+    events,
+    check,
+    rainMm,
+    summary,
+  };
+};
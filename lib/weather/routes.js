@@ -0,0 +1,62 @@
+import { Router } from "express";
+import { describeEvent, expectedRainMm } from "./events.js";
+
+const toIso = (time) => new Date(time).toISOString();
+
+// Mounted at /api/farms/:farmId/weather. Forecasts are fetched on the
+// "Weather Forecast Update" schedule; an empty forecast means none is
+// configured or the last fetch is too old to use.
+export const createWeatherRouter = ({ registry, forecast, timeZone }) => {
+  const router = Router({ mergeParams: true });
+
+  router.use(async (req, res, next) => {
+    try {
+      if (!(await registry.getFarm(req.params.farmId))) {
+        return res
+          .status(404)
+          .json({ error: `Farm ${req.params.farmId} not found` });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // The coming hours (?hours=, up to a week) with the rain to count on and
+  // the frost, heat and heavy rain events in them
+  router.get("/forecast", async (req, res) => {
+    try {
+      const { farmId } = req.params;
+      const hours =
+        req.query.hours !== undefined ? Number(req.query.hours) : 48;
+      if (!Number.isInteger(hours) || hours < 1 || hours > 168) {
+        return res.status(400).json({
+          error: "Invalid query",
+          details: ["hours must be a whole number from 1 to 168"],
+        });
+      }
+
+      const now = Date.now();
+      const upcoming = await forecast.upcoming(farmId, hours, now);
+      const fetchedAt = await forecast.fetchedAt(farmId);
+      res.json({
+        farmId,
+        fetchedAt: fetchedAt != null ? toIso(fetchedAt) : null,
+        expectedRainMm: expectedRainMm(upcoming),
+        events: (await forecast.events(farmId, hours, now)).map((event) => ({
+          type: event.type,
+          startsAt: toIso(event.start),
+          endsAt: toIso(event.end),
+          value: event.value,
+          description: describeEvent(event, timeZone),
+        })),
+        hours: upcoming.map((hour) => ({ ...hour, time: toIso(hour.time) })),
+      });
+    } catch (error) {
+      console.error("Weather forecast error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
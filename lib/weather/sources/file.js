@@ -0,0 +1,9 @@
+import { readFile } from "node:fs/promises";
+
+// An Open-Meteo style JSON response on disk, for farms without internet
+// access or for trying the service out. Every farm gets the same forecast.
+export const createFileSource = ({ path }) => {
+  const fetchForecast = async () => JSON.parse(await readFile(path, "utf8"));
+
+  return { name: "file", fetchForecast };
+};
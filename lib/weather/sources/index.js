@@ -0,0 +1,25 @@
+import { createFileSource } from "./file.js";
+import { createOpenMeteoSource } from "./openMeteo.js";
+
+// The forecast source named in WEATHER_FORECAST_SOURCE, or null when
+// forecasts are off. A source implements fetchForecast({ latitude,
+// longitude, elevation }), resolving to an Open-Meteo forecast response.
+export const createForecastSource = (env = process.env) => {
+  const name = (env.WEATHER_FORECAST_SOURCE || "").trim();
+  switch (name) {
+    case "":
+      return null;
+
+    case "open-meteo":
+      return createOpenMeteoSource({
+        url: env.WEATHER_FORECAST_URL || undefined,
+        days: parseInt(env.WEATHER_FORECAST_DAYS) || 3,
+      });
+
+    case "file":
+      return createFileSource({ path: env.WEATHER_FORECAST_FILE });
+
+    default:
+      throw new Error(`Unknown weather forecast source "${name}"`);
+  }
+};
@@ -0,0 +1,38 @@
+export const HOURLY_VARIABLES = [
+  "temperature_2m",
+  "relative_humidity_2m",
+  "precipitation",
+  "precipitation_probability",
+  "wind_speed_10m",
+];
+
+// Open-Meteo's forecast API, or any service answering the same query with
+// the same JSON (e.g. a self-hosted Open-Meteo instance)
+export const createOpenMeteoSource = ({
+  url = "https://api.open-meteo.com/v1/forecast",
+  days = 3,
+  timeoutMs = 15000,
+}) => {
+  const fetchForecast = async ({ latitude, longitude, elevation }) => {
+    const query = new URLSearchParams({
+      latitude: String(latitude),
+      longitude: String(longitude),
+      hourly: HOURLY_VARIABLES.join(","),
+      forecast_days: String(days),
+      timeformat: "unixtime",
+      wind_speed_unit: "kmh",
+    });
+    if (elevation != null) query.set("elevation", String(elevation));
+
+    const response = await fetch(`${url}?${query}`, {
+      headers: { Accept: "application/json" },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Forecast source ${url} responded ${response.status}`);
+    }
+    return response.json();
+  };
+
+  return { name: "open-meteo", fetchForecast };
+};
@@ -0,0 +1,72 @@
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const fromRow = (row) => ({
+  time: Number(row.forecast_at),
+  temperature: row.temperature,
+  humidity: row.humidity,
+  precipitation: row.precipitation,
+  precipitationProbability: row.precipitation_probability,
+  windSpeed: row.wind_speed,
+});
+
+// Hourly forecasts per farm, as last fetched. Hours fetched more than
+// maxAgeHours ago are ignored, so a source that stopped answering doesn't
+// keep steering irrigation.
+export const createForecastStore = (db, { maxAgeHours = 12 } = {}) => {
+  // Replace the farm's forecast from the first hour given; hours more than a
+  // day in the past are dropped
+  const save = async (farmId, hours, fetchedAt = Date.now()) => {
+    if (hours.length === 0) return 0;
+    const from = Math.min(...hours.map((hour) => hour.time));
+    await db.batch(
+      [
+        {
+          sql: `DELETE FROM weather_forecasts
+            WHERE farm_id = ? AND (forecast_at >= ? OR forecast_at < ?)`,
+          args: [farmId, from, fetchedAt - DAY],
+        },
+        ...hours.map((hour) => ({
+          sql: `INSERT INTO weather_forecasts
+            (farm_id, forecast_at, temperature, humidity, precipitation,
+             precipitation_probability, wind_speed, fetched_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          args: [
+            farmId,
+            hour.time,
+            hour.temperature,
+            hour.humidity,
+            hour.precipitation,
+            hour.precipitationProbability,
+            hour.windSpeed,
+            fetchedAt,
+          ],
+        })),
+      ],
+      "write"
+    );
+    return hours.length;
+  };
+
+  // Forecast hours starting in [from, to)
+  const range = async (farmId, from, to, now = Date.now()) => {
+    const { rows } = await db.execute({
+      sql: `SELECT * FROM weather_forecasts
+        WHERE farm_id = ? AND forecast_at >= ? AND forecast_at < ?
+          AND fetched_at >= ?
+        ORDER BY forecast_at`,
+      args: [farmId, from, to, now - maxAgeHours * HOUR],
+    });
+    return rows.map(fromRow);
+  };
+
+  const fetchedAt = async (farmId) => {
+    const { rows } = await db.execute({
+      sql: "SELECT MAX(fetched_at) AS fetched_at FROM weather_forecasts WHERE farm_id = ?",
+      args: [farmId],
+    });
+    return rows[0]?.fetched_at != null ? Number(rows[0].fetched_at) : null;
+  };
+
+  return { save, range, fetchedAt };
+};
@@ -1,8 +1,12 @@
 // service-worker.js
-const CACHE_NAME = "locci-farm-cache-v1";
+const CACHE_NAME = "locci-farm-cache-v3";
+// Last known API responses, so the dashboard has data offline
+const API_CACHE = "locci-farm-api-v1";
+const SYNC_TAG = "replay-actions";
 const urlsToCache = [
   "/",
   "/index.html",
+  "/login.html",
   "/offline.html",
   "/images/icons/icon-16x16.png",
   "/images/icons/icon-32x32.png",
@@ -26,7 +30,7 @@ self.addEventListener("install", (event) => {
 
 // Activate event - clean up old caches
 self.addEventListener("activate", (event) => {
-  const cacheWhitelist = [CACHE_NAME];
+  const cacheWhitelist = [CACHE_NAME, API_CACHE];
   event.waitUntil(
     caches
       .keys()
@@ -43,8 +47,239 @@ self.addEventListener("activate", (event) => {
   );
 });
 
+// Dashboard reads served stale-while-revalidate: the cached copy (stamped
+// with X-Cached-At) right away, then a fresh one posted to the page
+const CACHED_API = [
+  /^\/api\/stream\/snapshot$/,
+  /^\/api\/schedules$/,
+  /^\/api\/farms(\/[^/]+)?$/,
+  /^\/api\/farms\/[^/]+\/irrigation$/,
+  /^\/api\/alerts$/,
+  /^\/api\/market\/prices$/,
+];
+
+// Farmer actions queued in IndexedDB when offline and replayed in order by
+// Background Sync (or when the page sees the connection come back)
+const QUEUED_ACTIONS = [
+  /^\/api\/alerts\/[^/]+\/(acknowledge|resolve)$/,
+  /^\/api\/farms\/[^/]+\/irrigation\/zones\/[^/]+\/(start|stop)$/,
+  /^\/api\/schedules\/[^/]+\/(pause|resume|trigger)$/,
+];
+
+const notifyClients = async (message) => {
+  const windows = await self.clients.matchAll({ type: "window" });
+  windows.forEach((client) => client.postMessage(message));
+};
+
+const jsonResponse = (data, status, headers = {}) =>
+  new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+
+// Outbox of queued actions: { id, url, method, body, contentType, label,
+// queuedAt }
+const outbox = (() => {
+  const open = () =>
+    new Promise((resolve, reject) => {
+      const request = indexedDB.open("locci-farm", 1);
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore("outbox", {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+  const run = async (mode, operation) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction("outbox", mode);
+      const request = operation(tx.objectStore("outbox"));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+
+  return {
+    add: (action) => run("readwrite", (store) => store.add(action)),
+    all: () => run("readonly", (store) => store.getAll()),
+    remove: (id) => run("readwrite", (store) => store.delete(id)),
+    clear: () => run("readwrite", (store) => store.clear()),
+  };
+})();
+
+const reportOutbox = async () =>
+  notifyClients({ type: "outbox", pending: (await outbox.all()).length });
+
+const stamped = async (response) => {
+  const headers = new Headers(response.headers);
+  headers.set("X-Cached-At", new Date().toISOString());
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+};
+
+const staleWhileRevalidate = async (event) => {
+  const cache = await caches.open(API_CACHE);
+  const cached = await cache.match(event.request);
+
+  const network = fetch(event.request).then(async (response) => {
+    if (response.ok) {
+      await cache.put(event.request, await stamped(response.clone()));
+      // The page already has the cached copy; send it the fresh data
+      if (cached) {
+        await notifyClients({
+          type: "api-updated",
+          url: event.request.url,
+          data: await response.clone().json(),
+        });
+      }
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network.catch(() =>
+    jsonResponse({ error: "Offline and nothing cached yet" }, 503)
+  );
+};
+
+const sendOrQueue = async (request) => {
+  const body = await request.clone().text();
+  try {
+    return await fetch(request);
+  } catch {
+    const action = {
+      url: request.url,
+      method: request.method,
+      body,
+      contentType: request.headers.get("Content-Type"),
+      label:
+        request.headers.get("X-Action-Label") || new URL(request.url).pathname,
+      queuedAt: new Date().toISOString(),
+    };
+    action.id = await outbox.add(action);
+    if (self.registration.sync) {
+      await self.registration.sync.register(SYNC_TAG).catch(() => {});
+    }
+    await notifyClients({ type: "action-queued", action });
+    await reportOutbox();
+    return jsonResponse(
+      { status: "queued", id: action.id, queuedAt: action.queuedAt },
+      202,
+      { "X-Queued": "1" }
+    );
+  }
+};
+
+// Replay queued actions oldest first. The server sees X-Queued-At and may
+// answer 409 when the action no longer applies (alert already resolved,
+// zone already watering, start too old); those are dropped and reported.
+// A network error, 5xx or 401 leaves the rest queued for the next attempt.
+const replayQueued = async () => {
+  for (const action of await outbox.all()) {
+    let response;
+    try {
+      response = await fetch(action.url, {
+        method: action.method,
+        headers: {
+          "Content-Type": action.contentType || "application/json",
+          "X-Queued-At": action.queuedAt,
+        },
+        body: action.body || undefined,
+        credentials: "same-origin",
+      });
+    } catch (error) {
+      throw new Error(`Still offline: ${error.message}`);
+    }
+
+    if (response.status === 401) {
+      await notifyClients({ type: "action-blocked", action });
+      return;
+    }
+    if (response.status >= 500) {
+      throw new Error(
+        `Server error ${response.status} replaying ${action.url}`
+      );
+    }
+
+    const result = await response.json().catch(() => ({}));
+    await outbox.remove(action.id);
+    await notifyClients(
+      response.ok
+        ? { type: "action-synced", action }
+        : {
+            type: "action-conflict",
+            action,
+            status: response.status,
+            error: result.error || `HTTP ${response.status}`,
+          }
+    );
+    await reportOutbox();
+  }
+};
+
+let replaying = null;
+const replayActions = () => {
+  replaying ||= replayQueued().finally(() => {
+    replaying = null;
+  });
+  return replaying;
+};
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(replayActions());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "replay-actions") {
+    event.waitUntil(replayActions().catch(() => {}));
+  }
+  if (event.data?.type === "outbox-status") event.waitUntil(reportOutbox());
+});
+
 // Fetch event - serve from cache or network
 self.addEventListener("fetch", (event) => {
+  const { origin, pathname } = new URL(event.request.url);
+  const { method } = event.request;
+
+  if (origin === self.location.origin && pathname.startsWith("/api/")) {
+    // Cached data belongs to whoever was signed in. Queued actions wait
+    // through a sign-in (a 401 leaves them queued) but not a sign-out.
+    if (pathname === "/api/auth/login") {
+      event.waitUntil(caches.delete(API_CACHE));
+      return;
+    }
+    if (pathname === "/api/auth/logout") {
+      event.waitUntil(
+        Promise.all([caches.delete(API_CACHE), outbox.clear()]).then(
+          reportOutbox
+        )
+      );
+      return;
+    }
+    if (method === "GET" && CACHED_API.some((path) => path.test(pathname))) {
+      event.respondWith(staleWhileRevalidate(event));
+      return;
+    }
+    if (
+      method === "POST" &&
+      QUEUED_ACTIONS.some((path) => path.test(pathname))
+    ) {
+      event.respondWith(sendOrQueue(event.request));
+    }
+    // Anything else under /api/ goes straight to the network
+    return;
+  }
+  if (pathname.startsWith("/admin/")) return;
+
   event.respondWith(
     caches.match(event.request).then((response) => {
       if (response) {
@@ -80,3 +315,29 @@ self.addEventListener("fetch", (event) => {
     })
   );
 });
+
+// Push event - show farm alerts sent by the server
+self.addEventListener("push", (event) => {
+  const { title, body, data } = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(title || "Locci Farm", {
+      body,
+      data,
+      icon: "/images/locci-farm-icon.png",
+      badge: "/images/icons/icon-96x96.png",
+      tag: data && data.alertId ? `alert-${data.alertId}` : undefined,
+    })
+  );
+});
+
+// Notification click - focus the dashboard or open it
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || "/";
+  event.waitUntil(
+    self.clients.matchAll({ type: "window" }).then((windows) => {
+      const open = windows.find((client) => "focus" in client);
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
+  );
+});
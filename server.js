@@ -1,3 +1,4 @@
+import { randomBytes } from "node:crypto";
 import express, { json } from "express";
 import { config } from "dotenv";
 import Queue from "bull";
@@ -7,6 +8,93 @@ import { BullAdapter } from "@bull-board/api/bullAdapter.js";
 import { ExpressAdapter } from "@bull-board/express";
 import { LocciScheduler } from "@locci-scheduler/client";
 import AfricasTalking from "africastalking";
+import { connectDb, migrate } from "./lib/db/index.js";
+import { createApiKeyStore } from "./lib/auth/apiKeys.js";
+import { auditRequests, createAuditLog } from "./lib/auth/audit.js";
+import { createAuth } from "./lib/auth/middleware.js";
+import { canAccessFarm } from "./lib/auth/roles.js";
+import {
+  createApiKeysRouter,
+  createAuditRouter,
+  createAuthRouter,
+  createUsersRouter,
+} from "./lib/auth/routes.js";
+import { createUserStore } from "./lib/auth/users.js";
+import { createEventStream } from "./lib/stream/events.js";
+import { publishQueueEvents } from "./lib/stream/queues.js";
+import { createStreamRouter } from "./lib/stream/routes.js";
+import { createActivityStore } from "./lib/calendar/activities.js";
+import { currentPlanting } from "./lib/calendar/plantings.js";
+import { createFieldCalendar } from "./lib/calendar/planner.js";
+import { createActivityReminders } from "./lib/calendar/reminders.js";
+import { createCalendarRouter } from "./lib/calendar/routes.js";
+import { createAlertManager } from "./lib/alerts/manager.js";
+import { createAlertsRouter } from "./lib/alerts/routes.js";
+import { createAlertStore } from "./lib/alerts/store.js";
+import {
+  createSensorHistoryRouter,
+  createSensorRouter,
+} from "./lib/sensors/routes.js";
+import { createReadingStore } from "./lib/sensors/store.js";
+import { createDeviceStatusStore } from "./lib/sensors/devices.js";
+import { createDeviceHealth } from "./lib/sensors/health.js";
+import { createMqttBridge } from "./lib/mqtt/bridge.js";
+import { validatePrice } from "./lib/market/prices.js";
+import { createMarketRouter } from "./lib/market/routes.js";
+import { createPriceSources } from "./lib/market/sources/index.js";
+import { createPriceStore } from "./lib/market/store.js";
+import { createFarmRegistry } from "./lib/farms/registry.js";
+import { createFarmRouter } from "./lib/farms/routes.js";
+import { createCallerLookup } from "./lib/farms/callers.js";
+import { createSmsCommands } from "./lib/sms/commands.js";
+import { createSmsRouter } from "./lib/sms/routes.js";
+import { createSmsSender } from "./lib/sms/sender.js";
+import { createSmsStore } from "./lib/sms/store.js";
+import { createUssdMenu } from "./lib/ussd/menu.js";
+import { createUssdRouter } from "./lib/ussd/routes.js";
+import { createNotifier } from "./lib/notifications/index.js";
+import { createNotificationChannels } from "./lib/notifications/channels/index.js";
+import { createPushRouter } from "./lib/notifications/push.js";
+import { createPushSubscriptionStore } from "./lib/notifications/subscriptions.js";
+import { createIrrigationController } from "./lib/irrigation/controller.js";
+import { createIrrigationRouter } from "./lib/irrigation/routes.js";
+import { createHourMeters } from "./lib/maintenance/runtime.js";
+import { createMaintenancePlanner } from "./lib/maintenance/planner.js";
+import { createMaintenanceRouter } from "./lib/maintenance/routes.js";
+import { createWorkOrderStore } from "./lib/maintenance/workOrders.js";
+import { createPestRisk } from "./lib/pests/risk.js";
+import { createPestRouter } from "./lib/pests/routes.js";
+import { createScoutingStore } from "./lib/pests/scouting.js";
+import { createActuatorDriver } from "./lib/irrigation/drivers/index.js";
+import { createRunStore } from "./lib/irrigation/runs.js";
+import { createWaterBalance } from "./lib/irrigation/waterBalance.js";
+import { createWeatherForecast } from "./lib/weather/forecast.js";
+import { createWeatherRouter } from "./lib/weather/routes.js";
+import { createForecastSource } from "./lib/weather/sources/index.js";
+import { createForecastStore } from "./lib/weather/store.js";
+import { createNotificationRouting } from "./lib/notifications/routing.js";
+import { createNotificationPreviewRouter } from "./lib/notifications/preview.js";
+import { createNotificationRoutesRouter } from "./lib/notifications/routes.js";
+import { defaultRules } from "./lib/rules/defaults.js";
+import { createRuleEngine } from "./lib/rules/engine.js";
+import { createRulesRouter } from "./lib/rules/routes.js";
+import { createRuleStore } from "./lib/rules/store.js";
+import { defaultSchedules } from "./lib/schedules/defaults.js";
+import { createLocciTasks } from "./lib/schedules/locci.js";
+import { reconcileSchedules } from "./lib/schedules/reconcile.js";
+import { createSchedulesRouter } from "./lib/schedules/routes.js";
+import { createScheduleStore } from "./lib/schedules/store.js";
+import { verifyCallbackSource } from "./lib/security/callbacks.js";
+import { createNonceStore } from "./lib/security/nonces.js";
+import { verifyWebhookSignature } from "./lib/security/signature.js";
+import {
+  createSensorIngest,
+  getLatestReadings,
+  latestByZone,
+  readingsForJob,
+  recordLatest,
+  setReadingMaxAge,
+} from "./lib/sensors/readings.js";
 
 (async () => {
   config();
@@ -31,6 +119,7 @@ import AfricasTalking from "africastalking";
     baseUrl: process.env.LOCCI_SCHEDULER_HOST || "http://localhost:9696",
     apiToken: process.env.LOCCI_API_TOKEN,
   });
+  const schedulerTasks = createLocciTasks(scheduler);
 
   // Create BullMQ queues for different AgTech operations
   const queuesList = [
@@ -60,49 +149,358 @@ import AfricasTalking from "africastalking";
   const marketDataQueue = new Queue("market-data", redisOptions);
   const maintenanceQueue = new Queue("maintenance", redisOptions);
   const notificationQueue = new Queue("notifications", redisOptions);
+  // Failed SMS and notification sends are retried with exponential backoff.
+  // Set per job so other notification jobs (escalations) run once.
+  const sendJobOptions = {
+    attempts: parseInt(process.env.SMS_MAX_ATTEMPTS) || 5,
+    backoff: {
+      type: "exponential",
+      delay: parseInt(process.env.SMS_RETRY_DELAY_MS) || 60000,
+    },
+  };
+  const processedQueues = {
+    "iot-sensors": iotSensorQueue,
+    irrigation: irrigationQueue,
+    "market-data": marketDataQueue,
+    maintenance: maintenanceQueue,
+    notifications: notificationQueue,
+  };
+
+  // Live updates for the dashboard as the queues finish jobs
+  const stream = createEventStream();
+  publishQueueEvents({ stream, queues: processedQueues });
+
+  // Persistent storage (libSQL) for sensor history
+  const db = connectDb({
+    url: process.env.LIBSQL_URI,
+    authToken: process.env.DATABASE_AUTH_TOKEN,
+  });
+  await migrate(db);
+
+  const readingStore = createReadingStore(db, {
+    rawRetentionDays: parseInt(process.env.SENSOR_RAW_RETENTION_DAYS) || 30,
+    rollupRetentionDays:
+      parseInt(process.env.SENSOR_ROLLUP_RETENTION_DAYS) || 730,
+  });
+  recordLatest(await readingStore.latest());
+
+  // Last heartbeat, battery level and value history per device
+  const deviceStatus = createDeviceStatusStore(db);
+
+  // Runtime changes to the declared Locci Scheduler tasks
+  const scheduleStore = createScheduleStore(db);
+
+  // Farm registry (farms, zones, crops, devices, equipment)
+  const registry = createFarmRegistry(db);
+  await registry.seedDefaultFarm(process.env.FARM_ID || "farm-001");
+
+  // Sent and received SMS, with delivery state from AT delivery reports
+  const smsStore = createSmsStore(db);
+  const sendSms = createSmsSender({
+    sms: africasTalking.SMS,
+    store: smsStore,
+    from: process.env.AFRICASTALKING_SMS_SHORT_CODE,
+  });
+
+  // Delivery channels: SMS and webhooks always, Web Push and email when
+  // VAPID keys and an SMTP host are configured
+  const pushSubscriptions = createPushSubscriptionStore(db);
+  const channels = createNotificationChannels({
+    sendSms,
+    subscriptions: pushSubscriptions,
+  });
+
+  // Contact book routing for farm notifications
+  const routing = createNotificationRouting(db);
+  const sendTaskNotification = createNotifier({
+    notificationQueue,
+    jobOptions: sendJobOptions,
+    registry,
+    routing,
+    defaultFarmId: process.env.FARM_ID || "farm-001",
+    fallbackPhone: process.env.FARMER_PHONE,
+    timeZone: process.env.FARM_TIMEZONE || "Africa/Nairobi",
+    availableChannels: Object.keys(channels),
+    maxSmsSegments: parseInt(process.env.SMS_MAX_SEGMENTS) || 3,
+  });
+
+  // Equipment hour meters, service status and work orders
+  const hourMeters = createHourMeters(db);
+  const workOrders = createWorkOrderStore(db);
+  const maintenance = createMaintenancePlanner({
+    registry,
+    meters: hourMeters,
+    workOrders,
+    deviceStatus,
+    sendTaskNotification,
+    leadDays: parseInt(process.env.MAINTENANCE_LEAD_DAYS) || 7,
+    lowBattery: parseFloat(process.env.DEVICE_LOW_BATTERY) || 20,
+  });
+
+  // Crop calendar: field activities planned from each planting's growth
+  // stages, with a Locci reminder task per activity
+  const activityReminders = createActivityReminders({
+    tasks: schedulerTasks,
+    baseUrl: process.env.WEBHOOK_BASE_URL || "http://localhost:5151",
+    timezone: process.env.FARM_TIMEZONE || "Africa/Nairobi",
+    secret: process.env.LOCCI_WEBHOOK_SECRET,
+    leadDays: parseInt(process.env.CALENDAR_REMINDER_DAYS) || 2,
+    hour: parseInt(process.env.CALENDAR_REMINDER_HOUR) || 7,
+  });
+  const fieldActivities = createActivityStore(db);
+  const calendar = createFieldCalendar({
+    registry,
+    activities: fieldActivities,
+    reminders: activityReminders,
+    sendTaskNotification,
+  });
+
+  // Valve and pump control with safety interlocks
+  const irrigationRuns = createRunStore(db);
+  const irrigation = createIrrigationController({
+    driver: createActuatorDriver(),
+    runs: irrigationRuns,
+    irrigationQueue,
+    sendTaskNotification,
+    meters: hourMeters,
+    maxConcurrentZones:
+      parseInt(process.env.IRRIGATION_MAX_CONCURRENT_ZONES) || 1,
+    maxDailyMinutes: parseInt(process.env.IRRIGATION_MAX_DAILY_MINUTES) || 120,
+    targetMoisture: parseFloat(process.env.SOIL_MOISTURE_TARGET) || 60,
+  });
+
+  // Market price history and the sources it is imported from
+  const priceStore = createPriceStore(db);
+  const priceSources = createPriceSources();
+
+  // Alert lifecycle: dedup, cooldown, resolved notices and escalation
+  // A cooldown of 0 reminds on every repeat, so only a missing or unreadable
+  // setting falls back to the default
+  const alertStore = createAlertStore(db);
+  const cooldownMinutes = parseFloat(process.env.ALERT_COOLDOWN_MINUTES);
+  const alerts = createAlertManager({
+    store: alertStore,
+    notificationQueue,
+    sendTaskNotification,
+    cooldownMinutes: Number.isNaN(cooldownMinutes) ? 60 : cooldownMinutes,
+    escalationMinutes: parseFloat(process.env.ALERT_ESCALATION_MINUTES) || 15,
+  });
+
+  // Hourly weather forecasts and the frost, heat and heavy rain warnings
+  // raised from them
+  const forecastSource = createForecastSource();
+  const weatherForecast = createWeatherForecast({
+    store: createForecastStore(db, {
+      maxAgeHours: parseFloat(process.env.WEATHER_FORECAST_MAX_AGE_HOURS) || 12,
+    }),
+    source: forecastSource,
+    alerts,
+    timeZone: process.env.FARM_TIMEZONE || "Africa/Nairobi",
+    latitude: parseFloat(process.env.FARM_LATITUDE) || -1.29,
+    longitude: parseFloat(process.env.FARM_LONGITUDE) || 36.82,
+    elevation: parseFloat(process.env.FARM_ELEVATION_M) || 0,
+    thresholds: {
+      frostC: parseFloat(process.env.FORECAST_FROST_C) || 2,
+      heatC: parseFloat(process.env.FORECAST_HEAT_C) || 35,
+      heavyRainMm: parseFloat(process.env.FORECAST_HEAVY_RAIN_MM) || 20,
+    },
+  });
+
+  // FAO-56 water balance used by the irrigation assessment, counting the
+  // rain forecast for the next IRRIGATION_RAIN_FORECAST_HOURS
+  const waterBalance = createWaterBalance({
+    db,
+    readingStore,
+    runs: irrigationRuns,
+    forecast: weatherForecast,
+    rainHours: parseInt(process.env.IRRIGATION_RAIN_FORECAST_HOURS) || 24,
+    latitude: parseFloat(process.env.FARM_LATITUDE) || -1.29,
+    elevation: parseFloat(process.env.FARM_ELEVATION_M) || 0,
+    efficiency: parseFloat(process.env.IRRIGATION_EFFICIENCY) || 0.8,
+  });
+
+  // Device liveness and sensor faults, checked as readings arrive and on
+  // every sensor collection run
+  const reportEveryMinutes =
+    parseFloat(process.env.DEVICE_REPORT_MINUTES) ||
+    parseInt(process.env.SENSOR_INTERVAL_MINUTES) ||
+    15;
+  const missedReports = parseInt(process.env.DEVICE_MISSED_REPORTS) || 3;
+  const deviceHealth = createDeviceHealth({
+    registry,
+    deviceStatus,
+    alerts,
+    reportEveryMinutes,
+    missedReports,
+    lowBattery: parseFloat(process.env.DEVICE_LOW_BATTERY) || 20,
+  });
+  // A reading stops counting when its device would be reported offline;
+  // collection runs skip zones without a fresh one
+  setReadingMaxAge(reportEveryMinutes * missedReports);
+  // Pest and disease risk models for the planted zones, calibrated by
+  // field scouting; run with every crop health collection
+  const scouting = createScoutingStore(db);
+  const pestRisk = createPestRisk({
+    registry,
+    readingStore,
+    scouting,
+    alerts,
+    warnAt: parseFloat(process.env.PEST_RISK_ALERT_SCORE) || 70,
+    clearBelow: parseFloat(process.env.PEST_RISK_CLEAR_SCORE) || 50,
+  });
+  const ingestReadings = createSensorIngest({
+    iotSensorQueue,
+    readingStore,
+    deviceHealth,
+  });
+
+  // Alert rules evaluated by the sensor, market and maintenance processors
+  const ruleStore = createRuleStore(db);
+  await ruleStore.seed(defaultRules());
+  const rules = createRuleEngine({
+    store: ruleStore,
+    queues: processedQueues,
+    alerts,
+  });
+
+  const production = process.env.NODE_ENV === "production";
+
+  // Users, device API keys and the audit log. Session tokens are signed with
+  // AUTH_SECRET; without it development uses a throwaway key (sessions end
+  // on restart) and production refuses to start.
+  if (!process.env.AUTH_SECRET && production) {
+    throw new Error("AUTH_SECRET is required in production");
+  }
+  if (!process.env.AUTH_SECRET) {
+    console.warn("⚠️ AUTH_SECRET is not set; sessions won't survive a restart");
+  }
+  const users = createUserStore(db);
+  await users.seedAdmin({
+    username: process.env.ADMIN_USERNAME,
+    password: process.env.ADMIN_PASSWORD,
+  });
+  const apiKeys = createApiKeyStore(db);
+  const auditLog = createAuditLog(db, {
+    retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 365,
+  });
+  const auth = createAuth({
+    users,
+    apiKeys,
+    secret: process.env.AUTH_SECRET || randomBytes(32).toString("hex"),
+    sessionHours: parseFloat(process.env.SESSION_TTL_HOURS) || 12,
+    production,
+  });
+  const visibleTo = (req, farmId) => canAccessFarm(req.actor, farmId);
 
   const app = express();
-  app.use(json());
-  app.use("/admin/queues", serverAdapter.getRouter());
+  // Behind a proxy, req.ip (used for the AT callback allowlist) needs this
+  if (process.env.TRUST_PROXY) app.set("trust proxy", process.env.TRUST_PROXY);
+  // Keep the raw body for webhook signature checks
+  app.use(
+    json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf.toString();
+      },
+    })
+  );
   app.use(express.static("public")); // Set static folder
+  // Cross-origin access only for the listed origins
+  const corsOrigins = (process.env.CORS_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
   app.use(
     cors({
-      origin: "*",
+      origin: corsOrigins.length > 0 ? corsOrigins : false,
       credentials: true,
     })
   );
 
+  // Identify the caller on every request, and log every change they make
+  app.use(auth.authenticate);
+  app.use(auditRequests(auditLog));
+  app.use(
+    "/admin/queues",
+    auth.requireRole("admin"),
+    serverAdapter.getRouter()
+  );
+
+  // Locci webhooks must be signed; test SMS cost money and are for admins
+  const locciWebhook = [
+    verifyWebhookSignature({
+      secret: process.env.LOCCI_WEBHOOK_SECRET,
+      nonces: createNonceStore(db),
+      toleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300,
+      production,
+    }),
+    auth.asService("locci-scheduler", "Locci Scheduler"),
+  ];
+  const adminOnly = auth.requireRole("admin");
+
+  // Sign-in, and the accounts and keys behind it
+  app.use("/api/auth", createAuthRouter({ users, auth }));
+  app.use("/api/users", adminOnly, createUsersRouter({ users, registry }));
+  app.use(
+    "/api/api-keys",
+    auth.requireRole("owner"),
+    createApiKeysRouter({ apiKeys, registry })
+  );
+  app.use("/api/audit", adminOnly, createAuditRouter({ auditLog }));
+
   // ===========================================
   // WEBHOOK ENDPOINTS FOR LOCCI SCHEDULER
   // ===========================================
 
+  // Farms a webhook should fan out to: the one named in the payload, or all
+  // registered farms. Responds 404 itself when the named farm is unknown.
+  const resolveWebhookFarms = async (req, res) => {
+    const farms = await registry.resolveFarms(req.body?.farmId);
+    if (req.body?.farmId && farms.length === 0) {
+      res.status(404).json({ error: `Farm ${req.body.farmId} not found` });
+      return null;
+    }
+    return farms;
+  };
+
   // IoT Sensor Data Collection Webhook
-  app.post("/webhooks/collect-sensor-data", async (req, res) => {
+  app.post("/webhooks/collect-sensor-data", locciWebhook, async (req, res) => {
     try {
       console.log("🌱 Locci triggered IoT sensor data collection");
 
-      // Add jobs to BullMQ for each sensor type
-      await iotSensorQueue.add("collect-soil-moisture", {
-        farmId: "farm-001",
-        sensorType: "soil_moisture",
-        timestamp: new Date().toISOString(),
-      });
+      const farms = await resolveWebhookFarms(req, res);
+      if (!farms) return;
 
-      await iotSensorQueue.add("collect-weather-data", {
-        farmId: "farm-001",
-        sensorType: "weather",
-        timestamp: new Date().toISOString(),
-      });
+      // Add jobs to BullMQ for each sensor type on every farm
+      for (const farm of farms) {
+        await iotSensorQueue.add("collect-soil-moisture", {
+          farmId: farm.id,
+          sensorType: "soil_moisture",
+          timestamp: new Date().toISOString(),
+        });
 
-      await iotSensorQueue.add("collect-crop-health", {
-        farmId: "farm-001",
-        sensorType: "crop_health",
-        timestamp: new Date().toISOString(),
-      });
+        await iotSensorQueue.add("collect-weather-data", {
+          farmId: farm.id,
+          sensorType: "weather",
+          timestamp: new Date().toISOString(),
+        });
+
+        await iotSensorQueue.add("collect-crop-health", {
+          farmId: farm.id,
+          sensorType: "crop_health",
+          timestamp: new Date().toISOString(),
+        });
+
+        // Devices that should have reported by now
+        await iotSensorQueue.add("check-device-health", {
+          farmId: farm.id,
+          timestamp: new Date().toISOString(),
+        });
+      }
 
       res.json({
         status: "success",
         message: "IoT data collection jobs queued",
+        farms: farms.map((farm) => farm.id),
       });
     } catch (error) {
       console.error("Sensor collection error:", error);
@@ -111,26 +509,70 @@ import AfricasTalking from "africastalking";
   });
 
   // Smart Irrigation Control Webhook
-  app.post("/webhooks/irrigation-check", async (req, res) => {
+  app.post("/webhooks/irrigation-check", locciWebhook, async (req, res) => {
     try {
       console.log("💧 Locci triggered irrigation assessment");
 
+      const farms = await resolveWebhookFarms(req, res);
+      if (!farms) return;
+
       // Check soil moisture and trigger irrigation if needed
-      await irrigationQueue.add("assess-irrigation-needs", {
-        farmId: "farm-001",
-        zones: ["zone-a", "zone-b", "zone-c"],
-        timestamp: new Date().toISOString(),
-      });
+      for (const farm of farms) {
+        const zones = await registry.listItems("zones", farm.id);
+        if (zones.length === 0) continue;
+
+        await irrigationQueue.add("assess-irrigation-needs", {
+          farmId: farm.id,
+          zones: zones.map((zone) => zone.id),
+          timestamp: new Date().toISOString(),
+        });
+      }
 
-      res.json({ status: "success", message: "Irrigation assessment queued" });
+      res.json({
+        status: "success",
+        message: "Irrigation assessment queued",
+        farms: farms.map((farm) => farm.id),
+      });
     } catch (error) {
       console.error("Irrigation check error:", error);
       res.status(500).json({ error: error.message });
     }
   });
 
+  // Weather Forecast Webhook
+  app.post("/webhooks/weather-forecast", locciWebhook, async (req, res) => {
+    try {
+      console.log("🌦️ Locci triggered weather forecast update");
+      if (!forecastSource) {
+        return res.json({
+          status: "skipped",
+          message: "No WEATHER_FORECAST_SOURCE configured",
+        });
+      }
+
+      const farms = await resolveWebhookFarms(req, res);
+      if (!farms) return;
+
+      for (const farm of farms) {
+        await iotSensorQueue.add("fetch-weather-forecast", {
+          farmId: farm.id,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.json({
+        status: "success",
+        message: "Weather forecast update queued",
+        farms: farms.map((farm) => farm.id),
+      });
+    } catch (error) {
+      console.error("Weather forecast error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // Market Price Monitoring Webhook
-  app.post("/webhooks/market-prices", async (req, res) => {
+  app.post("/webhooks/market-prices", locciWebhook, async (req, res) => {
     try {
       console.log("📈 Locci triggered market price update");
 
@@ -148,37 +590,74 @@ import AfricasTalking from "africastalking";
   });
 
   // Equipment Maintenance Check Webhook
-  app.post("/webhooks/maintenance-check", async (req, res) => {
+  app.post("/webhooks/maintenance-check", locciWebhook, async (req, res) => {
     try {
       console.log("🔧 Locci triggered maintenance check");
 
-      await maintenanceQueue.add("check-equipment-status", {
-        farmId: "farm-001",
-        equipment: ["irrigation-pumps", "sensors", "drones"],
-        timestamp: new Date().toISOString(),
-      });
+      const farms = await resolveWebhookFarms(req, res);
+      if (!farms) return;
+
+      for (const farm of farms) {
+        const equipment = await registry.listItems("equipment", farm.id);
+        if (equipment.length === 0) continue;
 
-      res.json({ status: "success", message: "Maintenance check queued" });
+        await maintenanceQueue.add("check-equipment-status", {
+          farmId: farm.id,
+          equipment: equipment.map((item) => item.id),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.json({
+        status: "success",
+        message: "Maintenance check queued",
+        farms: farms.map((farm) => farm.id),
+      });
     } catch (error) {
       console.error("Maintenance check error:", error);
       res.status(500).json({ error: error.message });
     }
   });
 
+  // Crop calendar reminder, one Locci task per planned activity
+  app.post(
+    "/webhooks/field-activity-reminder",
+    locciWebhook,
+    async (req, res) => {
+      try {
+        const result = await calendar.sendReminder(req.body?.activityId);
+        if (!result) {
+          return res
+            .status(404)
+            .json({ error: `Activity ${req.body?.activityId} not found` });
+        }
+        res.json({ status: "success", ...result });
+      } catch (error) {
+        console.error("Activity reminder error:", error);
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
   // Manual SMS Testing Endpoint
-  app.post("/webhooks/test-sms", async (req, res) => {
+  app.post("/webhooks/test-sms", adminOnly, async (req, res) => {
     try {
       const { message, phoneNumber, type } = req.body;
       console.log("📱 Manual SMS test triggered");
 
-      await notificationQueue.add("send-sms", {
-        phoneNumber: phoneNumber || process.env.FARMER_PHONE || "+254717135176",
-        message:
-          message ||
-          "🧪 Test SMS from Locci Farm IoT system - all systems operational!",
-        type: type || "test",
-        timestamp: new Date().toISOString(),
-      });
+      await notificationQueue.add(
+        "send-sms",
+        {
+          phoneNumber:
+            phoneNumber || process.env.FARMER_PHONE || "+254717135176",
+          message:
+            message ||
+            "🧪 Test SMS from Locci Farm IoT system - all systems operational!",
+          type: type || "test",
+          timestamp: new Date().toISOString(),
+        },
+        sendJobOptions
+      );
 
       res.json({ status: "success", message: "Test SMS queued" });
     } catch (error) {
@@ -187,8 +666,258 @@ import AfricasTalking from "africastalking";
     }
   });
 
+  // Offline-queued starts and schedule triggers older than this are refused
+  const maxQueuedMinutes =
+    parseFloat(process.env.IRRIGATION_QUEUED_MAX_MINUTES) || 15;
+
+  // Manual irrigation; technicians water zones from the field
+  app.use(
+    "/api/farms/:farmId/irrigation",
+    auth.farmAccess,
+    auth.allow({ read: "viewer", write: "technician" }),
+    createIrrigationRouter({
+      registry,
+      runs: irrigationRuns,
+      irrigationQueue,
+      maxQueuedMinutes,
+    })
+  );
+
+  // Scouting and field activities are recorded by technicians too, so these
+  // come ahead of the registry's manager-only writes
+  app.use(
+    "/api/farms/:farmId/pests",
+    auth.farmAccess,
+    auth.allow({ read: "viewer", write: "technician" }),
+    createPestRouter({ registry, risk: pestRisk, scouting })
+  );
+  app.use(
+    "/api/farms/:farmId/calendar",
+    auth.farmAccess,
+    auth.allow({ read: "viewer", write: "technician" }),
+    createCalendarRouter({ registry, calendar, activities: fieldActivities })
+  );
+
+  // Farm Registry. Anyone on a farm may read it and managers change it;
+  // creating and deleting farms is for admins, editing one for its owners.
+  app.post("/api/farms", adminOnly);
+  app.delete("/api/farms/:farmId", adminOnly);
+  app.patch("/api/farms/:farmId", auth.requireRole("owner"));
+  app.use("/api/farms/:farmId", auth.farmAccess);
+  app.use("/api/farms", auth.allow({ read: "viewer", write: "manager" }));
+  app.use("/api/farms", createFarmRouter({ registry, canAccess: visibleTo }));
+  app.use(
+    "/api/farms/:farmId/notification-routes",
+    createNotificationRoutesRouter({ registry, routing })
+  );
+  app.use(
+    "/api/notifications",
+    auth.requireRole("viewer"),
+    auth.farmAccess,
+    createNotificationPreviewRouter({
+      defaultFarmId: process.env.FARM_ID || "farm-001",
+      timeZone: process.env.FARM_TIMEZONE || "Africa/Nairobi",
+      maxSmsSegments: parseInt(process.env.SMS_MAX_SEGMENTS) || 3,
+      costPerSegment: parseFloat(process.env.SMS_COST_PER_SEGMENT) || 0.8,
+      currency: process.env.SMS_COST_CURRENCY || "KES",
+    })
+  );
+
+  // Sensor Readings Ingestion (field devices, with their farm's API key)
+  app.use(
+    "/api/sensors",
+    auth.allow({ read: "viewer", write: "manager", devices: true }),
+    auth.farmAccess,
+    createSensorRouter({
+      ingestReadings,
+      flagImpossible: deviceHealth.flagImpossible,
+    })
+  );
+  app.use(
+    "/api/farms/:farmId/sensors",
+    createSensorHistoryRouter({ readingStore })
+  );
+  app.use(
+    "/api/farms/:farmId/weather",
+    createWeatherRouter({
+      registry,
+      forecast: weatherForecast,
+      timeZone: process.env.FARM_TIMEZONE || "Africa/Nairobi",
+    })
+  );
+
+  // Farmers calling in over USSD or SMS, identified by phone number
+  const callerContacts = createCallerLookup({
+    registry,
+    defaultFarmId: process.env.FARM_ID || "farm-001",
+    fallbackPhone: process.env.FARMER_PHONE,
+  });
+
+  // Africa's Talking callbacks come from AT's addresses or carry our token
+  const atCallback = verifyCallbackSource({
+    allowedIps: (process.env.AT_CALLBACK_ALLOWED_IPS || "")
+      .split(",")
+      .map((ip) => ip.trim())
+      .filter(Boolean),
+    token: process.env.AT_CALLBACK_TOKEN,
+    production,
+  });
+  app.post(
+    ["/api/v1/ussd", "/api/v1/sms/inbound", "/api/v1/sms/delivery-reports"],
+    atCallback,
+    auth.asService("africastalking", "Africa's Talking")
+  );
+  // The SMS log spans every farm
+  app.get("/api/v1/sms/messages", adminOnly);
+
+  // USSD menu for feature phones (Africa's Talking callback, AT_CALLBACK_URL)
+  app.use(
+    "/api/v1/ussd",
+    createUssdRouter({
+      menu: createUssdMenu({
+        registry,
+        priceStore,
+        alertStore,
+        alerts,
+        irrigationQueue,
+        getLatestReadings,
+        callerContacts,
+      }),
+    })
+  );
+
+  // Two-way SMS: keyword commands and delivery reports
+  app.use(
+    "/api/v1/sms",
+    createSmsRouter({
+      store: smsStore,
+      commands: createSmsCommands({
+        registry,
+        priceStore,
+        alertStore,
+        alerts,
+        irrigationQueue,
+        runs: irrigationRuns,
+        getLatestReadings,
+      }),
+      callerContacts,
+      notificationQueue,
+      jobOptions: sendJobOptions,
+    })
+  );
+
+  // Web Push subscriptions from the PWA
+  app.use(
+    "/api/push",
+    auth.requireRole("viewer"),
+    createPushRouter({
+      subscriptions: pushSubscriptions,
+      callerContacts,
+      publicKey: channels.push && process.env.VAPID_PUBLIC_KEY,
+      canAccess: visibleTo,
+    })
+  );
+
+  // Market Prices
+  app.use(
+    "/api/market",
+    auth.allow({ read: "viewer", write: "manager" }),
+    createMarketRouter({ store: priceStore })
+  );
+
+  // Scheduled tasks in the Locci Scheduler, for the dashboard. The tasks
+  // run for every farm, so only admins may change them.
+  app.use(
+    "/api/schedules",
+    auth.allow({ read: "viewer", write: "admin" }),
+    createSchedulesRouter({
+      tasks: schedulerTasks,
+      store: scheduleStore,
+      declared: defaultSchedules,
+      baseUrl: process.env.WEBHOOK_BASE_URL || "http://localhost:5151",
+      timezone: process.env.FARM_TIMEZONE || "Africa/Nairobi",
+      secret: process.env.LOCCI_WEBHOOK_SECRET,
+      maxQueuedMinutes,
+    })
+  );
+
+  // Alert Rules
+  app.use(
+    "/api/rules",
+    auth.allow({ read: "viewer", write: "manager" }),
+    auth.farmAccess,
+    createRulesRouter({ store: ruleStore, canAccess: visibleTo })
+  );
+  // Technicians acknowledge alerts in the field; resolving is for managers
+  app.post("/api/alerts/:id/resolve", auth.requireRole("manager"));
+  app.get("/api/alerts", auth.requireFarmFilter);
+  app.use(
+    "/api/alerts",
+    auth.allow({ read: "viewer", write: "technician" }),
+    auth.farmAccess,
+    createAlertsRouter({ store: alertStore, alerts, canAccess: visibleTo })
+  );
+
+  // Equipment maintenance; technicians open, assign and close work orders
+  app.get(
+    ["/api/maintenance/equipment", "/api/maintenance/work-orders"],
+    auth.requireFarmFilter
+  );
+  app.use(
+    "/api/maintenance",
+    auth.allow({ read: "viewer", write: "technician" }),
+    auth.farmAccess,
+    createMaintenanceRouter({
+      registry,
+      planner: maintenance,
+      meters: hourMeters,
+      workOrders,
+      canAccess: visibleTo,
+    })
+  );
+
+  // Live dashboard updates (Server-Sent Events). Farm events go to the
+  // farm's users; farm-less ones to everyone, unless restricted to admins.
+  const canSee = (req, event) =>
+    event.farmId
+      ? visibleTo(req, event.farmId)
+      : !event.restricted || req.actor.role === "admin";
+  app.use(
+    "/api/stream",
+    auth.requireRole("viewer"),
+    createStreamRouter({
+      stream,
+      canSee,
+      // Latest readings, prices and notifications, for a fresh dashboard
+      snapshot: async (req) => {
+        const farms = (await registry.listFarms()).filter((farm) =>
+          visibleTo(req, farm.id)
+        );
+
+        const prices = {};
+        const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+        for (const { crop, market, price } of await priceStore.list({
+          from: weekAgo.toISOString().slice(0, 10),
+        })) {
+          prices[crop] = { ...prices[crop], [market]: price };
+        }
+
+        return {
+          farms: farms.map((farm) => farm.id),
+          readings: farms.flatMap((farm) => getLatestReadings(farm.id)),
+          prices,
+          notifications: stream
+            .recent("notification", 100)
+            .filter((event) => canSee(req, event))
+            .slice(-10)
+            .map((event) => ({ id: event.id, ...event.data })),
+        };
+      },
+    })
+  );
+
   // System Status Endpoint
-  app.get("/api/status", async (req, res) => {
+  app.get("/api/status", auth.requireRole("viewer"), async (req, res) => {
     try {
       const queueStatus = {
         iotSensors: await iotSensorQueue.getJobCounts(),
@@ -198,10 +927,21 @@ import AfricasTalking from "africastalking";
         notifications: await notificationQueue.getJobCounts(),
       };
 
+      // Device liveness on the farms the caller can see
+      const devices = {};
+      for (const farm of await registry.listFarms()) {
+        if (visibleTo(req, farm.id)) {
+          devices[farm.id] = await deviceHealth.status(farm.id);
+        }
+      }
+      const unhealthy = Object.values(devices)
+        .flat()
+        .filter((device) => device.status !== "online").length;
+
       // Send system status notification
       await sendTaskNotification("system_status", {
         message: "System status check requested",
-        systemsHealthy: true,
+        systemsHealthy: unhealthy === 0,
         queues: Object.keys(queueStatus).length,
         timestamp: new Date().toISOString(),
       });
@@ -210,10 +950,10 @@ import AfricasTalking from "africastalking";
         status: "healthy",
         timestamp: new Date().toISOString(),
         queues: queueStatus,
+        devices,
         environment: {
           farmId: process.env.FARM_ID || "farm-001",
           webhookBase: process.env.WEBHOOK_BASE_URL,
-          redisHost: process.env.REDIS_HOST,
         },
       });
     } catch (error) {
@@ -231,79 +971,96 @@ import AfricasTalking from "africastalking";
     const { farmId, sensorType } = job.data;
     console.log(`📊 Processing ${sensorType} data for ${farmId}`);
 
-    // Simulate sensor data collection
-    const moistureLevel = Math.random() * 100;
-    const temperature = Math.random() * 15 + 20; // 20-35°C
-    const humidity = Math.random() * 40 + 40; // 40-80%
-
-    // Send sensor data collection notification
-    await sendTaskNotification("sensor_data_collected", {
-      farmId,
-      sensorType,
-      moistureLevel,
-      temperature,
-      humidity,
-    });
+    const zones = latestByZone(readingsForJob(job));
+    if (Object.keys(zones).length === 0) {
+      console.log(`⚠️ No soil moisture readings available for ${farmId}`);
+      return { status: "no_data" };
+    }
 
-    // If moisture is low, trigger irrigation
-    if (
-      moistureLevel < parseFloat(process.env.SOIL_MOISTURE_LOW_THRESHOLD) ||
-      30
-    ) {
-      await irrigationQueue.add("start-irrigation", {
+    // Ambient conditions from the weather station, if it has reported
+    const weather = latestByZone(
+      getLatestReadings(farmId, ["temperature", "humidity"])
+    );
+    const { temperature, humidity } = Object.values(weather)[0] || {};
+
+    const crops = await registry.listItems("crops", farmId);
+    const results = {};
+    for (const [zone, { soil_moisture: moistureLevel }] of Object.entries(
+      zones
+    )) {
+      results[zone] = moistureLevel;
+
+      // Low moisture rules trigger irrigation, with thresholds that may
+      // depend on the crop and its growth stage
+      const planting = currentPlanting(crops, zone);
+      await rules.evaluate({
+        metric: "soil_moisture",
+        value: moistureLevel,
         farmId,
-        zone: "zone-a",
-        reason: "low_soil_moisture",
-        moistureLevel,
-        timestamp: new Date().toISOString(),
+        zone,
+        crop: planting?.name,
+        stage: planting?.stage,
+        context: { moistureLevel },
       });
+    }
 
-      // Send low moisture alert
-      await sendTaskNotification("irrigation_started", {
+    // One summary per scheduled run. Jobs from ingested batches and MQTT
+    // messages are routine telemetry and would turn into a stream of SMS.
+    if (!job.data.source) {
+      const levels = Object.values(results);
+      await sendTaskNotification("sensor_data_collected", {
         farmId,
-        zone: "zone-a",
-        reason: "low_soil_moisture",
-        moistureLevel,
-        duration: "30 minutes",
+        sensorType,
+        zones: Object.keys(results),
+        moistureLevel:
+          levels.reduce((sum, level) => sum + level, 0) / levels.length,
+        temperature,
+        humidity,
       });
     }
 
-    return { moistureLevel, temperature, humidity, status: "collected" };
+    // Fresh readings report the after level of finished irrigation runs
+    for (const reading of job.data.readings || []) {
+      if (reading.metric === "soil_moisture") {
+        await irrigation.recordMoisture(reading);
+      }
+    }
+
+    return {
+      moistureLevels: results,
+      temperature,
+      humidity,
+      status: "collected",
+    };
   });
 
   iotSensorQueue.process("collect-weather-data", async (job) => {
+    const { farmId } = job.data;
     console.log("🌤️ Collecting weather data");
 
-    // Simulate weather data collection
-    const temperature = Math.random() * 15 + 20; // 20-35°C
-    const humidity = Math.random() * 40 + 40; // 40-80%
-    const rainfall = Math.random() * 10; // 0-10mm
-    const windSpeed = Math.random() * 20 + 5; // 5-25 km/h
-
-    // Check for extreme weather conditions
-    const tempThreshold =
-      parseFloat(process.env.TEMPERATURE_HIGH_THRESHOLD) || 35;
-    const humidityThreshold =
-      parseFloat(process.env.HUMIDITY_LOW_THRESHOLD) || 40;
-
-    if (temperature > tempThreshold) {
-      await sendTaskNotification("weather_warning", {
-        farmId: job.data.farmId,
-        warning: "High temperature alert",
-        temperature,
-        forecast: "Consider shade protection for sensitive crops",
-      });
+    // Weather is farm-wide, so take the newest value across all stations
+    const readings = readingsForJob(job);
+    if (readings.length === 0) {
+      console.log(`⚠️ No weather readings available for ${farmId}`);
+      return { status: "no_data" };
     }
-
-    if (humidity < humidityThreshold) {
-      await sendTaskNotification("weather_warning", {
-        farmId: job.data.farmId,
-        warning: "Low humidity alert",
-        humidity,
-        forecast: "Increase irrigation frequency",
+    const latest = latestByZone(readings.map((r) => ({ ...r, zone: farmId })))[
+      farmId
+    ];
+
+    // Check for extreme weather conditions, with the forecast for the
+    // coming day in any warning
+    const forecast = await weatherForecast.summary(farmId);
+    for (const [metric, value] of Object.entries(latest)) {
+      await rules.evaluate({
+        metric,
+        value,
+        farmId,
+        context: forecast ? { forecast } : {},
       });
     }
 
+    const { temperature, humidity, rainfall, wind_speed: windSpeed } = latest;
     return { temperature, humidity, rainfall, windSpeed };
   });
 
@@ -311,88 +1068,164 @@ import AfricasTalking from "africastalking";
     const { farmId, sensorType } = job.data;
     console.log(`🌱 Processing ${sensorType} data for ${farmId}`);
 
-    // Simulate crop health metrics
-    const leafHealth = Math.random() * 100;
-    const growthRate = Math.random() * 10 + 5; // 5-15 cm/week
-    const pestActivity = Math.random() * 100;
-    const diseaseRisk = Math.random() * 100;
+    const zones = latestByZone(readingsForJob(job));
+    const crops = await registry.listItems("crops", farmId);
 
-    // Check for crop health issues
-    if (leafHealth < 60) {
-      await sendTaskNotification("weather_warning", {
-        farmId,
-        warning: "Poor crop health detected",
-        leafHealth: leafHealth.toFixed(1),
-        forecast: "Consider nutrient supplementation or pest control",
-      });
+    // Risk models run on weather history, so they don't need fresh crop
+    // health readings: the job's zone if it is planted, else every zone
+    const planted = Boolean(currentPlanting(crops, job.data.zone));
+    const risks = await pestRisk.check(
+      farmId,
+      planted ? [job.data.zone] : null
+    );
+
+    if (Object.keys(zones).length === 0 && risks.length === 0) {
+      console.log(`⚠️ No crop health readings available for ${farmId}`);
+      return { status: "no_data" };
     }
 
-    if (pestActivity > 70) {
-      await sendTaskNotification("weather_warning", {
-        farmId,
-        warning: "High pest activity detected",
-        pestActivity: pestActivity.toFixed(1),
-        forecast: "Apply pest control measures immediately",
-      });
+    const forecast = await weatherForecast.summary(farmId);
+    const results = {};
+    for (const [zone, metrics] of Object.entries(zones)) {
+      const {
+        leaf_health: leafHealth,
+        growth_rate: growthRate,
+        pest_activity: pestActivity,
+        disease_risk: diseaseRisk,
+      } = metrics;
+      results[zone] = { leafHealth, growthRate, pestActivity, diseaseRisk };
+
+      // Check for crop health issues against the zone's crop and stage rules
+      const planting = currentPlanting(crops, zone);
+      for (const [metric, value] of Object.entries(metrics)) {
+        await rules.evaluate({
+          metric,
+          value,
+          farmId,
+          zone,
+          crop: planting?.name,
+          stage: planting?.stage,
+          context: forecast ? { forecast } : {},
+        });
+      }
     }
 
+    return { zones: results, risks, status: "analyzed" };
+  });
+
+  // Store the farm's hourly forecast and warn about what is coming
+  iotSensorQueue.process("fetch-weather-forecast", async (job) => {
+    const { farmId } = job.data;
+    console.log(`🌦️ Fetching weather forecast for ${farmId}`);
+
+    const farm = await registry.getFarm(farmId);
+    if (!farm) return { status: "unknown_farm" };
+
+    const hours = await weatherForecast.refresh(farm);
+    const events = await weatherForecast.check(farmId);
     return {
-      leafHealth,
-      growthRate,
-      pestActivity,
-      diseaseRisk,
-      status: "analyzed",
+      status: "updated",
+      hours,
+      events: events.map(({ type, start, value }) => ({
+        type,
+        startsAt: new Date(start).toISOString(),
+        value,
+      })),
     };
   });
 
+  // Devices that stopped reporting raise device_offline
+  iotSensorQueue.process("check-device-health", async (job) => {
+    const { farmId } = job.data;
+    const result = await deviceHealth.sweep(farmId);
+    if (result.offline.length > 0) {
+      console.log(
+        `📵 ${farmId}: ${
+          result.offline.length
+        } devices offline (${result.offline.join(", ")})`
+      );
+    }
+    return result;
+  });
+
+  // Sensor history retention, run hourly by Bull
+  iotSensorQueue.process("apply-retention", async () => {
+    const result = await readingStore.applyRetention();
+    console.log(
+      `🗄️ Sensor retention: ${result.rawDeleted} readings, ${result.rollupsDeleted} rollups removed`
+    );
+    return result;
+  });
+
+  await iotSensorQueue.add(
+    "apply-retention",
+    {},
+    { repeat: { cron: "15 * * * *" }, jobId: "apply-retention" }
+  );
+
+  // Audit log retention, run nightly by Bull
+  maintenanceQueue.process("apply-audit-retention", async () => {
+    const deleted = await auditLog.applyRetention();
+    console.log(`🗄️ Audit log retention: ${deleted} entries removed`);
+    return { deleted };
+  });
+
+  await maintenanceQueue.add(
+    "apply-audit-retention",
+    {},
+    { repeat: { cron: "45 3 * * *" }, jobId: "apply-audit-retention" }
+  );
+
   // Irrigation Control Processors
   irrigationQueue.process("start-irrigation", async (job) => {
-    const { farmId, zone, reason, moistureLevel } = job.data;
+    const { farmId, zone, reason } = job.data;
     console.log(`💧 Starting irrigation for ${farmId} ${zone} - ${reason}`);
 
-    // Simulate irrigation control
-    const beforeLevel = moistureLevel || Math.random() * 40 + 20;
-    const afterLevel = beforeLevel + Math.random() * 30 + 20;
-    const duration = "30 minutes";
+    return irrigation.start(job.data);
+  });
 
-    // In real implementation, this would interface with IoT irrigation systems
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+  irrigationQueue.process("stop-irrigation", async (job) => {
+    const { runId, farmId, zone } = job.data;
 
-    // Send irrigation completion notification
-    await sendTaskNotification("irrigation_completed", {
-      farmId,
-      zone,
-      beforeLevel,
-      afterLevel,
-      duration,
-    });
+    // Scheduled stops name the run, farmer requests only the zone
+    if (runId == null) {
+      console.log(`💧 Stopping irrigation for ${farmId} ${zone}`);
+      return irrigation.stopZone(farmId, zone);
+    }
 
-    return {
-      status: "irrigation_completed",
-      duration,
-      moistureImprovement: afterLevel - beforeLevel,
-    };
+    console.log(`💧 Stopping irrigation run ${runId}`);
+    return irrigation.stop(runId);
   });
 
   irrigationQueue.process("assess-irrigation-needs", async (job) => {
     const { farmId, zones } = job.data;
     console.log(`🔍 Assessing irrigation needs for ${farmId}`);
 
+    const farm = await registry.getFarm(farmId);
+    if (!farm) return { status: "unknown_farm" };
+    const registeredZones = await registry.listItems("zones", farmId);
+    const crops = await registry.listItems("crops", farmId);
+
     let zonesNeedingIrrigation = 0;
+    let zonesSkippedForRain = 0;
+    const assessments = [];
 
-    // Check each zone and start irrigation if needed
-    for (const zone of zones) {
-      const moistureLevel = Math.random() * 100;
-      const threshold =
-        parseFloat(process.env.SOIL_MOISTURE_LOW_THRESHOLD) || 35;
+    // Run the water balance for each zone and schedule the deficit
+    for (const zone of registeredZones.filter((z) => zones.includes(z.id))) {
+      const assessment = await waterBalance.assessZone(farm, zone, crops);
+      assessments.push(assessment);
+      if (assessment.rainAdjustment === "skipped") zonesSkippedForRain++;
 
-      if (moistureLevel < threshold) {
+      if (assessment.needsIrrigation) {
         zonesNeedingIrrigation++;
         await irrigationQueue.add("start-irrigation", {
           farmId,
-          zone,
-          reason: "scheduled_assessment",
-          moistureLevel,
+          zone: zone.id,
+          reason: "water_deficit",
+          depletionMm: assessment.depletionMm,
+          forecastRainMm: assessment.forecastRainMm,
+          litres: assessment.litres,
+          durationMinutes: assessment.durationMinutes ?? undefined,
         });
       }
     }
@@ -401,15 +1234,22 @@ import AfricasTalking from "africastalking";
     await sendTaskNotification("task_completed", {
       farmId,
       taskName: "Irrigation Assessment",
-      status: `${zonesNeedingIrrigation}/${zones.length} zones need watering`,
+      status:
+        `${zonesNeedingIrrigation}/${zones.length} zones need watering` +
+        (zonesSkippedForRain > 0
+          ? `, ${zonesSkippedForRain} skipped for forecast rain`
+          : ""),
       zonesChecked: zones.length,
       zonesNeedingIrrigation,
+      zonesSkippedForRain,
     });
 
     return {
       status: "assessment_complete",
       zones_checked: zones.length,
       zones_needing_irrigation: zonesNeedingIrrigation,
+      zones_skipped_for_rain: zonesSkippedForRain,
+      assessments,
     };
   });
 
@@ -418,312 +1258,241 @@ import AfricasTalking from "africastalking";
     const { crops, markets } = job.data;
     console.log("📈 Fetching market prices");
 
-    // Simulate price fetching
-    const prices = {};
-    const priceAlerts = [];
+    // Pull the latest prices from every configured source. Invalid entries
+    // are skipped and one failing source doesn't stop the others.
+    const imported = {};
+    for (const source of priceSources) {
+      try {
+        const results = (await source.fetchPrices()).map(validatePrice);
+        const valid = results.filter((r) => r.price).map((r) => r.price);
+        if (valid.length < results.length) {
+          console.warn(
+            `⚠️ Skipped ${results.length - valid.length} invalid prices from ${
+              source.name
+            }`
+          );
+        }
+        imported[source.name] = await priceStore.record(valid, source.name);
+      } catch (error) {
+        console.error(`❌ Price source ${source.name} failed:`, error.message);
+        imported[source.name] = { error: error.message };
+      }
+    }
 
-    for (const crop of crops) {
-      const basePrice = crop === "maize" ? 70 : crop === "beans" ? 110 : 55;
-      const currentPrice = basePrice + (Math.random() - 0.5) * 30;
-      prices[crop] = currentPrice;
-
-      // Check thresholds from environment variables
-      const thresholdKey = `${crop.toUpperCase()}_PRICE_ALERT_THRESHOLD`;
-      const threshold = parseFloat(process.env[thresholdKey]) || basePrice + 10;
-
-      if (currentPrice > threshold) {
-        priceAlerts.push({
-          crop,
-          price: currentPrice,
-          threshold,
-          trend: "up",
-          market: markets[0] || "Nairobi",
-          recommendation: "Consider selling - good market price!",
-        });
-      } else if (currentPrice < threshold * 0.7) {
-        priceAlerts.push({
-          crop,
-          price: currentPrice,
-          threshold,
-          trend: "down",
-          market: markets[0] || "Nairobi",
-          recommendation: "Hold stock - wait for better prices",
-        });
+    // Prices older than a week say nothing about today's market
+    const staleBefore = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+
+    // Price alerts go to each farm with a planting of the crop
+    const growers = {};
+    for (const farm of await registry.listFarms()) {
+      for (const planting of await registry.listItems("crops", farm.id)) {
+        const name = planting.name.trim().toLowerCase();
+        (growers[name] ??= new Set()).add(farm.id);
       }
     }
 
-    // Send price alerts
-    for (const alert of priceAlerts) {
-      await sendTaskNotification("market_price_alert", alert);
+    const prices = {};
+    let alertsSent = 0;
+
+    for (const crop of crops) {
+      for (const market of markets) {
+        const trend = await priceStore.trend(crop, market);
+        if (!trend || trend.date < staleBefore) continue;
+        prices[crop] = { ...prices[crop], [market]: trend.price };
+
+        // Price rules send their own alerts
+        for (const farmId of growers[crop.toLowerCase()] ?? []) {
+          for (const [metric, value] of [
+            ["market_price", trend.price],
+            ["market_price_change", trend.weekOnWeekChange],
+            ["market_price_deviation", trend.averageDeviation],
+          ]) {
+            const fired = await rules.evaluate({
+              metric,
+              value,
+              farmId,
+              crop,
+              market,
+              context: {
+                price: trend.price,
+                date: trend.date,
+                weekOnWeekChange: trend.weekOnWeekChange,
+                movingAverage: trend.movingAverage,
+              },
+            });
+            alertsSent += fired.length;
+          }
+        }
+      }
     }
 
     // Send general market update
     await sendTaskNotification("task_completed", {
       taskName: "Market Price Update",
-      status: `Checked ${crops.length} crops, ${priceAlerts.length} alerts`,
+      status: `Checked ${crops.length} crops, ${alertsSent} alerts`,
       prices,
       marketsChecked: markets.length,
     });
 
     return {
       prices,
+      imported,
       markets_checked: markets.length,
-      alerts_sent: priceAlerts.length,
+      alerts_sent: alertsSent,
     };
   });
 
   // Maintenance Processors
   maintenanceQueue.process("check-equipment-status", async (job) => {
-    const { farmId, equipment } = job.data;
+    const { farmId } = job.data;
     console.log(`🔧 Checking equipment status for ${farmId}`);
 
-    // Simulate equipment health checks
-    const healthChecks = {};
-    const maintenanceAlerts = [];
-    const failureAlerts = [];
-
-    for (const item of equipment) {
-      const health = Math.random() * 100;
-      healthChecks[item] = health;
-
-      // Critical failure (immediate attention)
-      if (health < 20) {
-        failureAlerts.push({
-          farmId,
-          equipment: item.replace("-", " "),
-          health: health.toFixed(0),
-        });
-      }
-      // Maintenance required (schedule soon)
-      else if (health < 40) {
-        maintenanceAlerts.push({
-          farmId,
-          equipment: item.replace("-", " "),
-          health: health.toFixed(0),
-        });
-      }
-    }
-
-    // Send failure alerts (urgent)
-    for (const alert of failureAlerts) {
-      await sendTaskNotification("equipment_failure", alert);
-    }
-
-    // Send maintenance alerts
-    for (const alert of maintenanceAlerts) {
-      await sendTaskNotification("maintenance_required", alert);
-    }
+    // Work orders for services coming due and low device batteries
+    const { checked, opened, overdue } = await maintenance.check(farmId);
 
-    // Send overall maintenance check completion
     await sendTaskNotification("task_completed", {
       farmId,
       taskName: "Equipment Maintenance Check",
-      status: `${equipment.length} items checked, ${
-        maintenanceAlerts.length + failureAlerts.length
-      } alerts`,
-      equipmentChecked: equipment.length,
-      alertsGenerated: maintenanceAlerts.length + failureAlerts.length,
+      status: `${checked} items checked, ${opened.length} work orders opened, ${overdue.length} overdue`,
+      equipmentChecked: checked,
+      workOrdersOpened: opened.length,
     });
 
     return {
-      healthChecks,
       status: "complete",
-      maintenance_alerts: maintenanceAlerts.length,
-      failure_alerts: failureAlerts.length,
+      equipment_checked: checked,
+      work_orders_opened: opened,
+      work_orders_overdue: overdue,
     };
   });
 
   // Notification Processors (Africa's Talking integration)
   notificationQueue.process("send-sms", async (job) => {
-    const { phoneNumber, message, type, data } = job.data;
+    const { phoneNumber, message } = job.data;
     console.log(`📱 Sending SMS to ${phoneNumber}: ${message}`);
 
     try {
-      // Use Africa's Talking SMS API
-      const smsService = africasTalking.SMS;
-
-      const options = {
-        to: phoneNumber,
-        message: message,
-        // from: process.env.AFRICAS_TALKING_SENDER_ID || null,
-      };
-
-      const response = await smsService.send(options);
-
-      console.log(`✅ SMS sent successfully:`, response);
+      const recipient = await sendSms({ jobId: job.id, ...job.data });
+      console.log(`✅ SMS sent successfully: ${recipient.messageId}`);
 
       return {
         status: "sent",
         provider: "africas_talking",
-        response: response.SMSMessageData,
-        messageId: response.SMSMessageData.Recipients[0]?.messageId,
-        cost: response.SMSMessageData.Recipients[0]?.cost,
+        messageId: recipient.messageId,
+        cost: recipient.cost,
       };
     } catch (error) {
-      console.error(`❌ Failed to send SMS:`, error);
-
-      // Return error details for monitoring
-      return {
-        status: "failed",
-        provider: "africas_talking",
-        error: error.message,
-        phoneNumber,
-        messageType: type,
-      };
+      console.error(
+        `❌ Failed to send SMS (attempt ${job.attemptsMade + 1}):`,
+        error.message
+      );
+
+      // Failing the job lets Bull retry it; retrying a permanent failure
+      // would only cost money
+      if (error.permanent) await job.discard();
+      throw error;
     }
   });
 
-  // Enhanced notification helper functions
-  const sendTaskNotification = async (taskType, details) => {
-    const farmerPhone = process.env.FARMER_PHONE || "+254717135176";
-    let message = "";
-
-    switch (taskType) {
-      case "sensor_data_collected":
-        message =
-          `🌱 FARM UPDATE: Sensor data collected at ${new Date().toLocaleTimeString()}. ` +
-          `Soil: ${details.moistureLevel?.toFixed(1)}%, Weather: ${
-            details.temperature
-          }°C`;
-        break;
-
-      case "irrigation_started":
-        message =
-          `💧 IRRIGATION ALERT: Auto-irrigation started in ${details.zone}. ` +
-          `Reason: ${details.reason.replace("_", " ")}. Duration: ${
-            details.duration || "30 min"
-          }`;
-        break;
-
-      case "irrigation_completed":
-        message =
-          `✅ IRRIGATION COMPLETE: ${details.zone} watering finished. ` +
-          `Soil moisture improved from ${details.beforeLevel}% to ${details.afterLevel}%`;
-        break;
-
-      case "market_price_alert":
-        message =
-          `📈 MARKET ALERT: ${details.crop} price ${
-            details.trend === "up" ? "increased" : "decreased"
-          } to ` +
-          `${details.price} KES/kg in ${details.market}. ${details.recommendation}`;
-        break;
-
-      case "maintenance_required":
-        message =
-          `🔧 MAINTENANCE ALERT: ${details.equipment} requires attention. ` +
-          `Health: ${details.health}%. Schedule maintenance soon to avoid breakdown.`;
-        break;
-
-      case "equipment_failure":
-        message =
-          `🚨 URGENT: ${details.equipment} has failed! ` +
-          `Immediate attention required. Contact technician: +254700123456`;
-        break;
-
-      case "weather_warning":
-        message =
-          `🌦️ WEATHER WARNING: ${details.warning} expected. ` +
-          `Take protective measures for crops. Updated forecast: ${details.forecast}`;
-        break;
-
-      case "task_completed":
-        message =
-          `✅ TASK COMPLETE: ${
-            details.taskName
-          } finished successfully at ${new Date().toLocaleTimeString()}. ` +
-          `Status: ${details.status}`;
-        break;
-
-      case "system_status":
-        message =
-          `📊 SYSTEM UPDATE: ${details.message}. ` +
-          `All systems ${
-            details.systemsHealthy ? "operating normally" : "require attention"
-          }.`;
-        break;
-
-      default:
-        message = details.customMessage || `📱 Farm notification: ${taskType}`;
+  // Farm notifications over the contact's chosen channel
+  notificationQueue.process("send-notification", async (job) => {
+    const { channel, recipient, taskType } = job.data;
+    console.log(
+      `📣 Sending ${taskType} by ${channel} to ${
+        recipient.name || recipient.id
+      }`
+    );
+
+    try {
+      const sender = channels[channel];
+      if (!sender) {
+        throw Object.assign(new Error(`Channel ${channel} not configured`), {
+          permanent: true,
+        });
+      }
+      return await sender.send({ jobId: job.id, ...job.data });
+    } catch (error) {
+      console.error(
+        `❌ Failed to send ${channel} notification (attempt ${
+          job.attemptsMade + 1
+        }):`,
+        error.message
+      );
+
+      if (error.permanent) await job.discard();
+      throw error;
     }
+  });
 
-    // Add farm ID and timestamp
-    message += ` [Farm: ${details.farmId || "farm-001"}]`;
+  // Critical alerts still open after ALERT_ESCALATION_MINUTES
+  notificationQueue.process("escalate-alert", async (job) => {
+    console.log(`🚨 Checking escalation for alert ${job.data.alertId}`);
 
-    await notificationQueue.add("send-sms", {
-      phoneNumber: farmerPhone,
-      message,
-      type: taskType,
-      data: details,
-      timestamp: new Date().toISOString(),
-    });
-  };
+    return alerts.escalate(job.data.alertId);
+  });
 
   // ===========================================
   // LOCCI SCHEDULER SETUP
   // ===========================================
 
+  // Declared schedules (with their runtime overrides) are reconciled with
+  // the scheduler's tasks by name, so restarts don't create duplicates
   const setupScheduledTasks = async () => {
     try {
-      console.log("🚀 Setting up Locci Scheduler tasks...");
-
-      // IoT sensor data collection every 15 minutes
-      await scheduler.scheduleInterval({
-        name: "IoT Sensor Data Collection",
-        description: "Collect soil moisture, weather, and crop health data",
-        webhook: {
-          url: `${process.env.WEBHOOK_BASE_URL}/webhooks/collect-sensor-data`,
-          method: "POST",
-          payload: { source: "locci_scheduler" },
-        },
-        intervalSeconds: 120, // 2 minutes
-      });
-
-      // Irrigation assessment every 2 hours during daylight
-      await scheduler.scheduleInterval({
-        name: "Irrigation Assessment",
-        description: "Check irrigation needs across all farm zones",
-        webhook: {
-          url: `${process.env.WEBHOOK_BASE_URL}/webhooks/irrigation-check`,
-          method: "POST",
-          payload: { source: "locci_scheduler" },
-        },
-        intervalSeconds: 300, // 5 minutes
-      });
-
-      // Market price updates twice daily
-      await scheduler.scheduleInterval({
-        name: "Market Price Updates",
-        description: "Fetch latest crop prices from major markets",
-        webhook: {
-          url: `${process.env.WEBHOOK_BASE_URL}/webhooks/market-prices`,
-          method: "POST",
-          payload: { source: "locci_scheduler" },
-        },
-        intervalSeconds: 300, // 5 minutes
+      console.log("🚀 Reconciling Locci Scheduler tasks...");
+
+      const summary = await reconcileSchedules({
+        tasks: schedulerTasks,
+        schedules: await scheduleStore.resolve(defaultSchedules()),
+        unmanaged: activityReminders.isReminder,
+        baseUrl: process.env.WEBHOOK_BASE_URL || "http://localhost:5151",
+        timezone: process.env.FARM_TIMEZONE || "Africa/Nairobi",
+        secret: process.env.LOCCI_WEBHOOK_SECRET,
       });
 
-      // Equipment maintenance check weekly
-      await scheduler.scheduleInterval({
-        name: "Equipment Maintenance Check",
-        description: "Weekly health check of all farm equipment",
-        webhook: {
-          url: `${process.env.WEBHOOK_BASE_URL}/webhooks/maintenance-check`,
-          method: "POST",
-          payload: { source: "locci_scheduler" },
-        },
-        intervalSeconds: 300, // 5 minutes
-      });
-
-      console.log("✅ All Locci Scheduler tasks configured successfully!");
+      console.log(
+        `✅ Locci Scheduler tasks reconciled: ${summary.created.length} created, ` +
+          `${summary.updated.length} updated, ${summary.deleted.length} deleted, ` +
+          `${summary.unchanged.length} unchanged`
+      );
     } catch (error) {
-      console.error("❌ Failed to setup scheduled tasks:", error);
+      console.error(
+        "❌ Failed to reconcile scheduled tasks:",
+        error.details || error
+      );
     }
   };
 
   // Initialize scheduled tasks after server starts
   setTimeout(setupScheduledTasks, 2000);
 
+  // ===========================================
+  // MQTT BRIDGE FOR FIELD GATEWAYS
+  // ===========================================
+
+  if (process.env.MQTT_URL) {
+    // Empty or unknown settings fall back to the bridge's defaults
+    const mqttQos = parseInt(process.env.MQTT_QOS, 10);
+    const mqttBridge = createMqttBridge({
+      url: process.env.MQTT_URL,
+      username: process.env.MQTT_USERNAME,
+      password: process.env.MQTT_PASSWORD,
+      clientId: process.env.MQTT_CLIENT_ID || undefined,
+      topics: process.env.MQTT_TOPICS,
+      qos: [0, 1, 2].includes(mqttQos) ? mqttQos : undefined,
+      registry,
+      ingestReadings,
+      flagImpossible: deviceHealth.flagImpossible,
+    });
+    mqttBridge
+      .start()
+      .catch((error) =>
+        console.error("❌ Failed to start MQTT bridge:", error)
+      );
+  }
+
   // ===========================================
   // START SERVER
   // ===========================================
@@ -0,0 +1,213 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createServer } from "node:net";
+import { after, before, describe, it, mock } from "node:test";
+import Aedes from "aedes";
+import mqtt from "mqtt";
+import { createMqttBridge } from "../lib/mqtt/bridge.js";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves once `check` passes, polling every 10ms
+const eventually = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return check();
+    } catch (error) {
+      if (Date.now() > deadline) throw error;
+      await wait(10);
+    }
+  }
+};
+
+// Devices registered per farm. Bare values without a deviceId are known by
+// their topic.
+const DEVICES = {
+  "farm-001": ["probe-7", "farm/farm-001/zone/D/soil_moisture"],
+  "farm-002": ["probe-7"],
+};
+const registry = {
+  getItem: async (collection, farmId, id) =>
+    collection === "devices" && DEVICES[farmId]?.includes(id)
+      ? { id, farmId }
+      : null,
+};
+
+describe("MQTT bridge", () => {
+  let broker;
+  let server;
+  let url;
+  let gateway;
+
+  before(async () => {
+    // Keep the bridge's connection chatter out of the test report
+    for (const level of ["log", "warn", "error"]) {
+      mock.method(console, level, () => {});
+    }
+    broker = await Aedes.createBroker();
+    server = createServer(broker.handle);
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    url = `mqtt://127.0.0.1:${server.address().port}`;
+    gateway = await mqtt.connectAsync(url, { clientId: "test-gateway" });
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await gateway.endAsync();
+    await new Promise((resolve) => broker.close(resolve));
+    server.close();
+  });
+
+  const startBridge = async (ingestReadings, options = {}) => {
+    const bridge = createMqttBridge({
+      url,
+      clientId: `test-bridge-${Math.random().toString(36).slice(2)}`,
+      registry,
+      ingestReadings,
+      ...options,
+    });
+    await bridge.start();
+    return bridge;
+  };
+
+  const reading = (value, timestamp = "2026-01-01T06:00:00.000Z") =>
+    JSON.stringify({ value, deviceId: "probe-7", timestamp });
+
+  it("ingests readings from matching topics", async () => {
+    const batches = [];
+    const bridge = await startBridge(async (readings, source) =>
+      batches.push({ readings, source })
+    );
+    try {
+      await gateway.publishAsync(
+        "farm/farm-002/zone/A/soil_moisture",
+        reading(31.5),
+        { qos: 1 }
+      );
+      await eventually(() => assert.equal(batches.length, 1));
+
+      const [{ readings, source }] = batches;
+      assert.equal(source, "mqtt");
+      assert.equal(readings.length, 1);
+      assert.equal(readings[0].farmId, "farm-002");
+      assert.equal(readings[0].zone, "A");
+      assert.equal(readings[0].metric, "soil_moisture");
+      assert.equal(readings[0].deviceId, "probe-7");
+      assert.equal(readings[0].value, 31.5);
+    } finally {
+      await bridge.stop();
+    }
+  });
+
+  it("drops repeats of a reading it already ingested", async () => {
+    const batches = [];
+    const bridge = await startBridge(async (readings) =>
+      batches.push(readings)
+    );
+    try {
+      const topic = "farm/farm-001/zone/B/temperature";
+      await gateway.publishAsync(topic, reading(21), { qos: 1 });
+      await gateway.publishAsync(topic, reading(21), { qos: 1 });
+      await gateway.publishAsync(
+        topic,
+        reading(22, "2026-01-01T06:05:00.000Z"),
+        { qos: 1 }
+      );
+      await eventually(() => assert.equal(batches.length, 2));
+      await wait(100);
+      assert.deepEqual(
+        batches.map(([r]) => r.value),
+        [21, 22]
+      );
+    } finally {
+      await bridge.stop();
+    }
+  });
+
+  it("takes a repeat of a reading that failed to enqueue", async () => {
+    let calls = 0;
+    const batches = [];
+    const bridge = await startBridge(async (readings) => {
+      calls++;
+      if (calls === 1) throw new Error("queue unavailable");
+      batches.push(readings);
+    });
+    try {
+      const topic = "farm/farm-001/zone/C/humidity";
+      await gateway.publishAsync(topic, reading(64), { qos: 1 });
+      await eventually(() => assert.equal(calls, 1));
+      await gateway.publishAsync(topic, reading(64), { qos: 1 });
+      await eventually(() => assert.equal(batches.length, 1));
+      assert.equal(batches[0][0].value, 64);
+    } finally {
+      await bridge.stop();
+    }
+  });
+
+  it("ignores retained values without a timestamp", async () => {
+    const topic = "farm/farm-001/zone/D/soil_moisture";
+    await gateway.publishAsync(topic, "40", { qos: 1, retain: true });
+
+    const batches = [];
+    const bridge = await startBridge(async (readings) =>
+      batches.push(readings)
+    );
+    try {
+      await gateway.publishAsync(topic, "41", { qos: 1 });
+      await eventually(() => assert.equal(batches.length, 1));
+      await wait(100);
+      assert.equal(batches.length, 1);
+      assert.equal(batches[0][0].value, 41);
+    } finally {
+      await bridge.stop();
+      await gateway.publishAsync(topic, "", { qos: 1, retain: true });
+    }
+  });
+
+  it("drops readings from devices not registered on the farm", async () => {
+    const batches = [];
+    const flagged = [];
+    const bridge = await startBridge(
+      async (readings) => batches.push(readings),
+      { flagImpossible: async (readings) => flagged.push(...readings) }
+    );
+    try {
+      const unknown = (value) =>
+        JSON.stringify({
+          value,
+          deviceId: "probe-9",
+          timestamp: "2026-01-01T06:00:00.000Z",
+        });
+      await gateway.publishAsync(
+        "farm/farm-003/zone/E/soil_moisture",
+        reading(30),
+        { qos: 1 }
+      );
+      await gateway.publishAsync(
+        "farm/farm-001/zone/E/soil_moisture",
+        unknown(30),
+        { qos: 1 }
+      );
+      await gateway.publishAsync(
+        "farm/farm-001/zone/E/soil_moisture",
+        unknown(150),
+        { qos: 1 }
+      );
+      await gateway.publishAsync(
+        "farm/farm-001/zone/E/soil_moisture",
+        reading(33),
+        { qos: 1 }
+      );
+      await eventually(() => assert.equal(batches.length, 1));
+      await wait(100);
+      assert.equal(batches.length, 1);
+      assert.equal(batches[0][0].deviceId, "probe-7");
+      assert.equal(batches[0][0].value, 33);
+      assert.deepEqual(flagged, []);
+    } finally {
+      await bridge.stop();
+    }
+  });
+});
@@ -0,0 +1,212 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createServer as createHttpServer } from "node:http";
+import { createServer as createTcpServer } from "node:net";
+import { after, before, describe, it } from "node:test";
+import nodemailer from "nodemailer";
+import { createEmailChannel } from "../lib/notifications/channels/email.js";
+import { createWebhookChannel } from "../lib/notifications/channels/webhook.js";
+
+const notification = (recipient) => ({
+  recipient,
+  farmId: "farm-001",
+  taskType: "soil_moisture_low",
+  severity: "warning",
+  subject: "Soil moisture low",
+  message: "Zone A soil moisture at 18%",
+  data: { zone: "A", value: 18 },
+  timestamp: "2026-01-01T06:00:00.000Z",
+});
+
+// Just enough SMTP to take one message at a time
+const startSmtpSink = async () => {
+  const messages = [];
+  const server = createTcpServer((socket) => {
+    let buffer = "";
+    let data = null;
+    let envelope = { to: [] };
+    socket.setEncoding("utf8");
+    socket.write("220 sink ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data !== null) {
+          if (line === ".") {
+            messages.push({ ...envelope, data: data.join("\n") });
+            envelope = { to: [] };
+            data = null;
+            socket.write("250 queued\r\n");
+          } else {
+            data.push(line.replace(/^\./, ""));
+          }
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "EHLO" || command === "HELO") {
+          socket.write("250 sink\r\n");
+        } else if (command === "MAIL") {
+          envelope.from = line.slice(10).trim();
+          socket.write("250 ok\r\n");
+        } else if (command === "RCPT") {
+          envelope.to.push(line.slice(8).trim());
+          socket.write("250 ok\r\n");
+        } else if (command === "DATA") {
+          data = [];
+          socket.write("354 go ahead\r\n");
+        } else if (command === "QUIT") {
+          socket.end("221 bye\r\n");
+        } else {
+          socket.write("250 ok\r\n");
+        }
+      }
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return { server, port: server.address().port, messages };
+};
+
+const startHttpSink = async () => {
+  const requests = [];
+  const server = createHttpServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, body });
+      if (req.url === "/redirect") {
+        res.writeHead(302, { Location: "/hook" }).end();
+      } else if (req.url === "/gone") {
+        res.writeHead(410).end();
+      } else {
+        res.writeHead(200).end("ok");
+      }
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return { server, port: server.address().port, requests };
+};
+
+describe("email channel", () => {
+  let sink;
+  before(async () => (sink = await startSmtpSink()));
+  after(() => sink.server.close());
+
+  it("sends the notification over SMTP", async () => {
+    const channel = createEmailChannel({
+      transport: nodemailer.createTransport({
+        host: "127.0.0.1",
+        port: sink.port,
+        secure: false,
+        ignoreTLS: true,
+      }),
+      from: "Locci Farm <alerts@locci.farm>",
+    });
+
+    const result = await channel.send(
+      notification({ id: 1, name: "Wanjiku", email: "wanjiku@example.com" })
+    );
+
+    assert.equal(result.status, "sent");
+    assert.equal(sink.messages.length, 1);
+    assert.equal(sink.messages[0].from, "<alerts@locci.farm>");
+    assert.deepEqual(sink.messages[0].to, ["<wanjiku@example.com>"]);
+    assert.match(sink.messages[0].data, /Subject: Soil moisture low/);
+    assert.match(sink.messages[0].data, /Zone A soil moisture at 18%/);
+  });
+
+  it("fails permanently for contacts without an email", async () => {
+    const channel = createEmailChannel({ transport: {}, from: "x@y.z" });
+    await assert.rejects(channel.send(notification({ id: 2 })), {
+      permanent: true,
+    });
+  });
+});
+
+describe("webhook channel", () => {
+  let sink;
+  before(async () => (sink = await startHttpSink()));
+  after(() => sink.server.close());
+
+  const local = () =>
+    createWebhookChannel({ allowedHosts: ["127.0.0.1"], timeoutMs: 2000 });
+
+  it("posts the notification as JSON to allowed hosts", async () => {
+    const result = await local().send(
+      notification({
+        id: 1,
+        name: "Wanjiku",
+        webhookUrl: `http://127.0.0.1:${sink.port}/hook`,
+      })
+    );
+
+    assert.deepEqual(result, { status: "sent", httpStatus: 200 });
+    const request = sink.requests.at(-1);
+    assert.equal(request.method, "POST");
+    assert.equal(request.url, "/hook");
+    assert.deepEqual(JSON.parse(request.body), {
+      text: "Zone A soil moisture at 18%",
+      subject: "Soil moisture low",
+      taskType: "soil_moisture_low",
+      severity: "warning",
+      farmId: "farm-001",
+      contact: { id: 1, name: "Wanjiku" },
+      details: { zone: "A", value: 18 },
+      timestamp: "2026-01-01T06:00:00.000Z",
+    });
+  });
+
+  it("does not follow redirects", async () => {
+    const count = sink.requests.length;
+    await assert.rejects(
+      local().send(
+        notification({
+          id: 1,
+          webhookUrl: `http://127.0.0.1:${sink.port}/redirect`,
+        })
+      ),
+      { permanent: true, message: /responded 302/ }
+    );
+    assert.equal(sink.requests.length, count + 1);
+  });
+
+  it("fails permanently on 4xx answers", async () => {
+    await assert.rejects(
+      local().send(
+        notification({
+          id: 1,
+          webhookUrl: `http://127.0.0.1:${sink.port}/gone`,
+        })
+      ),
+      { permanent: true, message: /responded 410/ }
+    );
+  });
+
+  it("refuses plain http and internal addresses", async () => {
+    const count = sink.requests.length;
+    const channel = createWebhookChannel({
+      lookup: async (host) =>
+        host === "intranet.example.com"
+          ? [{ address: "10.1.2.3", family: 4 }]
+          : [{ address: "93.184.215.14", family: 4 }],
+    });
+
+    for (const webhookUrl of [
+      `http://127.0.0.1:${sink.port}/hook`,
+      "http://hooks.example.com/hook",
+      "https://127.0.0.1/hook",
+      "https://[::1]/hook",
+      "https://[::ffff:169.254.169.254]/latest",
+      "https://intranet.example.com/hook",
+      "not a url",
+    ]) {
+      await assert.rejects(channel.send(notification({ id: 1, webhookUrl })), {
+        permanent: true,
+      });
+    }
+    assert.equal(sink.requests.length, count);
+  });
+});
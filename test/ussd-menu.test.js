@@ -0,0 +1,187 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { createUssdMenu } from "../lib/ussd/menu.js";
+
+const FARMS = {
+  "farm-a": { id: "farm-a", name: "Shamba A" },
+  "farm-b": { id: "farm-b", name: "Shamba B" },
+};
+const ZONES = [
+  { id: "zone-1", name: "North" },
+  { id: "zone-2", name: "South" },
+];
+
+const CONTACTS = {
+  "+254700000001": [
+    { id: "c1", farmId: "farm-a", role: "owner", language: "en" },
+  ],
+  "+254700000002": [
+    { id: "c2", farmId: "farm-a", role: "viewer", language: "en" },
+  ],
+  "+254700000003": [
+    { id: "c3", farmId: "farm-a", role: "manager", language: "en" },
+    { id: "c4", farmId: "farm-b", role: "manager", language: "sw" },
+  ],
+};
+
+describe("USSD menu", () => {
+  let jobs;
+  let menu;
+
+  beforeEach(() => {
+    jobs = [];
+    menu = createUssdMenu({
+      registry: {
+        getFarm: async (farmId) => FARMS[farmId] || null,
+        listItems: async (type) => (type === "zones" ? ZONES : []),
+      },
+      priceStore: { list: async () => [] },
+      alertStore: { list: async () => [] },
+      alerts: { acknowledge: async () => null, raise: async () => null },
+      irrigationQueue: {
+        add: async (name, data) => jobs.push({ name, data }),
+      },
+      getLatestReadings: () => [
+        { zone: "zone-2", value: 31.25 },
+        { zone: "zone-1", value: 18 },
+      ],
+      callerContacts: async (phoneNumber) => CONTACTS[phoneNumber] || [],
+    });
+  });
+
+  // Replays one AT callback, as the router does for each POST
+  const dial = (phoneNumber, text) => menu({ phoneNumber, text });
+
+  it("ends the session for unregistered numbers", async () => {
+    assert.equal(
+      await dial("+254799999999", ""),
+      "END This number is not registered with a Locci farm."
+    );
+  });
+
+  it("opens on the main menu for a caller with one farm", async () => {
+    const response = await dial("+254700000001", "");
+    assert.match(response, /^CON Locci Farm - Shamba A\n1\. Soil moisture/);
+  });
+
+  it("ends with the latest soil moisture by zone", async () => {
+    assert.equal(
+      await dial("+254700000001", "1"),
+      "END zone-1: 18.0%\nzone-2: 31.3%"
+    );
+  });
+
+  it("prefixes the same page with an error on invalid input", async () => {
+    const response = await dial("+254700000001", "9");
+    assert.match(response, /^CON Invalid choice\.\nLocci Farm - Shamba A\n/);
+    assert.equal(await dial("+254700000001", "x"), response);
+  });
+
+  it("lists zones and then the actions for the chosen zone", async () => {
+    assert.equal(
+      await dial("+254700000001", "3"),
+      "CON Choose a zone:\n1. North\n2. South"
+    );
+    assert.equal(
+      await dial("+254700000001", "3*2"),
+      "CON South\n1. Start irrigation\n2. Stop irrigation"
+    );
+    assert.equal(jobs.length, 0);
+  });
+
+  it("enqueues a zone stop on the stop path", async () => {
+    assert.equal(
+      await dial("+254700000001", "3*1*2"),
+      "END Stop requested for North."
+    );
+    assert.deepEqual(jobs, [
+      {
+        name: "stop-irrigation",
+        data: {
+          farmId: "farm-a",
+          zone: "zone-1",
+          requestedBy: "+254700000001",
+        },
+      },
+    ]);
+  });
+
+  it("enqueues a start on the start path", async () => {
+    assert.equal(
+      await dial("+254700000001", "3*1*1"),
+      "END Irrigation requested for North."
+    );
+    assert.equal(jobs.length, 1);
+    assert.equal(jobs[0].name, "start-irrigation");
+    assert.equal(jobs[0].data.zone, "zone-1");
+    assert.equal(jobs[0].data.reason, "ussd_request");
+  });
+
+  it("goes back a step on 0 and home on 00", async () => {
+    assert.equal(
+      await dial("+254700000001", "3*1*0"),
+      await dial("+254700000001", "3")
+    );
+    assert.equal(
+      await dial("+254700000001", "3*1*00"),
+      await dial("+254700000001", "")
+    );
+    assert.equal(jobs.length, 0);
+  });
+
+  it("keeps irrigation to owners and managers", async () => {
+    assert.equal(
+      await dial("+254700000002", "3*1*2"),
+      "END Only farm owners and managers can control irrigation."
+    );
+    assert.equal(jobs.length, 0);
+  });
+
+  describe("for a caller on several farms", () => {
+    const phone = "+254700000003";
+
+    it("asks for the farm first", async () => {
+      assert.equal(
+        await dial(phone, ""),
+        "CON Choose a farm:\n1. Shamba A\n2. Shamba B"
+      );
+    });
+
+    it("switches to the chosen farm's contact language", async () => {
+      assert.match(await dial(phone, "1"), /^CON Locci Farm - Shamba A\n/);
+      assert.match(
+        await dial(phone, "2"),
+        /^CON Shamba la Locci - Shamba B\n1\. Unyevu wa udongo/
+      );
+    });
+
+    it("answers the menu choice for the chosen farm", async () => {
+      assert.equal(await dial(phone, "1*2"), "END No crop prices this week.");
+      assert.equal(
+        await dial(phone, "2*2"),
+        "END Hakuna bei za mazao wiki hii."
+      );
+    });
+
+    it("goes back through the farm's menu to the farm list on 0", async () => {
+      assert.equal(await dial(phone, "1*2*0"), await dial(phone, "1"));
+      assert.equal(await dial(phone, "1*0"), await dial(phone, ""));
+    });
+
+    it("rejects a farm that isn't listed", async () => {
+      assert.equal(
+        await dial(phone, "3"),
+        "CON Invalid choice.\nChoose a farm:\n1. Shamba A\n2. Shamba B"
+      );
+    });
+
+    it("stops irrigation on the chosen farm", async () => {
+      assert.equal(
+        await dial(phone, "2*3*2*2"),
+        "END Kusimamisha kumeombwa kwa South."
+      );
+      assert.equal(jobs[0].data.farmId, "farm-b");
+      assert.equal(jobs[0].data.zone, "zone-2");
+    });
+  });
+});